@@ -1,36 +1,85 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 
 const jwtConfig = {
   secret: process.env.JWT_SECRET,
-  expiresIn: process.env.JWT_EXPIRE || '30d'
+  // Access tokens are short-lived; clients renew them with their refresh token
+  expiresIn: process.env.JWT_EXPIRE || '15m',
+  // Refresh tokens are signed with their own secret so that one can never be
+  // verified as the other
+  refreshSecret: process.env.JWT_REFRESH_SECRET,
+  refreshExpiresInDays: Number(process.env.JWT_REFRESH_EXPIRE_DAYS) || 30
 };
 
-// Generate JWT Token
+// Token types, carried in the `typ` claim
+const TOKEN_TYPES = {
+  access: 'access',
+  refresh: 'refresh'
+};
+
+// The refresh secret must be set and differ from the access token secret
+const getRefreshSecret = () => {
+  if (!jwtConfig.refreshSecret || jwtConfig.refreshSecret === jwtConfig.secret) {
+    throw new Error('JWT_REFRESH_SECRET must be set and differ from JWT_SECRET');
+  }
+  return jwtConfig.refreshSecret;
+};
+
+// Generate JWT Token (access token bound to a session)
 const generateToken = (payload) => {
-  return jwt.sign(payload, jwtConfig.secret, {
+  return jwt.sign({ ...payload, typ: TOKEN_TYPES.access }, jwtConfig.secret, {
     expiresIn: jwtConfig.expiresIn
   });
 };
 
-// Verify JWT Token
+// Verify JWT Token (access tokens only)
 const verifyToken = (token) => {
+  let decoded;
   try {
-    return jwt.verify(token, jwtConfig.secret);
+    decoded = jwt.verify(token, jwtConfig.secret);
   } catch (error) {
     throw new Error('Invalid or expired token');
   }
+
+  if (decoded.typ !== TOKEN_TYPES.access) {
+    throw new Error('Invalid or expired token');
+  }
+  return decoded;
 };
 
-// Generate refresh token (longer expiry)
+// Generate refresh token (longer expiry); its jti identifies it within the
+// session so that a replayed token can be detected
 const generateRefreshToken = (payload) => {
-  return jwt.sign(payload, jwtConfig.secret, {
-    expiresIn: '7d'
+  const tokenId = crypto.randomBytes(16).toString('hex');
+  const token = jwt.sign({ ...payload, typ: TOKEN_TYPES.refresh }, getRefreshSecret(), {
+    expiresIn: `${jwtConfig.refreshExpiresInDays}d`,
+    jwtid: tokenId
   });
+  return { token, tokenId };
+};
+
+// Verify refresh token (refresh tokens only)
+const verifyRefreshToken = (token) => {
+  const secret = getRefreshSecret();
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, secret);
+  } catch (error) {
+    throw new Error('Invalid or expired refresh token');
+  }
+
+  if (decoded.typ !== TOKEN_TYPES.refresh) {
+    throw new Error('Invalid or expired refresh token');
+  }
+  return decoded;
 };
 
 module.exports = {
+  TOKEN_TYPES,
   generateToken,
   verifyToken,
   generateRefreshToken,
+  verifyRefreshToken,
   jwtConfig
-};
\ No newline at end of file
+};
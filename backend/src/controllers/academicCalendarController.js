@@ -0,0 +1,304 @@
+const moment = require('moment');
+const AcademicCalendar = require('../models/AcademicCalendar');
+const HolidayOverride = require('../models/HolidayOverride');
+const { loadAcademicCalendars, loadHolidayOverrides } = require('../services/academicCalendarService');
+const {
+  getAcademicYear,
+  getCurrentSemester,
+  getWeekInSemester,
+  getAlgerianHolidays,
+  getIslamicHolidayDate,
+  getCurrentDate
+} = require('../utils/dateUtils');
+const { toHijri } = require('../utils/hijriUtils');
+const { validationResult } = require('express-validator');
+
+// @desc    Get all academic calendars
+// @route   GET /api/academic-calendars
+// @access  Private
+const getAcademicCalendars = async (req, res) => {
+  try {
+    const calendars = await AcademicCalendar.find().sort({ academicYear: -1 });
+
+    res.json({ calendars });
+
+  } catch (error) {
+    console.error('Get academic calendars error:', error);
+    res.status(500).json({
+      message: 'Server error fetching academic calendars',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get the current academic year, semester and teaching week
+// @route   GET /api/academic-calendars/current
+// @access  Private
+const getCurrentAcademicCalendar = async (req, res) => {
+  try {
+    const academicYear = getAcademicYear();
+    const semester = getCurrentSemester();
+    const calendar = await AcademicCalendar.findOne({ academicYear });
+
+    res.json({
+      academicYear,
+      semester,
+      week: semester ? getWeekInSemester(new Date(), semester, academicYear) : null,
+      calendar,
+      isDefault: !calendar
+    });
+
+  } catch (error) {
+    console.error('Get current academic calendar error:', error);
+    res.status(500).json({
+      message: 'Server error fetching current academic calendar',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get the academic calendar of a year
+// @route   GET /api/academic-calendars/:academicYear
+// @access  Private
+const getAcademicCalendar = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const calendar = await AcademicCalendar.findOne({ academicYear: req.params.academicYear });
+    if (!calendar) {
+      return res.status(404).json({ message: 'Academic calendar not found' });
+    }
+
+    res.json({ calendar });
+
+  } catch (error) {
+    console.error('Get academic calendar error:', error);
+    res.status(500).json({
+      message: 'Server error fetching academic calendar',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Create or replace the academic calendar of a year
+// @route   PUT /api/academic-calendars/:academicYear
+// @access  Private (Admin only)
+const upsertAcademicCalendar = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { academicYear } = req.params;
+    const { start, end, semesters, holidays } = req.body;
+
+    let calendar = await AcademicCalendar.findOne({ academicYear });
+    const isNew = !calendar;
+    if (isNew) {
+      calendar = new AcademicCalendar({ academicYear });
+    }
+
+    calendar.start = start;
+    calendar.end = end;
+    calendar.semesters = semesters;
+    calendar.holidays = holidays || [];
+    calendar.updatedBy = req.user.userId;
+
+    try {
+      await calendar.save();
+    } catch (saveError) {
+      return res.status(400).json({ message: saveError.message });
+    }
+
+    await loadAcademicCalendars();
+
+    res.status(isNew ? 201 : 200).json({
+      message: isNew ? 'Academic calendar created successfully' : 'Academic calendar updated successfully',
+      calendar
+    });
+
+  } catch (error) {
+    console.error('Save academic calendar error:', error);
+    res.status(500).json({
+      message: 'Server error saving academic calendar',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Delete the academic calendar of a year (default dates apply again)
+// @route   DELETE /api/academic-calendars/:academicYear
+// @access  Private (Admin only)
+const deleteAcademicCalendar = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const calendar = await AcademicCalendar.findOneAndDelete({ academicYear: req.params.academicYear });
+    if (!calendar) {
+      return res.status(404).json({ message: 'Academic calendar not found' });
+    }
+
+    await loadAcademicCalendars();
+
+    res.json({ message: 'Academic calendar deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete academic calendar error:', error);
+    res.status(500).json({
+      message: 'Server error deleting academic calendar',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Announced dates rarely differ from the computed ones by more than a day or two
+const MAX_OVERRIDE_SHIFT_DAYS = 3;
+
+// @desc    Get the holidays of a year (national, Islamic and calendar ones)
+// @route   GET /api/academic-calendars/holidays
+// @access  Private
+const getHolidays = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const year = req.query.year || getCurrentDate().year();
+    const holidays = getAlgerianHolidays(year).sort((a, b) => a.date.localeCompare(b.date));
+
+    res.json({ year, holidays });
+
+  } catch (error) {
+    console.error('Get holidays error:', error);
+    res.status(500).json({
+      message: 'Server error fetching holidays',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Record the official date of an Islamic holiday
+// @route   PUT /api/academic-calendars/holidays/overrides
+// @access  Private (Admin only)
+const setHolidayOverride = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { holiday, note } = req.body;
+    const date = moment.utc(req.body.date).startOf('day');
+
+    const shiftFrom = (year) =>
+      Math.abs(date.diff(moment.utc(getIslamicHolidayDate(holiday, year).computedDate), 'days'));
+
+    // Without an explicit Hijri year, take the occurrence closest to the date
+    // (an early Islamic New Year still belongs to the following Hijri year)
+    let hijriYear = req.body.hijriYear;
+    if (!hijriYear) {
+      const candidate = toHijri(date.toDate()).year;
+      hijriYear = [candidate - 1, candidate, candidate + 1]
+        .reduce((best, year) => (shiftFrom(year) < shiftFrom(best) ? year : best));
+    }
+
+    if (shiftFrom(hijriYear) > MAX_OVERRIDE_SHIFT_DAYS) {
+      const { computedDate } = getIslamicHolidayDate(holiday, hijriYear);
+      return res.status(400).json({
+        message: `Date is more than ${MAX_OVERRIDE_SHIFT_DAYS} days away from the computed date (${computedDate})`
+      });
+    }
+
+    const override = await HolidayOverride.findOneAndUpdate(
+      { holiday, hijriYear },
+      { date: date.toDate(), note, updatedBy: req.user.userId },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    await loadHolidayOverrides();
+
+    res.json({
+      message: 'Holiday date updated successfully',
+      override,
+      computedDate: getIslamicHolidayDate(holiday, hijriYear).computedDate
+    });
+
+  } catch (error) {
+    console.error('Set holiday override error:', error);
+    res.status(500).json({
+      message: 'Server error updating holiday date',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Remove an official holiday date (the computed date applies again)
+// @route   DELETE /api/academic-calendars/holidays/overrides/:id
+// @access  Private (Admin only)
+const deleteHolidayOverride = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const override = await HolidayOverride.findByIdAndDelete(req.params.id);
+    if (!override) {
+      return res.status(404).json({ message: 'Holiday override not found' });
+    }
+
+    await loadHolidayOverrides();
+
+    res.json({ message: 'Holiday override deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete holiday override error:', error);
+    res.status(500).json({
+      message: 'Server error deleting holiday override',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  getAcademicCalendars,
+  getCurrentAcademicCalendar,
+  getAcademicCalendar,
+  upsertAcademicCalendar,
+  deleteAcademicCalendar,
+  getHolidays,
+  setHolidayOverride,
+  deleteHolidayOverride
+};
@@ -0,0 +1,653 @@
+const fs = require('fs');
+const path = require('path');
+const { Assignment, Submission } = require('../models/Assignment');
+const { Grade } = require('../models/Grade');
+const Course = require('../models/Course');
+const User = require('../models/User');
+const { recordSubmission, writeSubmissionsArchive } = require('../services/assignmentService');
+const { checkAssignmentSimilarity } = require('../services/similarityService');
+const { validationResult } = require('express-validator');
+
+// Helper function to remove an uploaded file when the submission is refused
+const removeUploadedFile = (req) => {
+  if (req.file) {
+    fs.unlink(req.file.path, (err) => {
+      if (err) console.error('Error removing submission file:', err);
+    });
+  }
+};
+
+// Helper function to check whether a user manages a course
+const canManageCourse = (course, user) => {
+  return user.role === 'admin' || course.instructor.toString() === user._id.toString();
+};
+
+// Helper function to check whether a student is enrolled in a course
+const isEnrolled = (course, studentId) => {
+  return course.enrolledStudents.some(e =>
+    e.student.toString() === studentId && e.status === 'enrolled'
+  );
+};
+
+// @desc    Create an assignment
+// @route   POST /api/assignments
+// @access  Private (Teacher/Admin only)
+const createAssignment = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const course = await Course.findById(req.body.course);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!canManageCourse(course, user)) {
+      return res.status(403).json({
+        message: 'Not authorized to create assignments for this course'
+      });
+    }
+
+    const {
+      title,
+      description,
+      assessmentType,
+      totalPoints,
+      weight,
+      assignedDate,
+      dueDate,
+      allowedFileTypes,
+      maxFileSize,
+      maxAttempts,
+      latePolicy,
+      isPublished
+    } = req.body;
+
+    const assignment = new Assignment({
+      course: course._id,
+      instructor: course.instructor,
+      academicYear: req.body.academicYear || course.academicYear,
+      semester: req.body.semester || course.semester,
+      title,
+      description,
+      assessmentType,
+      totalPoints,
+      weight,
+      assignedDate,
+      dueDate,
+      allowedFileTypes,
+      maxFileSize,
+      maxAttempts,
+      latePolicy,
+      isPublished
+    });
+
+    await assignment.save();
+
+    res.status(201).json({
+      message: 'Assignment created successfully',
+      assignment
+    });
+
+  } catch (error) {
+    console.error('Create assignment error:', error);
+    res.status(500).json({
+      message: 'Server error creating assignment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get assignments of a course
+// @route   GET /api/assignments/course/:courseId
+// @access  Private (Enrolled students, course instructor or admin)
+const getCourseAssignments = async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.courseId);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    const user = await User.findById(req.user.userId);
+    const manager = canManageCourse(course, user);
+    if (!manager && !isEnrolled(course, req.user.userId)) {
+      return res.status(403).json({
+        message: 'Not authorized to view assignments for this course'
+      });
+    }
+
+    const filter = { course: course._id };
+    if (!manager) filter.isPublished = true;
+
+    const assignments = await Assignment.find(filter).sort({ dueDate: 1 });
+
+    // Students also get the state of their own submissions
+    let mySubmissions = {};
+    if (user.role === 'student') {
+      const submissions = await Submission.find({
+        student: req.user.userId,
+        assignment: { $in: assignments.map(a => a._id) },
+        isLatest: true
+      }).select('assignment attemptNumber submittedAt isLate latePenalty');
+      mySubmissions = Object.fromEntries(submissions.map(s => [s.assignment.toString(), s]));
+    }
+
+    res.json({
+      message: 'Assignments retrieved successfully',
+      assignments: assignments.map(assignment => ({
+        ...assignment.toJSON(),
+        mySubmission: mySubmissions[assignment._id.toString()]
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get course assignments error:', error);
+    res.status(500).json({
+      message: 'Server error getting assignments',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get an assignment
+// @route   GET /api/assignments/:assignmentId
+// @access  Private (Enrolled students, course instructor or admin)
+const getAssignmentById = async (req, res) => {
+  try {
+    const assignment = await Assignment.findById(req.params.assignmentId)
+      .populate('course', 'name code instructor enrolledStudents')
+      .populate('instructor', 'firstName lastName email');
+    if (!assignment) {
+      return res.status(404).json({ message: 'Assignment not found' });
+    }
+
+    const user = await User.findById(req.user.userId);
+    const manager = canManageCourse(assignment.course, user);
+    if (!manager && (!assignment.isPublished || !isEnrolled(assignment.course, req.user.userId))) {
+      return res.status(403).json({ message: 'Not authorized to view this assignment' });
+    }
+
+    const data = assignment.toJSON();
+    data.course = { _id: assignment.course._id, name: assignment.course.name, code: assignment.course.code };
+
+    res.json({
+      message: 'Assignment retrieved successfully',
+      assignment: data
+    });
+
+  } catch (error) {
+    console.error('Get assignment error:', error);
+    res.status(500).json({
+      message: 'Server error getting assignment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Update an assignment
+// @route   PUT /api/assignments/:assignmentId
+// @access  Private (Teacher/Admin only)
+const updateAssignment = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const assignment = await Assignment.findById(req.params.assignmentId);
+    if (!assignment) {
+      return res.status(404).json({ message: 'Assignment not found' });
+    }
+
+    const course = await Course.findById(assignment.course);
+    const user = await User.findById(req.user.userId);
+    if (!canManageCourse(course, user)) {
+      return res.status(403).json({ message: 'Not authorized to update this assignment' });
+    }
+
+    const allowedUpdates = [
+      'title', 'description', 'totalPoints', 'weight', 'dueDate', 'allowedFileTypes',
+      'maxFileSize', 'maxAttempts', 'latePolicy', 'isPublished'
+    ];
+    allowedUpdates.forEach(field => {
+      if (req.body[field] !== undefined) assignment[field] = req.body[field];
+    });
+
+    await assignment.save();
+
+    // Keep the linked grades in line with the assignment
+    await Grade.updateMany(
+      { assignment: assignment._id },
+      {
+        $set: {
+          assessmentName: assignment.title,
+          totalPoints: assignment.totalPoints,
+          dueDate: assignment.dueDate,
+          maxAttempts: assignment.maxAttempts
+        }
+      }
+    );
+
+    res.json({
+      message: 'Assignment updated successfully',
+      assignment
+    });
+
+  } catch (error) {
+    console.error('Update assignment error:', error);
+    res.status(500).json({
+      message: 'Server error updating assignment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Delete an assignment without submissions
+// @route   DELETE /api/assignments/:assignmentId
+// @access  Private (Teacher/Admin only)
+const deleteAssignment = async (req, res) => {
+  try {
+    const assignment = await Assignment.findById(req.params.assignmentId);
+    if (!assignment) {
+      return res.status(404).json({ message: 'Assignment not found' });
+    }
+
+    const course = await Course.findById(assignment.course);
+    const user = await User.findById(req.user.userId);
+    if (!canManageCourse(course, user)) {
+      return res.status(403).json({ message: 'Not authorized to delete this assignment' });
+    }
+
+    if (await Submission.exists({ assignment: assignment._id })) {
+      return res.status(400).json({
+        message: 'Cannot delete an assignment that already has submissions; unpublish it instead'
+      });
+    }
+
+    await Assignment.findByIdAndDelete(assignment._id);
+
+    res.json({
+      message: 'Assignment deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete assignment error:', error);
+    res.status(500).json({
+      message: 'Server error deleting assignment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Submit a file for an assignment
+// @route   POST /api/assignments/:assignmentId/submit
+// @access  Private (Students only)
+const submitAssignment = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      removeUploadedFile(req);
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ message: 'No file uploaded' });
+    }
+
+    const assignment = await Assignment.findById(req.params.assignmentId);
+    if (!assignment || !assignment.isPublished) {
+      removeUploadedFile(req);
+      return res.status(404).json({ message: 'Assignment not found' });
+    }
+
+    const course = await Course.findById(assignment.course);
+    if (!course || !isEnrolled(course, req.user.userId)) {
+      removeUploadedFile(req);
+      return res.status(403).json({ message: 'You are not enrolled in this course' });
+    }
+
+    if (!assignment.isOpen) {
+      removeUploadedFile(req);
+      return res.status(400).json({ message: 'Submissions are closed for this assignment' });
+    }
+
+    const extension = path.extname(req.file.originalname);
+    if (!assignment.acceptsFile(extension)) {
+      removeUploadedFile(req);
+      return res.status(400).json({
+        message: `File type not accepted. Allowed: ${assignment.allowedFileTypes.join(', ')}`
+      });
+    }
+
+    if (req.file.size > assignment.maxFileSize) {
+      removeUploadedFile(req);
+      return res.status(400).json({
+        message: `File too large. Maximum size is ${Math.round(assignment.maxFileSize / (1024 * 1024))}MB`
+      });
+    }
+
+    const attempts = await Submission.countDocuments({ assignment: assignment._id, student: req.user.userId });
+    if (attempts >= assignment.maxAttempts) {
+      removeUploadedFile(req);
+      return res.status(400).json({
+        message: `Maximum number of attempts (${assignment.maxAttempts}) reached`
+      });
+    }
+
+    const { submission, grade } = await recordSubmission(assignment, req.user.userId, {
+      filename: req.file.filename,
+      originalName: req.file.originalname,
+      path: req.file.path,
+      size: req.file.size,
+      mimetype: req.file.mimetype,
+      checksum: req.file.checksum
+    }, req.body.comments);
+
+    // Compare the new file with the other submissions in the background
+    checkAssignmentSimilarity(assignment._id, { onlySubmission: submission._id }).catch(error => {
+      console.error('Similarity check error:', error);
+    });
+
+    res.status(201).json({
+      message: submission.isLate ? 'Assignment submitted late' : 'Assignment submitted successfully',
+      submission,
+      submissionStatus: grade.submissionStatus,
+      latePenalty: submission.latePenalty,
+      attemptsLeft: assignment.maxAttempts - submission.attemptNumber
+    });
+
+  } catch (error) {
+    removeUploadedFile(req);
+    console.error('Submit assignment error:', error);
+    res.status(500).json({
+      message: 'Server error submitting assignment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get current student's submissions for an assignment
+// @route   GET /api/assignments/:assignmentId/my-submissions
+// @access  Private (Students only)
+const getMySubmissions = async (req, res) => {
+  try {
+    const submissions = await Submission.find({
+      assignment: req.params.assignmentId,
+      student: req.user.userId
+    }).sort({ attemptNumber: -1 });
+
+    res.json({
+      message: 'Submissions retrieved successfully',
+      submissions
+    });
+
+  } catch (error) {
+    console.error('Get my submissions error:', error);
+    res.status(500).json({
+      message: 'Server error getting submissions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get all submissions for an assignment
+// @route   GET /api/assignments/:assignmentId/submissions
+// @access  Private (Teacher/Admin only)
+const getAssignmentSubmissions = async (req, res) => {
+  try {
+    const assignment = await Assignment.findById(req.params.assignmentId);
+    if (!assignment) {
+      return res.status(404).json({ message: 'Assignment not found' });
+    }
+
+    const course = await Course.findById(assignment.course);
+    const user = await User.findById(req.user.userId);
+    if (!canManageCourse(course, user)) {
+      return res.status(403).json({ message: 'Not authorized to view these submissions' });
+    }
+
+    const filter = { assignment: assignment._id };
+    if (req.query.allAttempts !== 'true') filter.isLatest = true;
+
+    const submissions = await Submission.find(filter)
+      .populate('student', 'firstName lastName studentId email')
+      .populate('grade', 'pointsEarned totalPoints mark gradingStatus submissionStatus needsReview')
+      .sort({ submittedAt: 1 });
+
+    // Enrolled students who have not submitted anything yet
+    const submitted = new Set(submissions.map(s => s.student._id.toString()));
+    const missing = course.enrolledStudents
+      .filter(e => e.status === 'enrolled' && !submitted.has(e.student.toString()))
+      .map(e => e.student);
+
+    res.json({
+      message: 'Submissions retrieved successfully',
+      submissions,
+      statistics: {
+        enrolled: course.enrolledStudents.filter(e => e.status === 'enrolled').length,
+        submitted: submitted.size,
+        late: submissions.filter(s => s.isLatest && s.isLate).length,
+        missing: missing.length
+      },
+      missingStudents: missing
+    });
+
+  } catch (error) {
+    console.error('Get assignment submissions error:', error);
+    res.status(500).json({
+      message: 'Server error getting submissions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Download all submissions for an assignment as a zip archive
+// @route   GET /api/assignments/:assignmentId/submissions/archive
+// @access  Private (Teacher/Admin only)
+const downloadSubmissionsArchive = async (req, res) => {
+  try {
+    const assignment = await Assignment.findById(req.params.assignmentId);
+    if (!assignment) {
+      return res.status(404).json({ message: 'Assignment not found' });
+    }
+
+    const course = await Course.findById(assignment.course);
+    const user = await User.findById(req.user.userId);
+    if (!canManageCourse(course, user)) {
+      return res.status(403).json({ message: 'Not authorized to download these submissions' });
+    }
+
+    const filter = { assignment: assignment._id };
+    if (req.query.allAttempts !== 'true') filter.isLatest = true;
+
+    const submissions = await Submission.find(filter)
+      .populate('student', 'firstName lastName studentId')
+      .sort({ student: 1, attemptNumber: 1 });
+
+    if (submissions.length === 0) {
+      return res.status(404).json({ message: 'No submissions for this assignment' });
+    }
+
+    const fileName = `${course.code}_${assignment.title}`.replace(/[^a-zA-Z0-9_-]+/g, '_');
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}.zip"`);
+
+    await writeSubmissionsArchive(submissions, res);
+
+  } catch (error) {
+    console.error('Download submissions archive error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      message: 'Server error creating submissions archive',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Download a single submission file
+// @route   GET /api/assignments/submissions/:submissionId/download
+// @access  Private (Owner student, course instructor or admin)
+const downloadSubmission = async (req, res) => {
+  try {
+    const submission = await Submission.findById(req.params.submissionId);
+    if (!submission) {
+      return res.status(404).json({ message: 'Submission not found' });
+    }
+
+    const course = await Course.findById(submission.course);
+    const user = await User.findById(req.user.userId);
+    if (submission.student.toString() !== req.user.userId && !canManageCourse(course, user)) {
+      return res.status(403).json({ message: 'Not authorized to download this submission' });
+    }
+
+    if (!submission.file?.path || !fs.existsSync(submission.file.path)) {
+      return res.status(404).json({ message: 'Submission file is missing' });
+    }
+
+    res.download(submission.file.path, submission.file.originalName);
+
+  } catch (error) {
+    console.error('Download submission error:', error);
+    res.status(500).json({
+      message: 'Server error downloading submission',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Run the similarity check on all submissions of an assignment
+// @route   POST /api/assignments/:assignmentId/similarity
+// @access  Private (Teacher/Admin only)
+const runSimilarityCheck = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const assignment = await Assignment.findById(req.params.assignmentId);
+    if (!assignment) {
+      return res.status(404).json({ message: 'Assignment not found' });
+    }
+
+    const course = await Course.findById(assignment.course);
+    const user = await User.findById(req.user.userId);
+    if (!canManageCourse(course, user)) {
+      return res.status(403).json({ message: 'Not authorized to check these submissions' });
+    }
+
+    const report = await checkAssignmentSimilarity(assignment._id, {
+      threshold: req.body.threshold !== undefined ? Number(req.body.threshold) : undefined
+    });
+
+    res.json({
+      message: 'Similarity check completed successfully',
+      report
+    });
+
+  } catch (error) {
+    console.error('Run similarity check error:', error);
+    res.status(500).json({
+      message: 'Server error running similarity check',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get the stored similarity report of an assignment
+// @route   GET /api/assignments/:assignmentId/similarity
+// @access  Private (Teacher/Admin only)
+const getSimilarityReport = async (req, res) => {
+  try {
+    const assignment = await Assignment.findById(req.params.assignmentId);
+    if (!assignment) {
+      return res.status(404).json({ message: 'Assignment not found' });
+    }
+
+    const course = await Course.findById(assignment.course);
+    const user = await User.findById(req.user.userId);
+    if (!canManageCourse(course, user)) {
+      return res.status(403).json({ message: 'Not authorized to view this report' });
+    }
+
+    const submissions = await Submission.find({ assignment: assignment._id, isLatest: true })
+      .select('student attemptNumber submittedAt file.originalName similarity grade')
+      .populate('student', 'firstName lastName studentId')
+      .populate('similarity.matches.student', 'firstName lastName studentId')
+      .sort({ 'similarity.maxSimilarity': -1 });
+
+    // Each flagged pair is listed once
+    const seen = new Set();
+    const flaggedPairs = [];
+    submissions.forEach(submission => {
+      submission.similarity.matches
+        .filter(match => match.isFlagged)
+        .forEach(match => {
+          const key = [submission._id.toString(), match.submission.toString()].sort().join(':');
+          if (seen.has(key)) return;
+          seen.add(key);
+          flaggedPairs.push({
+            similarity: match.similarity,
+            containment: match.containment,
+            submissions: [submission._id, match.submission],
+            students: [submission.student, match.student]
+          });
+        });
+    });
+
+    res.json({
+      message: 'Similarity report retrieved successfully',
+      submissions,
+      flaggedPairs: flaggedPairs.sort((a, b) => b.similarity - a.similarity),
+      statistics: {
+        submissions: submissions.length,
+        checked: submissions.filter(s => s.similarity.status === 'checked').length,
+        unsupported: submissions.filter(s => s.similarity.status === 'unsupported').length,
+        flaggedPairs: flaggedPairs.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Get similarity report error:', error);
+    res.status(500).json({
+      message: 'Server error getting similarity report',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  createAssignment,
+  getCourseAssignments,
+  getAssignmentById,
+  updateAssignment,
+  deleteAssignment,
+  submitAssignment,
+  getMySubmissions,
+  getAssignmentSubmissions,
+  downloadSubmissionsArchive,
+  downloadSubmission,
+  runSimilarityCheck,
+  getSimilarityReport
+};
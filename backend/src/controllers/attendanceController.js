@@ -0,0 +1,1030 @@
+const fs = require('fs');
+const Course = require('../models/Course');
+const User = require('../models/User');
+const AttendanceSession = require('../models/AttendanceSession');
+const AbsenceJustification = require('../models/AbsenceJustification');
+const AbsencePolicy = require('../models/AbsencePolicy');
+const { notifyUser, notifyUsers } = require('../services/notificationService');
+const { toLocalDay } = require('../services/timetableService');
+const {
+  generateSessionSecret,
+  issueToken,
+  parseToken,
+  verifyToken,
+  getCheckInWindow,
+  findScheduledSession,
+  countAttendance,
+  getAttendanceRate,
+  summarizeCourseAttendance,
+  syncParticipationGrades,
+  applyAbsencePolicy,
+  getExclusionList
+} = require('../services/attendanceService');
+const { buildExclusionExport, writeCsv, writeXlsx } = require('../services/reportService');
+const { validationResult } = require('express-validator');
+
+// Helper function to check whether a user runs the sessions of a course
+const canManageAttendance = (user, course) => {
+  return user.role === 'admin' ||
+    course.instructor?.toString() === user._id.toString() ||
+    (course.assistants || []).some(id => id.toString() === user._id.toString());
+};
+
+// Helper function to remove an uploaded document when the request is refused
+const removeUploadedFile = (req) => {
+  if (req.file) {
+    fs.unlink(req.file.path, (err) => {
+      if (err) console.error('Error removing justification document:', err);
+    });
+  }
+};
+
+// Helper function to hide the token key of a session
+const toSessionResponse = (session) => {
+  const sessionResponse = session.toObject();
+  delete sessionResponse.secret;
+  return sessionResponse;
+};
+
+// @desc    Open attendance for a scheduled session
+// @route   POST /api/attendance/sessions
+// @access  Private (Teacher/Admin only)
+const openSession = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { course: courseId, lecture, exception, date } = req.body;
+
+    const course = await Course.findById(courseId);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!canManageAttendance(user, course)) {
+      return res.status(403).json({ message: 'Not authorized to take attendance for this course' });
+    }
+
+    const day = toLocalDay(date || new Date());
+    if (day.isAfter(toLocalDay(new Date()))) {
+      return res.status(400).json({ message: 'Attendance cannot be opened for a future session' });
+    }
+
+    const scheduled = await findScheduledSession(course, { lecture, exception, date: day });
+    if (!scheduled) {
+      return res.status(404).json({ message: 'No scheduled session of this course found at that time' });
+    }
+
+    let session = await AttendanceSession.findOne({
+      course: course._id,
+      date: day.toDate(),
+      startTime: scheduled.startTime
+    }).select('+secret');
+    const isNew = !session;
+
+    if (!session) {
+      session = new AttendanceSession({
+        course: course._id,
+        lecture: scheduled.lecture,
+        exception: scheduled.exception,
+        academicYear: course.academicYear,
+        semester: course.semester,
+        date: day.toDate(),
+        startTime: scheduled.startTime,
+        endTime: scheduled.endTime,
+        room: scheduled.room,
+        sessionType: scheduled.type || 'Lecture',
+        openedBy: req.user.userId
+      });
+    }
+
+    // Reopening a session renews its key, so older QR codes stop working, and
+    // drops the absences recorded on closing so those students can check in
+    if (isNew || session.status === 'closed') {
+      session.records = session.records.filter(record =>
+        !(record.method === 'auto' && record.status === 'absent' && !record.justification)
+      );
+      session.status = 'open';
+      session.closedAt = undefined;
+      session.openedBy = req.user.userId;
+      session.openedAt = new Date();
+      session.secret = generateSessionSecret();
+      await session.save();
+    }
+
+    res.status(isNew ? 201 : 200).json({
+      message: isNew ? 'Attendance session opened successfully' : 'Attendance session is open',
+      session: toSessionResponse(session),
+      checkIn: getCheckInWindow(session),
+      ...issueToken(session)
+    });
+
+  } catch (error) {
+    console.error('Open attendance session error:', error);
+    res.status(500).json({
+      message: 'Server error opening attendance session',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get the current QR token of an open session
+// @route   GET /api/attendance/sessions/:sessionId/token
+// @access  Private (Teacher/Admin only)
+const getSessionToken = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const session = await AttendanceSession.findById(req.params.sessionId).select('+secret');
+    if (!session) {
+      return res.status(404).json({ message: 'Attendance session not found' });
+    }
+
+    const course = await Course.findById(session.course);
+    const user = await User.findById(req.user.userId);
+    if (!course || !canManageAttendance(user, course)) {
+      return res.status(403).json({ message: 'Not authorized to take attendance for this course' });
+    }
+
+    if (session.status !== 'open') {
+      return res.status(400).json({ message: 'Attendance session is closed' });
+    }
+
+    res.json({
+      message: 'Token issued successfully',
+      ...issueToken(session),
+      checkIn: getCheckInWindow(session),
+      checkedIn: session.records.filter(r => ['present', 'late'].includes(r.status)).length
+    });
+
+  } catch (error) {
+    console.error('Get attendance token error:', error);
+    res.status(500).json({
+      message: 'Server error issuing token',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Check in to a session with its QR token
+// @route   POST /api/attendance/check-in
+// @access  Private (Students only)
+const checkIn = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const now = new Date();
+    const parsed = parseToken(req.body.token);
+    if (!parsed) {
+      return res.status(400).json({ message: 'Invalid attendance code' });
+    }
+
+    const session = await AttendanceSession.findById(parsed.sessionId).select('+secret');
+    if (!session || session.status !== 'open') {
+      return res.status(400).json({ message: 'This attendance session is not open' });
+    }
+
+    if (!verifyToken(session, parsed, now.getTime())) {
+      return res.status(400).json({ message: 'Attendance code expired, scan the current code' });
+    }
+
+    const window = getCheckInWindow(session, now);
+    if (!window.isOpen) {
+      return res.status(400).json({ message: 'Check-in is closed for this session' });
+    }
+
+    const course = await Course.findById(session.course).select('code name enrolledStudents');
+    const isEnrolled = course && course.enrolledStudents.some(e =>
+      e.student.toString() === req.user.userId && e.status === 'enrolled'
+    );
+    if (!isEnrolled) {
+      return res.status(403).json({ message: 'You are not enrolled in this course' });
+    }
+
+    const status = window.isLate ? 'late' : 'present';
+
+    // Atomic so that two scans of the same student cannot both be recorded
+    const result = await AttendanceSession.updateOne(
+      { _id: session._id, status: 'open', 'records.student': { $ne: req.user.userId } },
+      { $push: { records: { student: req.user.userId, status, checkedInAt: now, method: 'qr' } } }
+    );
+    if (result.modifiedCount === 0) {
+      return res.status(409).json({ message: 'You are already checked in for this session' });
+    }
+
+    notifyUser(session.openedBy, 'attendance_check_in', {
+      sessionId: session._id,
+      student: req.user.userId,
+      status
+    });
+
+    res.json({
+      message: status === 'late' ? 'Checked in (late)' : 'Checked in successfully',
+      status,
+      session: {
+        _id: session._id,
+        course: { _id: course._id, code: course.code, name: course.name },
+        date: session.date,
+        startTime: session.startTime,
+        endTime: session.endTime,
+        sessionType: session.sessionType
+      }
+    });
+
+  } catch (error) {
+    console.error('Attendance check-in error:', error);
+    res.status(500).json({
+      message: 'Server error checking in',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get an attendance session with its records
+// @route   GET /api/attendance/sessions/:sessionId
+// @access  Private (Teacher/Admin only)
+const getSession = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const session = await AttendanceSession.findById(req.params.sessionId)
+      .populate('records.student', 'firstName lastName studentId')
+      .populate('openedBy', 'firstName lastName');
+    if (!session) {
+      return res.status(404).json({ message: 'Attendance session not found' });
+    }
+
+    const course = await Course.findById(session.course)
+      .select('code name instructor assistants enrolledStudents')
+      .populate('enrolledStudents.student', 'firstName lastName studentId');
+    const user = await User.findById(req.user.userId);
+    if (!course || !canManageAttendance(user, course)) {
+      return res.status(403).json({ message: 'Not authorized to view attendance for this course' });
+    }
+
+    // Enrolled students who have not checked in yet
+    const recorded = new Set(session.records.map(r => r.student._id.toString()));
+    const notCheckedIn = course.enrolledStudents
+      .filter(e => e.status === 'enrolled' && e.student && !recorded.has(e.student._id.toString()))
+      .map(e => e.student);
+
+    res.json({
+      message: 'Attendance session retrieved successfully',
+      session,
+      course: { _id: course._id, code: course.code, name: course.name },
+      notCheckedIn
+    });
+
+  } catch (error) {
+    console.error('Get attendance session error:', error);
+    res.status(500).json({
+      message: 'Server error getting attendance session',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Mark attendance by hand (students without the app, corrections)
+// @route   PUT /api/attendance/sessions/:sessionId/records
+// @access  Private (Teacher/Admin only)
+const markAttendance = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const session = await AttendanceSession.findById(req.params.sessionId);
+    if (!session) {
+      return res.status(404).json({ message: 'Attendance session not found' });
+    }
+
+    const course = await Course.findById(session.course);
+    const user = await User.findById(req.user.userId);
+    if (!course || !canManageAttendance(user, course)) {
+      return res.status(403).json({ message: 'Not authorized to take attendance for this course' });
+    }
+
+    const enrolled = new Set(course.enrolledStudents
+      .filter(e => e.status !== 'dropped')
+      .map(e => e.student.toString()));
+    const notEnrolled = req.body.records.filter(r => !enrolled.has(r.student));
+    if (notEnrolled.length > 0) {
+      return res.status(400).json({
+        message: 'Some students are not enrolled in this course',
+        students: notEnrolled.map(r => r.student)
+      });
+    }
+
+    req.body.records.forEach(({ student, status }) => {
+      const record = session.getRecord(student);
+      // An approved justification is only undone by the justification itself
+      if (record?.justification && record.status === 'excused') return;
+
+      if (record) {
+        record.status = status;
+        record.method = 'manual';
+        record.markedBy = req.user.userId;
+      } else {
+        session.records.push({ student, status, method: 'manual', markedBy: req.user.userId });
+      }
+    });
+
+    await session.save();
+
+    // Corrections to a closed session change the absence counts
+    if (session.status === 'closed') {
+      await applyAbsencePolicy(course, req.body.records.map(r => r.student));
+    }
+
+    res.json({
+      message: 'Attendance updated successfully',
+      session: toSessionResponse(session)
+    });
+
+  } catch (error) {
+    console.error('Mark attendance error:', error);
+    res.status(500).json({
+      message: 'Server error updating attendance',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Close a session: enrolled students without a record are marked absent
+// @route   POST /api/attendance/sessions/:sessionId/close
+// @access  Private (Teacher/Admin only)
+const closeSession = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const session = await AttendanceSession.findById(req.params.sessionId);
+    if (!session) {
+      return res.status(404).json({ message: 'Attendance session not found' });
+    }
+
+    const course = await Course.findById(session.course);
+    const user = await User.findById(req.user.userId);
+    if (!course || !canManageAttendance(user, course)) {
+      return res.status(403).json({ message: 'Not authorized to take attendance for this course' });
+    }
+
+    if (session.status === 'closed') {
+      return res.status(400).json({ message: 'Attendance session is already closed' });
+    }
+
+    const absent = course.enrolledStudents
+      .filter(e => e.status === 'enrolled' && !session.getRecord(e.student))
+      .map(e => e.student);
+    absent.forEach(student => {
+      session.records.push({ student, status: 'absent', method: 'auto' });
+    });
+
+    session.status = 'closed';
+    session.closedAt = new Date();
+    session.secret = undefined;
+    await session.save();
+
+    notifyUsers(absent, 'attendance_absence', {
+      sessionId: session._id,
+      course: { _id: course._id, code: course.code, name: course.name },
+      date: session.date,
+      startTime: session.startTime,
+      sessionType: session.sessionType
+    });
+
+    const standing = await applyAbsencePolicy(course);
+
+    res.json({
+      message: 'Attendance session closed successfully',
+      session: toSessionResponse(session),
+      summary: {
+        present: session.records.filter(r => r.status === 'present').length,
+        late: session.records.filter(r => r.status === 'late').length,
+        absent: session.records.filter(r => r.status === 'absent').length,
+        excused: session.records.filter(r => r.status === 'excused').length
+      },
+      warned: standing.warned,
+      excluded: standing.excluded
+    });
+
+  } catch (error) {
+    console.error('Close attendance session error:', error);
+    res.status(500).json({
+      message: 'Server error closing attendance session',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get attendance of a course (per-student counts and sessions)
+// @route   GET /api/attendance/course/:courseId
+// @access  Private (Teacher/Admin only)
+const getCourseAttendance = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const course = await Course.findById(req.params.courseId)
+      .populate('enrolledStudents.student', 'firstName lastName studentId');
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!canManageAttendance(user, course)) {
+      return res.status(403).json({ message: 'Not authorized to view attendance for this course' });
+    }
+
+    const summary = await summarizeCourseAttendance(course);
+    const sessions = await AttendanceSession.find({ course: course._id })
+      .select('date startTime endTime room sessionType status records.status')
+      .sort({ date: -1, startTime: -1 });
+
+    res.json({
+      message: 'Course attendance retrieved successfully',
+      course: { _id: course._id, code: course.code, name: course.name },
+      ...summary,
+      sessions: sessions.map(session => ({
+        _id: session._id,
+        date: session.date,
+        startTime: session.startTime,
+        endTime: session.endTime,
+        room: session.room,
+        sessionType: session.sessionType,
+        status: session.status,
+        present: session.records.filter(r => r.status === 'present').length,
+        late: session.records.filter(r => r.status === 'late').length,
+        absent: session.records.filter(r => r.status === 'absent').length,
+        excused: session.records.filter(r => r.status === 'excused').length
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get course attendance error:', error);
+    res.status(500).json({
+      message: 'Server error getting course attendance',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get current student's attendance
+// @route   GET /api/attendance/my-attendance
+// @access  Private (Students only)
+const getMyAttendance = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const filter = { 'records.student': req.user.userId };
+    if (req.query.course) filter.course = req.query.course;
+
+    const sessions = await AttendanceSession.find(filter)
+      .select('course date startTime endTime room sessionType status records')
+      .populate('course', 'code name')
+      .sort({ date: -1, startTime: -1 });
+
+    const byCourse = new Map();
+    sessions.forEach(session => {
+      const key = session.course._id.toString();
+      if (!byCourse.has(key)) byCourse.set(key, { course: session.course, sessions: [] });
+      byCourse.get(key).sessions.push(session);
+    });
+
+    const courses = [...byCourse.values()].map(({ course, sessions: courseSessions }) => {
+      const counts = countAttendance(courseSessions, req.user.userId);
+      const rate = getAttendanceRate(counts);
+      return {
+        course,
+        ...counts,
+        attendanceRate: rate === null ? null : Math.round(rate * 1000) / 10,
+        sessions: courseSessions.map(session => {
+          const record = session.getRecord(req.user.userId);
+          return {
+            _id: session._id,
+            date: session.date,
+            startTime: session.startTime,
+            endTime: session.endTime,
+            room: session.room,
+            sessionType: session.sessionType,
+            status: record.status,
+            checkedInAt: record.checkedInAt,
+            justification: record.justification
+          };
+        })
+      };
+    });
+
+    res.json({
+      message: 'Attendance retrieved successfully',
+      courses
+    });
+
+  } catch (error) {
+    console.error('Get my attendance error:', error);
+    res.status(500).json({
+      message: 'Server error getting attendance',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Write the attendance participation grades of a course
+// @route   POST /api/attendance/course/:courseId/participation
+// @access  Private (Teacher/Admin only)
+const syncParticipation = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const course = await Course.findById(req.params.courseId);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    // Grades are entered by the instructor, like addOrUpdateGrade
+    const user = await User.findById(req.user.userId);
+    if (user.role !== 'admin' && course.instructor.toString() !== req.user.userId) {
+      return res.status(403).json({ message: 'Not authorized to grade this course' });
+    }
+
+    const result = await syncParticipationGrades(course, req.user.userId, {
+      totalPoints: req.body.totalPoints ? Number(req.body.totalPoints) : undefined
+    });
+
+    res.json({
+      message: 'Participation grades updated from attendance',
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Sync participation grades error:', error);
+    res.status(500).json({
+      message: 'Server error updating participation grades',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Justify absences with a supporting document
+// @route   POST /api/attendance/justifications
+// @access  Private (Students only)
+const submitJustification = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      removeUploadedFile(req);
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ message: 'A supporting document is required' });
+    }
+
+    const { course: courseId, reason, description } = req.body;
+    const sessionIds = [].concat(req.body.sessions);
+
+    const course = await Course.findById(courseId);
+    if (!course) {
+      removeUploadedFile(req);
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    const sessions = await AttendanceSession.find({ _id: { $in: sessionIds }, course: course._id });
+    const notAbsent = sessionIds.filter(id => {
+      const session = sessions.find(s => s._id.toString() === id);
+      return !session || session.getRecord(req.user.userId)?.status !== 'absent';
+    });
+    if (notAbsent.length > 0) {
+      removeUploadedFile(req);
+      return res.status(400).json({
+        message: 'You can only justify your absences from sessions of this course',
+        sessions: notAbsent
+      });
+    }
+
+    const pending = await AbsenceJustification.findOne({
+      student: req.user.userId,
+      sessions: { $in: sessionIds },
+      status: 'pending'
+    });
+    if (pending) {
+      removeUploadedFile(req);
+      return res.status(400).json({ message: 'A justification is already pending for some of these sessions' });
+    }
+
+    const justification = new AbsenceJustification({
+      student: req.user.userId,
+      course: course._id,
+      sessions: sessionIds,
+      reason,
+      description,
+      document: {
+        filename: req.file.filename,
+        originalName: req.file.originalname,
+        path: req.file.path,
+        size: req.file.size,
+        mimetype: req.file.mimetype,
+        checksum: req.file.checksum
+      }
+    });
+    await justification.save();
+
+    notifyUsers([course.instructor, ...(course.assistants || [])], 'absence_justification_submitted', {
+      justificationId: justification._id,
+      course: { _id: course._id, code: course.code, name: course.name },
+      student: req.user.userId,
+      sessionCount: sessionIds.length
+    });
+
+    res.status(201).json({
+      message: 'Justification submitted successfully',
+      justification
+    });
+
+  } catch (error) {
+    removeUploadedFile(req);
+    console.error('Submit justification error:', error);
+    res.status(500).json({
+      message: 'Server error submitting justification',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get absence justifications (own for students, course ones for staff)
+// @route   GET /api/attendance/justifications
+// @access  Private
+const getJustifications = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { course, status, page = 1, limit = 20 } = req.query;
+    const user = await User.findById(req.user.userId);
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (course) filter.course = course;
+
+    if (user.role === 'student') {
+      filter.student = user._id;
+    } else if (user.role === 'teacher') {
+      const courses = await Course.find({ $or: [{ instructor: user._id }, { assistants: user._id }] }).select('_id');
+      const ids = courses.map(c => c._id.toString());
+      if (course && !ids.includes(course)) {
+        return res.status(403).json({ message: 'Not authorized to view justifications for this course' });
+      }
+      if (!course) filter.course = { $in: ids };
+    }
+
+    const justifications = await AbsenceJustification.find(filter)
+      .populate('student', 'firstName lastName studentId')
+      .populate('course', 'code name')
+      .populate('sessions', 'date startTime endTime sessionType')
+      .populate('reviewedBy', 'firstName lastName')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await AbsenceJustification.countDocuments(filter);
+
+    res.json({
+      message: 'Justifications retrieved successfully',
+      justifications,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalJustifications: total
+      }
+    });
+
+  } catch (error) {
+    console.error('Get justifications error:', error);
+    res.status(500).json({
+      message: 'Server error getting justifications',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Approve or reject an absence justification
+// @route   PUT /api/attendance/justifications/:justificationId/review
+// @access  Private (Teacher/Admin only)
+const reviewJustification = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { decision, comment } = req.body;
+
+    const justification = await AbsenceJustification.findById(req.params.justificationId);
+    if (!justification) {
+      return res.status(404).json({ message: 'Justification not found' });
+    }
+
+    const course = await Course.findById(justification.course);
+    const user = await User.findById(req.user.userId);
+    if (!course || !canManageAttendance(user, course)) {
+      return res.status(403).json({ message: 'Not authorized to review justifications for this course' });
+    }
+
+    if (justification.status !== 'pending') {
+      return res.status(400).json({ message: 'Justification has already been reviewed' });
+    }
+
+    justification.status = decision;
+    justification.reviewedBy = req.user.userId;
+    justification.reviewedAt = new Date();
+    justification.reviewComment = comment;
+    await justification.save();
+
+    // Approved: the absences become excused and stop counting
+    if (decision === 'approved') {
+      await AttendanceSession.updateMany(
+        { _id: { $in: justification.sessions } },
+        { $set: { 'records.$[record].status': 'excused', 'records.$[record].justification': justification._id } },
+        { arrayFilters: [{ 'record.student': justification.student, 'record.status': 'absent' }] }
+      );
+      await applyAbsencePolicy(course, [justification.student]);
+    }
+
+    notifyUser(justification.student, 'absence_justification_reviewed', {
+      justificationId: justification._id,
+      course: { _id: course._id, code: course.code, name: course.name },
+      status: justification.status,
+      comment
+    });
+
+    res.json({
+      message: decision === 'approved' ? 'Justification approved' : 'Justification rejected',
+      justification
+    });
+
+  } catch (error) {
+    console.error('Review justification error:', error);
+    res.status(500).json({
+      message: 'Server error reviewing justification',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Download the document of an absence justification
+// @route   GET /api/attendance/justifications/:justificationId/document
+// @access  Private (Student owner or course staff)
+const downloadJustificationDocument = async (req, res) => {
+  try {
+    const justification = await AbsenceJustification.findById(req.params.justificationId);
+    if (!justification || !justification.document?.path) {
+      return res.status(404).json({ message: 'Document not found' });
+    }
+
+    const course = await Course.findById(justification.course);
+    const user = await User.findById(req.user.userId);
+    const isOwner = justification.student.toString() === req.user.userId;
+    if (!isOwner && !(course && canManageAttendance(user, course))) {
+      return res.status(403).json({ message: 'Not authorized to view this document' });
+    }
+
+    if (!fs.existsSync(justification.document.path)) {
+      return res.status(404).json({ message: 'Document file not found' });
+    }
+
+    res.download(justification.document.path, justification.document.originalName);
+
+  } catch (error) {
+    console.error('Download justification document error:', error);
+    res.status(500).json({
+      message: 'Server error downloading document',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get the absence policies of the course categories
+// @route   GET /api/attendance/policies
+// @access  Private (Teacher/Admin only)
+const getAbsencePolicies = async (req, res) => {
+  try {
+    const categories = AbsencePolicy.schema.path('category').enumValues;
+    const policies = await Promise.all(categories.map(category => AbsencePolicy.getForCategory(category)));
+
+    res.json({
+      message: 'Absence policies retrieved successfully',
+      policies
+    });
+
+  } catch (error) {
+    console.error('Get absence policies error:', error);
+    res.status(500).json({
+      message: 'Server error getting absence policies',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Set the absence threshold of a course category
+// @route   PUT /api/attendance/policies/:category
+// @access  Private (Admin only)
+const updateAbsencePolicy = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { category } = req.params;
+    const update = { maxAbsences: req.body.maxAbsences, updatedBy: req.user.userId };
+    if (req.body.sessionTypes) update.sessionTypes = req.body.sessionTypes;
+
+    const policy = await AbsencePolicy.findOneAndUpdate(
+      { category },
+      update,
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    // Re-evaluate the running courses of the category with the new threshold
+    const courses = await Course.find({ category, status: 'active' });
+    const totals = { warned: 0, excluded: 0, reinstated: 0 };
+    for (const course of courses) {
+      const result = await applyAbsencePolicy(course);
+      totals.warned += result.warned.length;
+      totals.excluded += result.excluded.length;
+      totals.reinstated += result.reinstated.length;
+    }
+
+    res.json({
+      message: 'Absence policy updated successfully',
+      policy,
+      coursesEvaluated: courses.length,
+      ...totals
+    });
+
+  } catch (error) {
+    console.error('Update absence policy error:', error);
+    res.status(500).json({
+      message: 'Server error updating absence policy',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get or export the students of a course excluded or warned for absences
+// @route   GET /api/attendance/course/:courseId/exclusions
+// @access  Private (Teacher/Admin only)
+const getCourseExclusions = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { format = 'json' } = req.query;
+
+    const course = await Course.findById(req.params.courseId)
+      .populate('enrolledStudents.student', 'firstName lastName studentId email');
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!canManageAttendance(user, course)) {
+      return res.status(403).json({ message: 'Not authorized to view attendance for this course' });
+    }
+
+    const list = await getExclusionList(course);
+
+    if (format === 'json') {
+      return res.json({
+        message: 'Exclusion list retrieved successfully',
+        course: { _id: course._id, code: course.code, name: course.name, category: course.category },
+        ...list
+      });
+    }
+
+    const table = buildExclusionExport(course, list);
+    const filename = `${course.code}_exclusions_${course.semester}_${new Date().toISOString().split('T')[0]}`;
+
+    if (format === 'xlsx') {
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.xlsx"`);
+      return await writeXlsx(table, res, 'Exclusions');
+    }
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+    writeCsv(table, res);
+
+  } catch (error) {
+    console.error('Get course exclusions error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      message: 'Server error getting exclusion list',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  openSession,
+  getSessionToken,
+  checkIn,
+  getSession,
+  markAttendance,
+  closeSession,
+  getCourseAttendance,
+  getMyAttendance,
+  syncParticipation,
+  submitJustification,
+  getJustifications,
+  reviewJustification,
+  downloadJustificationDocument,
+  getAbsencePolicies,
+  updateAbsencePolicy,
+  getCourseExclusions
+};
@@ -1,15 +1,16 @@
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { verifyRefreshToken } = require('../config/jwt');
+const {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions
+} = require('../services/sessionService');
+const socketService = require('../services/socketService');
 const { validationResult } = require('express-validator');
 
-// Generate JWT Token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '7d'
-  });
-};
-
 // @desc    Register new user
 // @route   POST /api/auth/register
 // @access  Public
@@ -68,8 +69,8 @@ const register = async (req, res) => {
 
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Open a session for this device
+    const { tokens } = await createSession(user._id, req, req.body.deviceName);
 
     // Remove password from response
     const userResponse = user.toObject();
@@ -77,7 +78,7 @@ const register = async (req, res) => {
 
     res.status(201).json({
       message: 'User registered successfully',
-      token,
+      ...tokens,
       user: userResponse
     });
 
@@ -135,8 +136,8 @@ const login = async (req, res) => {
     user.lastLogin = new Date();
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Open a session for this device
+    const { tokens } = await createSession(user._id, req, req.body.deviceName);
 
     // Remove password from response
     const userResponse = user.toObject();
@@ -144,7 +145,7 @@ const login = async (req, res) => {
 
     res.json({
       message: 'Login successful',
-      token,
+      ...tokens,
       user: userResponse
     });
 
@@ -272,8 +273,13 @@ const changePassword = async (req, res) => {
     user.updatedAt = new Date();
     await user.save();
 
+    // Sign out the other devices, which may belong to whoever knew the old password
+    const revokedSessions = await revokeUserSessions(user._id, 'password_change', req.sessionId);
+    socketService.disconnectSessions(revokedSessions);
+
     res.json({
-      message: 'Password changed successfully'
+      message: 'Password changed successfully',
+      revokedSessions: revokedSessions.length
     });
 
   } catch (error) {
@@ -285,12 +291,28 @@ const changePassword = async (req, res) => {
   }
 };
 
-// @desc    Refresh token
+// @desc    Exchange a refresh token for a new access and refresh token
 // @route   POST /api/auth/refresh
-// @access  Private
+// @access  Public (refresh token)
 const refreshToken = async (req, res) => {
   try {
-    const user = await User.findById(req.user.userId).select('-password');
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = verifyRefreshToken(req.body.refreshToken);
+    } catch (tokenError) {
+      return res.status(401).json({ message: tokenError.message });
+    }
+
+    const user = await User.findById(decoded.userId).select('-password');
     
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
@@ -302,12 +324,21 @@ const refreshToken = async (req, res) => {
       });
     }
 
-    // Generate new token
-    const token = generateToken(user._id);
+    const result = await rotateSession(decoded, req);
+
+    if (result.error) {
+      if (result.reused) {
+        // Whoever holds the newer token (possibly an attacker) is cut off too;
+        // the replay is recorded on the session (see rotateSession)
+        console.warn(`Refresh token reuse detected for user ${user._id}, session ${decoded.sid} revoked`);
+        socketService.disconnectSessions([decoded.sid]);
+      }
+      return res.status(401).json({ message: result.error });
+    }
 
     res.json({
       message: 'Token refreshed successfully',
-      token,
+      ...result.tokens,
       user
     });
 
@@ -320,13 +351,19 @@ const refreshToken = async (req, res) => {
   }
 };
 
-// @desc    Logout user (Optional - mainly for token blacklisting if implemented)
+// @desc    Logout user (ends the current session)
 // @route   POST /api/auth/logout
 // @access  Private
 const logout = async (req, res) => {
   try {
+    const session = await Session.findOne({ _id: req.sessionId, user: req.user._id });
+    if (session && !session.revokedAt) {
+      await revokeSession(session, 'logout');
+      socketService.disconnectSessions([session._id]);
+    }
+
     // Update last logout time
-    await User.findByIdAndUpdate(req.user.userId, {
+    await User.findByIdAndUpdate(req.user._id, {
       lastLogout: new Date()
     });
 
@@ -343,6 +380,32 @@ const logout = async (req, res) => {
   }
 };
 
+// @desc    Sign out everywhere (ends every session of the user)
+// @route   POST /api/auth/logout-all
+// @access  Private
+const logoutAll = async (req, res) => {
+  try {
+    const revokedSessions = await revokeUserSessions(req.user._id, 'logout_all');
+    socketService.disconnectSessions(revokedSessions);
+
+    await User.findByIdAndUpdate(req.user._id, {
+      lastLogout: new Date()
+    });
+
+    res.json({
+      message: 'Signed out from all devices',
+      revokedSessions: revokedSessions.length
+    });
+
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ 
+      message: 'Server error signing out from all devices',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 module.exports = {
   register,
   login,
@@ -350,5 +413,6 @@ module.exports = {
   updateProfile,
   changePassword,
   refreshToken,
-  logout
+  logout,
+  logoutAll
 };
\ No newline at end of file
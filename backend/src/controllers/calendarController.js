@@ -0,0 +1,109 @@
+const User = require('../models/User');
+const { buildUserCalendar } = require('../services/calendarService');
+const { validationResult } = require('express-validator');
+
+// Helper function to build the public URL of a calendar feed
+const getFeedUrl = (req, token) => {
+  const baseUrl = process.env.API_URL || `${req.protocol}://${req.get('host')}`;
+  return `${baseUrl}/api/calendar/feed/${token}.ics`;
+};
+
+// @desc    Get the personal calendar feed URL (created on first call)
+// @route   GET /api/calendar/feed
+// @access  Private
+const getCalendarFeedUrl = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select('+calendarToken');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!user.calendarToken) {
+      user.generateCalendarToken();
+      await user.save();
+    }
+
+    res.json({
+      message: 'Calendar feed retrieved successfully',
+      url: getFeedUrl(req, user.calendarToken),
+      // Append ?course=<id>,<id> to the URL to only include some courses
+      filterParameter: 'course'
+    });
+
+  } catch (error) {
+    console.error('Get calendar feed error:', error);
+    res.status(500).json({
+      message: 'Server error getting calendar feed',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Replace the calendar feed token (the old URL stops working)
+// @route   POST /api/calendar/feed/regenerate
+// @access  Private
+const regenerateCalendarFeed = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select('+calendarToken');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    user.generateCalendarToken();
+    await user.save();
+
+    res.json({
+      message: 'Calendar feed URL regenerated successfully',
+      url: getFeedUrl(req, user.calendarToken)
+    });
+
+  } catch (error) {
+    console.error('Regenerate calendar feed error:', error);
+    res.status(500).json({
+      message: 'Server error regenerating calendar feed',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get the iCalendar feed of a user
+// @route   GET /api/calendar/feed/:token.ics
+// @access  Public (feed token)
+const getCalendarFeed = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ calendarToken: req.params.token, isActive: true });
+    if (!user) {
+      return res.status(404).json({ message: 'Calendar feed not found' });
+    }
+
+    const courseIds = req.query.course ? String(req.query.course).split(',') : [];
+    const calendar = await buildUserCalendar(user, { courseIds });
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', 'inline; filename="usthb.ics"');
+    res.setHeader('Cache-Control', 'private, max-age=900');
+    res.send(calendar);
+
+  } catch (error) {
+    console.error('Get calendar feed error:', error);
+    res.status(500).json({
+      message: 'Server error generating calendar feed',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  getCalendarFeedUrl,
+  regenerateCalendarFeed,
+  getCalendarFeed
+};
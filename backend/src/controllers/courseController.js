@@ -1,8 +1,34 @@
 const Course = require('../models/Course');
 const User = require('../models/User');
 const Resource = require('../models/Resource');
+const { validateSchedule } = require('../services/timetableService');
+const { checkPrerequisites } = require('../services/prerequisiteService');
+const { promoteFromWaitlist } = require('../services/waitlistService');
+const { notifyUser } = require('../services/notificationService');
 const { validationResult } = require('express-validator');
 
+// Helper function to snap a course schedule to the USTHB slots, resolve its rooms
+// and reject conflicts. Returns the error response to send, or null when valid.
+const checkCourseSchedule = async (course, lectures) => {
+  const result = await validateSchedule(course, lectures);
+
+  if (result.errors.length > 0) {
+    return {
+      status: 400,
+      body: { message: 'Invalid schedule (time slots or rooms)', errors: result.errors }
+    };
+  }
+  if (result.conflicts.length > 0) {
+    return {
+      status: 409,
+      body: { message: 'Schedule conflicts detected', conflicts: result.conflicts }
+    };
+  }
+
+  course.schedule.lectures = result.lectures;
+  return null;
+};
+
 // @desc    Get all courses
 // @route   GET /api/courses
 // @access  Private
@@ -111,8 +137,11 @@ const createCourse = async (req, res) => {
       code,
       description,
       department,
+      level,
       semester,
+      academicYear,
       credits,
+      assistants,
       schedule,
       maxStudents
     } = req.body;
@@ -130,16 +159,26 @@ const createCourse = async (req, res) => {
       code,
       description,
       department,
+      level,
       semester,
+      academicYear,
       credits,
-      teacher: req.user.userId,
-      schedule,
+      instructor: req.user.userId,
+      assistants,
       maxStudents: maxStudents || 50
     });
 
+    // Check the schedule against rooms, staff and the section's other courses
+    if (schedule?.lectures) {
+      const scheduleError = await checkCourseSchedule(course, schedule.lectures);
+      if (scheduleError) {
+        return res.status(scheduleError.status).json(scheduleError.body);
+      }
+    }
+
     await course.save();
     
-    await course.populate('teacher', 'firstName lastName email department');
+    await course.populate('instructor', 'firstName lastName email department');
 
     res.status(201).json({
       message: 'Course created successfully',
@@ -160,6 +199,15 @@ const createCourse = async (req, res) => {
 // @access  Private (Teacher/Admin only)
 const updateCourse = async (req, res) => {
   try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
     const course = await Course.findById(req.params.id);
 
     if (!course) {
@@ -168,7 +216,7 @@ const updateCourse = async (req, res) => {
 
     // Check if user is the teacher or admin
     const user = await User.findById(req.user.userId);
-    if (user.role !== 'admin' && course.teacher.toString() !== req.user.userId) {
+    if (user.role !== 'admin' && course.instructor.toString() !== req.user.userId) {
       return res.status(403).json({ 
         message: 'Not authorized to update this course' 
       });
@@ -191,14 +239,29 @@ const updateCourse = async (req, res) => {
     if (department) course.department = department;
     if (semester) course.semester = semester;
     if (credits) course.credits = credits;
-    if (schedule) course.schedule = schedule;
     if (maxStudents) course.maxStudents = maxStudents;
     if (typeof isActive === 'boolean') course.isActive = isActive;
 
+    // A new schedule or semester must not collide with the rest of the timetable
+    if (schedule?.lectures || semester) {
+      const scheduleError = await checkCourseSchedule(
+        course,
+        schedule?.lectures || course.schedule.lectures.map(lecture => lecture.toObject())
+      );
+      if (scheduleError) {
+        return res.status(scheduleError.status).json(scheduleError.body);
+      }
+    }
+
     course.updatedAt = new Date();
     await course.save();
 
-    await course.populate('teacher', 'firstName lastName email department');
+    // Extra capacity goes to the waitlist first
+    if (maxStudents) {
+      await promoteFromWaitlist(course._id);
+    }
+
+    await course.populate('instructor', 'firstName lastName email department');
 
     res.json({
       message: 'Course updated successfully',
@@ -249,7 +312,7 @@ const deleteCourse = async (req, res) => {
   }
 };
 
-// @desc    Enroll student in course
+// @desc    Enroll student in course (also confirms a waitlist offer)
 // @route   POST /api/courses/:id/enroll
 // @access  Private (Student only)
 const enrollInCourse = async (req, res) => {
@@ -260,36 +323,46 @@ const enrollInCourse = async (req, res) => {
       return res.status(404).json({ message: 'Course not found' });
     }
 
-    if (!course.isActive) {
+    if (course.status !== 'active') {
       return res.status(400).json({ 
         message: 'Cannot enroll in inactive course' 
       });
     }
 
-    // Check if course is full
-    if (course.enrolledStudents.length >= course.maxStudents) {
-      return res.status(400).json({ 
-        message: 'Course is full' 
+    // A full course sends the student to the waitlist, unless a seat is
+    // being held for them (enrolling then confirms the offer)
+    const waitlistEntry = course.getWaitlistEntry(req.user.userId);
+    const hasOffer = waitlistEntry?.status === 'offered' && waitlistEntry.offerExpiresAt > new Date();
+    if (course.isFullyEnrolled && !hasOffer) {
+      return res.status(400).json({
+        message: 'Course is full',
+        canJoinWaitlist: !waitlistEntry,
+        waitlistPosition: course.getWaitlistRank(req.user.userId)
       });
     }
 
-    // Check if student is already enrolled
-    if (course.enrolledStudents.includes(req.user.userId)) {
-      return res.status(400).json({ 
-        message: 'Already enrolled in this course' 
+    // Check prerequisites against the student's module results
+    const prerequisites = await checkPrerequisites(course, req.user.userId);
+    if (!prerequisites.isMet) {
+      return res.status(400).json({
+        message: 'Prerequisites not met',
+        unmetPrerequisites: prerequisites.unmet
       });
     }
 
-    // Enroll student
-    course.enrolledStudents.push(req.user.userId);
-    await course.save();
+    // enrollStudent checks capacity and duplicates
+    try {
+      await course.enrollStudent(req.user.userId);
+    } catch (enrollError) {
+      return res.status(400).json({ message: enrollError.message });
+    }
 
     // Add course to student's enrolled courses
     await User.findByIdAndUpdate(req.user.userId, {
-      $push: { enrolledCourses: course._id }
+      $addToSet: { enrolledCourses: course._id }
     });
 
-    await course.populate('teacher', 'firstName lastName email');
+    await course.populate('instructor', 'firstName lastName email');
 
     res.json({
       message: 'Enrolled in course successfully',
@@ -305,6 +378,130 @@ const enrollInCourse = async (req, res) => {
   }
 };
 
+// @desc    Enroll a student on their behalf, optionally overriding prerequisites
+// @route   POST /api/courses/:id/students
+// @access  Private (Teacher/Admin only)
+const enrollStudentInCourse = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { student: studentId, overridePrerequisites, justification } = req.body;
+
+    const course = await Course.findById(req.params.id);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (user.role !== 'admin' && course.instructor.toString() !== req.user.userId) {
+      return res.status(403).json({ 
+        message: 'Not authorized to enroll students in this course' 
+      });
+    }
+
+    const student = await User.findById(studentId);
+    if (!student || student.role !== 'student') {
+      return res.status(404).json({ message: 'Student not found' });
+    }
+
+    const prerequisites = await checkPrerequisites(course, student._id);
+    if (!prerequisites.isMet && !overridePrerequisites) {
+      return res.status(400).json({
+        message: 'Prerequisites not met',
+        unmetPrerequisites: prerequisites.unmet
+      });
+    }
+
+    const prerequisiteOverride = prerequisites.isMet ? undefined : {
+      grantedBy: req.user.userId,
+      justification,
+      unmet: prerequisites.unmet.map(r => r.course.code || r.course._id.toString()),
+      grantedAt: new Date()
+    };
+
+    try {
+      await course.enrollStudent(student._id, { prerequisiteOverride });
+    } catch (enrollError) {
+      return res.status(400).json({ message: enrollError.message });
+    }
+
+    await User.findByIdAndUpdate(student._id, {
+      $addToSet: { enrolledCourses: course._id }
+    });
+
+    notifyUser(student._id, 'course_enrolled', {
+      course: { id: course._id, code: course.code, name: course.name },
+      enrolledBy: req.user.userId
+    });
+
+    res.status(201).json({
+      message: prerequisiteOverride
+        ? 'Student enrolled with a prerequisite override'
+        : 'Student enrolled successfully',
+      student: { _id: student._id, firstName: student.firstName, lastName: student.lastName, studentId: student.studentId },
+      prerequisiteOverride,
+      unmetPrerequisites: prerequisites.unmet
+    });
+
+  } catch (error) {
+    console.error('Enroll student error:', error);
+    res.status(500).json({ 
+      message: 'Server error enrolling student',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Check a student's prerequisites for a course
+// @route   GET /api/courses/:id/prerequisites
+// @access  Private
+const getPrerequisiteStatus = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const course = await Course.findById(req.params.id);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    // Students check themselves; staff may check any student
+    const user = await User.findById(req.user.userId);
+    const studentId = user.role === 'student' ? req.user.userId : req.query.student;
+    if (!studentId) {
+      return res.status(400).json({ message: 'Student is required' });
+    }
+
+    const result = await checkPrerequisites(course, studentId);
+
+    res.json({
+      message: result.isMet ? 'All prerequisites are met' : 'Prerequisites not met',
+      course: { _id: course._id, code: course.code, name: course.name },
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Check prerequisites error:', error);
+    res.status(500).json({ 
+      message: 'Server error checking prerequisites',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 // @desc    Unenroll student from course
 // @route   POST /api/courses/:id/unenroll
 // @access  Private (Student only)
@@ -316,26 +513,26 @@ const unenrollFromCourse = async (req, res) => {
       return res.status(404).json({ message: 'Course not found' });
     }
 
-    // Check if student is enrolled
-    if (!course.enrolledStudents.includes(req.user.userId)) {
+    // Unenroll student (the enrollment is kept with a dropped status)
+    try {
+      await course.dropStudent(req.user.userId);
+    } catch (dropError) {
       return res.status(400).json({ 
         message: 'Not enrolled in this course' 
       });
     }
 
-    // Unenroll student
-    course.enrolledStudents = course.enrolledStudents.filter(
-      studentId => studentId.toString() !== req.user.userId
-    );
-    await course.save();
-
     // Remove course from student's enrolled courses
     await User.findByIdAndUpdate(req.user.userId, {
       $pull: { enrolledCourses: course._id }
     });
 
+    // Offer the released seat to the waitlist
+    const promotion = await promoteFromWaitlist(course._id);
+
     res.json({
-      message: 'Unenrolled from course successfully'
+      message: 'Unenrolled from course successfully',
+      seatsOffered: promotion.offered.length
     });
 
   } catch (error) {
@@ -441,6 +638,8 @@ module.exports = {
   updateCourse,
   deleteCourse,
   enrollInCourse,
+  enrollStudentInCourse,
+  getPrerequisiteStatus,
   unenrollFromCourse,
   getMyCourses,
   getCourseStats
@@ -0,0 +1,482 @@
+const fs = require('fs');
+const GradeDispute = require('../models/GradeDispute');
+const { Grade } = require('../models/Grade');
+const Course = require('../models/Course');
+const User = require('../models/User');
+const { notifyUser } = require('../services/notificationService');
+const { computeStudentSemester } = require('../services/gradingService');
+const { validationResult } = require('express-validator');
+
+// Helper function to remove an uploaded attachment when the request is refused
+const removeUploadedFile = (req) => {
+  if (req.file) {
+    fs.unlink(req.file.path, (err) => {
+      if (err) console.error('Error removing dispute attachment:', err);
+    });
+  }
+};
+
+// Helper function to summarise a dispute in socket notifications
+const getDisputeNotification = (dispute, course, grade) => {
+  return {
+    disputeId: dispute._id,
+    status: dispute.status,
+    course: { id: course._id, name: course.name, code: course.code },
+    grade: {
+      id: grade._id,
+      assessmentType: grade.assessmentType,
+      assessmentName: grade.assessmentName
+    }
+  };
+};
+
+// @desc    Contest a released grade
+// @route   POST /api/disputes
+// @access  Private (Students only)
+const openDispute = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      removeUploadedFile(req);
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { grade: gradeId, justification } = req.body;
+
+    const grade = await Grade.findById(gradeId);
+    if (!grade || grade.student.toString() !== req.user.userId) {
+      removeUploadedFile(req);
+      return res.status(404).json({ message: 'Grade not found' });
+    }
+
+    if (!grade.isReleased) {
+      removeUploadedFile(req);
+      return res.status(400).json({ message: 'Only released grades can be contested' });
+    }
+
+    const course = await Course.findById(grade.course);
+    if (!course) {
+      removeUploadedFile(req);
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    // Check the contestation window
+    const windowDays = course.disputeWindowDays ?? 7;
+    const deadline = new Date(grade.releasedDate || grade.updatedAt);
+    deadline.setDate(deadline.getDate() + windowDays);
+    if (new Date() > deadline) {
+      removeUploadedFile(req);
+      return res.status(400).json({
+        message: `The contestation period for this grade ended on ${deadline.toISOString().split('T')[0]}`
+      });
+    }
+
+    if (await GradeDispute.hasOpenDispute(grade._id)) {
+      removeUploadedFile(req);
+      return res.status(400).json({ message: 'A dispute is already open for this grade' });
+    }
+
+    const dispute = new GradeDispute({
+      grade: grade._id,
+      student: req.user.userId,
+      course: course._id,
+      instructor: course.instructor,
+      academicYear: grade.academicYear,
+      semester: grade.semester,
+      justification,
+      originalPoints: grade.pointsEarned,
+      totalPoints: grade.totalPoints,
+      previousGradingStatus: grade.gradingStatus === 'graded' ? 'graded' : 'returned'
+    });
+
+    if (req.file) {
+      dispute.attachment = {
+        filename: req.file.filename,
+        originalName: req.file.originalname,
+        path: req.file.path,
+        size: req.file.size,
+        mimetype: req.file.mimetype
+      };
+    }
+
+    await dispute.save();
+
+    grade.gradingStatus = 'disputed';
+    grade.needsReview = true;
+    grade.reviewReason = 'Contested by student';
+    await grade.save();
+
+    notifyUser(course.instructor, 'grade_dispute_opened', getDisputeNotification(dispute, course, grade));
+
+    res.status(201).json({
+      message: 'Dispute submitted successfully',
+      dispute,
+      deadline
+    });
+
+  } catch (error) {
+    removeUploadedFile(req);
+    console.error('Open dispute error:', error);
+    res.status(500).json({
+      message: 'Server error submitting dispute',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get current student's disputes
+// @route   GET /api/disputes/my-disputes
+// @access  Private (Students only)
+const getMyDisputes = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status } = req.query;
+
+    const filter = { student: req.user.userId };
+    if (status) filter.status = status;
+
+    const disputes = await GradeDispute.find(filter)
+      .populate('course', 'name code')
+      .populate('grade', 'assessmentType assessmentName pointsEarned totalPoints mark')
+      .populate('resolution.resolvedBy', 'firstName lastName')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      message: 'Disputes retrieved successfully',
+      disputes
+    });
+
+  } catch (error) {
+    console.error('Get my disputes error:', error);
+    res.status(500).json({
+      message: 'Server error getting disputes',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get the dispute queue of an instructor (all courses for admins)
+// @route   GET /api/disputes/queue
+// @access  Private (Teacher/Admin only)
+const getDisputeQueue = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { course, status = 'pending' } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const user = await User.findById(req.user.userId);
+
+    const filter = {};
+    if (user.role !== 'admin') filter.instructor = req.user.userId;
+    if (course) filter.course = course;
+    if (status !== 'all') filter.status = status;
+
+    // Oldest disputes first so none wait too long
+    const disputes = await GradeDispute.find(filter)
+      .populate('student', 'firstName lastName studentId email')
+      .populate('course', 'name code')
+      .populate('grade', 'assessmentType assessmentName pointsEarned totalPoints mark feedback')
+      .sort({ createdAt: 1 })
+      .limit(limit)
+      .skip((page - 1) * limit);
+
+    const totalDisputes = await GradeDispute.countDocuments(filter);
+
+    res.json({
+      message: 'Dispute queue retrieved successfully',
+      disputes,
+      currentPage: page,
+      totalPages: Math.ceil(totalDisputes / limit),
+      totalDisputes
+    });
+
+  } catch (error) {
+    console.error('Get dispute queue error:', error);
+    res.status(500).json({
+      message: 'Server error getting dispute queue',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get a single dispute
+// @route   GET /api/disputes/:disputeId
+// @access  Private (Owner student, course instructor or admin)
+const getDisputeById = async (req, res) => {
+  try {
+    const dispute = await GradeDispute.findById(req.params.disputeId)
+      .populate('student', 'firstName lastName studentId email')
+      .populate('course', 'name code')
+      .populate('grade', 'assessmentType assessmentName pointsEarned totalPoints mark feedback gradeHistory')
+      .populate('resolution.resolvedBy', 'firstName lastName');
+
+    if (!dispute) {
+      return res.status(404).json({ message: 'Dispute not found' });
+    }
+
+    const user = await User.findById(req.user.userId);
+    const isOwner = dispute.student._id.toString() === req.user.userId;
+    const isInstructor = dispute.instructor.toString() === req.user.userId;
+    if (!isOwner && !isInstructor && user.role !== 'admin') {
+      return res.status(403).json({ message: 'Not authorized to view this dispute' });
+    }
+
+    res.json({
+      message: 'Dispute retrieved successfully',
+      dispute
+    });
+
+  } catch (error) {
+    console.error('Get dispute error:', error);
+    res.status(500).json({
+      message: 'Server error getting dispute',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Download the justification file of a dispute
+// @route   GET /api/disputes/:disputeId/attachment
+// @access  Private (Owner student, course instructor or admin)
+const downloadDisputeAttachment = async (req, res) => {
+  try {
+    const dispute = await GradeDispute.findById(req.params.disputeId);
+    if (!dispute || !dispute.attachment?.path) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+
+    const user = await User.findById(req.user.userId);
+    const isOwner = dispute.student.toString() === req.user.userId;
+    const isInstructor = dispute.instructor.toString() === req.user.userId;
+    if (!isOwner && !isInstructor && user.role !== 'admin') {
+      return res.status(403).json({ message: 'Not authorized to view this attachment' });
+    }
+
+    if (!fs.existsSync(dispute.attachment.path)) {
+      return res.status(404).json({ message: 'Attachment file is missing' });
+    }
+
+    res.download(dispute.attachment.path, dispute.attachment.originalName);
+
+  } catch (error) {
+    console.error('Download dispute attachment error:', error);
+    res.status(500).json({
+      message: 'Server error downloading attachment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Accept (with a new mark) or reject a dispute
+// @route   PUT /api/disputes/:disputeId/resolve
+// @access  Private (Teacher/Admin only)
+const resolveDispute = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { decision, newPoints, reason } = req.body;
+
+    const dispute = await GradeDispute.findById(req.params.disputeId);
+    if (!dispute) {
+      return res.status(404).json({ message: 'Dispute not found' });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (user.role !== 'admin' && dispute.instructor.toString() !== req.user.userId) {
+      return res.status(403).json({ message: 'Not authorized to resolve this dispute' });
+    }
+
+    if (dispute.status !== 'pending') {
+      return res.status(400).json({ message: `Dispute has already been ${dispute.status}` });
+    }
+
+    const grade = await Grade.findById(dispute.grade);
+    if (!grade) {
+      return res.status(404).json({ message: 'Grade not found' });
+    }
+
+    if (decision === 'accepted') {
+      const points = Number(newPoints);
+      if (Number.isNaN(points) || points < 0 || points > grade.totalPoints) {
+        return res.status(400).json({
+          message: `New points must be between 0 and ${grade.totalPoints}`
+        });
+      }
+
+      grade.gradingStatus = 'returned';
+      grade.needsReview = false;
+      grade.reviewReason = undefined;
+      // updateGrade records the change in gradeHistory and saves
+      await grade.updateGrade(points, `Dispute accepted: ${reason}`, req.user.userId);
+
+      dispute.resolution = { newPoints: points, reason, resolvedBy: req.user.userId, resolvedAt: new Date() };
+    } else {
+      grade.gradingStatus = dispute.previousGradingStatus;
+      grade.needsReview = false;
+      grade.reviewReason = undefined;
+      await grade.save();
+
+      dispute.resolution = { reason, resolvedBy: req.user.userId, resolvedAt: new Date() };
+    }
+
+    dispute.status = decision;
+    await dispute.save();
+
+    // Keep the stored semester results (released marks only) in line with the new mark
+    if (decision === 'accepted') {
+      await computeStudentSemester(dispute.student.toString(), dispute.academicYear, dispute.semester);
+    }
+
+    const course = await Course.findById(dispute.course);
+    notifyUser(dispute.student, 'grade_dispute_resolved', {
+      ...getDisputeNotification(dispute, course, grade),
+      reason,
+      newPoints: dispute.resolution.newPoints,
+      totalPoints: grade.totalPoints
+    });
+
+    res.json({
+      message: `Dispute ${decision} successfully`,
+      dispute
+    });
+
+  } catch (error) {
+    console.error('Resolve dispute error:', error);
+    res.status(500).json({
+      message: 'Server error resolving dispute',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Withdraw a pending dispute
+// @route   PUT /api/disputes/:disputeId/withdraw
+// @access  Private (Students only)
+const withdrawDispute = async (req, res) => {
+  try {
+    const dispute = await GradeDispute.findById(req.params.disputeId);
+    if (!dispute || dispute.student.toString() !== req.user.userId) {
+      return res.status(404).json({ message: 'Dispute not found' });
+    }
+
+    if (dispute.status !== 'pending') {
+      return res.status(400).json({ message: `Dispute has already been ${dispute.status}` });
+    }
+
+    dispute.status = 'withdrawn';
+    dispute.resolution = { resolvedBy: req.user.userId, resolvedAt: new Date() };
+    await dispute.save();
+
+    const grade = await Grade.findById(dispute.grade);
+    if (grade) {
+      grade.gradingStatus = dispute.previousGradingStatus;
+      grade.needsReview = false;
+      grade.reviewReason = undefined;
+      await grade.save();
+    }
+
+    const course = await Course.findById(dispute.course);
+    notifyUser(dispute.instructor, 'grade_dispute_withdrawn', getDisputeNotification(dispute, course, grade));
+
+    res.json({
+      message: 'Dispute withdrawn successfully',
+      dispute
+    });
+
+  } catch (error) {
+    console.error('Withdraw dispute error:', error);
+    res.status(500).json({
+      message: 'Server error withdrawing dispute',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get dispute volume per course
+// @route   GET /api/disputes/report
+// @access  Private (Admin only)
+const getDisputeReport = async (req, res) => {
+  try {
+    const { academicYear, semester, department } = req.query;
+
+    const match = {};
+    if (academicYear) match.academicYear = academicYear;
+    if (semester) match.semester = semester;
+
+    let courses = await GradeDispute.getCourseStatistics(match);
+    if (department) {
+      courses = courses.filter(c => c.course.department === department);
+    }
+
+    const totals = courses.reduce((acc, c) => {
+      acc.total += c.total;
+      acc.pending += c.pending;
+      acc.accepted += c.accepted;
+      acc.rejected += c.rejected;
+      acc.withdrawn += c.withdrawn;
+      return acc;
+    }, { total: 0, pending: 0, accepted: 0, rejected: 0, withdrawn: 0 });
+
+    const decided = totals.accepted + totals.rejected;
+
+    res.json({
+      message: 'Dispute report generated successfully',
+      courses: courses.map(c => ({
+        ...c,
+        acceptanceRate: c.accepted + c.rejected > 0
+          ? ((c.accepted / (c.accepted + c.rejected)) * 100).toFixed(1)
+          : null
+      })),
+      totals: {
+        ...totals,
+        acceptanceRate: decided > 0 ? ((totals.accepted / decided) * 100).toFixed(1) : null
+      }
+    });
+
+  } catch (error) {
+    console.error('Get dispute report error:', error);
+    res.status(500).json({
+      message: 'Server error generating dispute report',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  openDispute,
+  getMyDisputes,
+  getDisputeQueue,
+  getDisputeById,
+  downloadDisputeAttachment,
+  resolveDispute,
+  withdrawDispute,
+  getDisputeReport
+};
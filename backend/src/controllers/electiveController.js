@@ -0,0 +1,419 @@
+const ElectiveCampaign = require('../models/ElectiveCampaign');
+const Course = require('../models/Course');
+const User = require('../models/User');
+const {
+  LEVEL_YEARS,
+  isInCohort,
+  runAllocation,
+  summarizeAllocation,
+  publishAllocation
+} = require('../services/electiveService');
+const { buildElectiveResultExport, writeCsv, writeXlsx } = require('../services/reportService');
+const { validationResult } = require('express-validator');
+
+// Course types that go through an elective campaign
+const CAMPAIGN_COURSE_TYPES = ['Elective', 'Specialty'];
+
+// @desc    Open an elective choice campaign
+// @route   POST /api/electives/campaigns
+// @access  Private (Admin only)
+const createCampaign = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, department, level, semester, academicYear, options, maxChoices, opensAt, deadline } = req.body;
+
+    const courses = await Course.find({ _id: { $in: options.map(o => o.course) } });
+    const invalid = options.filter(option => {
+      const course = courses.find(c => c._id.toString() === option.course);
+      return !course ||
+        !CAMPAIGN_COURSE_TYPES.includes(course.type) ||
+        course.level !== level ||
+        course.semester !== semester ||
+        course.academicYear !== academicYear;
+    });
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        message: `Options must be ${CAMPAIGN_COURSE_TYPES.join(' or ')} modules of ${level} ${semester} ${academicYear}`,
+        invalidOptions: invalid.map(o => o.course)
+      });
+    }
+
+    if (new Set(options.map(o => o.course)).size !== options.length) {
+      return res.status(400).json({ message: 'Each module can only be offered once' });
+    }
+
+    if (opensAt && new Date(opensAt) >= new Date(deadline)) {
+      return res.status(400).json({ message: 'Deadline must be after the opening date' });
+    }
+
+    const campaign = new ElectiveCampaign({
+      name,
+      department,
+      level,
+      semester,
+      academicYear,
+      // Seats default to those still free in each module
+      options: options.map(option => ({
+        course: option.course,
+        capacity: option.capacity ?? courses.find(c => c._id.toString() === option.course).availableSpots
+      })),
+      maxChoices: maxChoices || options.length,
+      opensAt,
+      deadline,
+      createdBy: req.user.userId
+    });
+    await campaign.save();
+
+    await campaign.populate('options.course', 'code name type maxStudents');
+
+    res.status(201).json({
+      message: 'Elective campaign created successfully',
+      campaign
+    });
+
+  } catch (error) {
+    console.error('Create elective campaign error:', error);
+    res.status(500).json({
+      message: 'Server error creating elective campaign',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get elective campaigns (students see those of their cohort)
+// @route   GET /api/electives/campaigns
+// @access  Private
+const getCampaigns = async (req, res) => {
+  try {
+    const { status, level, department, academicYear } = req.query;
+    const user = await User.findById(req.user.userId);
+
+    const filter = {};
+    if (user.role === 'student') {
+      filter.department = user.department;
+      filter.level = Object.keys(LEVEL_YEARS).find(key => LEVEL_YEARS[key] === user.year);
+      filter.status = { $ne: 'cancelled' };
+    } else {
+      if (status) filter.status = status;
+      if (level) filter.level = level;
+      if (department) filter.department = department;
+    }
+    if (academicYear) filter.academicYear = academicYear;
+
+    const campaigns = await ElectiveCampaign.find(filter)
+      .select('-submissions')
+      .populate('options.course', 'code name type')
+      .sort({ deadline: -1 });
+
+    res.json({ campaigns });
+
+  } catch (error) {
+    console.error('Get elective campaigns error:', error);
+    res.status(500).json({
+      message: 'Server error fetching elective campaigns',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get an elective campaign (students only see their own choices)
+// @route   GET /api/electives/campaigns/:id
+// @access  Private
+const getCampaign = async (req, res) => {
+  try {
+    const campaign = await ElectiveCampaign.findById(req.params.id)
+      .populate('options.course', 'code name type description credits instructor');
+
+    if (!campaign) {
+      return res.status(404).json({ message: 'Campaign not found' });
+    }
+
+    const user = await User.findById(req.user.userId);
+
+    if (user.role === 'student') {
+      if (!isInCohort(user, campaign)) {
+        return res.status(403).json({ message: 'This campaign is not open to your level' });
+      }
+
+      const submission = campaign.getSubmission(req.user.userId);
+      const campaignData = campaign.toObject();
+      delete campaignData.submissions;
+
+      return res.json({
+        campaign: campaignData,
+        submission: submission ? {
+          choices: submission.choices,
+          submittedAt: submission.submittedAt,
+          ...(campaign.status === 'published' && {
+            average: submission.average,
+            assignedCourse: submission.assignedCourse,
+            assignedRank: submission.assignedRank
+          })
+        } : null
+      });
+    }
+
+    res.json({
+      campaign,
+      summary: campaign.status === 'open' ? null : summarizeAllocation(campaign)
+    });
+
+  } catch (error) {
+    console.error('Get elective campaign error:', error);
+    res.status(500).json({
+      message: 'Server error fetching elective campaign',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Submit or replace ranked choices
+// @route   PUT /api/electives/campaigns/:id/choices
+// @access  Private (Student only)
+const submitChoices = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const campaign = await ElectiveCampaign.findById(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ message: 'Campaign not found' });
+    }
+
+    if (!campaign.isAcceptingChoices) {
+      return res.status(400).json({ message: 'This campaign is not accepting choices' });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!isInCohort(user, campaign)) {
+      return res.status(403).json({ message: 'This campaign is not open to your level' });
+    }
+
+    const { choices } = req.body;
+    const offered = campaign.options.map(o => o.course.toString());
+
+    if (choices.some(choice => !offered.includes(choice))) {
+      return res.status(400).json({ message: 'Choices must be modules offered by the campaign' });
+    }
+    if (new Set(choices).size !== choices.length) {
+      return res.status(400).json({ message: 'A module can only be ranked once' });
+    }
+    if (choices.length > campaign.maxChoices) {
+      return res.status(400).json({ message: `At most ${campaign.maxChoices} choices can be ranked` });
+    }
+
+    // Changing one's choices keeps the original submission time
+    const submission = campaign.getSubmission(req.user.userId);
+    if (submission) {
+      submission.choices = choices;
+    } else {
+      campaign.submissions.push({ student: req.user.userId, choices, submittedAt: new Date() });
+    }
+    await campaign.save();
+
+    res.json({
+      message: 'Choices saved successfully',
+      submission: campaign.getSubmission(req.user.userId)
+    });
+
+  } catch (error) {
+    console.error('Submit elective choices error:', error);
+    res.status(500).json({
+      message: 'Server error saving choices',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Run the seat allocation after the deadline
+// @route   POST /api/electives/campaigns/:id/allocate
+// @access  Private (Admin only)
+const allocateCampaign = async (req, res) => {
+  try {
+    const campaign = await ElectiveCampaign.findById(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ message: 'Campaign not found' });
+    }
+
+    if (!['open', 'allocated'].includes(campaign.status)) {
+      return res.status(400).json({ message: `Cannot allocate a ${campaign.status} campaign` });
+    }
+
+    if (campaign.deadline > new Date()) {
+      return res.status(400).json({ message: 'Choices can be submitted until the deadline' });
+    }
+
+    const summary = await runAllocation(campaign, req.user.userId);
+
+    res.json({
+      message: 'Allocation completed successfully',
+      summary
+    });
+
+  } catch (error) {
+    console.error('Allocate elective campaign error:', error);
+    res.status(500).json({
+      message: 'Server error running allocation',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Publish the allocation and enroll the assigned students
+// @route   POST /api/electives/campaigns/:id/publish
+// @access  Private (Admin only)
+const publishCampaign = async (req, res) => {
+  try {
+    const campaign = await ElectiveCampaign.findById(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ message: 'Campaign not found' });
+    }
+
+    if (campaign.status !== 'allocated') {
+      return res.status(400).json({ message: 'Only an allocated campaign can be published' });
+    }
+
+    const result = await publishAllocation(campaign, req.user.userId);
+
+    if (result.shortfalls) {
+      return res.status(400).json({
+        message: 'Some courses no longer have enough seats: adjust their capacity or run the allocation again',
+        shortfalls: result.shortfalls
+      });
+    }
+
+    res.json({
+      message: 'Allocation published successfully',
+      enrolled: result.enrolled,
+      failed: result.failed,
+      announcement: result.announcement._id
+    });
+
+  } catch (error) {
+    console.error('Publish elective campaign error:', error);
+    res.status(500).json({
+      message: 'Server error publishing allocation',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Cancel a campaign that has not been published
+// @route   DELETE /api/electives/campaigns/:id
+// @access  Private (Admin only)
+const cancelCampaign = async (req, res) => {
+  try {
+    const campaign = await ElectiveCampaign.findById(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ message: 'Campaign not found' });
+    }
+
+    if (campaign.status === 'published') {
+      return res.status(400).json({ message: 'A published campaign cannot be cancelled' });
+    }
+
+    campaign.status = 'cancelled';
+    await campaign.save();
+
+    res.json({ message: 'Campaign cancelled successfully' });
+
+  } catch (error) {
+    console.error('Cancel elective campaign error:', error);
+    res.status(500).json({
+      message: 'Server error cancelling campaign',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get the result list of a campaign
+// @route   GET /api/electives/campaigns/:id/results
+// @access  Private
+const getCampaignResults = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { format = 'json' } = req.query;
+
+    const campaign = await ElectiveCampaign.findById(req.params.id)
+      .populate('submissions.student', 'firstName lastName studentId')
+      .populate('submissions.assignedCourse', 'code name');
+    if (!campaign) {
+      return res.status(404).json({ message: 'Campaign not found' });
+    }
+
+    // Students see the list once published; admins can review it beforehand
+    const user = await User.findById(req.user.userId);
+    const visibleStatuses = user.role === 'admin' ? ['allocated', 'published'] : ['published'];
+    if (!visibleStatuses.includes(campaign.status)) {
+      return res.status(400).json({ message: 'Results are not available yet' });
+    }
+    if (user.role === 'student' && !isInCohort(user, campaign)) {
+      return res.status(403).json({ message: 'This campaign is not open to your level' });
+    }
+
+    const table = buildElectiveResultExport(campaign);
+
+    if (format === 'json') {
+      return res.json({
+        campaign: { _id: campaign._id, name: campaign.name, status: campaign.status, referenceYear: campaign.referenceYear },
+        columns: table.columns,
+        results: table.rows
+      });
+    }
+
+    const filename = `electives_${campaign.level}_${campaign.semester}_${campaign.academicYear}`;
+
+    if (format === 'xlsx') {
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.xlsx"`);
+      return await writeXlsx(table, res, 'Allocation');
+    }
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+    writeCsv(table, res);
+
+  } catch (error) {
+    console.error('Get elective results error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      message: 'Server error fetching results',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  createCampaign,
+  getCampaigns,
+  getCampaign,
+  submitChoices,
+  allocateCampaign,
+  publishCampaign,
+  cancelCampaign,
+  getCampaignResults
+};
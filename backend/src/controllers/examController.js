@@ -0,0 +1,342 @@
+const ExamSession = require('../models/ExamSession');
+const User = require('../models/User');
+const {
+  planExamSession,
+  summarizePlan,
+  publishExamSession,
+  getStudentConvocations,
+  getInvigilationDuties
+} = require('../services/examPlannerService');
+const { buildSeatingPlanExport, writeCsv, writeXlsx } = require('../services/reportService');
+const { getExamPeriodDates, getResitPeriodDates } = require('../utils/dateUtils');
+const { validationResult } = require('express-validator');
+
+// @desc    Create an exam session and plan it
+// @route   POST /api/exams/sessions
+// @access  Private (Admin only)
+const createExamSession = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const {
+      name,
+      type,
+      academicYear,
+      semesters,
+      department,
+      startDate,
+      endDate,
+      slots,
+      rooms,
+      occupancy,
+      seatingOrder,
+      minInvigilatorsPerRoom,
+      studentsPerInvigilator
+    } = req.body;
+
+    // Without explicit dates the session covers the exam (or resit) period of
+    // the academic calendar
+    const period = (type === 'resit' ? getResitPeriodDates : getExamPeriodDates)(semesters[0], academicYear);
+    if ((!startDate || !endDate) && !period) {
+      return res.status(400).json({ message: 'No period defined in the academic calendar, dates are required' });
+    }
+
+    const session = new ExamSession({
+      name,
+      type,
+      academicYear,
+      semesters,
+      department,
+      startDate: startDate || period.start.toDate(),
+      endDate: endDate || period.end.toDate(),
+      slots,
+      rooms,
+      occupancy,
+      seatingOrder,
+      minInvigilatorsPerRoom,
+      studentsPerInvigilator,
+      createdBy: req.user.userId
+    });
+    await session.save();
+
+    const summary = await planExamSession(session);
+
+    res.status(201).json({
+      message: summary.unscheduled > 0
+        ? `Exam session planned with ${summary.unscheduled} module(s) left unscheduled`
+        : 'Exam session planned successfully',
+      session,
+      summary
+    });
+
+  } catch (error) {
+    console.error('Create exam session error:', error);
+    res.status(500).json({
+      message: 'Server error creating exam session',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get exam sessions (published ones only for non-admins)
+// @route   GET /api/exams/sessions
+// @access  Private
+const getExamSessions = async (req, res) => {
+  try {
+    const { academicYear, status } = req.query;
+    const user = await User.findById(req.user.userId);
+
+    const filter = {};
+    if (academicYear) filter.academicYear = academicYear;
+    if (user.role === 'admin') {
+      if (status) filter.status = status;
+    } else {
+      filter.status = 'published';
+    }
+
+    const sessions = await ExamSession.find(filter)
+      .select('-exams -unscheduled')
+      .sort({ startDate: -1 });
+
+    res.json({ sessions });
+
+  } catch (error) {
+    console.error('Get exam sessions error:', error);
+    res.status(500).json({
+      message: 'Server error fetching exam sessions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get an exam session timetable (seating details for admins only)
+// @route   GET /api/exams/sessions/:id
+// @access  Private
+const getExamSession = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+
+    const query = ExamSession.findById(req.params.id)
+      .populate('exams.course', 'code name level department')
+      .populate('unscheduled.course', 'code name level department');
+    if (user.role === 'admin') {
+      query.populate('exams.rooms.invigilators', 'firstName lastName email');
+    }
+    const session = await query;
+
+    if (!session || (user.role !== 'admin' && session.status !== 'published')) {
+      return res.status(404).json({ message: 'Exam session not found' });
+    }
+
+    if (user.role !== 'admin') {
+      const sessionData = session.toObject();
+      sessionData.exams.forEach(exam => {
+        exam.rooms = exam.rooms.map(room => ({ name: room.name, candidates: room.students.length }));
+      });
+      return res.json({ session: sessionData });
+    }
+
+    res.json({
+      session,
+      summary: summarizePlan(session)
+    });
+
+  } catch (error) {
+    console.error('Get exam session error:', error);
+    res.status(500).json({
+      message: 'Server error fetching exam session',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Run the planner again on a draft session
+// @route   POST /api/exams/sessions/:id/plan
+// @access  Private (Admin only)
+const replanExamSession = async (req, res) => {
+  try {
+    const session = await ExamSession.findById(req.params.id);
+    if (!session) {
+      return res.status(404).json({ message: 'Exam session not found' });
+    }
+
+    if (session.status !== 'draft') {
+      return res.status(400).json({ message: 'Only a draft session can be planned again' });
+    }
+
+    const summary = await planExamSession(session);
+
+    res.json({
+      message: 'Exam session planned successfully',
+      session,
+      summary
+    });
+
+  } catch (error) {
+    console.error('Plan exam session error:', error);
+    res.status(500).json({
+      message: 'Server error planning exam session',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Publish a session: exam dates, convocations and supervision duties
+// @route   POST /api/exams/sessions/:id/publish
+// @access  Private (Admin only)
+const publishSession = async (req, res) => {
+  try {
+    const session = await ExamSession.findById(req.params.id);
+    if (!session) {
+      return res.status(404).json({ message: 'Exam session not found' });
+    }
+
+    if (session.status !== 'draft') {
+      return res.status(400).json({ message: `Cannot publish a ${session.status} session` });
+    }
+
+    if (session.exams.length === 0) {
+      return res.status(400).json({ message: 'The session has no planned exams' });
+    }
+
+    const result = await publishExamSession(session, req.user.userId);
+
+    res.json({
+      message: 'Exam session published successfully',
+      notifiedStudents: result.students,
+      notifiedInvigilators: result.invigilators
+    });
+
+  } catch (error) {
+    console.error('Publish exam session error:', error);
+    res.status(500).json({
+      message: 'Server error publishing exam session',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Cancel an exam session
+// @route   DELETE /api/exams/sessions/:id
+// @access  Private (Admin only)
+const cancelExamSession = async (req, res) => {
+  try {
+    const session = await ExamSession.findById(req.params.id);
+    if (!session) {
+      return res.status(404).json({ message: 'Exam session not found' });
+    }
+
+    session.status = 'cancelled';
+    await session.save();
+
+    res.json({ message: 'Exam session cancelled successfully' });
+
+  } catch (error) {
+    console.error('Cancel exam session error:', error);
+    res.status(500).json({
+      message: 'Server error cancelling exam session',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Export the seating plan of a session
+// @route   GET /api/exams/sessions/:id/seating
+// @access  Private (Admin only)
+const getSeatingPlan = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { format = 'json' } = req.query;
+
+    const session = await ExamSession.findById(req.params.id)
+      .populate('exams.course', 'code name')
+      .populate('exams.rooms.students.student', 'firstName lastName studentId')
+      .populate('exams.rooms.invigilators', 'firstName lastName');
+    if (!session) {
+      return res.status(404).json({ message: 'Exam session not found' });
+    }
+
+    const table = buildSeatingPlanExport(session);
+
+    if (format === 'json') {
+      return res.json({
+        session: { _id: session._id, name: session.name, status: session.status },
+        columns: table.columns,
+        seats: table.rows
+      });
+    }
+
+    const filename = `exam_seating_${session.academicYear}_${session._id}`;
+
+    if (format === 'xlsx') {
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.xlsx"`);
+      return await writeXlsx(table, res, 'Seating');
+    }
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+    writeCsv(table, res);
+
+  } catch (error) {
+    console.error('Get seating plan error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      message: 'Server error exporting seating plan',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get the current user's exams: convocations (room and seat) for
+//          students, supervision duties for teachers
+// @route   GET /api/exams/my
+// @access  Private
+const getMyExams = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+
+    if (user.role === 'student') {
+      const convocations = await getStudentConvocations(user._id);
+      return res.json({ convocations });
+    }
+
+    const duties = await getInvigilationDuties(user._id);
+    res.json({ duties });
+
+  } catch (error) {
+    console.error('Get my exams error:', error);
+    res.status(500).json({
+      message: 'Server error fetching exams',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  createExamSession,
+  getExamSessions,
+  getExamSession,
+  replanExamSession,
+  publishSession,
+  cancelExamSession,
+  getSeatingPlan,
+  getMyExams
+};
@@ -1,5 +1,28 @@
-const Grade = require('../models/Grade');
+const { Grade, CourseGradeSummary } = require('../models/Grade');
+const fs = require('fs');
+const {
+  computeStudentSemester,
+  computeCourseCohort,
+  ASSESSMENT_CATEGORIES,
+  EXAM_ASSESSMENT_TYPES
+} = require('../services/gradingService');
+const {
+  buildDeliberationReport,
+  writeDeliberationPdf,
+  writeDeliberationXlsx,
+  buildGradeExport,
+  writeCsv,
+  writeXlsx
+} = require('../services/reportService');
+const {
+  parseSpreadsheet,
+  buildImportPlan,
+  applyImportPlan,
+  serialisePlan
+} = require('../services/gradeImportService');
+const { releaseGrades, scheduleRelease, cancelScheduledRelease } = require('../services/gradeReleaseService');
 const Course = require('../models/Course');
+const Rubric = require('../models/Rubric');
 const User = require('../models/User');
 const { validationResult } = require('express-validator');
 
@@ -24,7 +47,11 @@ const getStudentGrades = async (req, res) => {
       return res.status(404).json({ message: 'Student not found' });
     }
 
-    const grades = await Grade.find({ student: studentId })
+    // Students only see marks that have been released
+    const filter = { student: studentId };
+    if (user.role === 'student') filter.isReleased = true;
+
+    const grades = await Grade.find(filter)
       .populate('course', 'name code credits department')
       .populate('addedBy', 'firstName lastName')
       .sort({ createdAt: -1 });
@@ -32,17 +59,17 @@ const getStudentGrades = async (req, res) => {
     // Calculate overall statistics
     const totalCredits = grades.reduce((sum, grade) => sum + (grade.course.credits || 0), 0);
     const weightedSum = grades.reduce((sum, grade) => {
-      return sum + (grade.finalGrade * (grade.course.credits || 1));
+      return sum + (grade.mark * (grade.course.credits || 1));
     }, 0);
-    const gpa = totalCredits > 0 ? (weightedSum / totalCredits).toFixed(2) : 0;
+    const weightedAverage = totalCredits > 0 ? (weightedSum / totalCredits).toFixed(2) : 0;
 
     // Grade distribution
     const gradeDistribution = {
-      A: grades.filter(g => g.finalGrade >= 16).length,
-      B: grades.filter(g => g.finalGrade >= 14 && g.finalGrade < 16).length,
-      C: grades.filter(g => g.finalGrade >= 12 && g.finalGrade < 14).length,
-      D: grades.filter(g => g.finalGrade >= 10 && g.finalGrade < 12).length,
-      F: grades.filter(g => g.finalGrade < 10).length
+      A: grades.filter(g => g.mark >= 16).length,
+      B: grades.filter(g => g.mark >= 14 && g.mark < 16).length,
+      C: grades.filter(g => g.mark >= 12 && g.mark < 14).length,
+      D: grades.filter(g => g.mark >= 10 && g.mark < 12).length,
+      F: grades.filter(g => g.mark < 10).length
     };
 
     res.json({
@@ -51,8 +78,8 @@ const getStudentGrades = async (req, res) => {
       statistics: {
         totalCourses: grades.length,
         totalCredits,
-        gpa: parseFloat(gpa),
-        averageGrade: grades.length > 0 ? (grades.reduce((sum, g) => sum + g.finalGrade, 0) / grades.length).toFixed(2) : 0,
+        weightedAverage: parseFloat(weightedAverage),
+        averageGrade: grades.length > 0 ? (grades.reduce((sum, g) => sum + g.mark, 0) / grades.length).toFixed(2) : 0,
         gradeDistribution
       }
     });
@@ -95,10 +122,10 @@ const getCourseGrades = async (req, res) => {
     // Calculate course statistics
     const courseStats = {
       totalStudents: grades.length,
-      averageGrade: grades.length > 0 ? (grades.reduce((sum, g) => sum + g.finalGrade, 0) / grades.length).toFixed(2) : 0,
-      highestGrade: grades.length > 0 ? Math.max(...grades.map(g => g.finalGrade)) : 0,
-      lowestGrade: grades.length > 0 ? Math.min(...grades.map(g => g.finalGrade)) : 0,
-      passRate: grades.length > 0 ? ((grades.filter(g => g.finalGrade >= 10).length / grades.length) * 100).toFixed(1) : 0
+      averageGrade: grades.length > 0 ? (grades.reduce((sum, g) => sum + g.mark, 0) / grades.length).toFixed(2) : 0,
+      highestGrade: grades.length > 0 ? Math.max(...grades.map(g => g.mark)) : 0,
+      lowestGrade: grades.length > 0 ? Math.min(...grades.map(g => g.mark)) : 0,
+      passRate: grades.length > 0 ? ((grades.filter(g => g.mark >= 10).length / grades.length) * 100).toFixed(1) : 0
     };
 
     res.json({
@@ -138,14 +165,11 @@ const addOrUpdateGrade = async (req, res) => {
     const {
       student: studentId,
       course: courseId,
-      examGrade,
-      homeworkGrade,
-      projectGrade,
-      participationGrade,
-      finalGrade,
+      assessmentType,
+      assessmentName,
+      rubricScores,
       feedback,
-      semester,
-      academicYear
+      dueDate
     } = req.body;
 
     // Verify course and authorization
@@ -155,7 +179,7 @@ const addOrUpdateGrade = async (req, res) => {
     }
 
     const user = await User.findById(req.user.userId);
-    if (user.role !== 'admin' && course.teacher.toString() !== req.user.userId) {
+    if (user.role !== 'admin' && course.instructor.toString() !== req.user.userId) {
       return res.status(403).json({ 
         message: 'Not authorized to grade this course' 
       });
@@ -167,54 +191,135 @@ const addOrUpdateGrade = async (req, res) => {
       return res.status(404).json({ message: 'Student not found' });
     }
 
-    if (!course.enrolledStudents.includes(studentId)) {
+    if (!course.isStudentEnrolled(studentId)) {
       return res.status(400).json({ 
         message: 'Student is not enrolled in this course' 
       });
     }
 
+    // Students excluded for unjustified absences cannot sit the exams
+    if (EXAM_ASSESSMENT_TYPES.includes(assessmentType) && course.isStudentExcluded(studentId)) {
+      return res.status(400).json({ 
+        message: 'Student is excluded from this module for unjustified absences' 
+      });
+    }
+
+    let pointsEarned = req.body.pointsEarned !== undefined ? Number(req.body.pointsEarned) : undefined;
+    let totalPoints = req.body.totalPoints !== undefined ? Number(req.body.totalPoints) : undefined;
+    let scores;
+
+    // Rubric-based grading: points come from the selected levels of the rubric
+    // attached to the assessment, never from raw points
+    const rubricId = course.getAssessmentRubric(assessmentType, assessmentName);
+    let rubric = null;
+    if (rubricId) {
+      rubric = await Rubric.findById(rubricId);
+      if (!rubric) {
+        return res.status(404).json({ message: 'Rubric not found' });
+      }
+    }
+
+    if (rubric && (req.body.pointsEarned !== undefined || req.body.totalPoints !== undefined)) {
+      return res.status(400).json({ 
+        message: 'This assessment is graded with a rubric: submit rubric selections instead of points' 
+      });
+    }
+
+    if (rubric && rubricScores) {
+      try {
+        ({ rubricScores: scores, pointsEarned, totalPoints } = rubric.scoreSelections(rubricScores));
+      } catch (scoreError) {
+        return res.status(400).json({ message: scoreError.message });
+      }
+    } else if (rubricScores) {
+      return res.status(400).json({ 
+        message: 'No rubric is attached to this assessment' 
+      });
+    }
+
+    if (pointsEarned === undefined) {
+      return res.status(400).json({ 
+        message: rubric ? 'Rubric selections are required for this assessment' : 'Points earned is required' 
+      });
+    }
+
+    const academicYear = req.body.academicYear || course.academicYear;
+    const semester = req.body.semester || course.semester;
+
     // Check if grade already exists
-    let grade = await Grade.findOne({ student: studentId, course: courseId });
+    let grade = await Grade.findOne({
+      student: studentId,
+      course: courseId,
+      academicYear,
+      semester,
+      assessmentType,
+      assessmentName
+    });
+    const isNew = !grade;
 
     if (grade) {
       // Update existing grade
-      grade.examGrade = examGrade !== undefined ? examGrade : grade.examGrade;
-      grade.homeworkGrade = homeworkGrade !== undefined ? homeworkGrade : grade.homeworkGrade;
-      grade.projectGrade = projectGrade !== undefined ? projectGrade : grade.projectGrade;
-      grade.participationGrade = participationGrade !== undefined ? participationGrade : grade.participationGrade;
-      grade.finalGrade = finalGrade;
-      grade.feedback = feedback || grade.feedback;
-      grade.addedBy = req.user.userId;
-      grade.updatedAt = new Date();
+      if (totalPoints !== undefined) grade.totalPoints = totalPoints;
+      if (req.body.weight !== undefined) grade.weight = req.body.weight;
+      if (feedback !== undefined) grade.feedback = feedback;
+      if (rubric) {
+        grade.rubric = rubric._id;
+        if (scores) grade.rubricScores = scores;
+      }
+      grade.gradingStatus = 'graded';
 
-      await grade.save();
+      if (grade.pointsEarned !== pointsEarned) {
+        // updateGrade records the change in gradeHistory and saves
+        await grade.updateGrade(pointsEarned, req.body.reason || 'Grade updated', req.user.userId);
+      } else {
+        await grade.save();
+      }
     } else {
       // Create new grade
+      const category = ASSESSMENT_CATEGORIES[assessmentType];
+      const due = dueDate ? new Date(dueDate) : new Date();
+
       grade = new Grade({
         student: studentId,
         course: courseId,
-        examGrade: examGrade || 0,
-        homeworkGrade: homeworkGrade || 0,
-        projectGrade: projectGrade || 0,
-        participationGrade: participationGrade || 0,
-        finalGrade,
-        feedback: feedback || '',
-        semester: semester || 'S1',
-        academicYear: academicYear || new Date().getFullYear(),
-        addedBy: req.user.userId
+        instructor: course.instructor,
+        academicYear,
+        semester,
+        assessmentType,
+        assessmentName,
+        pointsEarned,
+        totalPoints: totalPoints || 20,
+        weight: req.body.weight !== undefined ? req.body.weight : (course.assessments[category]?.percentage || 0),
+        assignedDate: due,
+        dueDate: due,
+        gradedDate: new Date(),
+        gradingStatus: 'graded',
+        feedback,
+        rubric: rubric ? rubric._id : undefined,
+        rubricScores: scores,
+        gradeHistory: [{
+          previousGrade: null,
+          newGrade: pointsEarned,
+          reason: 'Grade added',
+          changedBy: req.user.userId
+        }]
       });
 
       await grade.save();
+
+      if (rubric) {
+        await Rubric.updateOne({ _id: rubric._id }, { $inc: { usageCount: 1 } });
+      }
     }
 
     await grade.populate([
       { path: 'student', select: 'firstName lastName studentId email' },
       { path: 'course', select: 'name code credits' },
-      { path: 'addedBy', select: 'firstName lastName' }
+      { path: 'rubric', select: 'name criteria' }
     ]);
 
-    res.status(201).json({
-      message: grade.createdAt === grade.updatedAt ? 'Grade added successfully' : 'Grade updated successfully',
+    res.status(isNew ? 201 : 200).json({
+      message: isNew ? 'Grade added successfully' : 'Grade updated successfully',
       grade
     });
 
@@ -276,21 +381,44 @@ const getMyGrades = async (req, res) => {
 
     const { semester, academicYear } = req.query;
     
-    let filter = { student: req.user.userId };
+    let filter = { student: req.user.userId, isReleased: true };
     if (semester) filter.semester = semester;
-    if (academicYear) filter.academicYear = parseInt(academicYear);
+    if (academicYear) filter.academicYear = academicYear;
 
     const grades = await Grade.find(filter)
+      .select('-privateNotes')
       .populate('course', 'name code credits department')
-      .populate('addedBy', 'firstName lastName')
+      .populate('instructor', 'firstName lastName')
+      .populate('rubric', 'name criteria')
       .sort({ createdAt: -1 });
 
+    // Per-criterion feedback for rubric-graded work
+    const rubricFeedback = grades
+      .filter(grade => grade.rubric && grade.rubricScores.length > 0)
+      .map(grade => ({
+        grade: grade._id,
+        rubric: grade.rubric.name,
+        criteria: grade.rubricScores.map(score => {
+          const criterion = grade.rubric.criteria.find(c => c.name === score.criterion);
+          const level = criterion?.levels.find(l => l.label === score.level);
+          return {
+            criterion: score.criterion,
+            description: criterion?.description,
+            level: score.level,
+            levelDescription: level?.description,
+            score: score.score,
+            maxScore: score.maxScore,
+            comments: score.comments
+          };
+        })
+      }));
+
     // Calculate statistics
     const totalCredits = grades.reduce((sum, grade) => sum + (grade.course.credits || 0), 0);
     const weightedSum = grades.reduce((sum, grade) => {
-      return sum + (grade.finalGrade * (grade.course.credits || 1));
+      return sum + (grade.mark * (grade.course.credits || 1));
     }, 0);
-    const gpa = totalCredits > 0 ? (weightedSum / totalCredits).toFixed(2) : 0;
+    const weightedAverage = totalCredits > 0 ? (weightedSum / totalCredits).toFixed(2) : 0;
 
     // Subject performance analysis
     const subjectPerformance = {};
@@ -299,9 +427,9 @@ const getMyGrades = async (req, res) => {
       if (!subjectPerformance[dept]) {
         subjectPerformance[dept] = { total: 0, count: 0, grades: [] };
       }
-      subjectPerformance[dept].total += grade.finalGrade;
+      subjectPerformance[dept].total += grade.mark;
       subjectPerformance[dept].count += 1;
-      subjectPerformance[dept].grades.push(grade.finalGrade);
+      subjectPerformance[dept].grades.push(grade.mark);
     });
 
     Object.keys(subjectPerformance).forEach(dept => {
@@ -311,11 +439,12 @@ const getMyGrades = async (req, res) => {
     res.json({
       message: 'Your grades retrieved successfully',
       grades,
+      rubricFeedback,
       statistics: {
         totalCourses: grades.length,
         totalCredits,
-        gpa: parseFloat(gpa),
-        averageGrade: grades.length > 0 ? (grades.reduce((sum, g) => sum + g.finalGrade, 0) / grades.length).toFixed(2) : 0,
+        weightedAverage: parseFloat(weightedAverage),
+        averageGrade: grades.length > 0 ? (grades.reduce((sum, g) => sum + g.mark, 0) / grades.length).toFixed(2) : 0,
         subjectPerformance
       }
     });
@@ -361,17 +490,17 @@ const getGradeAnalytics = async (req, res) => {
           _id: null,
           totalStudents: { $addToSet: '$student' },
           totalGrades: { $sum: 1 },
-          averageGrade: { $avg: '$finalGrade' },
-          highestGrade: { $max: '$finalGrade' },
-          lowestGrade: { $min: '$finalGrade' },
+          averageGrade: { $avg: '$mark' },
+          highestGrade: { $max: '$mark' },
+          lowestGrade: { $min: '$mark' },
           gradeDistribution: {
             $push: {
               $switch: {
                 branches: [
-                  { case: { $gte: ['$finalGrade', 16] }, then: 'A' },
-                  { case: { $gte: ['$finalGrade', 14] }, then: 'B' },
-                  { case: { $gte: ['$finalGrade', 12] }, then: 'C' },
-                  { case: { $gte: ['$finalGrade', 10] }, then: 'D' }
+                  { case: { $gte: ['$mark', 16] }, then: 'A' },
+                  { case: { $gte: ['$mark', 14] }, then: 'B' },
+                  { case: { $gte: ['$mark', 12] }, then: 'C' },
+                  { case: { $gte: ['$mark', 10] }, then: 'D' }
                 ],
                 default: 'F'
               }
@@ -396,11 +525,11 @@ const getGradeAnalytics = async (req, res) => {
       {
         $group: {
           _id: '$courseInfo.department',
-          averageGrade: { $avg: '$finalGrade' },
+          averageGrade: { $avg: '$mark' },
           totalGrades: { $sum: 1 },
           passRate: {
             $avg: {
-              $cond: [{ $gte: ['$finalGrade', 10] }, 1, 0]
+              $cond: [{ $gte: ['$mark', 10] }, 1, 0]
             }
           }
         }
@@ -452,12 +581,362 @@ const getGradeAnalytics = async (req, res) => {
   }
 };
 
-// @desc    Export grades to CSV
+// @desc    Compute LMD semester results (module averages, UE compensation, credits)
+// @route   GET /api/grades/results/:studentId
+// @access  Private (Student can view own results, Teachers/Admin can view all)
+const getSemesterResults = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { studentId } = req.params;
+    const { academicYear, semester } = req.query;
+    const user = await User.findById(req.user.userId);
+
+    if (user.role === 'student' && req.user.userId !== studentId) {
+      return res.status(403).json({ 
+        message: 'Students can only view their own results' 
+      });
+    }
+
+    const student = await User.findById(studentId);
+    if (!student || student.role !== 'student') {
+      return res.status(404).json({ message: 'Student not found' });
+    }
+
+    // Only staff computations are persisted to CourseGradeSummary
+    const results = await computeStudentSemester(studentId, academicYear, semester, {
+      persist: user.role !== 'student'
+    });
+
+    res.json({
+      message: 'Semester results computed successfully',
+      results
+    });
+
+  } catch (error) {
+    console.error('Get semester results error:', error);
+    res.status(500).json({ 
+      message: 'Server error computing semester results',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get students eligible for the resit session of a course
+// @route   GET /api/grades/resit/:courseId
+// @access  Private (Teacher/Admin only)
+const getResitCandidates = async (req, res) => {
+  try {
+    const { courseId } = req.params;
+    const user = await User.findById(req.user.userId);
+
+    const course = await Course.findById(courseId);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    if (user.role !== 'admin' && course.instructor.toString() !== req.user.userId) {
+      return res.status(403).json({ 
+        message: 'Not authorized to view resit candidates for this course' 
+      });
+    }
+
+    const academicYear = req.query.academicYear || course.academicYear;
+    const semester = req.query.semester || course.semester;
+
+    // Eligibility is decided on the whole cohort's current (released) results,
+    // computed on the fly: nothing is stored when candidates are only listed
+    const cohort = await computeCourseCohort(course, academicYear, semester, { persist: false });
+    const eligible = cohort
+      .map(({ student, results }) => ({
+        student,
+        module: results.modules.find(m => m.course.toString() === courseId)
+      }))
+      .filter(({ module }) => module && module.isResitEligible);
+
+    const studentIds = eligible.map(({ student }) => student);
+    const students = await User.find({ _id: { $in: studentIds } }).select('firstName lastName studentId email');
+    const resitGrades = await Grade.find({
+      course: courseId,
+      academicYear,
+      semester,
+      assessmentType: 'resit',
+      student: { $in: studentIds }
+    });
+
+    const candidates = eligible
+      .map(({ student, module }) => {
+        const resitGrade = resitGrades.find(g => g.student.toString() === student);
+        return {
+          student: students.find(s => s._id.toString() === student) || student,
+          course: course._id,
+          academicYear,
+          semester,
+          moduleAverage: module.average,
+          resit: {
+            isEligible: true,
+            normalAverage: module.normalAverage,
+            mark: module.resitMark,
+            rule: module.resitRule
+          },
+          resitGrade: resitGrade
+            ? {
+              _id: resitGrade._id,
+              pointsEarned: resitGrade.pointsEarned,
+              totalPoints: resitGrade.totalPoints,
+              isReleased: resitGrade.isReleased
+            }
+            : null
+        };
+      })
+      .sort((a, b) => (a.moduleAverage ?? 0) - (b.moduleAverage ?? 0));
+
+    res.json({
+      message: 'Resit candidates retrieved successfully',
+      candidates,
+      resitPolicy: course.resitPolicy,
+      statistics: {
+        totalCandidates: candidates.length,
+        pendingMarks: candidates.filter(c => !c.resitGrade).length
+      }
+    });
+
+  } catch (error) {
+    console.error('Get resit candidates error:', error);
+    res.status(500).json({ 
+      message: 'Server error getting resit candidates',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Enter resit marks in bulk for a course
+// @route   POST /api/grades/resit
+// @access  Private (Teacher/Admin only)
+const enterResitMarks = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { course: courseId, academicYear, semester, examDate, marks } = req.body;
+
+    const course = await Course.findById(courseId);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (user.role !== 'admin' && course.instructor.toString() !== req.user.userId) {
+      return res.status(403).json({ 
+        message: 'Not authorized to grade this course' 
+      });
+    }
+
+    // Eligibility is decided on the whole cohort's current results
+    await computeCourseCohort(course, academicYear, semester);
+
+    const summaries = await CourseGradeSummary.find({
+      course: courseId,
+      academicYear,
+      semester,
+      'resit.isEligible': true
+    });
+    const eligible = new Set(summaries.map(s => s.student.toString()));
+
+    const created = [];
+    const updated = [];
+    const rejected = [];
+    const previousPoints = new Map();
+    const sessionDate = examDate ? new Date(examDate) : new Date();
+
+    for (const entry of marks) {
+      const totalPoints = entry.totalPoints || 20;
+
+      if (!eligible.has(entry.student)) {
+        rejected.push({ student: entry.student, reason: 'Student is not eligible for the resit session' });
+        continue;
+      }
+
+      // Students excluded for unjustified absences cannot sit the resit either
+      if (course.isStudentExcluded(entry.student)) {
+        rejected.push({ student: entry.student, reason: 'Student is excluded from this module for unjustified absences' });
+        continue;
+      }
+
+      if (entry.pointsEarned > totalPoints) {
+        rejected.push({ student: entry.student, reason: 'Points earned cannot exceed total points' });
+        continue;
+      }
+
+      let grade = await Grade.findOne({
+        student: entry.student,
+        course: courseId,
+        academicYear,
+        semester,
+        assessmentType: 'resit'
+      });
+
+      if (grade) {
+        previousPoints.set(grade._id.toString(), grade.pointsEarned);
+        grade.totalPoints = totalPoints;
+        await grade.updateGrade(entry.pointsEarned, entry.reason || 'Resit mark corrected', req.user.userId);
+        updated.push(grade);
+      } else {
+        grade = new Grade({
+          student: entry.student,
+          course: courseId,
+          instructor: course.instructor,
+          academicYear,
+          semester,
+          assessmentType: 'resit',
+          assessmentName: 'Rattrapage',
+          pointsEarned: entry.pointsEarned,
+          totalPoints,
+          weight: course.assessments.final?.percentage || 0,
+          assignedDate: sessionDate,
+          dueDate: sessionDate,
+          gradedDate: new Date(),
+          gradingStatus: 'graded',
+          submissionStatus: 'submitted'
+        });
+        await grade.save();
+        created.push(grade);
+      }
+    }
+
+    // Resit marks stay unreleased like any other mark (see releaseGrades). The
+    // decision they lead to is previewed on unreleased marks and recorded in
+    // each mark's history; stored results change once the marks are released.
+    const entered = [...created, ...updated];
+    const decisions = [];
+    for (const grade of entered) {
+      const results = await computeStudentSemester(grade.student.toString(), academicYear, semester, {
+        includeUnreleased: true,
+        persist: false
+      });
+      const module = results.modules.find(m => m.course.toString() === courseId);
+
+      grade.gradeHistory.push({
+        previousGrade: previousPoints.get(grade._id.toString()),
+        newGrade: grade.pointsEarned,
+        reason: `Resit decision (${module.resitRule}): module mark ${module.normalAverage} -> ${module.average}, semester decision ${results.decision}`,
+        changedBy: req.user.userId
+      });
+      await grade.save();
+
+      decisions.push({
+        student: grade.student,
+        normalAverage: module.normalAverage,
+        resitMark: module.resitMark,
+        moduleAverage: module.average,
+        isAcquired: module.isAcquired,
+        semesterAverage: results.average,
+        decision: results.decision
+      });
+    }
+
+    res.status(201).json({
+      message: 'Resit marks recorded successfully',
+      summary: {
+        created: created.length,
+        updated: updated.length,
+        rejected: rejected.length
+      },
+      decisions,
+      rejected
+    });
+
+  } catch (error) {
+    console.error('Enter resit marks error:', error);
+    res.status(500).json({ 
+      message: 'Server error recording resit marks',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Generate the semester deliberation report (PV de délibération)
+// @route   GET /api/grades/deliberation
+// @access  Private (Teacher/Admin only)
+const getDeliberationReport = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { academicYear, semester, department, level, format = 'json' } = req.query;
+
+    const report = await buildDeliberationReport({ academicYear, semester, department, level });
+
+    if (report.modules.length === 0) {
+      return res.status(404).json({ 
+        message: 'No courses found for this level and semester' 
+      });
+    }
+
+    const filename = `PV_${level}_${semester}_${academicYear}`;
+
+    if (format === 'pdf') {
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+      return writeDeliberationPdf(report, res);
+    }
+
+    if (format === 'xlsx') {
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.xlsx"`);
+      await writeDeliberationXlsx(report, res);
+      return res.end();
+    }
+
+    res.json({
+      message: 'Deliberation report generated successfully',
+      report
+    });
+
+  } catch (error) {
+    console.error('Deliberation report error:', error);
+    res.status(500).json({ 
+      message: 'Server error generating deliberation report',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Export grades to CSV or XLSX
 // @route   GET /api/grades/export/:courseId
 // @access  Private (Teacher/Admin only)
 const exportGrades = async (req, res) => {
   try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
     const { courseId } = req.params;
+    const { format = 'csv', semester, includeUnreleased } = req.query;
     const user = await User.findById(req.user.userId);
 
     // Check if course exists and user has access
@@ -466,46 +945,236 @@ const exportGrades = async (req, res) => {
       return res.status(404).json({ message: 'Course not found' });
     }
 
-    if (user.role !== 'admin' && course.teacher.toString() !== req.user.userId) {
+    if (user.role !== 'admin' && course.instructor.toString() !== req.user.userId) {
       return res.status(403).json({ 
         message: 'Not authorized to export grades for this course' 
       });
     }
 
-    const grades = await Grade.find({ course: courseId })
+    const filter = { course: courseId };
+    if (semester) filter.semester = semester;
+    if (includeUnreleased !== 'true') filter.isReleased = true;
+
+    const grades = await Grade.find(filter)
       .populate('student', 'firstName lastName studentId email')
-      .sort({ 'student.lastName': 1 });
+      .sort({ assessmentType: 1, dueDate: 1 });
 
-    // Convert to CSV format
-    const csvData = [
-      ['Student ID', 'First Name', 'Last Name', 'Email', 'Exam Grade', 'Homework Grade', 'Project Grade', 'Participation Grade', 'Final Grade', 'Feedback']
-    ];
+    const table = buildGradeExport(course, grades.filter(g => g.student));
+    const filename = `${course.code}_grades_${semester || course.semester}_${new Date().toISOString().split('T')[0]}`;
 
-    grades.forEach(grade => {
-      csvData.push([
-        grade.student.studentId,
-        grade.student.firstName,
-        grade.student.lastName,
-        grade.student.email,
-        grade.examGrade,
-        grade.homeworkGrade,
-        grade.projectGrade,
-        grade.participationGrade,
-        grade.finalGrade,
-        grade.feedback || ''
-      ]);
+    if (format === 'xlsx') {
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.xlsx"`);
+      return await writeXlsx(table, res, course.code);
+    }
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+    writeCsv(table, res);
+
+  } catch (error) {
+    console.error('Export grades error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({ 
+      message: 'Server error exporting grades',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
+  }
+};
+
+// @desc    Import grades from a CSV/XLSX spreadsheet (with dry-run preview)
+// @route   POST /api/grades/import/:courseId
+// @access  Private (Teacher/Admin only)
+const importGrades = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ message: 'No spreadsheet uploaded' });
+    }
+
+    const { courseId } = req.params;
+    const course = await Course.findById(courseId);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (user.role !== 'admin' && course.instructor.toString() !== req.user.userId) {
+      return res.status(403).json({ 
+        message: 'Not authorized to import grades for this course' 
+      });
+    }
+
+    const { columns, rows } = await parseSpreadsheet(req.file);
+    if (!columns.includes('studentId') || !columns.includes('pointsEarned')) {
+      return res.status(400).json({ 
+        message: 'Spreadsheet must contain a student ID column and a points column' 
+      });
+    }
+
+    const assessmentType = req.body.assessmentType;
+    const category = ASSESSMENT_CATEGORIES[assessmentType];
+    const dueDate = req.body.dueDate ? new Date(req.body.dueDate) : new Date();
+
+    const defaults = {
+      academicYear: req.body.academicYear || course.academicYear,
+      semester: req.body.semester || course.semester,
+      assessmentType,
+      assessmentName: req.body.assessmentName,
+      totalPoints: req.body.totalPoints,
+      weight: req.body.weight !== undefined ? Number(req.body.weight) : (course.assessments[category]?.percentage || 0),
+      assignedDate: dueDate,
+      dueDate
+    };
+
+    const plan = await buildImportPlan(course, rows, defaults);
+    const dryRun = req.body.dryRun === 'true' || req.query.dryRun === 'true';
+
+    if (!dryRun) {
+      await applyImportPlan(plan, req.user.userId);
+    }
+
+    res.status(dryRun ? 200 : 201).json({
+      message: dryRun ? 'Import preview generated successfully' : 'Grades imported successfully',
+      dryRun,
+      summary: {
+        totalRows: rows.length,
+        created: plan.created.length,
+        updated: plan.updated.length,
+        unchanged: plan.unchanged.length,
+        rejected: plan.rejected.length
+      },
+      diff: serialisePlan(plan)
+    });
+
+  } catch (error) {
+    console.error('Import grades error:', error);
+    res.status(500).json({ 
+      message: 'Server error importing grades',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  } finally {
+    // The uploaded spreadsheet is not kept once processed
+    if (req.file) {
+      fs.unlink(req.file.path, (err) => {
+        if (err) console.error('Error removing import file:', err);
+      });
+    }
+  }
+};
+
+// Helper function to build the grade filter of a release request
+const getReleaseFilter = (courseId, source) => {
+  const filter = { course: courseId };
+  if (source.assessmentType) filter.assessmentType = source.assessmentType;
+  if (source.assessmentName) filter.assessmentName = source.assessmentName;
+  if (source.academicYear) filter.academicYear = source.academicYear;
+  if (source.semester) filter.semester = source.semester;
+  return filter;
+};
+
+// @desc    Release grades of a course now, or schedule their release
+// @route   POST /api/grades/release/:courseId
+// @access  Private (Teacher/Admin only)
+const releaseCourseGrades = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { courseId } = req.params;
+    const course = await Course.findById(courseId);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (user.role !== 'admin' && course.instructor.toString() !== req.user.userId) {
+      return res.status(403).json({ 
+        message: 'Not authorized to release grades for this course' 
+      });
+    }
+
+    const filter = getReleaseFilter(courseId, req.body);
+    const releaseAt = req.body.releaseAt ? new Date(req.body.releaseAt) : null;
+
+    if (releaseAt && releaseAt > new Date()) {
+      const result = await scheduleRelease(filter, releaseAt, req.user.userId);
+      return res.json({
+        message: 'Grade release scheduled successfully',
+        ...result
+      });
+    }
+
+    const result = await releaseGrades(filter, req.user.userId);
 
     res.json({
-      message: 'Grades exported successfully',
-      csvData,
-      filename: `${course.code}_grades_${new Date().toISOString().split('T')[0]}.csv`
+      message: 'Grades released successfully',
+      ...result
     });
 
   } catch (error) {
-    console.error('Export grades error:', error);
+    console.error('Release grades error:', error);
     res.status(500).json({ 
-      message: 'Server error exporting grades',
+      message: 'Server error releasing grades',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Cancel a scheduled grade release
+// @route   DELETE /api/grades/release/:courseId
+// @access  Private (Teacher/Admin only)
+const cancelGradeRelease = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { courseId } = req.params;
+    const course = await Course.findById(courseId);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (user.role !== 'admin' && course.instructor.toString() !== req.user.userId) {
+      return res.status(403).json({ 
+        message: 'Not authorized to manage grade release for this course' 
+      });
+    }
+
+    const result = await cancelScheduledRelease(getReleaseFilter(courseId, req.query));
+
+    res.json({
+      message: 'Scheduled grade release cancelled successfully',
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Cancel grade release error:', error);
+    res.status(500).json({ 
+      message: 'Server error cancelling grade release',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
@@ -518,5 +1187,12 @@ module.exports = {
   deleteGrade,
   getMyGrades,
   getGradeAnalytics,
-  exportGrades
+  getSemesterResults,
+  getResitCandidates,
+  enterResitMarks,
+  getDeliberationReport,
+  exportGrades,
+  importGrades,
+  releaseCourseGrades,
+  cancelGradeRelease
 };
\ No newline at end of file
@@ -0,0 +1,281 @@
+const moment = require('moment');
+const Room = require('../models/Room');
+const Course = require('../models/Course');
+const User = require('../models/User');
+const { findAvailableRooms, getWeeklyTimetable, toMinutes } = require('../services/timetableService');
+const { validationResult } = require('express-validator');
+
+// Helper function to split a comma-separated query parameter
+const toList = (value) => (value ? String(value).split(',').map(v => v.trim()).filter(Boolean) : []);
+
+// @desc    Get rooms
+// @route   GET /api/rooms
+// @access  Private
+const getRooms = async (req, res) => {
+  try {
+    const { building, type, minCapacity, equipment, search, includeInactive } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+
+    const user = await User.findById(req.user.userId);
+
+    const filter = {};
+    // Inactive rooms are only listed for admins
+    if (!(includeInactive === 'true' && user.role === 'admin')) filter.isActive = true;
+    if (building) filter.building = building;
+    if (type) filter.type = type;
+    if (minCapacity) filter.capacity = { $gte: parseInt(minCapacity) };
+    if (equipment) filter.equipment = { $all: toList(equipment) };
+    if (search) filter.name = { $regex: search, $options: 'i' };
+
+    const rooms = await Room.find(filter)
+      .sort({ building: 1, name: 1 })
+      .limit(limit)
+      .skip((page - 1) * limit);
+
+    const totalRooms = await Room.countDocuments(filter);
+
+    res.json({
+      message: 'Rooms retrieved successfully',
+      rooms,
+      currentPage: page,
+      totalPages: Math.ceil(totalRooms / limit),
+      totalRooms
+    });
+
+  } catch (error) {
+    console.error('Get rooms error:', error);
+    res.status(500).json({
+      message: 'Server error getting rooms',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Find free rooms for a time range
+// @route   GET /api/rooms/available
+// @access  Private (Teacher/Admin only)
+const getAvailableRooms = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { date, startTime, endTime, building, type, semester, academicYear } = req.query;
+    const day = req.query.day || (date ? moment(date).utcOffset(60).format('dddd') : null);
+
+    if (!day) {
+      return res.status(400).json({ message: 'A day or a date is required' });
+    }
+    if (toMinutes(endTime) <= toMinutes(startTime)) {
+      return res.status(400).json({ message: 'End time must be after start time' });
+    }
+
+    const result = await findAvailableRooms({
+      day,
+      date,
+      startTime,
+      endTime,
+      minCapacity: req.query.minCapacity ? parseInt(req.query.minCapacity) : undefined,
+      equipment: toList(req.query.equipment),
+      building,
+      type,
+      semester,
+      academicYear
+    });
+
+    res.json({
+      message: 'Available rooms retrieved successfully',
+      query: { day, date, startTime, endTime },
+      rooms: result.available,
+      occupied: result.occupied,
+      totalAvailable: result.available.length
+    });
+
+  } catch (error) {
+    console.error('Get available rooms error:', error);
+    res.status(500).json({
+      message: 'Server error finding available rooms',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get a room with its weekly occupancy
+// @route   GET /api/rooms/:roomId
+// @access  Private
+const getRoomById = async (req, res) => {
+  try {
+    const room = await Room.findById(req.params.roomId);
+    if (!room) {
+      return res.status(404).json({ message: 'Room not found' });
+    }
+
+    const timetable = await getWeeklyTimetable({
+      view: 'room',
+      room: room.name,
+      semester: req.query.semester,
+      academicYear: req.query.academicYear
+    });
+
+    res.json({
+      message: 'Room retrieved successfully',
+      room,
+      timetable
+    });
+
+  } catch (error) {
+    console.error('Get room error:', error);
+    res.status(500).json({
+      message: 'Server error getting room',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Create a room
+// @route   POST /api/rooms
+// @access  Private (Admin only)
+const createRoom = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, building, floor, type, capacity, equipment, computerCount, notes } = req.body;
+
+    const existingRoom = await Room.findByName(name);
+    if (existingRoom) {
+      return res.status(400).json({ message: 'A room with this name already exists' });
+    }
+
+    const room = new Room({ name, building, floor, type, capacity, equipment, computerCount, notes });
+    await room.save();
+
+    res.status(201).json({
+      message: 'Room created successfully',
+      room
+    });
+
+  } catch (error) {
+    console.error('Create room error:', error);
+    res.status(500).json({
+      message: 'Server error creating room',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Update a room
+// @route   PUT /api/rooms/:roomId
+// @access  Private (Admin only)
+const updateRoom = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const room = await Room.findById(req.params.roomId);
+    if (!room) {
+      return res.status(404).json({ message: 'Room not found' });
+    }
+
+    const previousName = room.name;
+    if (req.body.name && Room.normalizeName(req.body.name) !== room.normalizedName) {
+      const existingRoom = await Room.findByName(req.body.name);
+      if (existingRoom) {
+        return res.status(400).json({ message: 'A room with this name already exists' });
+      }
+    }
+
+    const allowedUpdates = ['name', 'building', 'floor', 'type', 'capacity', 'equipment', 'computerCount', 'isActive', 'notes'];
+    allowedUpdates.forEach(field => {
+      if (req.body[field] !== undefined) room[field] = req.body[field];
+    });
+
+    await room.save();
+
+    // Course schedules keep the room name for display
+    if (room.name !== previousName) {
+      await Course.updateMany(
+        { 'schedule.lectures.roomRef': room._id },
+        { $set: { 'schedule.lectures.$[lecture].room': room.name } },
+        { arrayFilters: [{ 'lecture.roomRef': room._id }] }
+      );
+    }
+
+    res.json({
+      message: 'Room updated successfully',
+      room
+    });
+
+  } catch (error) {
+    console.error('Update room error:', error);
+    res.status(500).json({
+      message: 'Server error updating room',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Delete a room that no course schedule uses
+// @route   DELETE /api/rooms/:roomId
+// @access  Private (Admin only)
+const deleteRoom = async (req, res) => {
+  try {
+    const room = await Room.findById(req.params.roomId);
+    if (!room) {
+      return res.status(404).json({ message: 'Room not found' });
+    }
+
+    const usage = await Course.countDocuments({
+      status: { $ne: 'cancelled' },
+      $or: [
+        { 'schedule.lectures.roomRef': room._id },
+        { 'schedule.lectures.room': room.name }
+      ]
+    });
+    if (usage > 0) {
+      return res.status(400).json({
+        message: `Room is used by ${usage} course schedule(s); deactivate it instead`
+      });
+    }
+
+    await room.deleteOne();
+
+    res.json({
+      message: 'Room deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete room error:', error);
+    res.status(500).json({
+      message: 'Server error deleting room',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  getRooms,
+  getAvailableRooms,
+  getRoomById,
+  createRoom,
+  updateRoom,
+  deleteRoom
+};
@@ -0,0 +1,425 @@
+const Rubric = require('../models/Rubric');
+const Course = require('../models/Course');
+const User = require('../models/User');
+const { Grade } = require('../models/Grade');
+const { validationResult } = require('express-validator');
+
+// Helper function to check whether a user may see a rubric
+const canViewRubric = (rubric, user) => {
+  return user.role === 'admin' || rubric.isShared || rubric.owner._id.toString() === user._id.toString();
+};
+
+// @desc    Get rubrics (own rubrics and shared ones)
+// @route   GET /api/rubrics
+// @access  Private (Teacher/Admin only)
+const getRubrics = async (req, res) => {
+  try {
+    const { search, department, mine } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const user = await User.findById(req.user.userId);
+
+    let filter = { isArchived: false };
+    if (mine === 'true') {
+      filter.owner = req.user.userId;
+    } else if (user.role !== 'admin') {
+      filter.$or = [{ owner: req.user.userId }, { isShared: true }];
+    }
+    if (department) filter.department = department;
+    if (search) filter.$text = { $search: search };
+
+    const rubrics = await Rubric.find(filter)
+      .populate('owner', 'firstName lastName')
+      .sort({ updatedAt: -1 })
+      .limit(limit)
+      .skip((page - 1) * limit);
+
+    const totalRubrics = await Rubric.countDocuments(filter);
+
+    res.json({
+      message: 'Rubrics retrieved successfully',
+      rubrics,
+      currentPage: page,
+      totalPages: Math.ceil(totalRubrics / limit),
+      totalRubrics
+    });
+
+  } catch (error) {
+    console.error('Get rubrics error:', error);
+    res.status(500).json({
+      message: 'Server error getting rubrics',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get a rubric
+// @route   GET /api/rubrics/:rubricId
+// @access  Private (Teacher/Admin only)
+const getRubricById = async (req, res) => {
+  try {
+    const rubric = await Rubric.findById(req.params.rubricId)
+      .populate('owner', 'firstName lastName');
+    if (!rubric) {
+      return res.status(404).json({ message: 'Rubric not found' });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!canViewRubric(rubric, user)) {
+      return res.status(403).json({ message: 'Not authorized to view this rubric' });
+    }
+
+    res.json({
+      message: 'Rubric retrieved successfully',
+      rubric
+    });
+
+  } catch (error) {
+    console.error('Get rubric error:', error);
+    res.status(500).json({
+      message: 'Server error getting rubric',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Create a rubric
+// @route   POST /api/rubrics
+// @access  Private (Teacher/Admin only)
+const createRubric = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.userId);
+    const { name, description, criteria, isShared, department } = req.body;
+
+    const rubric = new Rubric({
+      name,
+      description,
+      criteria,
+      isShared: isShared || false,
+      department: department || user.department,
+      owner: req.user.userId
+    });
+
+    const validationError = rubric.validateSync();
+    const problem = validationError
+      ? Object.values(validationError.errors).map(e => e.message).join(', ')
+      : rubric.checkCriteria();
+    if (problem) {
+      return res.status(400).json({ message: problem });
+    }
+
+    await rubric.save();
+
+    res.status(201).json({
+      message: 'Rubric created successfully',
+      rubric
+    });
+
+  } catch (error) {
+    console.error('Create rubric error:', error);
+    res.status(500).json({
+      message: 'Server error creating rubric',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Update a rubric
+// @route   PUT /api/rubrics/:rubricId
+// @access  Private (Owner/Admin only)
+const updateRubric = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const rubric = await Rubric.findById(req.params.rubricId);
+    if (!rubric) {
+      return res.status(404).json({ message: 'Rubric not found' });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (user.role !== 'admin' && rubric.owner.toString() !== req.user.userId) {
+      return res.status(403).json({ message: 'Not authorized to update this rubric' });
+    }
+
+    const { name, description, criteria, isShared, department } = req.body;
+
+    // Changing the criteria would invalidate marks already given with this rubric
+    if (criteria) {
+      const used = await Grade.exists({ rubric: rubric._id });
+      if (used) {
+        return res.status(400).json({
+          message: 'This rubric has already been used for grading; duplicate it to change its criteria'
+        });
+      }
+      rubric.criteria = criteria;
+    }
+
+    if (name !== undefined) rubric.name = name;
+    if (description !== undefined) rubric.description = description;
+    if (isShared !== undefined) rubric.isShared = isShared;
+    if (department !== undefined) rubric.department = department;
+
+    const validationError = rubric.validateSync();
+    const problem = validationError
+      ? Object.values(validationError.errors).map(e => e.message).join(', ')
+      : rubric.checkCriteria();
+    if (problem) {
+      return res.status(400).json({ message: problem });
+    }
+
+    await rubric.save();
+
+    res.json({
+      message: 'Rubric updated successfully',
+      rubric
+    });
+
+  } catch (error) {
+    console.error('Update rubric error:', error);
+    res.status(500).json({
+      message: 'Server error updating rubric',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Duplicate a rubric into the current user's library
+// @route   POST /api/rubrics/:rubricId/duplicate
+// @access  Private (Teacher/Admin only)
+const duplicateRubric = async (req, res) => {
+  try {
+    const source = await Rubric.findById(req.params.rubricId);
+    if (!source) {
+      return res.status(404).json({ message: 'Rubric not found' });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!canViewRubric(source, user)) {
+      return res.status(403).json({ message: 'Not authorized to duplicate this rubric' });
+    }
+
+    const rubric = new Rubric({
+      name: req.body.name || `${source.name} (copy)`.slice(0, 100),
+      description: source.description,
+      criteria: source.criteria.map(c => c.toObject()),
+      department: source.department,
+      owner: req.user.userId
+    });
+
+    await rubric.save();
+
+    res.status(201).json({
+      message: 'Rubric duplicated successfully',
+      rubric
+    });
+
+  } catch (error) {
+    console.error('Duplicate rubric error:', error);
+    res.status(500).json({
+      message: 'Server error duplicating rubric',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Archive a rubric
+// @route   DELETE /api/rubrics/:rubricId
+// @access  Private (Owner/Admin only)
+const deleteRubric = async (req, res) => {
+  try {
+    const rubric = await Rubric.findById(req.params.rubricId);
+    if (!rubric) {
+      return res.status(404).json({ message: 'Rubric not found' });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (user.role !== 'admin' && rubric.owner.toString() !== req.user.userId) {
+      return res.status(403).json({ message: 'Not authorized to delete this rubric' });
+    }
+
+    // Grades keep a reference to their rubric, so it is archived rather than removed
+    rubric.isArchived = true;
+    await rubric.save();
+
+    await Course.updateMany(
+      { 'assessmentRubrics.rubric': rubric._id },
+      { $pull: { assessmentRubrics: { rubric: rubric._id } } }
+    );
+
+    res.json({
+      message: 'Rubric archived successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete rubric error:', error);
+    res.status(500).json({
+      message: 'Server error deleting rubric',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Attach a rubric to a course assessment
+// @route   POST /api/rubrics/:rubricId/attach
+// @access  Private (Teacher/Admin only)
+const attachRubric = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { course: courseId, assessmentType, assessmentName } = req.body;
+
+    const rubric = await Rubric.findById(req.params.rubricId);
+    if (!rubric || rubric.isArchived) {
+      return res.status(404).json({ message: 'Rubric not found' });
+    }
+
+    const course = await Course.findById(courseId);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (user.role !== 'admin' && course.instructor.toString() !== req.user.userId) {
+      return res.status(403).json({ message: 'Not authorized to manage rubrics for this course' });
+    }
+
+    if (!canViewRubric(rubric, user)) {
+      return res.status(403).json({ message: 'Not authorized to use this rubric' });
+    }
+
+    // One rubric per assessment: replace any previous attachment
+    const existing = course.assessmentRubrics.find(a =>
+      a.assessmentType === assessmentType && a.assessmentName === assessmentName
+    );
+    if (existing) {
+      existing.rubric = rubric._id;
+    } else {
+      course.assessmentRubrics.push({ assessmentType, assessmentName, rubric: rubric._id });
+    }
+
+    await course.save();
+
+    res.json({
+      message: 'Rubric attached successfully',
+      assessmentRubrics: course.assessmentRubrics
+    });
+
+  } catch (error) {
+    console.error('Attach rubric error:', error);
+    res.status(500).json({
+      message: 'Server error attaching rubric',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Detach a rubric from a course assessment
+// @route   DELETE /api/rubrics/:rubricId/attach
+// @access  Private (Teacher/Admin only)
+const detachRubric = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { course: courseId, assessmentType, assessmentName } = req.body;
+
+    const course = await Course.findById(courseId);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (user.role !== 'admin' && course.instructor.toString() !== req.user.userId) {
+      return res.status(403).json({ message: 'Not authorized to manage rubrics for this course' });
+    }
+
+    course.assessmentRubrics = course.assessmentRubrics.filter(a => !(
+      a.rubric.toString() === req.params.rubricId &&
+      a.assessmentType === assessmentType &&
+      a.assessmentName === assessmentName
+    ));
+
+    await course.save();
+
+    res.json({
+      message: 'Rubric detached successfully',
+      assessmentRubrics: course.assessmentRubrics
+    });
+
+  } catch (error) {
+    console.error('Detach rubric error:', error);
+    res.status(500).json({
+      message: 'Server error detaching rubric',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get the rubrics attached to a course's assessments
+// @route   GET /api/rubrics/course/:courseId
+// @access  Private
+const getCourseRubrics = async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.courseId)
+      .select('name code assessmentRubrics')
+      .populate('assessmentRubrics.rubric');
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    res.json({
+      message: 'Course rubrics retrieved successfully',
+      course: { _id: course._id, name: course.name, code: course.code },
+      assessmentRubrics: course.assessmentRubrics
+    });
+
+  } catch (error) {
+    console.error('Get course rubrics error:', error);
+    res.status(500).json({
+      message: 'Server error getting course rubrics',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  getRubrics,
+  getRubricById,
+  createRubric,
+  updateRubric,
+  duplicateRubric,
+  deleteRubric,
+  attachRubric,
+  detachRubric,
+  getCourseRubrics
+};
@@ -0,0 +1,168 @@
+const Course = require('../models/Course');
+const User = require('../models/User');
+const ScheduleException = require('../models/ScheduleException');
+const { createScheduleException, removeScheduleException } = require('../services/scheduleExceptionService');
+const { validationResult } = require('express-validator');
+
+// Helper function to check whether a user manages the sessions of a course
+const canManageSessions = (user, course) => {
+  return user.role === 'admin' ||
+    course.instructor?.toString() === user._id.toString() ||
+    (course.assistants || []).some(id => id.toString() === user._id.toString());
+};
+
+// @desc    Cancel or move a session, or add an extra session
+// @route   POST /api/timetable/exceptions
+// @access  Private (Teacher/Admin only)
+const createException = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const course = await Course.findById(req.body.course);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!canManageSessions(user, course)) {
+      return res.status(403).json({ message: 'Not authorized to change the sessions of this course' });
+    }
+
+    const result = await createScheduleException(course, req.body, req.user.userId);
+    if (result.status) {
+      return res.status(result.status).json({
+        message: result.message,
+        conflicts: result.conflicts
+      });
+    }
+
+    res.status(201).json({
+      message: 'Schedule exception created successfully',
+      exception: result.exception,
+      announcement: result.announcement
+    });
+
+  } catch (error) {
+    console.error('Create schedule exception error:', error);
+    res.status(500).json({
+      message: 'Server error creating schedule exception',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get the schedule exceptions of a course or of the current user
+// @route   GET /api/timetable/exceptions
+// @access  Private
+const getExceptions = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { course: courseId, from, to, type } = req.query;
+    const user = await User.findById(req.user.userId);
+
+    let courseIds;
+    if (courseId) {
+      const course = await Course.findById(courseId);
+      if (!course) {
+        return res.status(404).json({ message: 'Course not found' });
+      }
+      const isEnrolled = course.enrolledStudents.some(e => e.student.toString() === req.user.userId);
+      if (!canManageSessions(user, course) && !isEnrolled) {
+        return res.status(403).json({ message: 'Not authorized to view the sessions of this course' });
+      }
+      courseIds = [course._id];
+    } else if (user.role === 'student') {
+      const courses = await Course.find({ enrolledStudents: { $elemMatch: { student: user._id, status: 'enrolled' } } }).select('_id');
+      courseIds = courses.map(c => c._id);
+    } else if (user.role === 'teacher') {
+      const courses = await Course.find({ $or: [{ instructor: user._id }, { assistants: user._id }] }).select('_id');
+      courseIds = courses.map(c => c._id);
+    }
+
+    const filter = {};
+    if (courseIds) filter.course = { $in: courseIds };
+    if (type) filter.type = type;
+    if (from || to) {
+      const range = {};
+      if (from) range.$gte = new Date(from);
+      if (to) range.$lte = new Date(to);
+      filter.$or = [{ 'original.date': range }, { 'replacement.date': range }];
+    }
+
+    const exceptions = await ScheduleException.find(filter)
+      .populate('course', 'code name')
+      .populate('createdBy', 'firstName lastName')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      message: 'Schedule exceptions retrieved successfully',
+      exceptions
+    });
+
+  } catch (error) {
+    console.error('Get schedule exceptions error:', error);
+    res.status(500).json({
+      message: 'Server error getting schedule exceptions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Remove a schedule exception (the session goes back to its weekly slot)
+// @route   DELETE /api/timetable/exceptions/:exceptionId
+// @access  Private (Teacher/Admin only)
+const deleteException = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const exception = await ScheduleException.findById(req.params.exceptionId);
+    if (!exception) {
+      return res.status(404).json({ message: 'Schedule exception not found' });
+    }
+
+    const course = await Course.findById(exception.course);
+    const user = await User.findById(req.user.userId);
+    if (!course || !canManageSessions(user, course)) {
+      return res.status(403).json({ message: 'Not authorized to change the sessions of this course' });
+    }
+
+    await removeScheduleException(course, exception);
+
+    res.json({ message: 'Schedule exception removed successfully' });
+
+  } catch (error) {
+    console.error('Delete schedule exception error:', error);
+    res.status(500).json({
+      message: 'Server error deleting schedule exception',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  createException,
+  getExceptions,
+  deleteException
+};
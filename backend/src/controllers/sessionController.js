@@ -0,0 +1,196 @@
+const Session = require('../models/Session');
+const User = require('../models/User');
+const {
+  listUserSessions,
+  revokeSession,
+  revokeUserSessions
+} = require('../services/sessionService');
+const socketService = require('../services/socketService');
+const { validationResult } = require('express-validator');
+
+// Session as shown to its owner or an admin
+const formatSession = (session, currentSessionId = null) => ({
+  _id: session._id,
+  deviceName: session.deviceName,
+  deviceType: session.deviceType,
+  browser: session.browser,
+  os: session.os,
+  ip: session.ip,
+  location: session.location,
+  lastUsedAt: session.lastUsedAt,
+  signedInAt: session.createdAt,
+  expiresAt: session.expiresAt,
+  isActive: session.isActive,
+  isCurrent: !!currentSessionId && session._id.toString() === currentSessionId.toString(),
+  revokedAt: session.revokedAt,
+  revokedReason: session.revokedReason,
+  tokenReuse: session.tokenReuse
+});
+
+// @desc    Get the current user's active sessions
+// @route   GET /api/sessions
+// @access  Private
+const getMySessions = async (req, res) => {
+  try {
+    const sessions = await listUserSessions(req.user._id);
+
+    res.json({
+      sessions: sessions.map(session => formatSession(session, req.sessionId))
+    });
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      message: 'Server error fetching sessions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Sign out one of the current user's devices
+// @route   DELETE /api/sessions/:id
+// @access  Private
+const revokeMySession = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const session = await Session.findOne({ _id: req.params.id, user: req.user._id });
+    if (!session || !session.isActive) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await revokeSession(session, 'logout');
+    socketService.disconnectSessions([session._id]);
+
+    res.json({
+      message: 'Session revoked successfully',
+      wasCurrent: session._id.toString() === String(req.sessionId)
+    });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      message: 'Server error revoking session',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get the sessions of any account (revoked ones with ?includeInactive=true)
+// @route   GET /api/sessions/users/:userId
+// @access  Private (Admin only)
+const getUserSessions = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.params.userId).select('firstName lastName email role studentId lastLogin');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const sessions = await listUserSessions(user._id, req.query.includeInactive);
+
+    res.json({
+      user,
+      sessions: sessions.map(session => formatSession(session))
+    });
+
+  } catch (error) {
+    console.error('Get user sessions error:', error);
+    res.status(500).json({
+      message: 'Server error fetching user sessions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Revoke a session of any account
+// @route   DELETE /api/sessions/users/:userId/:id
+// @access  Private (Admin only)
+const revokeUserSession = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const session = await Session.findOne({ _id: req.params.id, user: req.params.userId });
+    if (!session || !session.isActive) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await revokeSession(session, 'admin');
+    socketService.disconnectSessions([session._id]);
+
+    res.json({ message: 'Session revoked successfully' });
+
+  } catch (error) {
+    console.error('Revoke user session error:', error);
+    res.status(500).json({
+      message: 'Server error revoking session',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Revoke every session of an account (e.g. a compromised student account)
+// @route   DELETE /api/sessions/users/:userId
+// @access  Private (Admin only)
+const revokeAllUserSessions = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const revokedSessions = await revokeUserSessions(user._id, 'admin');
+    socketService.disconnectSessions(revokedSessions);
+
+    res.json({
+      message: 'All sessions revoked successfully',
+      revokedSessions: revokedSessions.length
+    });
+
+  } catch (error) {
+    console.error('Revoke all user sessions error:', error);
+    res.status(500).json({
+      message: 'Server error revoking sessions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  getMySessions,
+  revokeMySession,
+  getUserSessions,
+  revokeUserSession,
+  revokeAllUserSessions
+};
@@ -0,0 +1,361 @@
+const Course = require('../models/Course');
+const User = require('../models/User');
+const TimetableDraft = require('../models/TimetableDraft');
+const { validateSchedule, getWeeklyTimetable } = require('../services/timetableService');
+const { generateTimetableDraft, commitTimetableDraft } = require('../services/timetableGenerator');
+const { validationResult } = require('express-validator');
+
+// @desc    Get the weekly timetable of a student, teacher, room or section
+// @route   GET /api/timetable
+// @access  Private
+const getTimetable = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.userId);
+    const view = req.query.view || (user.role === 'admin' ? null : user.role);
+    if (!view) {
+      return res.status(400).json({ message: 'Timetable view is required (student, teacher, room or section)' });
+    }
+
+    const options = {
+      view,
+      id: req.query.id || req.user.userId,
+      room: req.query.room,
+      department: req.query.department,
+      level: req.query.level,
+      semester: req.query.semester,
+      academicYear: req.query.academicYear,
+      // Dated week with the schedule exceptions applied, unless the plain weekly pattern is asked for
+      weekOf: req.query.recurring === 'true' ? null : (req.query.weekOf || new Date())
+    };
+
+    if (view === 'room' && !options.room) {
+      return res.status(400).json({ message: 'Room is required for a room timetable' });
+    }
+    if (view === 'section' && (!options.department || !options.level)) {
+      return res.status(400).json({ message: 'Department and level are required for a section timetable' });
+    }
+
+    // Students only see their own personal timetable
+    if (view === 'student' && user.role === 'student' && options.id !== req.user.userId) {
+      return res.status(403).json({ message: 'Not authorized to view this timetable' });
+    }
+
+    let owner;
+    if (view === 'student' || view === 'teacher') {
+      owner = await User.findById(options.id).select('firstName lastName role studentId department');
+      if (!owner || owner.role !== view) {
+        return res.status(404).json({ message: `${view === 'student' ? 'Student' : 'Teacher'} not found` });
+      }
+    }
+
+    const timetable = await getWeeklyTimetable(options);
+
+    res.json({
+      message: 'Timetable retrieved successfully',
+      view,
+      owner,
+      room: options.room,
+      section: view === 'section'
+        ? { department: options.department, level: options.level, semester: options.semester }
+        : undefined,
+      timetable
+    });
+
+  } catch (error) {
+    console.error('Get timetable error:', error);
+    res.status(500).json({
+      message: 'Server error getting timetable',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Check a proposed course schedule without saving it
+// @route   POST /api/timetable/check
+// @access  Private (Teacher/Admin only)
+const checkSchedule = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    let course;
+    if (req.body.course) {
+      course = await Course.findById(req.body.course);
+      if (!course) {
+        return res.status(404).json({ message: 'Course not found' });
+      }
+    } else {
+      // Course not created yet: the caller describes it
+      course = {
+        instructor: req.body.instructor || req.user.userId,
+        assistants: req.body.assistants || [],
+        department: req.body.department,
+        level: req.body.level,
+        semester: req.body.semester,
+        academicYear: req.body.academicYear,
+        maxStudents: req.body.maxStudents
+      };
+    }
+
+    const result = await validateSchedule(course, req.body.lectures);
+
+    res.json({
+      message: result.isValid ? 'No schedule conflicts' : 'Schedule conflicts detected',
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Check schedule error:', error);
+    res.status(500).json({
+      message: 'Server error checking schedule',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Generate candidate timetables for a section
+// @route   POST /api/timetable/generate
+// @access  Private (Admin only)
+const generateTimetable = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { department, level, semester, academicYear, rooms, candidates, seed } = req.body;
+
+    const draft = await generateTimetableDraft({
+      department,
+      level,
+      semester,
+      academicYear,
+      roomIds: rooms,
+      candidateCount: candidates ? parseInt(candidates) : undefined,
+      seed: seed !== undefined ? parseInt(seed) : undefined
+    }, req.user.userId);
+
+    if (!draft) {
+      return res.status(404).json({ message: 'No courses found for this section' });
+    }
+
+    await draft.populate('candidates.sessions.course', 'code name');
+    await draft.populate('candidates.unplaced.course', 'code name');
+
+    res.status(201).json({
+      message: 'Timetable candidates generated successfully',
+      draft
+    });
+
+  } catch (error) {
+    console.error('Generate timetable error:', error);
+    res.status(500).json({
+      message: 'Server error generating timetable',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get timetable drafts
+// @route   GET /api/timetable/drafts
+// @access  Private (Admin only)
+const getTimetableDrafts = async (req, res) => {
+  try {
+    const { department, level, semester, academicYear, status } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+
+    const filter = {};
+    if (department) filter.department = department;
+    if (level) filter.level = level;
+    if (semester) filter.semester = semester;
+    if (academicYear) filter.academicYear = academicYear;
+    if (status) filter.status = status;
+
+    const drafts = await TimetableDraft.find(filter)
+      .select('-candidates.sessions -rooms')
+      .populate('generatedBy', 'firstName lastName')
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .skip((page - 1) * limit);
+
+    const totalDrafts = await TimetableDraft.countDocuments(filter);
+
+    res.json({
+      message: 'Timetable drafts retrieved successfully',
+      drafts,
+      currentPage: page,
+      totalPages: Math.ceil(totalDrafts / limit),
+      totalDrafts
+    });
+
+  } catch (error) {
+    console.error('Get timetable drafts error:', error);
+    res.status(500).json({
+      message: 'Server error getting timetable drafts',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get a timetable draft with its candidates
+// @route   GET /api/timetable/drafts/:draftId
+// @access  Private (Admin only)
+const getTimetableDraftById = async (req, res) => {
+  try {
+    const draft = await TimetableDraft.findById(req.params.draftId)
+      .populate('courses', 'code name maxStudents instructor')
+      .populate('candidates.sessions.course', 'code name')
+      .populate('candidates.unplaced.course', 'code name')
+      .populate('generatedBy committedBy', 'firstName lastName');
+
+    if (!draft) {
+      return res.status(404).json({ message: 'Timetable draft not found' });
+    }
+
+    res.json({
+      message: 'Timetable draft retrieved successfully',
+      draft
+    });
+
+  } catch (error) {
+    console.error('Get timetable draft error:', error);
+    res.status(500).json({
+      message: 'Server error getting timetable draft',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Commit one candidate of a draft to the course schedules
+// @route   POST /api/timetable/drafts/:draftId/commit
+// @access  Private (Admin only)
+const commitTimetable = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const draft = await TimetableDraft.findById(req.params.draftId);
+    if (!draft) {
+      return res.status(404).json({ message: 'Timetable draft not found' });
+    }
+
+    if (draft.status !== 'draft') {
+      return res.status(400).json({ message: `Timetable draft is already ${draft.status}` });
+    }
+
+    const candidateIndex = parseInt(req.body.candidate);
+    const candidate = draft.candidates[candidateIndex];
+    if (!candidate) {
+      return res.status(404).json({ message: 'Candidate not found' });
+    }
+
+    if (candidate.unplaced.length > 0 && !req.body.allowIncomplete) {
+      return res.status(400).json({
+        message: 'Candidate leaves sessions unplaced (set allowIncomplete to commit it anyway)',
+        unplaced: candidate.unplaced
+      });
+    }
+
+    const result = await commitTimetableDraft(draft, candidateIndex, req.user.userId);
+
+    if (result.conflicts.length > 0) {
+      return res.status(409).json({
+        message: 'The timetable changed since this draft was generated',
+        conflicts: result.conflicts
+      });
+    }
+
+    res.json({
+      message: 'Timetable committed successfully',
+      updatedCourses: result.updatedCourses,
+      draft
+    });
+
+  } catch (error) {
+    console.error('Commit timetable error:', error);
+    res.status(500).json({
+      message: 'Server error committing timetable',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Set the weekly unavailability of a teacher
+// @route   PUT /api/timetable/unavailability
+// @access  Private (Teacher/Admin only)
+const updateUnavailability = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const requester = await User.findById(req.user.userId);
+    const teacherId = req.body.teacher || req.user.userId;
+
+    // Teachers only edit their own availability
+    if (requester.role !== 'admin' && teacherId !== req.user.userId) {
+      return res.status(403).json({ message: 'Not authorized to update this availability' });
+    }
+
+    const teacher = await User.findById(teacherId);
+    if (!teacher || teacher.role !== 'teacher') {
+      return res.status(404).json({ message: 'Teacher not found' });
+    }
+
+    teacher.unavailability = req.body.unavailability;
+    await teacher.save();
+
+    res.json({
+      message: 'Unavailability updated successfully',
+      unavailability: teacher.unavailability
+    });
+
+  } catch (error) {
+    console.error('Update unavailability error:', error);
+    res.status(500).json({
+      message: 'Server error updating unavailability',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  getTimetable,
+  checkSchedule,
+  generateTimetable,
+  getTimetableDrafts,
+  getTimetableDraftById,
+  commitTimetable,
+  updateUnavailability
+};
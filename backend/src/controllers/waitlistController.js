@@ -0,0 +1,153 @@
+const Course = require('../models/Course');
+const User = require('../models/User');
+const { checkPrerequisites } = require('../services/prerequisiteService');
+const { leaveWaitlist: removeFromWaitlist, OFFER_WINDOW_HOURS } = require('../services/waitlistService');
+
+// @desc    Join the waitlist of a full course
+// @route   POST /api/courses/:id/waitlist
+// @access  Private (Student only)
+const joinWaitlist = async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id);
+
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    if (course.status !== 'active') {
+      return res.status(400).json({ message: 'Cannot join the waitlist of an inactive course' });
+    }
+
+    if (!course.isFullyEnrolled) {
+      return res.status(400).json({ message: 'Course has available seats, enroll directly' });
+    }
+
+    // Results still pending do not block a place in the queue; they are
+    // checked again before a seat is offered
+    const prerequisites = await checkPrerequisites(course, req.user.userId);
+    const blocking = prerequisites.unmet.filter(r => r.reason !== 'in_progress');
+    if (blocking.length > 0) {
+      return res.status(400).json({
+        message: 'Prerequisites not met',
+        unmetPrerequisites: blocking
+      });
+    }
+
+    try {
+      await course.joinWaitlist(req.user.userId);
+    } catch (joinError) {
+      return res.status(400).json({ message: joinError.message });
+    }
+
+    const entry = course.getWaitlistEntry(req.user.userId);
+
+    res.status(201).json({
+      message: 'Added to the waitlist',
+      waitlist: {
+        position: course.getWaitlistRank(req.user.userId),
+        joinedAt: entry.joinedAt,
+        offerWindowHours: OFFER_WINDOW_HOURS
+      }
+    });
+
+  } catch (error) {
+    console.error('Join waitlist error:', error);
+    res.status(500).json({
+      message: 'Server error joining waitlist',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Leave the waitlist or decline a seat offer
+// @route   DELETE /api/courses/:id/waitlist
+// @access  Private (Student only)
+const leaveWaitlist = async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id);
+
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    const entry = await removeFromWaitlist(course, req.user.userId);
+    if (!entry) {
+      return res.status(400).json({ message: 'Not on the waitlist of this course' });
+    }
+
+    res.json({
+      message: entry.status === 'declined' ? 'Seat offer declined' : 'Removed from the waitlist'
+    });
+
+  } catch (error) {
+    console.error('Leave waitlist error:', error);
+    res.status(500).json({
+      message: 'Server error leaving waitlist',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get the waitlist of a course (students only see their own entry)
+// @route   GET /api/courses/:id/waitlist
+// @access  Private
+const getWaitlist = async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id)
+      .populate('waitlist.student', 'firstName lastName studentId email');
+
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    const user = await User.findById(req.user.userId);
+
+    if (user.role === 'student') {
+      const entry = course.waitlist.find(e =>
+        e.student._id.toString() === req.user.userId && ['waiting', 'offered'].includes(e.status)
+      );
+
+      return res.json({
+        entry: entry ? {
+          status: entry.status,
+          joinedAt: entry.joinedAt,
+          position: course.getWaitlistRank(req.user.userId),
+          offerExpiresAt: entry.offerExpiresAt
+        } : null,
+        availableSpots: course.availableSpots
+      });
+    }
+
+    const isStaff = user.role === 'admin' ||
+      course.instructor.toString() === req.user.userId ||
+      (course.assistants || []).some(id => id.toString() === req.user.userId);
+    if (!isStaff) {
+      return res.status(403).json({ message: 'Not authorized to view this waitlist' });
+    }
+
+    const waitlist = [...course.waitlist].sort((a, b) => a.position - b.position);
+
+    res.json({
+      waitlist,
+      summary: {
+        maxStudents: course.maxStudents,
+        currentEnrollment: course.currentEnrollment,
+        pendingOffers: course.pendingOffers,
+        waiting: waitlist.filter(e => e.status === 'waiting').length
+      }
+    });
+
+  } catch (error) {
+    console.error('Get waitlist error:', error);
+    res.status(500).json({
+      message: 'Server error fetching waitlist',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  joinWaitlist,
+  leaveWaitlist,
+  getWaitlist
+};
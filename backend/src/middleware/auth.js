@@ -1,6 +1,7 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const { verifyToken } = require('../config/jwt');
+const { isSessionRevoked, touchSession } = require('../services/sessionService');
 
 // Main authentication middleware
 const auth = async (req, res, next) => {
@@ -28,8 +29,16 @@ const auth = async (req, res, next) => {
       // Verify token
       const decoded = verifyToken(token);
       
+      // Reject tokens of signed-out or revoked sessions
+      if (!decoded.sid || isSessionRevoked(decoded.sid)) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has expired or been revoked'
+        });
+      }
+      
       // Get user from the token (without password)
-      const user = await User.findById(decoded.id).select('-password');
+      const user = await User.findById(decoded.userId).select('-password');
       
       if (!user) {
         return res.status(401).json({
@@ -58,8 +67,14 @@ const auth = async (req, res, next) => {
       user.lastLogin = new Date();
       await user.save({ validateBeforeSave: false });
 
-      // Add user to request object
+      // Record session activity (best effort)
+      touchSession(decoded.sid).catch(error => {
+        console.warn('Session activity update failed:', error.message);
+      });
+
+      // Add user and session to request object
       req.user = user;
+      req.sessionId = decoded.sid;
       next();
 
     } catch (tokenError) {
@@ -95,10 +110,13 @@ const optionalAuth = async (req, res, next) => {
     if (token) {
       try {
         const decoded = verifyToken(token);
-        const user = await User.findById(decoded.id).select('-password');
+        const user = decoded.sid && !isSessionRevoked(decoded.sid)
+          ? await User.findById(decoded.userId).select('-password')
+          : null;
         
         if (user && user.isActive && !user.isLocked) {
           req.user = user;
+          req.sessionId = decoded.sid;
         }
       } catch (error) {
         // Continue without user if token is invalid
@@ -41,6 +41,15 @@ const storage = multer.diskStorage({
       case 'syllabus':
         uploadPath += `syllabus/${year}/${month}/`;
         break;
+      case 'gradeImport':
+        uploadPath += `imports/${year}/${month}/`;
+        break;
+      case 'disputeAttachment':
+        uploadPath += `disputes/${year}/${month}/`;
+        break;
+      case 'absenceJustification':
+        uploadPath += `justifications/${year}/${month}/`;
+        break;
       default:
         uploadPath += `general/${year}/${month}/`;
     }
@@ -97,11 +106,42 @@ const fileFilter = (req, file, cb) => {
         'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
         'text/plain',
         'application/zip',
-        'application/x-rar-compressed'
+        'application/x-rar-compressed',
+        // Source code files (browsers report these inconsistently)
+        'text/x-c',
+        'text/x-csrc',
+        'text/x-c++src',
+        'text/x-java',
+        'text/x-java-source',
+        'text/x-python',
+        'text/x-script.python',
+        'text/javascript',
+        'application/javascript',
+        'application/octet-stream'
       ],
-      extensions: ['.pdf', '.doc', '.docx', '.txt', '.zip', '.rar'],
+      extensions: ['.pdf', '.doc', '.docx', '.txt', '.zip', '.rar', '.c', '.h', '.cpp', '.java', '.py', '.js'],
       maxSize: 25 * 1024 * 1024 // 25MB
     },
+    gradeImport: {
+      mimetypes: [
+        'text/csv',
+        'text/plain',
+        'application/vnd.ms-excel',
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+      ],
+      extensions: ['.csv', '.xlsx'],
+      maxSize: 5 * 1024 * 1024 // 5MB
+    },
+    disputeAttachment: {
+      mimetypes: ['application/pdf', 'image/jpeg', 'image/jpg', 'image/png'],
+      extensions: ['.pdf', '.jpg', '.jpeg', '.png'],
+      maxSize: 10 * 1024 * 1024 // 10MB
+    },
+    absenceJustification: {
+      mimetypes: ['application/pdf', 'image/jpeg', 'image/jpg', 'image/png'],
+      extensions: ['.pdf', '.jpg', '.jpeg', '.png'],
+      maxSize: 10 * 1024 * 1024 // 10MB
+    },
     chatFile: {
       mimetypes: [
         'image/jpeg',
@@ -150,6 +190,9 @@ const uploadCourseResource = upload.single('courseResource');
 const uploadAssignment = upload.single('assignment');
 const uploadChatFile = upload.single('chatFile');
 const uploadSyllabus = upload.single('syllabus');
+const uploadGradeImport = upload.single('gradeImport');
+const uploadDisputeAttachment = upload.single('disputeAttachment');
+const uploadAbsenceJustification = upload.single('absenceJustification');
 const uploadMultipleResources = upload.array('resources', 5);
 const uploadAnnouncementFiles = upload.array('attachments', 3);
 
@@ -404,6 +447,9 @@ module.exports = {
   uploadAssignment,
   uploadChatFile,
   uploadSyllabus,
+  uploadGradeImport,
+  uploadDisputeAttachment,
+  uploadAbsenceJustification,
   uploadMultipleResources,
   uploadAnnouncementFiles,
   handleUploadError,
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+const absenceJustificationSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Student is required']
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Course is required']
+  },
+  // Attendance sessions the student missed
+  sessions: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AttendanceSession'
+    }],
+    validate: [sessions => sessions.length > 0, 'At least one session is required']
+  },
+  
+  // Student Request
+  reason: {
+    type: String,
+    required: [true, 'Reason is required'],
+    enum: ['medical', 'family', 'official', 'transport', 'other']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+  document: {
+    filename: String,
+    originalName: String,
+    path: String,
+    size: Number,
+    mimetype: String,
+    checksum: String
+  },
+  
+  // Status
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  
+  // Review
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  reviewComment: {
+    type: String,
+    maxlength: [500, 'Review comment cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+absenceJustificationSchema.index({ student: 1, course: 1 });
+absenceJustificationSchema.index({ course: 1, status: 1 });
+absenceJustificationSchema.index({ sessions: 1 });
+
+module.exports = mongoose.model('AbsenceJustification', absenceJustificationSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Applied to the categories without a policy of their own
+const DEFAULT_MAX_ABSENCES = 3;
+const DEFAULT_SESSION_TYPES = ['Tutorial', 'Lab'];
+
+const absencePolicySchema = new mongoose.Schema({
+  category: {
+    type: String,
+    required: [true, 'Course category is required'],
+    enum: ['Theory', 'Practical', 'Mixed', 'Project', 'Seminar'],
+    unique: true
+  },
+  // Unjustified absences that exclude a student from the module; students are
+  // warned one absence before
+  maxAbsences: {
+    type: Number,
+    required: [true, 'Maximum absences is required'],
+    min: [2, 'Maximum absences must be at least 2'],
+    max: [20, 'Maximum absences cannot exceed 20']
+  },
+  // Session types whose absences count
+  sessionTypes: {
+    type: [{
+      type: String,
+      enum: ['Lecture', 'Tutorial', 'Lab', 'Seminar']
+    }],
+    default: DEFAULT_SESSION_TYPES,
+    validate: [types => types.length > 0, 'At least one session type is required']
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to get the policy of a course category (the default one when
+// none is configured)
+absencePolicySchema.statics.getForCategory = async function(category) {
+  const policy = await this.findOne({ category });
+  if (policy) return policy;
+
+  return {
+    category,
+    maxAbsences: DEFAULT_MAX_ABSENCES,
+    sessionTypes: DEFAULT_SESSION_TYPES,
+    isDefault: true
+  };
+};
+
+module.exports = mongoose.model('AbsencePolicy', absencePolicySchema);
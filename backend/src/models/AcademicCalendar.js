@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+
+const periodSchema = new mongoose.Schema({
+  start: {
+    type: Date,
+    required: true
+  },
+  end: {
+    type: Date,
+    required: true
+  }
+}, { _id: false });
+
+const semesterSchema = new mongoose.Schema({
+  // First (S1) or second (S2) semester of the year; odd and even course
+  // semesters (S3, S4...) follow the same dates
+  name: {
+    type: String,
+    enum: ['S1', 'S2'],
+    required: true
+  },
+  start: {
+    type: Date,
+    required: true
+  },
+  end: {
+    type: Date,
+    required: true
+  },
+  teachingWeeks: {
+    type: Number,
+    min: 1,
+    max: 20,
+    default: 14
+  },
+  exams: periodSchema,
+  resits: periodSchema
+}, { _id: false });
+
+const academicCalendarSchema = new mongoose.Schema({
+  academicYear: {
+    type: String,
+    required: [true, 'Academic year is required'],
+    match: [/^\d{4}-\d{4}$/, 'Academic year format should be YYYY-YYYY'],
+    unique: true
+  },
+  start: {
+    type: Date,
+    required: [true, 'Start of the academic year is required']
+  },
+  end: {
+    type: Date,
+    required: [true, 'End of the academic year is required']
+  },
+  semesters: {
+    type: [semesterSchema],
+    validate: [semesters => semesters.length > 0, 'At least one semester is required']
+  },
+  
+  // Days without classes: single-day holidays and multi-day breaks
+  holidays: [{
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [100, 'Holiday name cannot exceed 100 characters']
+    },
+    type: {
+      type: String,
+      enum: ['holiday', 'break'],
+      default: 'holiday'
+    },
+    start: {
+      type: Date,
+      required: true
+    },
+    // Last day of a break (inclusive); a holiday lasts its start day
+    end: Date
+  }],
+  
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Pre-save validation
+academicCalendarSchema.pre('save', function(next) {
+  if (this.end <= this.start) {
+    return next(new Error('End of the academic year must be after its start'));
+  }
+  
+  const names = this.semesters.map(semester => semester.name);
+  if (new Set(names).size !== names.length) {
+    return next(new Error('Each semester can only be defined once'));
+  }
+  
+  for (const semester of this.semesters) {
+    if (semester.end <= semester.start) {
+      return next(new Error(`${semester.name} must end after it starts`));
+    }
+    if (semester.start < this.start || semester.end > this.end) {
+      return next(new Error(`${semester.name} must fall within the academic year`));
+    }
+    for (const period of [semester.exams, semester.resits]) {
+      if (period && period.end < period.start) {
+        return next(new Error(`${semester.name} exam periods must end after they start`));
+      }
+    }
+  }
+  
+  next();
+});
+
+module.exports = mongoose.model('AcademicCalendar', academicCalendarSchema);
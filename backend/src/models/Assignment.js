@@ -0,0 +1,284 @@
+const mongoose = require('mongoose');
+
+const assignmentSchema = new mongoose.Schema({
+  // Course Information
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Course is required']
+  },
+  instructor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Instructor is required']
+  },
+  academicYear: {
+    type: String,
+    required: [true, 'Academic year is required'],
+    match: [/^\d{4}-\d{4}$/, 'Academic year format should be YYYY-YYYY']
+  },
+  semester: {
+    type: String,
+    required: [true, 'Semester is required'],
+    enum: ['S1', 'S2', 'S3', 'S4', 'S5', 'S6', 'S7', 'S8', 'S9', 'S10']
+  },
+  
+  // Basic Information
+  title: {
+    type: String,
+    required: [true, 'Assignment title is required'],
+    trim: true,
+    maxlength: [100, 'Title cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [5000, 'Description cannot exceed 5000 characters']
+  },
+  assessmentType: {
+    type: String,
+    enum: ['assignment', 'homework', 'project', 'lab'],
+    default: 'assignment'
+  },
+  
+  // Grading
+  totalPoints: {
+    type: Number,
+    default: 20,
+    min: [1, 'Total points must be at least 1']
+  },
+  weight: {
+    type: Number,
+    min: [0, 'Weight cannot be negative'],
+    max: [100, 'Weight cannot exceed 100%']
+  },
+  
+  // Dates
+  assignedDate: {
+    type: Date,
+    default: Date.now
+  },
+  dueDate: {
+    type: Date,
+    required: [true, 'Due date is required']
+  },
+  
+  // Submission Rules
+  allowedFileTypes: {
+    type: [String],
+    default: ['.pdf'],
+    set: types => types.map(t => (t.startsWith('.') ? t : `.${t}`).toLowerCase())
+  },
+  maxFileSize: {
+    type: Number,
+    default: 25 * 1024 * 1024, // 25MB, the upload middleware limit for assignments
+    min: 1
+  },
+  maxAttempts: {
+    type: Number,
+    default: 1,
+    min: [1, 'At least one attempt must be allowed'],
+    max: [10, 'Cannot allow more than 10 attempts']
+  },
+  
+  // Late Penalty Policy
+  latePolicy: {
+    allowLate: {
+      type: Boolean,
+      default: true
+    },
+    // Percentage of the total points removed per day late
+    penaltyPerDay: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 10
+    },
+    // Upper bound of the penalty, as a percentage of the total points
+    maxPenalty: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 50
+    },
+    // No submissions are accepted after this date
+    cutoffDate: Date
+  },
+  
+  // Status
+  isPublished: {
+    type: Boolean,
+    default: true
+  },
+  
+  // Statistics
+  stats: {
+    submissionCount: {
+      type: Number,
+      default: 0
+    },
+    lateCount: {
+      type: Number,
+      default: 0
+    }
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+const submissionSchema = new mongoose.Schema({
+  assignment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Assignment',
+    required: true
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  grade: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Grade'
+  },
+  attemptNumber: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Only the latest attempt of a student is graded
+  isLatest: {
+    type: Boolean,
+    default: true
+  },
+  
+  // File Information
+  file: {
+    filename: String,
+    originalName: String,
+    path: String,
+    size: Number,
+    mimetype: String,
+    checksum: String
+  },
+  comments: {
+    type: String,
+    maxlength: [1000, 'Comments cannot exceed 1000 characters']
+  },
+  
+  // Timing
+  submittedAt: {
+    type: Date,
+    default: Date.now
+  },
+  isLate: {
+    type: Boolean,
+    default: false
+  },
+  daysLate: {
+    type: Number,
+    default: 0
+  },
+  latePenalty: {
+    type: Number,
+    default: 0
+  },
+  
+  // Similarity Report (computed locally by similarityService)
+  similarity: {
+    status: {
+      type: String,
+      enum: ['pending', 'checked', 'unsupported'],
+      default: 'pending'
+    },
+    kind: {
+      type: String,
+      enum: ['text', 'code']
+    },
+    fingerprints: {
+      type: [Number],
+      select: false
+    },
+    checkedAt: Date,
+    threshold: Number,
+    maxSimilarity: {
+      type: Number,
+      default: 0
+    },
+    matches: [{
+      submission: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Submission'
+      },
+      student: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      similarity: Number,
+      containment: Number,
+      shared: Number,
+      isFlagged: Boolean
+    }]
+  }
+}, {
+  timestamps: true
+});
+
+// Virtual for checking if the deadline has passed
+assignmentSchema.virtual('isPastDue').get(function() {
+  return new Date() > this.dueDate;
+});
+
+// Virtual for checking if submissions are still accepted
+assignmentSchema.virtual('isOpen').get(function() {
+  const now = new Date();
+  if (!this.isPublished) return false;
+  if (now <= this.dueDate) return true;
+  if (!this.latePolicy?.allowLate) return false;
+  return !this.latePolicy.cutoffDate || now <= this.latePolicy.cutoffDate;
+});
+
+// Indexes
+assignmentSchema.index({ course: 1, dueDate: 1 });
+assignmentSchema.index({ instructor: 1 });
+
+submissionSchema.index({ assignment: 1, student: 1, attemptNumber: 1 }, { unique: true });
+submissionSchema.index({ assignment: 1, isLatest: 1 });
+submissionSchema.index({ student: 1, submittedAt: -1 });
+submissionSchema.index({ assignment: 1, 'similarity.maxSimilarity': -1 });
+
+// Compute lateness and penalty (in points) for a submission date.
+// Days are counted like Grade: any started day counts as a full day.
+assignmentSchema.methods.getLatePenalty = function(submittedAt = new Date()) {
+  if (submittedAt <= this.dueDate) {
+    return { isLate: false, daysLate: 0, latePenalty: 0 };
+  }
+  
+  const daysLate = Math.ceil((submittedAt - this.dueDate) / (1000 * 60 * 60 * 24));
+  const percentage = Math.min(
+    daysLate * (this.latePolicy?.penaltyPerDay || 0),
+    this.latePolicy?.maxPenalty ?? 100
+  );
+  
+  return {
+    isLate: true,
+    daysLate,
+    latePenalty: Math.round(this.totalPoints * percentage) / 100
+  };
+};
+
+// Check whether a file extension is accepted for this assignment
+assignmentSchema.methods.acceptsFile = function(extension) {
+  return this.allowedFileTypes.includes(extension.toLowerCase());
+};
+
+const Assignment = mongoose.model('Assignment', assignmentSchema);
+const Submission = mongoose.model('Submission', submissionSchema);
+
+module.exports = { Assignment, Submission };
@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+
+const attendanceRecordSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['present', 'late', 'absent', 'excused'],
+    required: true
+  },
+  checkedInAt: Date,
+  method: {
+    type: String,
+    enum: ['qr', 'manual', 'auto'],
+    default: 'qr'
+  },
+  markedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Approved justification that excused the absence
+  justification: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AbsenceJustification'
+  }
+}, {
+  _id: false
+});
+
+const attendanceSessionSchema = new mongoose.Schema({
+  // Session of the timetable
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Course is required']
+  },
+  lecture: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  exception: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ScheduleException'
+  },
+  academicYear: {
+    type: String,
+    required: true
+  },
+  semester: {
+    type: String,
+    required: true
+  },
+  // Local (Algerian) midnight of the session day
+  date: {
+    type: Date,
+    required: true
+  },
+  startTime: {
+    type: String,
+    required: true
+  },
+  endTime: {
+    type: String,
+    required: true
+  },
+  room: String,
+  sessionType: {
+    type: String,
+    enum: ['Lecture', 'Tutorial', 'Lab', 'Seminar'],
+    default: 'Lecture'
+  },
+  
+  // Status
+  status: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'open'
+  },
+  openedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  openedAt: {
+    type: Date,
+    default: Date.now
+  },
+  closedAt: Date,
+  
+  // Key signing the rotating QR tokens, renewed each time the session is opened
+  secret: {
+    type: String,
+    select: false
+  },
+  
+  records: [attendanceRecordSchema]
+}, {
+  timestamps: true
+});
+
+// Indexes
+attendanceSessionSchema.index({ course: 1, date: 1, startTime: 1 }, { unique: true });
+attendanceSessionSchema.index({ 'records.student': 1, course: 1 });
+attendanceSessionSchema.index({ openedBy: 1, status: 1 });
+
+// Get the record of a student
+attendanceSessionSchema.methods.getRecord = function(studentId) {
+  return this.records.find(record => record.student.toString() === studentId.toString());
+};
+
+module.exports = mongoose.model('AttendanceSession', attendanceSessionSchema);
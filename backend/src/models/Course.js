@@ -1,4 +1,11 @@
 const mongoose = require('mongoose');
+const moment = require('moment');
+const {
+  findAcademicCalendar,
+  getSemesterDates,
+  getExamPeriodDates,
+  getResitPeriodDates
+} = require('../utils/dateUtils');
 
 const courseSchema = new mongoose.Schema({
   // Basic Course Information
@@ -28,6 +35,28 @@ const courseSchema = new mongoose.Schema({
     min: [1, 'Credits must be at least 1'],
     max: [6, 'Credits cannot exceed 6']
   },
+  coefficient: {
+    type: Number,
+    default: 1,
+    min: [1, 'Coefficient must be at least 1'],
+    max: [5, 'Coefficient cannot exceed 5']
+  },
+  teachingUnit: {
+    code: {
+      type: String,
+      uppercase: true,
+      trim: true
+    },
+    name: {
+      type: String,
+      trim: true
+    },
+    type: {
+      type: String,
+      enum: ['Fundamental', 'Methodological', 'Discovery', 'Transversal'],
+      default: 'Fundamental'
+    }
+  },
   department: {
     type: String,
     required: [true, 'Department is required'],
@@ -89,12 +118,37 @@ const courseSchema = new mongoose.Schema({
         type: String,
         required: true
       },
+      roomRef: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Room'
+      },
       type: {
         type: String,
         enum: ['Lecture', 'Tutorial', 'Lab', 'Seminar'],
         default: 'Lecture'
       }
-    }]
+    }],
+    // Sessions per week, used by the timetable generator
+    weeklySessions: {
+      lectures: {
+        type: Number,
+        min: 0,
+        max: 5,
+        default: 1
+      },
+      tutorials: {
+        type: Number,
+        min: 0,
+        max: 5,
+        default: 1
+      },
+      labs: {
+        type: Number,
+        min: 0,
+        max: 5,
+        default: 0
+      }
+    }
   },
   
   // Course Capacity & Enrollment
@@ -117,9 +171,57 @@ const courseSchema = new mongoose.Schema({
       type: String,
       enum: ['enrolled', 'completed', 'dropped', 'failed'],
       default: 'enrolled'
+    },
+    // Attendance standing, kept up to date by the absence policy
+    absenceWarnedAt: Date,
+    isExcluded: {
+      type: Boolean,
+      default: false
+    },
+    excludedAt: Date,
+    // Enrollment granted by staff despite unmet prerequisites
+    prerequisiteOverride: {
+      grantedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      justification: String,
+      unmet: [String],
+      grantedAt: Date
     }
   }],
   
+  // Waitlist, in order of arrival. Entries are kept once resolved so the
+  // queue history stays traceable.
+  waitlist: [{
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    position: {
+      type: Number,
+      required: true
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now
+    },
+    status: {
+      type: String,
+      enum: ['waiting', 'offered', 'enrolled', 'expired', 'declined', 'left'],
+      default: 'waiting'
+    },
+    // Seat held for the student until the offer expires
+    offeredAt: Date,
+    offerExpiresAt: Date,
+    resolvedAt: Date
+  }],
+  waitlistSequence: {
+    type: Number,
+    default: 0
+  },
+  
   // Prerequisites
   prerequisites: [{
     course: {
@@ -218,6 +320,48 @@ const courseSchema = new mongoose.Schema({
     }
   },
   
+  // Rubrics attached to course assessments
+  assessmentRubrics: [{
+    assessmentType: {
+      type: String,
+      required: true,
+      enum: ['assignment', 'quiz', 'midterm', 'final', 'project', 'participation', 'lab', 'presentation', 'homework']
+    },
+    assessmentName: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    rubric: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Rubric',
+      required: true
+    }
+  }],
+  
+  // Resit Session Policy
+  resitPolicy: {
+    rule: {
+      type: String,
+      enum: ['max', 'replace_exam', 'capped'],
+      default: 'max'
+    },
+    cap: {
+      type: Number,
+      min: 0,
+      max: 20,
+      default: 10
+    }
+  },
+  
+  // Grade Contestation (recours) Window, in days after release
+  disputeWindowDays: {
+    type: Number,
+    min: 0,
+    max: 60,
+    default: 7
+  },
+  
   // Important Dates
   academicYear: {
     type: String,
@@ -291,14 +435,22 @@ const courseSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
+// Virtual for seats held by pending waitlist offers
+courseSchema.virtual('pendingOffers').get(function() {
+  const now = new Date();
+  return (this.waitlist || []).filter(entry =>
+    entry.status === 'offered' && entry.offerExpiresAt > now
+  ).length;
+});
+
 // Virtual for available spots
 courseSchema.virtual('availableSpots').get(function() {
-  return this.maxStudents - this.enrolledStudents.length;
+  return Math.max(0, this.maxStudents - this.currentEnrollment - this.pendingOffers);
 });
 
 // Virtual for enrollment status
 courseSchema.virtual('isFullyEnrolled').get(function() {
-  return this.enrolledStudents.length >= this.maxStudents;
+  return this.availableSpots === 0;
 });
 
 // Virtual for current enrollment count
@@ -323,6 +475,8 @@ courseSchema.index({ department: 1, level: 1 });
 courseSchema.index({ instructor: 1 });
 courseSchema.index({ status: 1, isVisible: 1 });
 courseSchema.index({ academicYear: 1, semester: 1 });
+courseSchema.index({ 'schedule.lectures.roomRef': 1 });
+courseSchema.index({ 'waitlist.status': 1, 'waitlist.offerExpiresAt': 1 });
 
 // Pre-save validation
 courseSchema.pre('save', function(next) {
@@ -342,13 +496,56 @@ courseSchema.pre('save', function(next) {
     return next(new Error('Assessment percentages must sum to 100'));
   }
   
+  // Dates must fit the semester of the academic calendar, when one is defined
+  const datesChanged = ['startDate', 'endDate', 'semester', 'academicYear'].some(path => this.isModified(path));
+  if (datesChanged && this.startDate && this.endDate && findAcademicCalendar(this.academicYear)) {
+    const semester = getSemesterDates(this.semester, this.academicYear);
+    const periods = [getExamPeriodDates(this.semester, this.academicYear), getResitPeriodDates(this.semester, this.academicYear)]
+      .filter(Boolean);
+    const latest = moment.max(semester.end, ...periods.map(period => period.end));
+    
+    if (moment(this.startDate).isBefore(semester.start) || moment(this.endDate).isAfter(latest)) {
+      return next(new Error(
+        `Course dates must fall within ${this.semester} of ${this.academicYear} ` +
+        `(${semester.start.format('YYYY-MM-DD')} to ${latest.format('YYYY-MM-DD')})`
+      ));
+    }
+  }
+  
   next();
 });
 
-// Method to enroll a student
-courseSchema.methods.enrollStudent = async function(studentId) {
+// Method to get the rubric attached to an assessment
+courseSchema.methods.getAssessmentRubric = function(assessmentType, assessmentName) {
+  const entry = this.assessmentRubrics.find(a => 
+    a.assessmentType === assessmentType && a.assessmentName === assessmentName
+  );
+  return entry ? entry.rubric : null;
+};
+
+// Check whether a student follows the module (any enrollment not dropped)
+courseSchema.methods.isStudentEnrolled = function(studentId) {
+  return this.enrolledStudents.some(enrollment =>
+    enrollment.student.toString() === studentId.toString() && enrollment.status !== 'dropped'
+  );
+};
+
+// Check whether a student is excluded from the module for unjustified absences
+courseSchema.methods.isStudentExcluded = function(studentId) {
+  return this.enrolledStudents.some(enrollment =>
+    enrollment.student.toString() === studentId.toString() && enrollment.isExcluded
+  );
+};
+
+// Method to enroll a student (prerequisites are checked by prerequisiteService;
+// `options.prerequisiteOverride` records a staff override)
+courseSchema.methods.enrollStudent = async function(studentId, options = {}) {
+  // A student holding a waitlist offer takes the seat reserved for them
+  const offer = this.getWaitlistEntry(studentId);
+  const hasOffer = offer && offer.status === 'offered' && offer.offerExpiresAt > new Date();
+  
   // Check if course is full
-  if (this.isFullyEnrolled) {
+  if (hasOffer ? this.currentEnrollment >= this.maxStudents : this.isFullyEnrolled) {
     throw new Error('Course is full');
   }
   
@@ -357,16 +554,29 @@ courseSchema.methods.enrollStudent = async function(studentId) {
     enrollment => enrollment.student.toString() === studentId.toString()
   );
   
-  if (existingEnrollment) {
+  if (existingEnrollment && existingEnrollment.status !== 'dropped') {
     throw new Error('Student is already enrolled in this course');
   }
   
-  // Add student to enrolled list
-  this.enrolledStudents.push({
-    student: studentId,
-    enrollmentDate: new Date(),
-    status: 'enrolled'
-  });
+  if (existingEnrollment) {
+    // Re-enrollment after a drop
+    existingEnrollment.status = 'enrolled';
+    existingEnrollment.enrollmentDate = new Date();
+    existingEnrollment.prerequisiteOverride = options.prerequisiteOverride;
+  } else {
+    // Add student to enrolled list
+    this.enrolledStudents.push({
+      student: studentId,
+      enrollmentDate: new Date(),
+      status: 'enrolled',
+      prerequisiteOverride: options.prerequisiteOverride
+    });
+  }
+  
+  if (offer) {
+    offer.status = 'enrolled';
+    offer.resolvedAt = new Date();
+  }
   
   // Update statistics
   this.stats.totalEnrollments += 1;
@@ -378,7 +588,8 @@ courseSchema.methods.enrollStudent = async function(studentId) {
 // Method to drop a student
 courseSchema.methods.dropStudent = async function(studentId) {
   const enrollmentIndex = this.enrolledStudents.findIndex(
-    enrollment => enrollment.student.toString() === studentId.toString()
+    enrollment => enrollment.student.toString() === studentId.toString() &&
+      enrollment.status === 'enrolled'
   );
   
   if (enrollmentIndex === -1) {
@@ -392,6 +603,49 @@ courseSchema.methods.dropStudent = async function(studentId) {
   return this.save();
 };
 
+// Get the open (waiting or offered) waitlist entry of a student
+courseSchema.methods.getWaitlistEntry = function(studentId) {
+  return (this.waitlist || []).find(entry =>
+    entry.student.toString() === studentId.toString() &&
+    ['waiting', 'offered'].includes(entry.status)
+  );
+};
+
+// Get a student's rank among those still waiting (1 = next in line)
+courseSchema.methods.getWaitlistRank = function(studentId) {
+  const entry = this.getWaitlistEntry(studentId);
+  if (!entry || entry.status !== 'waiting') return null;
+  
+  return this.waitlist.filter(other =>
+    other.status === 'waiting' && other.position < entry.position
+  ).length + 1;
+};
+
+// Method to add a student to the waitlist
+courseSchema.methods.joinWaitlist = async function(studentId) {
+  const isEnrolled = this.enrolledStudents.some(enrollment =>
+    enrollment.student.toString() === studentId.toString() && enrollment.status === 'enrolled'
+  );
+  
+  if (isEnrolled) {
+    throw new Error('Student is already enrolled in this course');
+  }
+  
+  if (this.getWaitlistEntry(studentId)) {
+    throw new Error('Student is already on the waitlist');
+  }
+  
+  this.waitlistSequence += 1;
+  this.waitlist.push({
+    student: studentId,
+    position: this.waitlistSequence,
+    joinedAt: new Date(),
+    status: 'waiting'
+  });
+  
+  return this.save();
+};
+
 // Method to get active students
 courseSchema.methods.getActiveStudents = function() {
   return this.enrolledStudents.filter(enrollment => 
@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+
+const electiveCampaignSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Campaign name is required'],
+    trim: true,
+    maxlength: [150, 'Campaign name cannot exceed 150 characters']
+  },
+  
+  // Students concerned
+  department: {
+    type: String,
+    required: [true, 'Department is required'],
+    enum: ['Computer Science', 'Software Engineering', 'Information Systems', 'Artificial Intelligence', 'Networks']
+  },
+  level: {
+    type: String,
+    required: [true, 'Level is required'],
+    enum: ['L1', 'L2', 'L3', 'M1', 'M2']
+  },
+  semester: {
+    type: String,
+    required: [true, 'Semester is required'],
+    enum: ['S1', 'S2', 'S3', 'S4', 'S5', 'S6', 'S7', 'S8', 'S9', 'S10']
+  },
+  academicYear: {
+    type: String,
+    required: [true, 'Academic year is required'],
+    match: [/^\d{4}-\d{4}$/, 'Academic year format should be YYYY-YYYY']
+  },
+  
+  // Elective or specialty modules on offer, with the seats open to the campaign
+  options: [{
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Course',
+      required: true
+    },
+    capacity: {
+      type: Number,
+      required: true,
+      min: [0, 'Capacity cannot be negative']
+    }
+  }],
+  maxChoices: {
+    type: Number,
+    min: 1
+  },
+  
+  // Submission window
+  opensAt: {
+    type: Date,
+    default: Date.now
+  },
+  deadline: {
+    type: Date,
+    required: [true, 'Deadline is required']
+  },
+  
+  // Ranked wishes, most wanted first
+  submissions: [{
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    choices: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Course'
+    }],
+    submittedAt: {
+      type: Date,
+      default: Date.now
+    },
+    // Filled in by the allocation run
+    average: Number,
+    assignedCourse: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Course'
+    },
+    assignedRank: Number
+  }],
+  
+  // Status
+  status: {
+    type: String,
+    enum: ['open', 'allocated', 'published', 'cancelled'],
+    default: 'open'
+  },
+  
+  // Allocation
+  referenceYear: String,
+  allocatedAt: Date,
+  allocatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  publishedAt: Date,
+  publishedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  announcement: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Announcement'
+  },
+  
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+electiveCampaignSchema.index({ department: 1, level: 1, academicYear: 1, semester: 1 });
+electiveCampaignSchema.index({ status: 1, deadline: 1 });
+electiveCampaignSchema.index({ 'submissions.student': 1 });
+
+// Virtual for submission window
+electiveCampaignSchema.virtual('isAcceptingChoices').get(function() {
+  const now = new Date();
+  return this.status === 'open' && this.opensAt <= now && now <= this.deadline;
+});
+
+// Get the submission of a student
+electiveCampaignSchema.methods.getSubmission = function(studentId) {
+  return this.submissions.find(submission => submission.student.toString() === studentId.toString());
+};
+
+module.exports = mongoose.model('ElectiveCampaign', electiveCampaignSchema);
@@ -0,0 +1,185 @@
+const mongoose = require('mongoose');
+
+const examRoomSchema = new mongoose.Schema({
+  room: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room'
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  // Seats usable for the exam (room capacity times the session occupancy)
+  seats: {
+    type: Number,
+    required: true
+  },
+  students: [{
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    seat: {
+      type: Number,
+      required: true
+    }
+  }],
+  invigilators: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Invigilators the room should have; more than assigned means the pool ran short
+  invigilatorsNeeded: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+const examSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  department: String,
+  level: String,
+  // Local (Algerian) midnight of the exam day
+  date: {
+    type: Date,
+    required: true
+  },
+  startTime: {
+    type: String,
+    required: true
+  },
+  endTime: {
+    type: String,
+    required: true
+  },
+  rooms: [examRoomSchema]
+});
+
+const examSessionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Session name is required'],
+    trim: true,
+    maxlength: [150, 'Session name cannot exceed 150 characters']
+  },
+  type: {
+    type: String,
+    enum: ['normal', 'resit'],
+    default: 'normal'
+  },
+  
+  // Modules concerned
+  academicYear: {
+    type: String,
+    required: [true, 'Academic year is required'],
+    match: [/^\d{4}-\d{4}$/, 'Academic year format should be YYYY-YYYY']
+  },
+  semesters: [{
+    type: String,
+    enum: ['S1', 'S2', 'S3', 'S4', 'S5', 'S6', 'S7', 'S8', 'S9', 'S10']
+  }],
+  department: {
+    type: String,
+    enum: ['Computer Science', 'Software Engineering', 'Information Systems', 'Artificial Intelligence', 'Networks']
+  },
+  
+  // Session Window
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required']
+  },
+  slots: [{
+    startTime: {
+      type: String,
+      required: true,
+      match: [/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Time format should be HH:MM']
+    },
+    endTime: {
+      type: String,
+      required: true,
+      match: [/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Time format should be HH:MM']
+    }
+  }],
+  
+  // Planner Options
+  rooms: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room'
+  }],
+  // Share of each room's capacity used (students sit one seat apart by default)
+  occupancy: {
+    type: Number,
+    min: 0.2,
+    max: 1,
+    default: 0.5
+  },
+  seatingOrder: {
+    type: String,
+    enum: ['alphabetical', 'studentId'],
+    default: 'alphabetical'
+  },
+  minInvigilatorsPerRoom: {
+    type: Number,
+    min: 1,
+    default: 2
+  },
+  studentsPerInvigilator: {
+    type: Number,
+    min: 5,
+    default: 40
+  },
+  
+  // Planner Output
+  exams: [examSchema],
+  unscheduled: [{
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Course'
+    },
+    reason: String
+  }],
+  plannedAt: Date,
+  
+  // Status
+  status: {
+    type: String,
+    enum: ['draft', 'published', 'cancelled'],
+    default: 'draft'
+  },
+  publishedAt: Date,
+  publishedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+examSessionSchema.index({ academicYear: 1, status: 1 });
+examSessionSchema.index({ 'exams.rooms.students.student': 1 });
+examSessionSchema.index({ 'exams.rooms.invigilators': 1 });
+
+// Pre-save validation
+examSessionSchema.pre('save', function(next) {
+  if (this.endDate < this.startDate) {
+    return next(new Error('End date must be after start date'));
+  }
+  next();
+});
+
+module.exports = mongoose.model('ExamSession', examSessionSchema);
@@ -17,6 +17,10 @@ const gradeSchema = new mongoose.Schema({
     ref: 'User',
     required: [true, 'Instructor is required']
   },
+  assignment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Assignment'
+  },
   
   // Academic Period
   academicYear: {
@@ -34,7 +38,7 @@ const gradeSchema = new mongoose.Schema({
   assessmentType: {
     type: String,
     required: [true, 'Assessment type is required'],
-    enum: ['assignment', 'quiz', 'midterm', 'final', 'project', 'participation', 'lab', 'presentation', 'homework']
+    enum: ['assignment', 'quiz', 'midterm', 'final', 'project', 'participation', 'lab', 'presentation', 'homework', 'resit']
   },
   assessmentName: {
     type: String,
@@ -62,14 +66,10 @@ const gradeSchema = new mongoose.Schema({
     min: [0, 'Percentage cannot be negative'],
     max: [100, 'Percentage cannot exceed 100']
   },
-  letterGrade: {
-    type: String,
-    enum: ['A', 'A-', 'B+', 'B', 'B-', 'C+', 'C', 'C-', 'D+', 'D', 'F', 'I', 'W', 'P', 'NP']
-  },
-  gradePoints: {
+  mark: {
     type: Number,
-    min: [0, 'Grade points cannot be negative'],
-    max: [4, 'Grade points cannot exceed 4.0']
+    min: [0, 'Mark cannot be negative'],
+    max: [20, 'Mark cannot exceed 20']
   },
   
   // Weight in Course
@@ -130,6 +130,17 @@ const gradeSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  releasedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  scheduledReleaseDate: {
+    type: Date
+  },
+  scheduledReleaseBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   
   // Feedback & Comments
   feedback: {
@@ -140,11 +151,16 @@ const gradeSchema = new mongoose.Schema({
     type: String,
     maxlength: [1000, 'Private notes cannot exceed 1000 characters']
   },
+  rubric: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Rubric'
+  },
   rubricScores: [{
     criterion: {
       type: String,
       required: true
     },
+    level: String,
     score: {
       type: Number,
       required: true,
@@ -299,26 +315,69 @@ const courseGradeSummarySchema = new mongoose.Schema({
     required: true
   },
   
-  // Overall Grade
-  currentGrade: {
+  // Module Result (LMD, out of 20)
+  moduleAverage: {
     type: Number,
     min: 0,
-    max: 100
+    max: 20
   },
-  letterGrade: {
-    type: String,
-    enum: ['A', 'A-', 'B+', 'B', 'B-', 'C+', 'C', 'C-', 'D+', 'D', 'F', 'I', 'W']
-  },
-  gradePoints: {
+  coefficient: {
     type: Number,
-    min: 0,
-    max: 4
+    default: 1,
+    min: 1
   },
   credits: {
     type: Number,
     required: true
   },
   
+  // Teaching Unit (UE) & Credit Acquisition
+  teachingUnit: {
+    code: String,
+    name: String
+  },
+  unitAverage: {
+    type: Number,
+    min: 0,
+    max: 20
+  },
+  creditsEarned: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  isAcquired: {
+    type: Boolean,
+    default: false
+  },
+  acquisitionMode: {
+    type: String,
+    enum: ['direct', 'unit_compensation', 'semester_compensation', null],
+    default: null
+  },
+  
+  // Resit Session (rattrapage)
+  resit: {
+    isEligible: {
+      type: Boolean,
+      default: false
+    },
+    normalAverage: {
+      type: Number,
+      min: 0,
+      max: 20
+    },
+    mark: {
+      type: Number,
+      min: 0,
+      max: 20
+    },
+    rule: {
+      type: String,
+      enum: ['max', 'replace_exam', 'capped']
+    }
+  },
+  
   // Category Breakdown
   categoryGrades: [{
     category: {
@@ -338,6 +397,10 @@ const courseGradeSummarySchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    average: {
+      type: Number,
+      default: 0
+    },
     weight: {
       type: Number,
       required: true
@@ -351,7 +414,7 @@ const courseGradeSummarySchema = new mongoose.Schema({
   // Status & Progress
   status: {
     type: String,
-    enum: ['in_progress', 'completed', 'withdrawn', 'incomplete'],
+    enum: ['in_progress', 'resit', 'completed', 'withdrawn', 'incomplete'],
     default: 'in_progress'
   },
   completionPercentage: {
@@ -413,18 +476,21 @@ gradeSchema.virtual('finalPercentage').get(function() {
 });
 
 gradeSchema.virtual('isPass').get(function() {
-  return this.finalPercentage >= 60; // Assuming 60% is passing
+  return (this.finalScore / this.totalPoints) * 20 >= 10; // LMD pass mark is 10/20
 });
 
 // Indexes
 gradeSchema.index({ student: 1, course: 1, academicYear: 1, semester: 1 });
 gradeSchema.index({ course: 1, assessmentType: 1 });
 gradeSchema.index({ instructor: 1 });
+gradeSchema.index({ assignment: 1, student: 1 });
 gradeSchema.index({ gradingStatus: 1, isReleased: 1 });
+gradeSchema.index({ isReleased: 1, scheduledReleaseDate: 1 });
 gradeSchema.index({ dueDate: 1 });
 
 courseGradeSummarySchema.index({ student: 1, academicYear: 1, semester: 1 });
 courseGradeSummarySchema.index({ course: 1 });
+courseGradeSummarySchema.index({ course: 1, academicYear: 1, semester: 1, 'resit.isEligible': 1 });
 
 // Pre-save middleware for Grade
 gradeSchema.pre('save', function(next) {
@@ -433,28 +499,11 @@ gradeSchema.pre('save', function(next) {
     this.percentage = (this.finalScore / this.totalPoints) * 100;
   }
   
-  // Calculate letter grade based on percentage
+  // Calculate mark out of 20 (LMD scale)
   if (this.percentage !== undefined) {
-    if (this.percentage >= 97) this.letterGrade = 'A';
-    else if (this.percentage >= 93) this.letterGrade = 'A-';
-    else if (this.percentage >= 90) this.letterGrade = 'B+';
-    else if (this.percentage >= 87) this.letterGrade = 'B';
-    else if (this.percentage >= 83) this.letterGrade = 'B-';
-    else if (this.percentage >= 80) this.letterGrade = 'C+';
-    else if (this.percentage >= 77) this.letterGrade = 'C';
-    else if (this.percentage >= 73) this.letterGrade = 'C-';
-    else if (this.percentage >= 70) this.letterGrade = 'D+';
-    else if (this.percentage >= 60) this.letterGrade = 'D';
-    else this.letterGrade = 'F';
+    this.mark = Math.round(this.percentage * 20) / 100;
   }
   
-  // Calculate grade points
-  const gradePointMap = {
-    'A': 4.0, 'A-': 3.7, 'B+': 3.3, 'B': 3.0, 'B-': 2.7,
-    'C+': 2.3, 'C': 2.0, 'C-': 1.7, 'D+': 1.3, 'D': 1.0, 'F': 0.0
-  };
-  this.gradePoints = gradePointMap[this.letterGrade] || 0;
-  
   // Check if late
   if (this.submissionDate && this.dueDate && this.submissionDate > this.dueDate) {
     this.isLate = true;
@@ -519,50 +568,8 @@ gradeSchema.statics.getCourseGrades = function(courseId, academicYear, semester)
   }).populate('student', 'firstName lastName studentId');
 };
 
-gradeSchema.statics.calculateGPA = async function(studentId, academicYear, semester) {
-  const pipeline = [
-    {
-      $match: {
-        student: mongoose.Types.ObjectId(studentId),
-        academicYear,
-        semester,
-        isReleased: true,
-        gradingStatus: 'graded'
-      }
-    },
-    {
-      $lookup: {
-        from: 'courses',
-        localField: 'course',
-        foreignField: '_id',
-        as: 'courseInfo'
-      }
-    },
-    {
-      $unwind: '$courseInfo'
-    },
-    {
-      $group: {
-        _id: '$course',
-        finalGrade: { $avg: '$gradePoints' },
-        credits: { $first: '$courseInfo.credits' }
-      }
-    },
-    {
-      $group: {
-        _id: null,
-        totalGradePoints: { $sum: { $multiply: ['$finalGrade', '$credits'] } },
-        totalCredits: { $sum: '$credits' }
-      }
-    }
-  ];
-  
-  const result = await this.aggregate(pipeline);
-  if (result.length > 0) {
-    return result[0].totalGradePoints / result[0].totalCredits;
-  }
-  return 0;
-};
+// Module averages, UE compensation and credit acquisition live in
+// services/gradingService (computeStudentSemester)
 
 const Grade = mongoose.model('Grade', gradeSchema);
 const CourseGradeSummary = mongoose.model('CourseGradeSummary', courseGradeSummarySchema);
@@ -0,0 +1,159 @@
+const mongoose = require('mongoose');
+
+const gradeDisputeSchema = new mongoose.Schema({
+  // Contested Grade
+  grade: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Grade',
+    required: [true, 'Grade is required']
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Student is required']
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Course is required']
+  },
+  instructor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Instructor is required']
+  },
+  academicYear: {
+    type: String,
+    required: true
+  },
+  semester: {
+    type: String,
+    required: true
+  },
+
+  // Student Request
+  justification: {
+    type: String,
+    required: [true, 'Justification is required'],
+    trim: true,
+    minlength: [20, 'Justification must be at least 20 characters'],
+    maxlength: [2000, 'Justification cannot exceed 2000 characters']
+  },
+  attachment: {
+    filename: String,
+    originalName: String,
+    path: String,
+    size: Number,
+    mimetype: String
+  },
+
+  // Mark at the time the dispute was opened
+  originalPoints: {
+    type: Number,
+    required: true
+  },
+  totalPoints: {
+    type: Number,
+    required: true
+  },
+  previousGradingStatus: {
+    type: String,
+    enum: ['graded', 'returned'],
+    default: 'returned'
+  },
+
+  // Status
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'rejected', 'withdrawn'],
+    default: 'pending'
+  },
+
+  // Resolution
+  resolution: {
+    newPoints: Number,
+    reason: {
+      type: String,
+      maxlength: [1000, 'Resolution reason cannot exceed 1000 characters']
+    },
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    resolvedAt: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for the mark change granted by the resolution
+gradeDisputeSchema.virtual('pointsChange').get(function() {
+  if (this.status !== 'accepted' || this.resolution?.newPoints === undefined) return 0;
+  return this.resolution.newPoints - this.originalPoints;
+});
+
+// Virtual for time spent waiting for a decision (in days)
+gradeDisputeSchema.virtual('resolutionDays').get(function() {
+  const end = this.resolution?.resolvedAt || new Date();
+  return Math.floor((end - this.createdAt) / (1000 * 60 * 60 * 24));
+});
+
+// Indexes
+gradeDisputeSchema.index({ grade: 1, status: 1 });
+gradeDisputeSchema.index({ student: 1, createdAt: -1 });
+gradeDisputeSchema.index({ instructor: 1, status: 1 });
+gradeDisputeSchema.index({ course: 1, academicYear: 1, semester: 1 });
+
+// Static methods
+gradeDisputeSchema.statics.hasOpenDispute = function(gradeId) {
+  return this.exists({ grade: gradeId, status: 'pending' });
+};
+
+// Dispute volume and outcomes per course
+gradeDisputeSchema.statics.getCourseStatistics = function(match = {}) {
+  return this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$course',
+        total: { $sum: 1 },
+        pending: { $sum: { $cond: [{ $eq: ['$status', 'pending'] }, 1, 0] } },
+        accepted: { $sum: { $cond: [{ $eq: ['$status', 'accepted'] }, 1, 0] } },
+        rejected: { $sum: { $cond: [{ $eq: ['$status', 'rejected'] }, 1, 0] } },
+        withdrawn: { $sum: { $cond: [{ $eq: ['$status', 'withdrawn'] }, 1, 0] } },
+        students: { $addToSet: '$student' }
+      }
+    },
+    {
+      $lookup: {
+        from: 'courses',
+        localField: '_id',
+        foreignField: '_id',
+        as: 'course'
+      }
+    },
+    { $unwind: '$course' },
+    {
+      $project: {
+        _id: 0,
+        course: {
+          _id: '$course._id',
+          name: '$course.name',
+          code: '$course.code',
+          department: '$course.department'
+        },
+        total: 1,
+        pending: 1,
+        accepted: 1,
+        rejected: 1,
+        withdrawn: 1,
+        studentCount: { $size: '$students' }
+      }
+    },
+    { $sort: { total: -1 } }
+  ]);
+};
+
+module.exports = mongoose.model('GradeDispute', gradeDisputeSchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Official date of an Islamic holiday, recorded by an admin once announced
+// after the moon sighting. Replaces the date computed from the Hijri calendar.
+const holidayOverrideSchema = new mongoose.Schema({
+  holiday: {
+    type: String,
+    enum: ['islamic_new_year', 'ashura', 'mawlid', 'eid_al_fitr', 'eid_al_adha'],
+    required: [true, 'Holiday is required']
+  },
+  hijriYear: {
+    type: Number,
+    required: [true, 'Hijri year is required'],
+    min: 1
+  },
+  // First day of the holiday
+  date: {
+    type: Date,
+    required: [true, 'Date is required']
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Note cannot exceed 200 characters']
+  },
+  
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+holidayOverrideSchema.index({ holiday: 1, hijriYear: 1 }, { unique: true });
+
+module.exports = mongoose.model('HolidayOverride', holidayOverrideSchema);
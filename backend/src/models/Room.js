@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+// Session types each kind of room can host
+const ROOM_SESSION_TYPES = {
+  amphitheatre: ['Lecture', 'Seminar'],
+  classroom: ['Lecture', 'Tutorial', 'Seminar'],
+  lab: ['Lab', 'Tutorial']
+};
+
+const roomSchema = new mongoose.Schema({
+  // Basic Information
+  name: {
+    type: String,
+    required: [true, 'Room name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [50, 'Room name cannot exceed 50 characters']
+  },
+  // Uppercase name without extra spaces, used to match schedule entries
+  normalizedName: {
+    type: String,
+    unique: true
+  },
+  building: {
+    type: String,
+    required: [true, 'Building is required'],
+    trim: true,
+    maxlength: [100, 'Building cannot exceed 100 characters']
+  },
+  floor: {
+    type: Number,
+    min: -2,
+    max: 20
+  },
+  type: {
+    type: String,
+    required: [true, 'Room type is required'],
+    enum: ['amphitheatre', 'classroom', 'lab']
+  },
+  
+  // Capacity & Equipment
+  capacity: {
+    type: Number,
+    required: [true, 'Capacity is required'],
+    min: [1, 'Capacity must be at least 1'],
+    max: [1000, 'Capacity cannot exceed 1000']
+  },
+  equipment: [{
+    type: String,
+    enum: ['projector', 'lab_pcs', 'smart_board', 'sound_system', 'air_conditioning', 'whiteboard']
+  }],
+  computerCount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  
+  // Status
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for the session types the room can host
+roomSchema.virtual('sessionTypes').get(function() {
+  return ROOM_SESSION_TYPES[this.type] || [];
+});
+
+// Indexes
+roomSchema.index({ building: 1, name: 1 });
+roomSchema.index({ isActive: 1, capacity: 1 });
+roomSchema.index({ equipment: 1 });
+
+// Pre-validate middleware to keep the normalized name in sync
+roomSchema.pre('validate', function(next) {
+  if (this.name) {
+    this.normalizedName = this.constructor.normalizeName(this.name);
+  }
+  next();
+});
+
+// Static method to normalise a room name
+roomSchema.statics.normalizeName = function(name) {
+  return String(name || '').trim().toUpperCase().replace(/\s+/g, ' ');
+};
+
+// Static method to find a room by its (free-text) name
+roomSchema.statics.findByName = function(name) {
+  return this.findOne({ normalizedName: this.normalizeName(name) });
+};
+
+module.exports = mongoose.model('Room', roomSchema);
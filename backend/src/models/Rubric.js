@@ -0,0 +1,177 @@
+const mongoose = require('mongoose');
+
+const levelSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    required: [true, 'Level label is required'],
+    trim: true,
+    maxlength: [50, 'Level label cannot exceed 50 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Level description cannot exceed 500 characters']
+  },
+  points: {
+    type: Number,
+    required: [true, 'Level points are required'],
+    min: [0, 'Level points cannot be negative']
+  }
+}, { _id: false });
+
+const criterionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Criterion name is required'],
+    trim: true,
+    maxlength: [100, 'Criterion name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Criterion description cannot exceed 500 characters']
+  },
+  levels: {
+    type: [levelSchema],
+    validate: {
+      validator: levels => levels.length >= 2,
+      message: 'A criterion needs at least two levels'
+    }
+  }
+}, { _id: false });
+
+const rubricSchema = new mongoose.Schema({
+  // Basic Information
+  name: {
+    type: String,
+    required: [true, 'Rubric name is required'],
+    trim: true,
+    maxlength: [100, 'Rubric name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+  
+  // Ownership
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Owner is required']
+  },
+  department: {
+    type: String,
+    enum: ['Computer Science', 'Software Engineering', 'Information Systems', 'Artificial Intelligence', 'Networks']
+  },
+  // Shared rubrics can be reused (duplicated) by other teachers
+  isShared: {
+    type: Boolean,
+    default: false
+  },
+  
+  // Criteria
+  criteria: {
+    type: [criterionSchema],
+    validate: {
+      validator: criteria => criteria.length > 0,
+      message: 'A rubric needs at least one criterion'
+    }
+  },
+  
+  // Status
+  isArchived: {
+    type: Boolean,
+    default: false
+  },
+  usageCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for the maximum score of the rubric
+rubricSchema.virtual('maxPoints').get(function() {
+  if (!this.criteria) return 0;
+  return this.criteria.reduce((sum, criterion) => {
+    return sum + Math.max(...criterion.levels.map(level => level.points));
+  }, 0);
+});
+
+// Indexes
+rubricSchema.index({ owner: 1, isArchived: 1 });
+rubricSchema.index({ isShared: 1, department: 1 });
+rubricSchema.index({ name: 'text', description: 'text' });
+
+// Check criteria consistency, returns an error message or null
+rubricSchema.methods.checkCriteria = function() {
+  // Criterion names identify rubric scores on grades, so they must be unique
+  const names = this.criteria.map(c => c.name.toLowerCase());
+  if (new Set(names).size !== names.length) {
+    return 'Criterion names must be unique within a rubric';
+  }
+  
+  for (const criterion of this.criteria) {
+    const labels = criterion.levels.map(l => l.label.toLowerCase());
+    if (new Set(labels).size !== labels.length) {
+      return `Level labels must be unique in criterion "${criterion.name}"`;
+    }
+  }
+  
+  if (this.maxPoints < 1) {
+    return 'A rubric must be worth at least one point';
+  }
+  
+  return null;
+};
+
+// Pre-save middleware
+rubricSchema.pre('save', function(next) {
+  const problem = this.checkCriteria();
+  if (problem) {
+    return next(new Error(problem));
+  }
+  
+  next();
+});
+
+// Turn level selections ([{ criterion, level, comments }]) into Grade.rubricScores.
+// Every criterion must be scored exactly once.
+rubricSchema.methods.scoreSelections = function(selections = []) {
+  const rubricScores = this.criteria.map(criterion => {
+    const matches = selections.filter(s => s.criterion === criterion.name);
+    if (matches.length === 0) {
+      throw new Error(`Missing selection for criterion "${criterion.name}"`);
+    }
+    if (matches.length > 1) {
+      throw new Error(`Criterion "${criterion.name}" is selected more than once`);
+    }
+  
+    const level = criterion.levels.find(l => l.label === matches[0].level);
+    if (!level) {
+      throw new Error(`Unknown level "${matches[0].level}" for criterion "${criterion.name}"`);
+    }
+  
+    return {
+      criterion: criterion.name,
+      level: level.label,
+      score: level.points,
+      maxScore: Math.max(...criterion.levels.map(l => l.points)),
+      comments: matches[0].comments
+    };
+  });
+  
+  const unknown = selections.find(s => !this.criteria.some(c => c.name === s.criterion));
+  if (unknown) {
+    throw new Error(`Unknown criterion "${unknown.criterion}"`);
+  }
+  
+  return {
+    rubricScores,
+    pointsEarned: rubricScores.reduce((sum, score) => sum + score.score, 0),
+    totalPoints: this.maxPoints
+  };
+};
+
+module.exports = mongoose.model('Rubric', rubricSchema);
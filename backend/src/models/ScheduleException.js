@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+const scheduleExceptionSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Course is required']
+  },
+  type: {
+    type: String,
+    required: [true, 'Exception type is required'],
+    enum: ['cancellation', 'move', 'extra']
+  },
+  
+  // Session of the weekly schedule affected (cancellation and move)
+  original: {
+    lecture: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    // Local (Algerian) midnight of the affected occurrence
+    date: Date,
+    startTime: String,
+    endTime: String,
+    room: String
+  },
+  
+  // Session actually held (move and extra)
+  replacement: {
+    date: Date,
+    startTime: String,
+    endTime: String,
+    room: String,
+    roomRef: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Room'
+    },
+    sessionType: {
+      type: String,
+      enum: ['Lecture', 'Tutorial', 'Lab', 'Seminar']
+    }
+  },
+  
+  reason: {
+    type: String,
+    required: [true, 'Reason is required'],
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  announcement: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Announcement'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+scheduleExceptionSchema.index({ course: 1, 'original.date': 1 });
+scheduleExceptionSchema.index({ 'replacement.date': 1 });
+// A weekly session occurrence can only be cancelled or moved once
+scheduleExceptionSchema.index(
+  { course: 1, 'original.lecture': 1, 'original.date': 1 },
+  { unique: true, partialFilterExpression: { 'original.lecture': { $exists: true } } }
+);
+
+// Pre-validate middleware to check the fields each type needs
+scheduleExceptionSchema.pre('validate', function(next) {
+  if (this.type !== 'extra' && !(this.original?.lecture && this.original?.date)) {
+    this.invalidate('original', 'The affected session is required');
+  }
+  if (this.type !== 'cancellation' && !(this.replacement?.date && this.replacement?.startTime && this.replacement?.room)) {
+    this.invalidate('replacement', 'The new date, time and room are required');
+  }
+  next();
+});
+
+module.exports = mongoose.model('ScheduleException', scheduleExceptionSchema);
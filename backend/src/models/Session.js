@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+// A signed-in device. Each session holds one refresh token family: every
+// refresh replaces the current token, and presenting an older token revokes
+// the whole session.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  
+  // Current refresh token (jti)
+  refreshTokenId: {
+    type: String,
+    required: true,
+    select: false
+  },
+  rotations: {
+    type: Number,
+    default: 0
+  },
+  
+  // Device
+  deviceName: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Device name cannot exceed 100 characters']
+  },
+  deviceType: {
+    type: String,
+    enum: ['desktop', 'mobile', 'tablet', 'unknown'],
+    default: 'unknown'
+  },
+  browser: String,
+  os: String,
+  userAgent: String,
+  ip: String,
+  // Approximate location of the IP (local GeoIP database)
+  location: {
+    city: String,
+    region: String,
+    country: String,
+    countryCode: String
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  
+  // Lifetime
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'token_reuse', 'password_change', 'admin']
+  },
+  // Replay of an already exchanged refresh token, which revoked the session
+  tokenReuse: {
+    detectedAt: Date,
+    tokenId: String,
+    ip: String,
+    userAgent: String,
+    location: {
+      city: String,
+      region: String,
+      country: String,
+      countryCode: String
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Virtual for whether the session can still be used
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Indexes
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
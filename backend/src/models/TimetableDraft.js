@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['Lecture', 'Tutorial', 'Lab'],
+    required: true
+  },
+  day: {
+    type: String,
+    enum: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday'],
+    required: true
+  },
+  startTime: {
+    type: String,
+    required: true
+  },
+  endTime: {
+    type: String,
+    required: true
+  },
+  room: {
+    type: String,
+    required: true
+  },
+  roomRef: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room'
+  }
+}, { _id: false });
+
+const candidateSchema = new mongoose.Schema({
+  // Higher is better (100 = no soft constraint violated)
+  score: {
+    type: Number,
+    required: true
+  },
+  penalties: {
+    unplaced: { type: Number, default: 0 },
+    gaps: { type: Number, default: 0 },
+    lateSlots: { type: Number, default: 0 },
+    sameDayRepeats: { type: Number, default: 0 },
+    oversizedRooms: { type: Number, default: 0 }
+  },
+  sessions: [sessionSchema],
+  // Sessions the solver could not place without breaking a hard constraint
+  unplaced: [{
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Course'
+    },
+    type: String,
+    reason: String
+  }],
+  seed: Number
+});
+
+const timetableDraftSchema = new mongoose.Schema({
+  // Section
+  department: {
+    type: String,
+    required: [true, 'Department is required'],
+    enum: ['Computer Science', 'Software Engineering', 'Information Systems', 'Artificial Intelligence', 'Networks']
+  },
+  level: {
+    type: String,
+    required: [true, 'Level is required'],
+    enum: ['L1', 'L2', 'L3', 'M1', 'M2']
+  },
+  semester: {
+    type: String,
+    required: [true, 'Semester is required'],
+    enum: ['S1', 'S2', 'S3', 'S4', 'S5', 'S6', 'S7', 'S8', 'S9', 'S10']
+  },
+  academicYear: {
+    type: String,
+    required: [true, 'Academic year is required'],
+    match: [/^\d{4}-\d{4}$/, 'Academic year format should be YYYY-YYYY']
+  },
+  courses: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course'
+  }],
+  
+  // Solver Input
+  rooms: [{
+    room: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Room'
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    capacity: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    types: {
+      type: [String],
+      enum: ['Lecture', 'Tutorial', 'Lab'],
+      default: ['Lecture', 'Tutorial']
+    }
+  }],
+  
+  // Solver Output, best candidate first
+  candidates: [candidateSchema],
+  
+  // Status
+  status: {
+    type: String,
+    enum: ['draft', 'committed', 'discarded'],
+    default: 'draft'
+  },
+  committedCandidate: {
+    type: Number
+  },
+  committedAt: {
+    type: Date
+  },
+  committedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  generatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+timetableDraftSchema.index({ department: 1, level: 1, semester: 1, academicYear: 1, createdAt: -1 });
+
+module.exports = mongoose.model('TimetableDraft', timetableDraftSchema);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 
 const userSchema = new mongoose.Schema({
   // Basic Info
@@ -96,6 +97,28 @@ const userSchema = new mongoose.Schema({
   officeHours: {
     type: String
   },
+  // Weekly periods a teacher cannot be scheduled (used by the timetable generator)
+  unavailability: [{
+    day: {
+      type: String,
+      enum: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday'],
+      required: true
+    },
+    startTime: {
+      type: String,
+      required: true,
+      match: [/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Time format should be HH:MM']
+    },
+    endTime: {
+      type: String,
+      required: true,
+      match: [/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Time format should be HH:MM']
+    },
+    reason: {
+      type: String,
+      maxlength: [200, 'Reason cannot exceed 200 characters']
+    }
+  }],
   
   // Enrolled Courses (for students)
   enrolledCourses: [{
@@ -141,6 +164,13 @@ const userSchema = new mongoose.Schema({
   lockUntil: {
     type: Date
   },
+  // Secret of the personal iCalendar feed URL
+  calendarToken: {
+    type: String,
+    unique: true,
+    sparse: true,
+    select: false
+  },
   
   // Preferences
   preferences: {
@@ -227,6 +257,12 @@ userSchema.pre('save', async function(next) {
   next();
 });
 
+// Method to create (or replace) the calendar feed token
+userSchema.methods.generateCalendarToken = function() {
+  this.calendarToken = crypto.randomBytes(24).toString('hex');
+  return this.calendarToken;
+};
+
 // Method to check password
 userSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
@@ -0,0 +1,187 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const router = express.Router();
+
+// Import middleware
+const auth = require('../middleware/auth');
+const roleCheck = require('../middleware/roleCheck');
+
+// Import controllers
+const {
+  getAcademicCalendars,
+  getCurrentAcademicCalendar,
+  getAcademicCalendar,
+  upsertAcademicCalendar,
+  deleteAcademicCalendar,
+  getHolidays,
+  setHolidayOverride,
+  deleteHolidayOverride
+} = require('../controllers/academicCalendarController');
+
+// Validation rules
+const academicYearValidation = [
+  param('academicYear')
+    .matches(/^\d{4}-\d{4}$/)
+    .withMessage('Academic year format should be YYYY-YYYY')
+    .custom(value => Number(value.slice(5)) === Number(value.slice(0, 4)) + 1)
+    .withMessage('Academic year must span two consecutive years')
+];
+
+const calendarValidation = [
+  body('start')
+    .isISO8601()
+    .withMessage('Start of the academic year must be a valid date'),
+  
+  body('end')
+    .isISO8601()
+    .withMessage('End of the academic year must be a valid date'),
+  
+  body('semesters')
+    .isArray({ min: 1, max: 2 })
+    .withMessage('One or two semesters are required'),
+  
+  body('semesters.*.name')
+    .isIn(['S1', 'S2'])
+    .withMessage('Semester must be S1 or S2'),
+  
+  body('semesters.*.start')
+    .isISO8601()
+    .withMessage('Semester start must be a valid date'),
+  
+  body('semesters.*.end')
+    .isISO8601()
+    .withMessage('Semester end must be a valid date'),
+  
+  body('semesters.*.teachingWeeks')
+    .optional()
+    .isInt({ min: 1, max: 20 })
+    .withMessage('Teaching weeks must be between 1 and 20'),
+  
+  body(['semesters.*.exams.start', 'semesters.*.exams.end', 'semesters.*.resits.start', 'semesters.*.resits.end'])
+    .optional()
+    .isISO8601()
+    .withMessage('Exam period dates must be valid dates'),
+  
+  body('holidays')
+    .optional()
+    .isArray()
+    .withMessage('Holidays must be an array'),
+  
+  body('holidays.*.name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Holiday name must be between 1 and 100 characters'),
+  
+  body('holidays.*.type')
+    .optional()
+    .isIn(['holiday', 'break'])
+    .withMessage('Holiday type must be holiday or break'),
+  
+  body('holidays.*.start')
+    .isISO8601()
+    .withMessage('Holiday date must be a valid date'),
+  
+  body('holidays.*.end')
+    .optional()
+    .isISO8601()
+    .withMessage('End of the break must be a valid date')
+];
+
+const holidaysValidation = [
+  query('year')
+    .optional()
+    .isInt({ min: 1900, max: 2200 })
+    .withMessage('Year must be a valid year')
+    .toInt()
+];
+
+const holidayOverrideValidation = [
+  body('holiday')
+    .isIn(['islamic_new_year', 'ashura', 'mawlid', 'eid_al_fitr', 'eid_al_adha'])
+    .withMessage('Invalid holiday'),
+  
+  body('date')
+    .isISO8601()
+    .withMessage('Date must be a valid date'),
+  
+  body('hijriYear')
+    .optional()
+    .isInt({ min: 1300, max: 1700 })
+    .withMessage('Hijri year must be a valid year')
+    .toInt(),
+  
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Note cannot exceed 200 characters')
+];
+
+const overrideIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid holiday override ID')
+];
+
+// @route   GET /api/academic-calendars
+// @desc    Get all academic calendars
+// @access  Private
+router.get('/', auth, getAcademicCalendars);
+
+// @route   GET /api/academic-calendars/current
+// @desc    Get the current academic year, semester and teaching week
+// @access  Private
+router.get('/current', auth, getCurrentAcademicCalendar);
+
+// @route   GET /api/academic-calendars/holidays
+// @desc    Get the holidays of a year
+// @access  Private
+router.get('/holidays', auth, holidaysValidation, getHolidays);
+
+// @route   PUT /api/academic-calendars/holidays/overrides
+// @desc    Record the official date of an Islamic holiday
+// @access  Private (Admin only)
+router.put('/holidays/overrides', 
+  auth, 
+  roleCheck(['admin']), 
+  holidayOverrideValidation, 
+  setHolidayOverride
+);
+
+// @route   DELETE /api/academic-calendars/holidays/overrides/:id
+// @desc    Remove an official holiday date
+// @access  Private (Admin only)
+router.delete('/holidays/overrides/:id', 
+  auth, 
+  roleCheck(['admin']), 
+  overrideIdValidation, 
+  deleteHolidayOverride
+);
+
+// @route   GET /api/academic-calendars/:academicYear
+// @desc    Get the academic calendar of a year
+// @access  Private
+router.get('/:academicYear', auth, academicYearValidation, getAcademicCalendar);
+
+// @route   PUT /api/academic-calendars/:academicYear
+// @desc    Create or replace the academic calendar of a year
+// @access  Private (Admin only)
+router.put('/:academicYear', 
+  auth, 
+  roleCheck(['admin']), 
+  academicYearValidation, 
+  calendarValidation, 
+  upsertAcademicCalendar
+);
+
+// @route   DELETE /api/academic-calendars/:academicYear
+// @desc    Delete the academic calendar of a year
+// @access  Private (Admin only)
+router.delete('/:academicYear', 
+  auth, 
+  roleCheck(['admin']), 
+  academicYearValidation, 
+  deleteAcademicCalendar
+);
+
+module.exports = router;
@@ -0,0 +1,311 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const router = express.Router();
+
+// Import middleware
+const auth = require('../middleware/auth');
+const roleCheck = require('../middleware/roleCheck');
+const { uploadAssignment, handleUploadError, validateUploadedFile } = require('../middleware/upload');
+
+// Import controllers
+const {
+  createAssignment,
+  getCourseAssignments,
+  getAssignmentById,
+  updateAssignment,
+  deleteAssignment,
+  submitAssignment,
+  getMySubmissions,
+  getAssignmentSubmissions,
+  downloadSubmissionsArchive,
+  downloadSubmission,
+  runSimilarityCheck,
+  getSimilarityReport
+} = require('../controllers/assignmentController');
+
+// Validation rules
+const createAssignmentValidation = [
+  body('course')
+    .isMongoId()
+    .withMessage('Invalid course ID'),
+  
+  body('title')
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .withMessage('Title must be between 3 and 100 characters'),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 5000 })
+    .withMessage('Description must not exceed 5000 characters'),
+  
+  body('assessmentType')
+    .optional()
+    .isIn(['assignment', 'homework', 'project', 'lab'])
+    .withMessage('Assessment type must be assignment, homework, project, or lab'),
+  
+  body('dueDate')
+    .isISO8601()
+    .withMessage('Due date must be a valid date'),
+  
+  body('assignedDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Assigned date must be a valid date'),
+  
+  body('totalPoints')
+    .optional()
+    .isFloat({ min: 1 })
+    .withMessage('Total points must be at least 1'),
+  
+  body('weight')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Weight must be between 0 and 100'),
+  
+  body('allowedFileTypes')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Allowed file types must be a non-empty array'),
+  
+  body('allowedFileTypes.*')
+    .matches(/^\.?[a-zA-Z0-9]{1,10}$/)
+    .withMessage('Invalid file extension'),
+  
+  body('maxFileSize')
+    .optional()
+    .isInt({ min: 1, max: 25 * 1024 * 1024 })
+    .withMessage('Maximum file size must be between 1 byte and 25MB'),
+  
+  body('maxAttempts')
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .withMessage('Maximum attempts must be between 1 and 10'),
+  
+  body('latePolicy.allowLate')
+    .optional()
+    .isBoolean()
+    .withMessage('allowLate must be a boolean'),
+  
+  body('latePolicy.penaltyPerDay')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Penalty per day must be between 0 and 100 percent'),
+  
+  body('latePolicy.maxPenalty')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Maximum penalty must be between 0 and 100 percent'),
+  
+  body('latePolicy.cutoffDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Cutoff date must be a valid date'),
+  
+  body('semester')
+    .optional()
+    .isIn(['S1', 'S2', 'S3', 'S4', 'S5', 'S6', 'S7', 'S8', 'S9', 'S10'])
+    .withMessage('Semester must be between S1 and S10'),
+  
+  body('academicYear')
+    .optional()
+    .matches(/^\d{4}-\d{4}$/)
+    .withMessage('Academic year format should be YYYY-YYYY')
+];
+
+const updateAssignmentValidation = [
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .withMessage('Title must be between 3 and 100 characters'),
+  
+  body('dueDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Due date must be a valid date'),
+  
+  body('totalPoints')
+    .optional()
+    .isFloat({ min: 1 })
+    .withMessage('Total points must be at least 1'),
+  
+  body('maxAttempts')
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .withMessage('Maximum attempts must be between 1 and 10'),
+  
+  body('latePolicy.penaltyPerDay')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Penalty per day must be between 0 and 100 percent'),
+  
+  body('latePolicy.maxPenalty')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Maximum penalty must be between 0 and 100 percent'),
+  
+  body('isPublished')
+    .optional()
+    .isBoolean()
+    .withMessage('isPublished must be a boolean')
+];
+
+const submitValidation = [
+  body('comments')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Comments must not exceed 1000 characters')
+];
+
+const similarityValidation = [
+  body('threshold')
+    .optional()
+    .isFloat({ min: 0.05, max: 1 })
+    .withMessage('Threshold must be between 0.05 and 1')
+];
+
+const assignmentIdValidation = [
+  param('assignmentId')
+    .isMongoId()
+    .withMessage('Invalid assignment ID')
+];
+
+const courseIdValidation = [
+  param('courseId')
+    .isMongoId()
+    .withMessage('Invalid course ID')
+];
+
+const submissionIdValidation = [
+  param('submissionId')
+    .isMongoId()
+    .withMessage('Invalid submission ID')
+];
+
+// @route   POST /api/assignments
+// @desc    Create an assignment
+// @access  Private (Teacher/Admin only)
+router.post('/', 
+  auth, 
+  roleCheck(['teacher', 'admin']), 
+  createAssignmentValidation, 
+  createAssignment
+);
+
+// @route   GET /api/assignments/course/:courseId
+// @desc    Get assignments of a course
+// @access  Private
+router.get('/course/:courseId', 
+  auth, 
+  courseIdValidation, 
+  getCourseAssignments
+);
+
+// @route   GET /api/assignments/submissions/:submissionId/download
+// @desc    Download a single submission file
+// @access  Private
+router.get('/submissions/:submissionId/download', 
+  auth, 
+  submissionIdValidation, 
+  downloadSubmission
+);
+
+// @route   GET /api/assignments/:assignmentId
+// @desc    Get an assignment
+// @access  Private
+router.get('/:assignmentId', 
+  auth, 
+  assignmentIdValidation, 
+  getAssignmentById
+);
+
+// @route   PUT /api/assignments/:assignmentId
+// @desc    Update an assignment
+// @access  Private (Teacher/Admin only)
+router.put('/:assignmentId', 
+  auth, 
+  roleCheck(['teacher', 'admin']), 
+  assignmentIdValidation, 
+  updateAssignmentValidation, 
+  updateAssignment
+);
+
+// @route   DELETE /api/assignments/:assignmentId
+// @desc    Delete an assignment without submissions
+// @access  Private (Teacher/Admin only)
+router.delete('/:assignmentId', 
+  auth, 
+  roleCheck(['teacher', 'admin']), 
+  assignmentIdValidation, 
+  deleteAssignment
+);
+
+// @route   POST /api/assignments/:assignmentId/submit
+// @desc    Submit a file for an assignment
+// @access  Private (Students only)
+router.post('/:assignmentId/submit', 
+  auth, 
+  roleCheck(['student']), 
+  uploadAssignment, 
+  handleUploadError, 
+  validateUploadedFile, 
+  assignmentIdValidation, 
+  submitValidation, 
+  submitAssignment
+);
+
+// @route   GET /api/assignments/:assignmentId/my-submissions
+// @desc    Get current student's attempts for an assignment
+// @access  Private (Students only)
+router.get('/:assignmentId/my-submissions', 
+  auth, 
+  roleCheck(['student']), 
+  assignmentIdValidation, 
+  getMySubmissions
+);
+
+// @route   GET /api/assignments/:assignmentId/submissions
+// @desc    Get submissions for an assignment (allAttempts=true for every attempt)
+// @access  Private (Teacher/Admin only)
+router.get('/:assignmentId/submissions', 
+  auth, 
+  roleCheck(['teacher', 'admin']), 
+  assignmentIdValidation, 
+  getAssignmentSubmissions
+);
+
+// @route   GET /api/assignments/:assignmentId/submissions/archive
+// @desc    Download all submissions as a zip archive
+// @access  Private (Teacher/Admin only)
+router.get('/:assignmentId/submissions/archive', 
+  auth, 
+  roleCheck(['teacher', 'admin']), 
+  assignmentIdValidation, 
+  downloadSubmissionsArchive
+);
+
+// @route   POST /api/assignments/:assignmentId/similarity
+// @desc    Compare all submissions and flag similar pairs
+// @access  Private (Teacher/Admin only)
+router.post('/:assignmentId/similarity', 
+  auth, 
+  roleCheck(['teacher', 'admin']), 
+  assignmentIdValidation, 
+  similarityValidation, 
+  runSimilarityCheck
+);
+
+// @route   GET /api/assignments/:assignmentId/similarity
+// @desc    Get the similarity report of an assignment
+// @access  Private (Teacher/Admin only)
+router.get('/:assignmentId/similarity', 
+  auth, 
+  roleCheck(['teacher', 'admin']), 
+  assignmentIdValidation, 
+  getSimilarityReport
+);
+
+module.exports = router;
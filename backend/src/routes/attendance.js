@@ -0,0 +1,345 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const router = express.Router();
+
+// Import middleware
+const auth = require('../middleware/auth');
+const roleCheck = require('../middleware/roleCheck');
+const { uploadAbsenceJustification, handleUploadError, validateUploadedFile } = require('../middleware/upload');
+
+// Import controllers
+const {
+  openSession,
+  getSessionToken,
+  checkIn,
+  getSession,
+  markAttendance,
+  closeSession,
+  getCourseAttendance,
+  getMyAttendance,
+  syncParticipation,
+  submitJustification,
+  getJustifications,
+  reviewJustification,
+  downloadJustificationDocument,
+  getAbsencePolicies,
+  updateAbsencePolicy,
+  getCourseExclusions
+} = require('../controllers/attendanceController');
+
+// Validation rules
+const openSessionValidation = [
+  body('course')
+    .isMongoId()
+    .withMessage('Invalid course ID'),
+  
+  body('lecture')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid session ID'),
+  
+  body('exception')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid schedule exception ID'),
+  
+  body('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Date must be a valid date')
+];
+
+const checkInValidation = [
+  body('token')
+    .isString()
+    .trim()
+    .isLength({ min: 10, max: 100 })
+    .withMessage('Attendance code is required')
+];
+
+const markAttendanceValidation = [
+  body('records')
+    .isArray({ min: 1 })
+    .withMessage('Records must be a non-empty array'),
+  
+  body('records.*.student')
+    .isMongoId()
+    .withMessage('Invalid student ID'),
+  
+  body('records.*.status')
+    .isIn(['present', 'late', 'absent'])
+    .withMessage('Status must be present, late, or absent')
+];
+
+const participationValidation = [
+  body('totalPoints')
+    .optional()
+    .isFloat({ min: 1, max: 100 })
+    .withMessage('Total points must be between 1 and 100')
+];
+
+const justificationValidation = [
+  body('course')
+    .isMongoId()
+    .withMessage('Invalid course ID'),
+  
+  body('sessions')
+    .toArray()
+    .isArray({ min: 1, max: 30 })
+    .withMessage('Between 1 and 30 sessions can be justified at once'),
+  
+  body('sessions.*')
+    .isMongoId()
+    .withMessage('Invalid session ID'),
+  
+  body('reason')
+    .isIn(['medical', 'family', 'official', 'transport', 'other'])
+    .withMessage('Reason must be medical, family, official, transport, or other'),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Description must not exceed 1000 characters')
+];
+
+const reviewValidation = [
+  body('decision')
+    .isIn(['approved', 'rejected'])
+    .withMessage('Decision must be approved or rejected'),
+  
+  body('comment')
+    .if(body('decision').equals('rejected'))
+    .trim()
+    .isLength({ min: 5, max: 500 })
+    .withMessage('A comment between 5 and 500 characters is required when rejecting')
+];
+
+const listValidation = [
+  query('status')
+    .optional()
+    .isIn(['pending', 'approved', 'rejected'])
+    .withMessage('Status must be pending, approved, or rejected'),
+  
+  query('course')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid course ID')
+];
+
+const myAttendanceValidation = [
+  query('course')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid course ID')
+];
+
+const policyValidation = [
+  param('category')
+    .isIn(['Theory', 'Practical', 'Mixed', 'Project', 'Seminar'])
+    .withMessage('Invalid course category'),
+  
+  body('maxAbsences')
+    .isInt({ min: 2, max: 20 })
+    .withMessage('Maximum absences must be between 2 and 20'),
+  
+  body('sessionTypes')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Session types must be a non-empty array'),
+  
+  body('sessionTypes.*')
+    .isIn(['Lecture', 'Tutorial', 'Lab', 'Seminar'])
+    .withMessage('Session type must be Lecture, Tutorial, Lab, or Seminar')
+];
+
+const exclusionsValidation = [
+  query('format')
+    .optional()
+    .isIn(['json', 'csv', 'xlsx'])
+    .withMessage('Format must be json, csv, or xlsx')
+];
+
+const sessionIdValidation = [
+  param('sessionId')
+    .isMongoId()
+    .withMessage('Invalid session ID')
+];
+
+const courseIdValidation = [
+  param('courseId')
+    .isMongoId()
+    .withMessage('Invalid course ID')
+];
+
+const justificationIdValidation = [
+  param('justificationId')
+    .isMongoId()
+    .withMessage('Invalid justification ID')
+];
+
+// @route   POST /api/attendance/sessions
+// @desc    Open attendance for a scheduled session
+// @access  Private (Teacher/Admin only)
+router.post('/sessions', 
+  auth, 
+  roleCheck(['teacher', 'admin']), 
+  openSessionValidation, 
+  openSession
+);
+
+// @route   GET /api/attendance/sessions/:sessionId
+// @desc    Get an attendance session with its records
+// @access  Private (Teacher/Admin only)
+router.get('/sessions/:sessionId', 
+  auth, 
+  roleCheck(['teacher', 'admin']), 
+  sessionIdValidation, 
+  getSession
+);
+
+// @route   GET /api/attendance/sessions/:sessionId/token
+// @desc    Get the current rotating QR token of a session
+// @access  Private (Teacher/Admin only)
+router.get('/sessions/:sessionId/token', 
+  auth, 
+  roleCheck(['teacher', 'admin']), 
+  sessionIdValidation, 
+  getSessionToken
+);
+
+// @route   PUT /api/attendance/sessions/:sessionId/records
+// @desc    Mark attendance by hand
+// @access  Private (Teacher/Admin only)
+router.put('/sessions/:sessionId/records', 
+  auth, 
+  roleCheck(['teacher', 'admin']), 
+  sessionIdValidation, 
+  markAttendanceValidation, 
+  markAttendance
+);
+
+// @route   POST /api/attendance/sessions/:sessionId/close
+// @desc    Close a session and mark missing students absent
+// @access  Private (Teacher/Admin only)
+router.post('/sessions/:sessionId/close', 
+  auth, 
+  roleCheck(['teacher', 'admin']), 
+  sessionIdValidation, 
+  closeSession
+);
+
+// @route   POST /api/attendance/check-in
+// @desc    Check in with a scanned QR token
+// @access  Private (Students only)
+router.post('/check-in', 
+  auth, 
+  roleCheck(['student']), 
+  checkInValidation, 
+  checkIn
+);
+
+// @route   GET /api/attendance/my-attendance
+// @desc    Get current student's attendance per course
+// @access  Private (Students only)
+router.get('/my-attendance', 
+  auth, 
+  roleCheck(['student']), 
+  myAttendanceValidation, 
+  getMyAttendance
+);
+
+// @route   GET /api/attendance/course/:courseId
+// @desc    Get attendance counts of a course
+// @access  Private (Teacher/Admin only)
+router.get('/course/:courseId', 
+  auth, 
+  roleCheck(['teacher', 'admin']), 
+  courseIdValidation, 
+  getCourseAttendance
+);
+
+// @route   POST /api/attendance/course/:courseId/participation
+// @desc    Write participation grades from TD/TP attendance
+// @access  Private (Teacher/Admin only)
+router.post('/course/:courseId/participation', 
+  auth, 
+  roleCheck(['teacher', 'admin']), 
+  courseIdValidation, 
+  participationValidation, 
+  syncParticipation
+);
+
+// @route   GET /api/attendance/course/:courseId/exclusions
+// @desc    Get or export students excluded or warned for absences (format=json|csv|xlsx)
+// @access  Private (Teacher/Admin only)
+router.get('/course/:courseId/exclusions', 
+  auth, 
+  roleCheck(['teacher', 'admin']), 
+  courseIdValidation, 
+  exclusionsValidation, 
+  getCourseExclusions
+);
+
+// @route   GET /api/attendance/policies
+// @desc    Get the absence thresholds per course category
+// @access  Private (Teacher/Admin only)
+router.get('/policies', 
+  auth, 
+  roleCheck(['teacher', 'admin']), 
+  getAbsencePolicies
+);
+
+// @route   PUT /api/attendance/policies/:category
+// @desc    Set the absence threshold of a course category
+// @access  Private (Admin only)
+router.put('/policies/:category', 
+  auth, 
+  roleCheck(['admin']), 
+  policyValidation, 
+  updateAbsencePolicy
+);
+
+// @route   POST /api/attendance/justifications
+// @desc    Justify absences with a supporting document
+// @access  Private (Students only)
+router.post('/justifications', 
+  auth, 
+  roleCheck(['student']), 
+  uploadAbsenceJustification, 
+  handleUploadError, 
+  validateUploadedFile, 
+  justificationValidation, 
+  submitJustification
+);
+
+// @route   GET /api/attendance/justifications
+// @desc    Get absence justifications
+// @access  Private
+router.get('/justifications', 
+  auth, 
+  listValidation, 
+  getJustifications
+);
+
+// @route   PUT /api/attendance/justifications/:justificationId/review
+// @desc    Approve or reject an absence justification
+// @access  Private (Teacher/Admin only)
+router.put('/justifications/:justificationId/review', 
+  auth, 
+  roleCheck(['teacher', 'admin']), 
+  justificationIdValidation, 
+  reviewValidation, 
+  reviewJustification
+);
+
+// @route   GET /api/attendance/justifications/:justificationId/document
+// @desc    Download the document of a justification
+// @access  Private
+router.get('/justifications/:justificationId/document', 
+  auth, 
+  justificationIdValidation, 
+  downloadJustificationDocument
+);
+
+module.exports = router;
@@ -13,7 +13,8 @@ const {
   updateProfile,
   changePassword,
   refreshToken,
-  logout
+  logout,
+  logoutAll
 } = require('../controllers/authController');
 
 // Validation rules
@@ -57,7 +58,13 @@ const registerValidation = [
   body('phoneNumber')
     .optional()
     .isMobilePhone()
-    .withMessage('Please provide a valid phone number')
+    .withMessage('Please provide a valid phone number'),
+  
+  body('deviceName')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Device name must not exceed 100 characters')
 ];
 
 const loginValidation = [
@@ -68,7 +75,19 @@ const loginValidation = [
   
   body('password')
     .notEmpty()
-    .withMessage('Password is required')
+    .withMessage('Password is required'),
+  
+  body('deviceName')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Device name must not exceed 100 characters')
+];
+
+const refreshTokenValidation = [
+  body('refreshToken')
+    .notEmpty()
+    .withMessage('Refresh token is required')
 ];
 
 const changePasswordValidation = [
@@ -138,13 +157,18 @@ router.put('/profile', auth, [
 router.put('/change-password', auth, changePasswordValidation, changePassword);
 
 // @route   POST /api/auth/refresh
-// @desc    Refresh JWT token
-// @access  Private
-router.post('/refresh', auth, refreshToken);
+// @desc    Rotate the refresh token and get a new access token
+// @access  Public (refresh token)
+router.post('/refresh', refreshTokenValidation, refreshToken);
 
 // @route   POST /api/auth/logout
-// @desc    Logout user
+// @desc    Logout user from the current device
 // @access  Private
 router.post('/logout', auth, logout);
 
+// @route   POST /api/auth/logout-all
+// @desc    Sign out from every device
+// @access  Private
+router.post('/logout-all', auth, logoutAll);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,46 @@
+const express = require('express');
+const { param, query } = require('express-validator');
+const router = express.Router();
+
+// Import middleware
+const auth = require('../middleware/auth');
+
+// Import controllers
+const {
+  getCalendarFeedUrl,
+  regenerateCalendarFeed,
+  getCalendarFeed
+} = require('../controllers/calendarController');
+
+// Validation rules
+const feedValidation = [
+  param('token')
+    .isHexadecimal()
+    .isLength({ min: 48, max: 48 })
+    .withMessage('Invalid calendar token'),
+  
+  query('course')
+    .optional()
+    .custom(value => String(value).split(',').every(id => /^[0-9a-fA-F]{24}$/.test(id)))
+    .withMessage('Course filter must be a comma-separated list of course IDs')
+];
+
+// @route   GET /api/calendar/feed
+// @desc    Get the personal calendar feed URL
+// @access  Private
+router.get('/feed', auth, getCalendarFeedUrl);
+
+// @route   POST /api/calendar/feed/regenerate
+// @desc    Replace the calendar feed URL
+// @access  Private
+router.post('/feed/regenerate', auth, regenerateCalendarFeed);
+
+// @route   GET /api/calendar/feed/:token.ics
+// @desc    Get the iCalendar feed (lectures, exams, deadlines, announcements)
+// @access  Public (feed token)
+router.get('/feed/:token.ics', 
+  feedValidation, 
+  getCalendarFeed
+);
+
+module.exports = router;
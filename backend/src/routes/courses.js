@@ -1,5 +1,5 @@
 const express = require('express');
-const { body, param } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const router = express.Router();
 
 // Import middleware
@@ -14,10 +14,17 @@ const {
   updateCourse,
   deleteCourse,
   enrollInCourse,
+  enrollStudentInCourse,
+  getPrerequisiteStatus,
   unenrollFromCourse,
   getMyCourses,
   getCourseStats
 } = require('../controllers/courseController');
+const {
+  joinWaitlist,
+  leaveWaitlist,
+  getWaitlist
+} = require('../controllers/waitlistController');
 
 // Validation rules
 const createCourseValidation = [
@@ -46,14 +53,54 @@ const createCourseValidation = [
     .isIn(['S1', 'S2', 'S3', 'S4', 'S5', 'S6'])
     .withMessage('Semester must be S1, S2, S3, S4, S5, or S6'),
   
+  body('level')
+    .isIn(['L1', 'L2', 'L3', 'M1', 'M2'])
+    .withMessage('Level must be L1, L2, L3, M1, or M2'),
+  
+  body('academicYear')
+    .matches(/^\d{4}-\d{4}$/)
+    .withMessage('Academic year format should be YYYY-YYYY'),
+  
+  body('assistants')
+    .optional()
+    .isArray()
+    .withMessage('Assistants must be an array'),
+  
+  body('assistants.*')
+    .isMongoId()
+    .withMessage('Invalid assistant ID'),
+  
   body('credits')
     .isInt({ min: 1, max: 10 })
     .withMessage('Credits must be between 1 and 10'),
   
-  body('schedule')
+  body('schedule.lectures')
     .optional()
     .isArray()
-    .withMessage('Schedule must be an array'),
+    .withMessage('Schedule lectures must be an array'),
+  
+  body('schedule.lectures.*.day')
+    .isIn(['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday'])
+    .withMessage('Day must be Sunday to Thursday'),
+  
+  body('schedule.lectures.*.startTime')
+    .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage('Start time format should be HH:MM'),
+  
+  body('schedule.lectures.*.endTime')
+    .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage('End time format should be HH:MM'),
+  
+  body('schedule.lectures.*.room')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Room name cannot be empty'),
+  
+  body('schedule.lectures.*.roomRef')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid room ID'),
   
   body('maxStudents')
     .optional()
@@ -98,7 +145,35 @@ const updateCourseValidation = [
   body('isActive')
     .optional()
     .isBoolean()
-    .withMessage('isActive must be a boolean')
+    .withMessage('isActive must be a boolean'),
+  
+  body('schedule.lectures')
+    .optional()
+    .isArray()
+    .withMessage('Schedule lectures must be an array'),
+  
+  body('schedule.lectures.*.day')
+    .isIn(['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday'])
+    .withMessage('Day must be Sunday to Thursday'),
+  
+  body('schedule.lectures.*.startTime')
+    .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage('Start time format should be HH:MM'),
+  
+  body('schedule.lectures.*.endTime')
+    .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage('End time format should be HH:MM'),
+  
+  body('schedule.lectures.*.room')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Room name cannot be empty'),
+  
+  body('schedule.lectures.*.roomRef')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid room ID')
 ];
 
 const courseIdValidation = [
@@ -107,6 +182,31 @@ const courseIdValidation = [
     .withMessage('Invalid course ID')
 ];
 
+const enrollStudentValidation = [
+  body('student')
+    .isMongoId()
+    .withMessage('Invalid student ID'),
+  
+  body('overridePrerequisites')
+    .optional()
+    .isBoolean()
+    .withMessage('overridePrerequisites must be a boolean')
+    .toBoolean(),
+  
+  body('justification')
+    .if(body('overridePrerequisites').custom(value => value === true || value === 'true'))
+    .trim()
+    .isLength({ min: 10, max: 500 })
+    .withMessage('A justification between 10 and 500 characters is required to override prerequisites')
+];
+
+const prerequisiteStatusValidation = [
+  query('student')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid student ID')
+];
+
 // @route   GET /api/courses
 // @desc    Get all courses with filtering and pagination
 // @access  Private
@@ -163,6 +263,27 @@ router.post('/:id/enroll',
   enrollInCourse
 );
 
+// @route   POST /api/courses/:id/students
+// @desc    Enroll a student, with an optional prerequisite override
+// @access  Private (Course teacher/Admin only)
+router.post('/:id/students', 
+  auth, 
+  roleCheck(['teacher', 'admin']), 
+  courseIdValidation,
+  enrollStudentValidation,
+  enrollStudentInCourse
+);
+
+// @route   GET /api/courses/:id/prerequisites
+// @desc    Check prerequisites of the current (or given) student
+// @access  Private
+router.get('/:id/prerequisites', 
+  auth, 
+  courseIdValidation,
+  prerequisiteStatusValidation,
+  getPrerequisiteStatus
+);
+
 // @route   POST /api/courses/:id/unenroll
 // @desc    Unenroll student from course
 // @access  Private (Students only)
@@ -173,6 +294,31 @@ router.post('/:id/unenroll',
   unenrollFromCourse
 );
 
+// @route   GET /api/courses/:id/waitlist
+// @desc    Get course waitlist (students see their own position)
+// @access  Private
+router.get('/:id/waitlist', auth, courseIdValidation, getWaitlist);
+
+// @route   POST /api/courses/:id/waitlist
+// @desc    Join the waitlist of a full course
+// @access  Private (Students only)
+router.post('/:id/waitlist', 
+  auth, 
+  roleCheck(['student']), 
+  courseIdValidation,
+  joinWaitlist
+);
+
+// @route   DELETE /api/courses/:id/waitlist
+// @desc    Leave the waitlist or decline a seat offer
+// @access  Private (Students only)
+router.delete('/:id/waitlist', 
+  auth, 
+  roleCheck(['student']), 
+  courseIdValidation,
+  leaveWaitlist
+);
+
 // @route   GET /api/courses/:id/stats
 // @desc    Get course statistics
 // @access  Private (Course teacher/Admin only)
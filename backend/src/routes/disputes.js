@@ -0,0 +1,148 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const router = express.Router();
+
+// Import middleware
+const auth = require('../middleware/auth');
+const roleCheck = require('../middleware/roleCheck');
+const { uploadDisputeAttachment, handleUploadError } = require('../middleware/upload');
+
+// Import controllers
+const {
+  openDispute,
+  getMyDisputes,
+  getDisputeQueue,
+  getDisputeById,
+  downloadDisputeAttachment,
+  resolveDispute,
+  withdrawDispute,
+  getDisputeReport
+} = require('../controllers/disputeController');
+
+// Validation rules
+const openDisputeValidation = [
+  body('grade')
+    .isMongoId()
+    .withMessage('Invalid grade ID'),
+  
+  body('justification')
+    .trim()
+    .isLength({ min: 20, max: 2000 })
+    .withMessage('Justification must be between 20 and 2000 characters')
+];
+
+const resolveDisputeValidation = [
+  body('decision')
+    .isIn(['accepted', 'rejected'])
+    .withMessage('Decision must be accepted or rejected'),
+  
+  body('newPoints')
+    .if(body('decision').equals('accepted'))
+    .isFloat({ min: 0 })
+    .withMessage('New points are required when accepting a dispute'),
+  
+  body('reason')
+    .trim()
+    .isLength({ min: 5, max: 1000 })
+    .withMessage('Reason must be between 5 and 1000 characters')
+];
+
+const listValidation = [
+  query('status')
+    .optional()
+    .isIn(['pending', 'accepted', 'rejected', 'withdrawn', 'all'])
+    .withMessage('Invalid dispute status'),
+  
+  query('course')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid course ID')
+];
+
+const disputeIdValidation = [
+  param('disputeId')
+    .isMongoId()
+    .withMessage('Invalid dispute ID')
+];
+
+// @route   POST /api/disputes
+// @desc    Contest a released grade (optional justification file)
+// @access  Private (Students only)
+router.post('/', 
+  auth, 
+  roleCheck(['student']), 
+  uploadDisputeAttachment, 
+  handleUploadError, 
+  openDisputeValidation, 
+  openDispute
+);
+
+// @route   GET /api/disputes/my-disputes
+// @desc    Get current student's disputes
+// @access  Private (Students only)
+router.get('/my-disputes', 
+  auth, 
+  roleCheck(['student']), 
+  listValidation, 
+  getMyDisputes
+);
+
+// @route   GET /api/disputes/queue
+// @desc    Get disputes awaiting a decision
+// @access  Private (Teacher/Admin only)
+router.get('/queue', 
+  auth, 
+  roleCheck(['teacher', 'admin']), 
+  listValidation, 
+  getDisputeQueue
+);
+
+// @route   GET /api/disputes/report
+// @desc    Get dispute volume per course
+// @access  Private (Admin only)
+router.get('/report', 
+  auth, 
+  roleCheck(['admin']), 
+  getDisputeReport
+);
+
+// @route   GET /api/disputes/:disputeId
+// @desc    Get a single dispute
+// @access  Private
+router.get('/:disputeId', 
+  auth, 
+  disputeIdValidation, 
+  getDisputeById
+);
+
+// @route   GET /api/disputes/:disputeId/attachment
+// @desc    Download the justification file of a dispute
+// @access  Private
+router.get('/:disputeId/attachment', 
+  auth, 
+  disputeIdValidation, 
+  downloadDisputeAttachment
+);
+
+// @route   PUT /api/disputes/:disputeId/resolve
+// @desc    Accept or reject a dispute
+// @access  Private (Teacher/Admin only)
+router.put('/:disputeId/resolve', 
+  auth, 
+  roleCheck(['teacher', 'admin']), 
+  disputeIdValidation, 
+  resolveDisputeValidation, 
+  resolveDispute
+);
+
+// @route   PUT /api/disputes/:disputeId/withdraw
+// @desc    Withdraw a pending dispute
+// @access  Private (Students only)
+router.put('/:disputeId/withdraw', 
+  auth, 
+  roleCheck(['student']), 
+  disputeIdValidation, 
+  withdrawDispute
+);
+
+module.exports = router;
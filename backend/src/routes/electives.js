@@ -0,0 +1,170 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const router = express.Router();
+
+// Import middleware
+const auth = require('../middleware/auth');
+const roleCheck = require('../middleware/roleCheck');
+
+// Import controllers
+const {
+  createCampaign,
+  getCampaigns,
+  getCampaign,
+  submitChoices,
+  allocateCampaign,
+  publishCampaign,
+  cancelCampaign,
+  getCampaignResults
+} = require('../controllers/electiveController');
+
+// Validation rules
+const createCampaignValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 3, max: 150 })
+    .withMessage('Campaign name must be between 3 and 150 characters'),
+  
+  body('department')
+    .isIn(['Computer Science', 'Software Engineering', 'Information Systems', 'Artificial Intelligence', 'Networks'])
+    .withMessage('Invalid department'),
+  
+  body('level')
+    .isIn(['L1', 'L2', 'L3', 'M1', 'M2'])
+    .withMessage('Invalid level'),
+  
+  body('semester')
+    .isIn(['S1', 'S2', 'S3', 'S4', 'S5', 'S6', 'S7', 'S8', 'S9', 'S10'])
+    .withMessage('Invalid semester'),
+  
+  body('academicYear')
+    .matches(/^\d{4}-\d{4}$/)
+    .withMessage('Academic year format should be YYYY-YYYY'),
+  
+  body('options')
+    .isArray({ min: 2 })
+    .withMessage('At least two modules must be offered'),
+  
+  body('options.*.course')
+    .isMongoId()
+    .withMessage('Invalid course ID'),
+  
+  body('options.*.capacity')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Capacity must be a positive integer')
+    .toInt(),
+  
+  body('maxChoices')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Maximum choices must be at least 1')
+    .toInt(),
+  
+  body('opensAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Opening date must be a valid date'),
+  
+  body('deadline')
+    .isISO8601()
+    .withMessage('Deadline must be a valid date')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('Deadline must be in the future')
+];
+
+const submitChoicesValidation = [
+  body('choices')
+    .isArray({ min: 1 })
+    .withMessage('At least one choice is required'),
+  
+  body('choices.*')
+    .isMongoId()
+    .withMessage('Invalid course ID')
+];
+
+const campaignIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid campaign ID')
+];
+
+const resultsValidation = [
+  query('format')
+    .optional()
+    .isIn(['json', 'csv', 'xlsx'])
+    .withMessage('Format must be json, csv, or xlsx')
+];
+
+// @route   GET /api/electives/campaigns
+// @desc    Get elective campaigns
+// @access  Private
+router.get('/campaigns', auth, getCampaigns);
+
+// @route   POST /api/electives/campaigns
+// @desc    Open an elective choice campaign
+// @access  Private (Admin only)
+router.post('/campaigns', 
+  auth, 
+  roleCheck(['admin']), 
+  createCampaignValidation, 
+  createCampaign
+);
+
+// @route   GET /api/electives/campaigns/:id
+// @desc    Get an elective campaign
+// @access  Private
+router.get('/campaigns/:id', auth, campaignIdValidation, getCampaign);
+
+// @route   DELETE /api/electives/campaigns/:id
+// @desc    Cancel an unpublished campaign
+// @access  Private (Admin only)
+router.delete('/campaigns/:id', 
+  auth, 
+  roleCheck(['admin']), 
+  campaignIdValidation, 
+  cancelCampaign
+);
+
+// @route   PUT /api/electives/campaigns/:id/choices
+// @desc    Submit ranked choices
+// @access  Private (Student only)
+router.put('/campaigns/:id/choices', 
+  auth, 
+  roleCheck(['student']), 
+  campaignIdValidation, 
+  submitChoicesValidation, 
+  submitChoices
+);
+
+// @route   POST /api/electives/campaigns/:id/allocate
+// @desc    Run the seat allocation
+// @access  Private (Admin only)
+router.post('/campaigns/:id/allocate', 
+  auth, 
+  roleCheck(['admin']), 
+  campaignIdValidation, 
+  allocateCampaign
+);
+
+// @route   POST /api/electives/campaigns/:id/publish
+// @desc    Publish the allocation and enroll students
+// @access  Private (Admin only)
+router.post('/campaigns/:id/publish', 
+  auth, 
+  roleCheck(['admin']), 
+  campaignIdValidation, 
+  publishCampaign
+);
+
+// @route   GET /api/electives/campaigns/:id/results
+// @desc    Get the result list (json, csv or xlsx)
+// @access  Private
+router.get('/campaigns/:id/results', 
+  auth, 
+  campaignIdValidation, 
+  resultsValidation, 
+  getCampaignResults
+);
+
+module.exports = router;
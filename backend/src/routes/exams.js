@@ -0,0 +1,187 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const router = express.Router();
+
+// Import middleware
+const auth = require('../middleware/auth');
+const roleCheck = require('../middleware/roleCheck');
+
+// Import controllers
+const {
+  createExamSession,
+  getExamSessions,
+  getExamSession,
+  replanExamSession,
+  publishSession,
+  cancelExamSession,
+  getSeatingPlan,
+  getMyExams
+} = require('../controllers/examController');
+
+// Validation rules
+const createSessionValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 3, max: 150 })
+    .withMessage('Session name must be between 3 and 150 characters'),
+  
+  body('type')
+    .optional()
+    .isIn(['normal', 'resit'])
+    .withMessage('Session type must be normal or resit'),
+  
+  body('academicYear')
+    .matches(/^\d{4}-\d{4}$/)
+    .withMessage('Academic year format should be YYYY-YYYY'),
+  
+  body('semesters')
+    .isArray({ min: 1 })
+    .withMessage('At least one semester is required'),
+  
+  body('semesters.*')
+    .isIn(['S1', 'S2', 'S3', 'S4', 'S5', 'S6', 'S7', 'S8', 'S9', 'S10'])
+    .withMessage('Invalid semester'),
+  
+  body('department')
+    .optional()
+    .isIn(['Computer Science', 'Software Engineering', 'Information Systems', 'Artificial Intelligence', 'Networks'])
+    .withMessage('Invalid department'),
+  
+  body('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
+  
+  body('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('End date must be a valid date')
+    .custom((value, { req }) => !req.body.startDate || new Date(value) >= new Date(req.body.startDate))
+    .withMessage('End date must be after start date'),
+  
+  body('slots')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Slots must be a non-empty array'),
+  
+  body('slots.*.startTime')
+    .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage('Start time format should be HH:MM'),
+  
+  body('slots.*.endTime')
+    .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage('End time format should be HH:MM'),
+  
+  body('rooms')
+    .optional()
+    .isArray()
+    .withMessage('Rooms must be an array'),
+  
+  body('rooms.*')
+    .isMongoId()
+    .withMessage('Invalid room ID'),
+  
+  body('occupancy')
+    .optional()
+    .isFloat({ min: 0.2, max: 1 })
+    .withMessage('Occupancy must be between 0.2 and 1')
+    .toFloat(),
+  
+  body('seatingOrder')
+    .optional()
+    .isIn(['alphabetical', 'studentId'])
+    .withMessage('Seating order must be alphabetical or studentId'),
+  
+  body('minInvigilatorsPerRoom')
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Invigilators per room must be between 1 and 5')
+    .toInt(),
+  
+  body('studentsPerInvigilator')
+    .optional()
+    .isInt({ min: 5, max: 200 })
+    .withMessage('Students per invigilator must be between 5 and 200')
+    .toInt()
+];
+
+const sessionIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid exam session ID')
+];
+
+const seatingValidation = [
+  query('format')
+    .optional()
+    .isIn(['json', 'csv', 'xlsx'])
+    .withMessage('Format must be json, csv, or xlsx')
+];
+
+// @route   GET /api/exams/my
+// @desc    Get current user's convocations or supervision duties
+// @access  Private
+router.get('/my', auth, getMyExams);
+
+// @route   GET /api/exams/sessions
+// @desc    Get exam sessions
+// @access  Private
+router.get('/sessions', auth, getExamSessions);
+
+// @route   POST /api/exams/sessions
+// @desc    Create and plan an exam session
+// @access  Private (Admin only)
+router.post('/sessions', 
+  auth, 
+  roleCheck(['admin']), 
+  createSessionValidation, 
+  createExamSession
+);
+
+// @route   GET /api/exams/sessions/:id
+// @desc    Get an exam session timetable
+// @access  Private
+router.get('/sessions/:id', auth, sessionIdValidation, getExamSession);
+
+// @route   DELETE /api/exams/sessions/:id
+// @desc    Cancel an exam session
+// @access  Private (Admin only)
+router.delete('/sessions/:id', 
+  auth, 
+  roleCheck(['admin']), 
+  sessionIdValidation, 
+  cancelExamSession
+);
+
+// @route   POST /api/exams/sessions/:id/plan
+// @desc    Plan a draft session again
+// @access  Private (Admin only)
+router.post('/sessions/:id/plan', 
+  auth, 
+  roleCheck(['admin']), 
+  sessionIdValidation, 
+  replanExamSession
+);
+
+// @route   POST /api/exams/sessions/:id/publish
+// @desc    Publish an exam session
+// @access  Private (Admin only)
+router.post('/sessions/:id/publish', 
+  auth, 
+  roleCheck(['admin']), 
+  sessionIdValidation, 
+  publishSession
+);
+
+// @route   GET /api/exams/sessions/:id/seating
+// @desc    Export the seating plan (json, csv or xlsx)
+// @access  Private (Admin only)
+router.get('/sessions/:id/seating', 
+  auth, 
+  roleCheck(['admin']), 
+  sessionIdValidation, 
+  seatingValidation, 
+  getSeatingPlan
+);
+
+module.exports = router;
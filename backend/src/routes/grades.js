@@ -1,10 +1,11 @@
 const express = require('express');
-const { body, param } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const router = express.Router();
 
 // Import middleware
 const auth = require('../middleware/auth');
 const roleCheck = require('../middleware/roleCheck');
+const { uploadGradeImport, handleUploadError } = require('../middleware/upload');
 
 // Import controllers
 const {
@@ -14,7 +15,14 @@ const {
   deleteGrade,
   getMyGrades,
   getGradeAnalytics,
-  exportGrades
+  getSemesterResults,
+  getResitCandidates,
+  enterResitMarks,
+  getDeliberationReport,
+  exportGrades,
+  importGrades,
+  releaseCourseGrades,
+  cancelGradeRelease
 } = require('../controllers/gradeController');
 
 // Validation rules
@@ -27,45 +35,223 @@ const addGradeValidation = [
     .isMongoId()
     .withMessage('Invalid course ID'),
   
-  body('examGrade')
+  body('assessmentType')
+    .isIn(['assignment', 'quiz', 'midterm', 'final', 'project', 'participation', 'lab', 'presentation', 'homework'])
+    .withMessage('Invalid assessment type'),
+  
+  body('assessmentName')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Assessment name must be between 1 and 100 characters'),
+  
+  body('pointsEarned')
     .optional()
-    .isFloat({ min: 0, max: 20 })
-    .withMessage('Exam grade must be between 0 and 20'),
+    .isFloat({ min: 0 })
+    .withMessage('Points earned must be a positive number'),
   
-  body('homeworkGrade')
+  body('totalPoints')
     .optional()
-    .isFloat({ min: 0, max: 20 })
-    .withMessage('Homework grade must be between 0 and 20'),
+    .isFloat({ min: 1 })
+    .withMessage('Total points must be at least 1'),
   
-  body('projectGrade')
+  body('weight')
     .optional()
-    .isFloat({ min: 0, max: 20 })
-    .withMessage('Project grade must be between 0 and 20'),
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Weight must be between 0 and 100'),
   
-  body('participationGrade')
+  body('rubricScores')
     .optional()
-    .isFloat({ min: 0, max: 20 })
-    .withMessage('Participation grade must be between 0 and 20'),
+    .isArray({ min: 1 })
+    .withMessage('Rubric scores must be a non-empty array'),
   
-  body('finalGrade')
-    .isFloat({ min: 0, max: 20 })
-    .withMessage('Final grade must be between 0 and 20'),
+  body('rubricScores.*.criterion')
+    .trim()
+    .notEmpty()
+    .withMessage('Each rubric score needs a criterion'),
+  
+  body('rubricScores.*.level')
+    .trim()
+    .notEmpty()
+    .withMessage('Each rubric score needs a level'),
+  
+  body('rubricScores.*.comments')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Criterion comments must not exceed 500 characters'),
   
   body('feedback')
     .optional()
     .trim()
-    .isLength({ max: 1000 })
-    .withMessage('Feedback must not exceed 1000 characters'),
+    .isLength({ max: 2000 })
+    .withMessage('Feedback must not exceed 2000 characters'),
+  
+  body('dueDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Due date must be a valid date'),
+  
+  body('semester')
+    .optional()
+    .isIn(['S1', 'S2', 'S3', 'S4', 'S5', 'S6', 'S7', 'S8', 'S9', 'S10'])
+    .withMessage('Semester must be between S1 and S10'),
+  
+  body('academicYear')
+    .optional()
+    .matches(/^\d{4}-\d{4}$/)
+    .withMessage('Academic year format should be YYYY-YYYY')
+];
+
+const semesterResultsValidation = [
+  query('academicYear')
+    .matches(/^\d{4}-\d{4}$/)
+    .withMessage('Academic year format should be YYYY-YYYY'),
+  
+  query('semester')
+    .isIn(['S1', 'S2', 'S3', 'S4', 'S5', 'S6', 'S7', 'S8', 'S9', 'S10'])
+    .withMessage('Semester must be between S1 and S10')
+];
+
+const resitMarksValidation = [
+  body('course')
+    .isMongoId()
+    .withMessage('Invalid course ID'),
+  
+  body('academicYear')
+    .matches(/^\d{4}-\d{4}$/)
+    .withMessage('Academic year format should be YYYY-YYYY'),
+  
+  body('semester')
+    .isIn(['S1', 'S2', 'S3', 'S4', 'S5', 'S6', 'S7', 'S8', 'S9', 'S10'])
+    .withMessage('Semester must be between S1 and S10'),
+  
+  body('examDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Exam date must be a valid date'),
+  
+  body('marks')
+    .isArray({ min: 1 })
+    .withMessage('Marks must be a non-empty array'),
+  
+  body('marks.*.student')
+    .isMongoId()
+    .withMessage('Invalid student ID'),
+  
+  body('marks.*.pointsEarned')
+    .isFloat({ min: 0 })
+    .withMessage('Points earned must be a positive number'),
+  
+  body('marks.*.totalPoints')
+    .optional()
+    .isFloat({ min: 1 })
+    .withMessage('Total points must be at least 1')
+];
+
+const deliberationValidation = [
+  query('academicYear')
+    .matches(/^\d{4}-\d{4}$/)
+    .withMessage('Academic year format should be YYYY-YYYY'),
+  
+  query('semester')
+    .isIn(['S1', 'S2', 'S3', 'S4', 'S5', 'S6', 'S7', 'S8', 'S9', 'S10'])
+    .withMessage('Semester must be between S1 and S10'),
+  
+  query('department')
+    .isIn(['Computer Science', 'Software Engineering', 'Information Systems', 'Artificial Intelligence', 'Networks'])
+    .withMessage('Invalid department'),
+  
+  query('level')
+    .isIn(['L1', 'L2', 'L3', 'M1', 'M2'])
+    .withMessage('Level must be L1, L2, L3, M1, or M2'),
+  
+  query('format')
+    .optional()
+    .isIn(['json', 'pdf', 'xlsx'])
+    .withMessage('Format must be json, pdf, or xlsx')
+];
+
+const exportValidation = [
+  query('format')
+    .optional()
+    .isIn(['csv', 'xlsx'])
+    .withMessage('Format must be csv or xlsx'),
+  
+  query('semester')
+    .optional()
+    .isIn(['S1', 'S2', 'S3', 'S4', 'S5', 'S6', 'S7', 'S8', 'S9', 'S10'])
+    .withMessage('Semester must be between S1 and S10'),
+  
+  query('includeUnreleased')
+    .optional()
+    .isBoolean()
+    .withMessage('includeUnreleased must be a boolean')
+];
+
+const importValidation = [
+  body('assessmentType')
+    .optional()
+    .isIn(['assignment', 'quiz', 'midterm', 'final', 'project', 'participation', 'lab', 'presentation', 'homework'])
+    .withMessage('Invalid assessment type'),
+  
+  body('assessmentName')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Assessment name must be between 1 and 100 characters'),
+  
+  body('totalPoints')
+    .optional()
+    .isFloat({ min: 1 })
+    .withMessage('Total points must be at least 1'),
+  
+  body('academicYear')
+    .optional()
+    .matches(/^\d{4}-\d{4}$/)
+    .withMessage('Academic year format should be YYYY-YYYY'),
   
   body('semester')
     .optional()
-    .isIn(['S1', 'S2', 'S3', 'S4', 'S5', 'S6'])
-    .withMessage('Semester must be S1, S2, S3, S4, S5, or S6'),
+    .isIn(['S1', 'S2', 'S3', 'S4', 'S5', 'S6', 'S7', 'S8', 'S9', 'S10'])
+    .withMessage('Semester must be between S1 and S10'),
+  
+  body('dueDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Due date must be a valid date'),
+  
+  body('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun must be a boolean')
+];
+
+const releaseValidation = [
+  body('assessmentType')
+    .optional()
+    .isIn(['assignment', 'quiz', 'midterm', 'final', 'project', 'participation', 'lab', 'presentation', 'homework', 'resit'])
+    .withMessage('Invalid assessment type'),
+  
+  body('assessmentName')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Assessment name must be between 1 and 100 characters'),
   
   body('academicYear')
     .optional()
-    .isInt({ min: 2020, max: 2030 })
-    .withMessage('Academic year must be between 2020 and 2030')
+    .matches(/^\d{4}-\d{4}$/)
+    .withMessage('Academic year format should be YYYY-YYYY'),
+  
+  body('semester')
+    .optional()
+    .isIn(['S1', 'S2', 'S3', 'S4', 'S5', 'S6', 'S7', 'S8', 'S9', 'S10'])
+    .withMessage('Semester must be between S1 and S10'),
+  
+  body('releaseAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Release date must be a valid date')
 ];
 
 const studentIdValidation = [
@@ -104,6 +290,16 @@ router.get('/analytics',
   getGradeAnalytics
 );
 
+// @route   GET /api/grades/deliberation
+// @desc    Generate the semester deliberation report (PDF/XLSX/JSON)
+// @access  Private (Teacher/Admin only)
+router.get('/deliberation', 
+  auth, 
+  roleCheck(['teacher', 'admin']), 
+  deliberationValidation, 
+  getDeliberationReport
+);
+
 // @route   GET /api/grades/student/:studentId
 // @desc    Get grades for a specific student
 // @access  Private (Student can view own, Teachers/Admin can view all)
@@ -113,6 +309,16 @@ router.get('/student/:studentId',
   getStudentGrades
 );
 
+// @route   GET /api/grades/results/:studentId
+// @desc    Compute LMD semester results for a student
+// @access  Private (Student can view own, Teachers/Admin can view all)
+router.get('/results/:studentId', 
+  auth, 
+  studentIdValidation, 
+  semesterResultsValidation,
+  getSemesterResults
+);
+
 // @route   GET /api/grades/course/:courseId
 // @desc    Get grades for a specific course
 // @access  Private (Teacher/Admin only)
@@ -124,15 +330,36 @@ router.get('/course/:courseId',
 );
 
 // @route   GET /api/grades/export/:courseId
-// @desc    Export grades for a course to CSV
+// @desc    Export grades for a course to CSV or XLSX
 // @access  Private (Teacher/Admin only)
 router.get('/export/:courseId', 
   auth, 
   roleCheck(['teacher', 'admin']), 
   courseIdValidation, 
+  exportValidation, 
   exportGrades
 );
 
+// @route   GET /api/grades/resit/:courseId
+// @desc    Get students eligible for the resit session
+// @access  Private (Teacher/Admin only)
+router.get('/resit/:courseId', 
+  auth, 
+  roleCheck(['teacher', 'admin']), 
+  courseIdValidation, 
+  getResitCandidates
+);
+
+// @route   POST /api/grades/resit
+// @desc    Enter resit marks in bulk
+// @access  Private (Teacher/Admin only)
+router.post('/resit', 
+  auth, 
+  roleCheck(['teacher', 'admin']), 
+  resitMarksValidation, 
+  enterResitMarks
+);
+
 // @route   POST /api/grades
 // @desc    Add or update grade
 // @access  Private (Teacher/Admin only)
@@ -143,6 +370,40 @@ router.post('/',
   addOrUpdateGrade
 );
 
+// @route   POST /api/grades/import/:courseId
+// @desc    Import grades from a CSV/XLSX file (dryRun=true to preview)
+// @access  Private (Teacher/Admin only)
+router.post('/import/:courseId', 
+  auth, 
+  roleCheck(['teacher', 'admin']), 
+  uploadGradeImport, 
+  handleUploadError, 
+  courseIdValidation, 
+  importValidation, 
+  importGrades
+);
+
+// @route   POST /api/grades/release/:courseId
+// @desc    Release grades now or schedule their release (releaseAt)
+// @access  Private (Teacher/Admin only)
+router.post('/release/:courseId', 
+  auth, 
+  roleCheck(['teacher', 'admin']), 
+  courseIdValidation, 
+  releaseValidation, 
+  releaseCourseGrades
+);
+
+// @route   DELETE /api/grades/release/:courseId
+// @desc    Cancel a scheduled grade release
+// @access  Private (Teacher/Admin only)
+router.delete('/release/:courseId', 
+  auth, 
+  roleCheck(['teacher', 'admin']), 
+  courseIdValidation, 
+  cancelGradeRelease
+);
+
 // @route   DELETE /api/grades/:gradeId
 // @desc    Delete grade
 // @access  Private (Teacher/Admin only)
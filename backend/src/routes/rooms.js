@@ -0,0 +1,196 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const router = express.Router();
+
+// Import middleware
+const auth = require('../middleware/auth');
+const roleCheck = require('../middleware/roleCheck');
+
+// Import controllers
+const {
+  getRooms,
+  getAvailableRooms,
+  getRoomById,
+  createRoom,
+  updateRoom,
+  deleteRoom
+} = require('../controllers/roomController');
+
+const EQUIPMENT = ['projector', 'lab_pcs', 'smart_board', 'sound_system', 'air_conditioning', 'whiteboard'];
+
+// Validation rules
+const createRoomValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Room name must be between 1 and 50 characters'),
+  
+  body('building')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Building must be between 1 and 100 characters'),
+  
+  body('type')
+    .isIn(['amphitheatre', 'classroom', 'lab'])
+    .withMessage('Room type must be amphitheatre, classroom, or lab'),
+  
+  body('capacity')
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Capacity must be between 1 and 1000'),
+  
+  body('floor')
+    .optional()
+    .isInt({ min: -2, max: 20 })
+    .withMessage('Floor must be between -2 and 20'),
+  
+  body('equipment')
+    .optional()
+    .isArray()
+    .withMessage('Equipment must be an array'),
+  
+  body('equipment.*')
+    .isIn(EQUIPMENT)
+    .withMessage(`Equipment must be one of ${EQUIPMENT.join(', ')}`),
+  
+  body('computerCount')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Computer count must be a positive integer'),
+  
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes must not exceed 500 characters')
+];
+
+const updateRoomValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Room name must be between 1 and 50 characters'),
+  
+  body('building')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Building must be between 1 and 100 characters'),
+  
+  body('type')
+    .optional()
+    .isIn(['amphitheatre', 'classroom', 'lab'])
+    .withMessage('Room type must be amphitheatre, classroom, or lab'),
+  
+  body('capacity')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Capacity must be between 1 and 1000'),
+  
+  body('equipment')
+    .optional()
+    .isArray()
+    .withMessage('Equipment must be an array'),
+  
+  body('equipment.*')
+    .isIn(EQUIPMENT)
+    .withMessage(`Equipment must be one of ${EQUIPMENT.join(', ')}`),
+  
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+];
+
+const availabilityValidation = [
+  query('day')
+    .optional()
+    .isIn(['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday'])
+    .withMessage('Day must be Sunday to Thursday'),
+  
+  query('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Date must be a valid date'),
+  
+  query('startTime')
+    .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage('Start time format should be HH:MM'),
+  
+  query('endTime')
+    .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage('End time format should be HH:MM'),
+  
+  query('minCapacity')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Minimum capacity must be a positive integer'),
+  
+  query('type')
+    .optional()
+    .isIn(['amphitheatre', 'classroom', 'lab'])
+    .withMessage('Room type must be amphitheatre, classroom, or lab')
+];
+
+const roomIdValidation = [
+  param('roomId')
+    .isMongoId()
+    .withMessage('Invalid room ID')
+];
+
+// @route   GET /api/rooms
+// @desc    Get rooms with filtering
+// @access  Private
+router.get('/', auth, getRooms);
+
+// @route   GET /api/rooms/available
+// @desc    Find free rooms (day or date, startTime, endTime, minCapacity, equipment)
+// @access  Private (Teacher/Admin only)
+router.get('/available', 
+  auth, 
+  roleCheck(['teacher', 'admin']), 
+  availabilityValidation, 
+  getAvailableRooms
+);
+
+// @route   GET /api/rooms/:roomId
+// @desc    Get a room with its weekly occupancy
+// @access  Private
+router.get('/:roomId', 
+  auth, 
+  roomIdValidation, 
+  getRoomById
+);
+
+// @route   POST /api/rooms
+// @desc    Create a room
+// @access  Private (Admin only)
+router.post('/', 
+  auth, 
+  roleCheck(['admin']), 
+  createRoomValidation, 
+  createRoom
+);
+
+// @route   PUT /api/rooms/:roomId
+// @desc    Update a room
+// @access  Private (Admin only)
+router.put('/:roomId', 
+  auth, 
+  roleCheck(['admin']), 
+  roomIdValidation, 
+  updateRoomValidation, 
+  updateRoom
+);
+
+// @route   DELETE /api/rooms/:roomId
+// @desc    Delete a room
+// @access  Private (Admin only)
+router.delete('/:roomId', 
+  auth, 
+  roleCheck(['admin']), 
+  roomIdValidation, 
+  deleteRoom
+);
+
+module.exports = router;
@@ -0,0 +1,209 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const router = express.Router();
+
+// Import middleware
+const auth = require('../middleware/auth');
+const roleCheck = require('../middleware/roleCheck');
+
+// Import controllers
+const {
+  getRubrics,
+  getRubricById,
+  createRubric,
+  updateRubric,
+  duplicateRubric,
+  deleteRubric,
+  attachRubric,
+  detachRubric,
+  getCourseRubrics
+} = require('../controllers/rubricController');
+
+// Validation rules
+const rubricValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .withMessage('Rubric name must be between 3 and 100 characters'),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Description must not exceed 1000 characters'),
+  
+  body('isShared')
+    .optional()
+    .isBoolean()
+    .withMessage('isShared must be a boolean'),
+  
+  body('criteria')
+    .isArray({ min: 1 })
+    .withMessage('A rubric needs at least one criterion'),
+  
+  body('criteria.*.name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Criterion name must be between 1 and 100 characters'),
+  
+  body('criteria.*.levels')
+    .isArray({ min: 2 })
+    .withMessage('Each criterion needs at least two levels'),
+  
+  body('criteria.*.levels.*.label')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Level label must be between 1 and 50 characters'),
+  
+  body('criteria.*.levels.*.points')
+    .isFloat({ min: 0 })
+    .withMessage('Level points must be a positive number')
+];
+
+const updateRubricValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .withMessage('Rubric name must be between 3 and 100 characters'),
+  
+  body('isShared')
+    .optional()
+    .isBoolean()
+    .withMessage('isShared must be a boolean'),
+  
+  body('criteria')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('A rubric needs at least one criterion'),
+  
+  body('criteria.*.levels')
+    .optional()
+    .isArray({ min: 2 })
+    .withMessage('Each criterion needs at least two levels'),
+  
+  body('criteria.*.levels.*.points')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Level points must be a positive number')
+];
+
+const attachValidation = [
+  body('course')
+    .isMongoId()
+    .withMessage('Invalid course ID'),
+  
+  body('assessmentType')
+    .isIn(['assignment', 'quiz', 'midterm', 'final', 'project', 'participation', 'lab', 'presentation', 'homework'])
+    .withMessage('Invalid assessment type'),
+  
+  body('assessmentName')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Assessment name must be between 1 and 100 characters')
+];
+
+const rubricIdValidation = [
+  param('rubricId')
+    .isMongoId()
+    .withMessage('Invalid rubric ID')
+];
+
+const courseIdValidation = [
+  param('courseId')
+    .isMongoId()
+    .withMessage('Invalid course ID')
+];
+
+// @route   GET /api/rubrics
+// @desc    Get own and shared rubrics
+// @access  Private (Teacher/Admin only)
+router.get('/', 
+  auth, 
+  roleCheck(['teacher', 'admin']), 
+  getRubrics
+);
+
+// @route   GET /api/rubrics/course/:courseId
+// @desc    Get rubrics attached to a course's assessments
+// @access  Private
+router.get('/course/:courseId', 
+  auth, 
+  courseIdValidation, 
+  getCourseRubrics
+);
+
+// @route   GET /api/rubrics/:rubricId
+// @desc    Get a rubric
+// @access  Private (Teacher/Admin only)
+router.get('/:rubricId', 
+  auth, 
+  roleCheck(['teacher', 'admin']), 
+  rubricIdValidation, 
+  getRubricById
+);
+
+// @route   POST /api/rubrics
+// @desc    Create a rubric
+// @access  Private (Teacher/Admin only)
+router.post('/', 
+  auth, 
+  roleCheck(['teacher', 'admin']), 
+  rubricValidation, 
+  createRubric
+);
+
+// @route   PUT /api/rubrics/:rubricId
+// @desc    Update a rubric
+// @access  Private (Owner/Admin only)
+router.put('/:rubricId', 
+  auth, 
+  roleCheck(['teacher', 'admin']), 
+  rubricIdValidation, 
+  updateRubricValidation, 
+  updateRubric
+);
+
+// @route   POST /api/rubrics/:rubricId/duplicate
+// @desc    Copy a rubric into the current user's library
+// @access  Private (Teacher/Admin only)
+router.post('/:rubricId/duplicate', 
+  auth, 
+  roleCheck(['teacher', 'admin']), 
+  rubricIdValidation, 
+  duplicateRubric
+);
+
+// @route   POST /api/rubrics/:rubricId/attach
+// @desc    Attach a rubric to a course assessment
+// @access  Private (Teacher/Admin only)
+router.post('/:rubricId/attach', 
+  auth, 
+  roleCheck(['teacher', 'admin']), 
+  rubricIdValidation, 
+  attachValidation, 
+  attachRubric
+);
+
+// @route   DELETE /api/rubrics/:rubricId/attach
+// @desc    Detach a rubric from a course assessment
+// @access  Private (Teacher/Admin only)
+router.delete('/:rubricId/attach', 
+  auth, 
+  roleCheck(['teacher', 'admin']), 
+  rubricIdValidation, 
+  attachValidation, 
+  detachRubric
+);
+
+// @route   DELETE /api/rubrics/:rubricId
+// @desc    Archive a rubric
+// @access  Private (Owner/Admin only)
+router.delete('/:rubricId', 
+  auth, 
+  roleCheck(['teacher', 'admin']), 
+  rubricIdValidation, 
+  deleteRubric
+);
+
+module.exports = router;
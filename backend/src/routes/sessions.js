@@ -0,0 +1,81 @@
+const express = require('express');
+const { param, query } = require('express-validator');
+const router = express.Router();
+
+// Import middleware
+const auth = require('../middleware/auth');
+const roleCheck = require('../middleware/roleCheck');
+
+// Import controllers
+const {
+  getMySessions,
+  revokeMySession,
+  getUserSessions,
+  revokeUserSession,
+  revokeAllUserSessions
+} = require('../controllers/sessionController');
+
+// Validation rules
+const sessionIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid session ID')
+];
+
+const userIdValidation = [
+  param('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID')
+];
+
+const userSessionsValidation = [
+  query('includeInactive')
+    .optional()
+    .isBoolean()
+    .withMessage('includeInactive must be a boolean')
+    .toBoolean()
+];
+
+// @route   GET /api/sessions
+// @desc    Get current user's active sessions
+// @access  Private
+router.get('/', auth, getMySessions);
+
+// @route   GET /api/sessions/users/:userId
+// @desc    Get the sessions of an account
+// @access  Private (Admin only)
+router.get('/users/:userId', 
+  auth, 
+  roleCheck(['admin']), 
+  userIdValidation, 
+  userSessionsValidation, 
+  getUserSessions
+);
+
+// @route   DELETE /api/sessions/users/:userId
+// @desc    Revoke every session of an account
+// @access  Private (Admin only)
+router.delete('/users/:userId', 
+  auth, 
+  roleCheck(['admin']), 
+  userIdValidation, 
+  revokeAllUserSessions
+);
+
+// @route   DELETE /api/sessions/users/:userId/:id
+// @desc    Revoke a session of an account
+// @access  Private (Admin only)
+router.delete('/users/:userId/:id', 
+  auth, 
+  roleCheck(['admin']), 
+  userIdValidation, 
+  sessionIdValidation, 
+  revokeUserSession
+);
+
+// @route   DELETE /api/sessions/:id
+// @desc    Sign out one of the current user's devices
+// @access  Private
+router.delete('/:id', auth, sessionIdValidation, revokeMySession);
+
+module.exports = router;
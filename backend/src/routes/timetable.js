@@ -0,0 +1,387 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const router = express.Router();
+
+// Import middleware
+const auth = require('../middleware/auth');
+const roleCheck = require('../middleware/roleCheck');
+
+// Import controllers
+const {
+  getTimetable,
+  checkSchedule,
+  generateTimetable,
+  getTimetableDrafts,
+  getTimetableDraftById,
+  commitTimetable,
+  updateUnavailability
+} = require('../controllers/timetableController');
+const {
+  createException,
+  getExceptions,
+  deleteException
+} = require('../controllers/scheduleExceptionController');
+
+// Validation rules
+const timetableValidation = [
+  query('view')
+    .optional()
+    .isIn(['student', 'teacher', 'room', 'section'])
+    .withMessage('View must be student, teacher, room, or section'),
+  
+  query('id')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+  
+  query('room')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Room must be between 1 and 50 characters'),
+  
+  query('department')
+    .optional()
+    .isIn(['Computer Science', 'Software Engineering', 'Information Systems', 'Artificial Intelligence', 'Networks'])
+    .withMessage('Invalid department'),
+  
+  query('level')
+    .optional()
+    .isIn(['L1', 'L2', 'L3', 'M1', 'M2'])
+    .withMessage('Level must be L1, L2, L3, M1, or M2'),
+  
+  query('semester')
+    .optional()
+    .isIn(['S1', 'S2', 'S3', 'S4', 'S5', 'S6', 'S7', 'S8', 'S9', 'S10'])
+    .withMessage('Semester must be between S1 and S10'),
+  
+  query('academicYear')
+    .optional()
+    .matches(/^\d{4}-\d{4}$/)
+    .withMessage('Academic year format should be YYYY-YYYY'),
+  
+  query('weekOf')
+    .optional()
+    .isISO8601()
+    .withMessage('Week must be a valid date'),
+  
+  query('recurring')
+    .optional()
+    .isBoolean()
+    .withMessage('recurring must be a boolean')
+];
+
+const checkScheduleValidation = [
+  body('course')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid course ID'),
+  
+  body('lectures')
+    .isArray()
+    .withMessage('Lectures must be an array'),
+  
+  body('lectures.*.day')
+    .isIn(['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday'])
+    .withMessage('Day must be Sunday to Thursday'),
+  
+  body('lectures.*.startTime')
+    .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage('Start time format should be HH:MM'),
+  
+  body('lectures.*.endTime')
+    .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage('End time format should be HH:MM'),
+  
+  body('lectures.*.room')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Room name cannot be empty'),
+  
+  body('lectures.*.roomRef')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid room ID'),
+  
+  body('level')
+    .if(body('course').not().exists())
+    .isIn(['L1', 'L2', 'L3', 'M1', 'M2'])
+    .withMessage('Level is required when no course is given'),
+  
+  body('semester')
+    .if(body('course').not().exists())
+    .isIn(['S1', 'S2', 'S3', 'S4', 'S5', 'S6', 'S7', 'S8', 'S9', 'S10'])
+    .withMessage('Semester is required when no course is given'),
+  
+  body('academicYear')
+    .if(body('course').not().exists())
+    .matches(/^\d{4}-\d{4}$/)
+    .withMessage('Academic year is required when no course is given')
+];
+
+const generateValidation = [
+  body('department')
+    .isIn(['Computer Science', 'Software Engineering', 'Information Systems', 'Artificial Intelligence', 'Networks'])
+    .withMessage('Invalid department'),
+  
+  body('level')
+    .isIn(['L1', 'L2', 'L3', 'M1', 'M2'])
+    .withMessage('Level must be L1, L2, L3, M1, or M2'),
+  
+  body('semester')
+    .isIn(['S1', 'S2', 'S3', 'S4', 'S5', 'S6', 'S7', 'S8', 'S9', 'S10'])
+    .withMessage('Semester must be between S1 and S10'),
+  
+  body('academicYear')
+    .matches(/^\d{4}-\d{4}$/)
+    .withMessage('Academic year format should be YYYY-YYYY'),
+  
+  body('rooms')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Rooms must be a non-empty array of room IDs'),
+  
+  body('rooms.*')
+    .isMongoId()
+    .withMessage('Invalid room ID'),
+  
+  body('candidates')
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Candidates must be between 1 and 5'),
+  
+  body('seed')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Seed must be a positive integer')
+];
+
+const draftIdValidation = [
+  param('draftId')
+    .isMongoId()
+    .withMessage('Invalid draft ID')
+];
+
+const commitValidation = [
+  body('candidate')
+    .isInt({ min: 0 })
+    .withMessage('Candidate index is required'),
+  
+  body('allowIncomplete')
+    .optional()
+    .isBoolean()
+    .withMessage('allowIncomplete must be a boolean')
+];
+
+const createExceptionValidation = [
+  body('course')
+    .isMongoId()
+    .withMessage('Invalid course ID'),
+  
+  body('type')
+    .isIn(['cancellation', 'move', 'extra'])
+    .withMessage('Type must be cancellation, move, or extra'),
+  
+  body('lecture')
+    .if(body('type').isIn(['cancellation', 'move']))
+    .isMongoId()
+    .withMessage('The session of the weekly schedule is required'),
+  
+  body('date')
+    .isISO8601()
+    .withMessage('Date must be a valid date'),
+  
+  body('newDate')
+    .if(body('type').equals('move'))
+    .isISO8601()
+    .withMessage('The new date is required to move a session'),
+  
+  body('startTime')
+    .if((value, { req }) => req.body.type === 'extra' || value !== undefined)
+    .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage('Start time format should be HH:MM'),
+  
+  body('endTime')
+    .if((value, { req }) => req.body.type === 'extra' || value !== undefined)
+    .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage('End time format should be HH:MM'),
+  
+  body('room')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Room name cannot be empty'),
+  
+  body('roomRef')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid room ID'),
+  
+  body('sessionType')
+    .optional()
+    .isIn(['Lecture', 'Tutorial', 'Lab', 'Seminar'])
+    .withMessage('Session type must be Lecture, Tutorial, Lab, or Seminar'),
+  
+  body('reason')
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('Reason must be between 3 and 500 characters')
+];
+
+const getExceptionsValidation = [
+  query('course')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid course ID'),
+  
+  query('type')
+    .optional()
+    .isIn(['cancellation', 'move', 'extra'])
+    .withMessage('Type must be cancellation, move, or extra'),
+  
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid date'),
+  
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid date')
+];
+
+const exceptionIdValidation = [
+  param('exceptionId')
+    .isMongoId()
+    .withMessage('Invalid exception ID')
+];
+
+const unavailabilityValidation = [
+  body('teacher')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid teacher ID'),
+  
+  body('unavailability')
+    .isArray()
+    .withMessage('Unavailability must be an array'),
+  
+  body('unavailability.*.day')
+    .isIn(['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday'])
+    .withMessage('Day must be Sunday to Thursday'),
+  
+  body('unavailability.*.startTime')
+    .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage('Start time format should be HH:MM'),
+  
+  body('unavailability.*.endTime')
+    .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage('End time format should be HH:MM'),
+  
+  body('unavailability.*.reason')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Reason must not exceed 200 characters')
+];
+
+// @route   GET /api/timetable
+// @desc    Get a weekly timetable (view=student|teacher|room|section, weekOf or recurring=true)
+// @access  Private
+router.get('/', 
+  auth, 
+  timetableValidation, 
+  getTimetable
+);
+
+// @route   POST /api/timetable/check
+// @desc    Check a proposed schedule for conflicts
+// @access  Private (Teacher/Admin only)
+router.post('/check', 
+  auth, 
+  roleCheck(['teacher', 'admin']), 
+  checkScheduleValidation, 
+  checkSchedule
+);
+
+// @route   POST /api/timetable/exceptions
+// @desc    Cancel or move a session, or add an extra session
+// @access  Private (Teacher/Admin only)
+router.post('/exceptions', 
+  auth, 
+  roleCheck(['teacher', 'admin']), 
+  createExceptionValidation, 
+  createException
+);
+
+// @route   GET /api/timetable/exceptions
+// @desc    Get schedule exceptions (course, type, from and to filters)
+// @access  Private
+router.get('/exceptions', 
+  auth, 
+  getExceptionsValidation, 
+  getExceptions
+);
+
+// @route   DELETE /api/timetable/exceptions/:exceptionId
+// @desc    Remove a schedule exception
+// @access  Private (Teacher/Admin only)
+router.delete('/exceptions/:exceptionId', 
+  auth, 
+  roleCheck(['teacher', 'admin']), 
+  exceptionIdValidation, 
+  deleteException
+);
+
+// @route   PUT /api/timetable/unavailability
+// @desc    Set the weekly unavailability of a teacher
+// @access  Private (Teacher/Admin only)
+router.put('/unavailability', 
+  auth, 
+  roleCheck(['teacher', 'admin']), 
+  unavailabilityValidation, 
+  updateUnavailability
+);
+
+// @route   POST /api/timetable/generate
+// @desc    Generate candidate timetables for a section
+// @access  Private (Admin only)
+router.post('/generate', 
+  auth, 
+  roleCheck(['admin']), 
+  generateValidation, 
+  generateTimetable
+);
+
+// @route   GET /api/timetable/drafts
+// @desc    Get timetable drafts
+// @access  Private (Admin only)
+router.get('/drafts', 
+  auth, 
+  roleCheck(['admin']), 
+  getTimetableDrafts
+);
+
+// @route   GET /api/timetable/drafts/:draftId
+// @desc    Get a timetable draft with its candidates
+// @access  Private (Admin only)
+router.get('/drafts/:draftId', 
+  auth, 
+  roleCheck(['admin']), 
+  draftIdValidation, 
+  getTimetableDraftById
+);
+
+// @route   POST /api/timetable/drafts/:draftId/commit
+// @desc    Commit one candidate to the course schedules
+// @access  Private (Admin only)
+router.post('/drafts/:draftId/commit', 
+  auth, 
+  roleCheck(['admin']), 
+  draftIdValidation, 
+  commitValidation, 
+  commitTimetable
+);
+
+module.exports = router;
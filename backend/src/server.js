@@ -13,12 +13,34 @@ import courseRoutes from './routes/courses';
 import announcementRoutes from './routes/announcements';
 import chatRoutes from './routes/chat';
 import gradeRoutes from './routes/grades';
+import disputeRoutes from './routes/disputes';
+import rubricRoutes from './routes/rubrics';
+import assignmentRoutes from './routes/assignments';
+import timetableRoutes from './routes/timetable';
+import calendarRoutes from './routes/calendar';
+import roomRoutes from './routes/rooms';
+import attendanceRoutes from './routes/attendance';
+import electiveRoutes from './routes/electives';
+import examRoutes from './routes/exams';
+import academicCalendarRoutes from './routes/academicCalendars';
+import sessionRoutes from './routes/sessions';
 import aiRoutes from './routes/ai';
 // Import services
 import socketService from './services/socketService'
+import gradeReleaseService from './services/gradeReleaseService';
+import waitlistService from './services/waitlistService';
+import academicCalendarService from './services/academicCalendarService';
+import sessionService from './services/sessionService';
+import geoipService from './services/geoipService';
 // Import database configuration
 import connectDB from './config/database';
 
+// Refresh tokens are signed with their own secret (see config/jwt)
+if (!process.env.JWT_REFRESH_SECRET || process.env.JWT_REFRESH_SECRET === process.env.JWT_SECRET) {
+  console.error('JWT_REFRESH_SECRET must be set and differ from JWT_SECRET');
+  process.exit(1);
+}
+
 const app = express();
 const server = http.createServer(app);
 
@@ -51,12 +73,49 @@ const io = socketIo(server, {
 // Initialize socket service
 socketService.initializeSocket(io);
 
+// Rebuild the list of revoked sessions checked on each request, then keep
+// it in sync with the revocations of other instances
+sessionService.loadRevokedSessions().catch(error => {
+  console.error('Revoked session loading error:', error);
+});
+sessionService.startRevocationSync();
+
+// Open the local GeoIP database used to locate sessions
+geoipService.loadGeoIpDatabase().catch(error => {
+  console.warn('GeoIP database not loaded, sessions will have no location:', error.message);
+});
+
+// Load the academic calendars and holiday dates used by the date helpers
+academicCalendarService.loadAcademicCalendars().catch(error => {
+  console.error('Academic calendar loading error:', error);
+});
+academicCalendarService.loadHolidayOverrides().catch(error => {
+  console.error('Holiday override loading error:', error);
+});
+
+// Publish grades whose scheduled release date has passed
+gradeReleaseService.startReleaseScheduler();
+
+// Pass on waitlist seats whose confirmation window has expired
+waitlistService.startWaitlistScheduler();
+
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/courses', courseRoutes);
 app.use('/api/announcements', announcementRoutes);
 app.use('/api/chat', chatRoutes);
 app.use('/api/grades', gradeRoutes);
+app.use('/api/disputes', disputeRoutes);
+app.use('/api/rubrics', rubricRoutes);
+app.use('/api/assignments', assignmentRoutes);
+app.use('/api/timetable', timetableRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/rooms', roomRoutes);
+app.use('/api/attendance', attendanceRoutes);
+app.use('/api/electives', electiveRoutes);
+app.use('/api/exams', examRoutes);
+app.use('/api/academic-calendars', academicCalendarRoutes);
+app.use('/api/sessions', sessionRoutes);
 app.use('/api/ai', aiRoutes);
 
 // Health check endpoint
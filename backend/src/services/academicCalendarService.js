@@ -0,0 +1,23 @@
+const AcademicCalendar = require('../models/AcademicCalendar');
+const HolidayOverride = require('../models/HolidayOverride');
+const { setAcademicCalendars, setHolidayOverrides } = require('../utils/dateUtils');
+
+// Load every academic calendar into the date helpers' cache. Called at startup
+// and after each change made by an admin.
+const loadAcademicCalendars = async () => {
+  const calendars = await AcademicCalendar.find().sort({ academicYear: 1 }).lean();
+  setAcademicCalendars(calendars);
+  return calendars.length;
+};
+
+// Load the admin-recorded Islamic holiday dates into the date helpers' cache
+const loadHolidayOverrides = async () => {
+  const overrides = await HolidayOverride.find().lean();
+  setHolidayOverrides(overrides);
+  return overrides.length;
+};
+
+module.exports = {
+  loadAcademicCalendars,
+  loadHolidayOverrides
+};
@@ -0,0 +1,123 @@
+const fs = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+const { Submission } = require('../models/Assignment');
+const { Grade } = require('../models/Grade');
+const Course = require('../models/Course');
+const { ASSESSMENT_CATEGORIES } = require('./gradingService');
+
+// Record a new submission attempt and keep the matching Grade in sync
+// (submission status, lateness and penalty)
+const recordSubmission = async (assignment, studentId, file, comments) => {
+  const submittedAt = new Date();
+  const { isLate, daysLate, latePenalty } = assignment.getLatePenalty(submittedAt);
+
+  const previousAttempts = await Submission.countDocuments({ assignment: assignment._id, student: studentId });
+  await Submission.updateMany(
+    { assignment: assignment._id, student: studentId, isLatest: true },
+    { $set: { isLatest: false } }
+  );
+
+  const submission = new Submission({
+    assignment: assignment._id,
+    student: studentId,
+    course: assignment.course,
+    attemptNumber: previousAttempts + 1,
+    file,
+    comments,
+    submittedAt,
+    isLate,
+    daysLate,
+    latePenalty
+  });
+
+  let grade = await Grade.findOne({ assignment: assignment._id, student: studentId });
+
+  if (!grade) {
+    const course = await Course.findById(assignment.course).select('assessments');
+    const category = ASSESSMENT_CATEGORIES[assignment.assessmentType];
+
+    grade = new Grade({
+      student: studentId,
+      course: assignment.course,
+      instructor: assignment.instructor,
+      assignment: assignment._id,
+      academicYear: assignment.academicYear,
+      semester: assignment.semester,
+      assessmentType: assignment.assessmentType,
+      assessmentName: assignment.title,
+      assessmentDescription: assignment.description?.slice(0, 500),
+      pointsEarned: 0,
+      totalPoints: assignment.totalPoints,
+      weight: assignment.weight ?? (course?.assessments[category]?.percentage || 0),
+      assignedDate: assignment.assignedDate,
+      dueDate: assignment.dueDate
+    });
+  } else if (['graded', 'returned'].includes(grade.gradingStatus)) {
+    // A new attempt after grading must be looked at again
+    grade.needsReview = true;
+    grade.reviewReason = `Resubmitted (attempt ${submission.attemptNumber}) after grading`;
+  }
+
+  grade.submissionDate = submittedAt;
+  grade.submissionStatus = isLate ? 'late' : 'submitted';
+  grade.isLate = isLate;
+  grade.daysLate = daysLate;
+  grade.latePenalty = latePenalty;
+  grade.attemptNumber = submission.attemptNumber;
+  grade.maxAttempts = assignment.maxAttempts;
+  grade.attachments.push({
+    filename: file.filename,
+    originalName: file.originalName,
+    path: file.path,
+    uploadedBy: studentId,
+    type: 'submission'
+  });
+
+  await grade.save();
+
+  submission.grade = grade._id;
+  await submission.save();
+
+  const stats = { 'stats.submissionCount': previousAttempts === 0 ? 1 : 0 };
+  if (isLate && previousAttempts === 0) stats['stats.lateCount'] = 1;
+  await assignment.updateOne({ $inc: stats });
+
+  return { submission, grade };
+};
+
+// Helper function to build a safe file name for archive entries
+const safeName = (value) => {
+  return String(value || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^a-zA-Z0-9._-]+/g, '_');
+};
+
+// Stream the submissions of an assignment as a zip archive, one folder per student
+const writeSubmissionsArchive = async (submissions, stream) => {
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  const missing = [];
+
+  archive.pipe(stream);
+
+  submissions.forEach(submission => {
+    const student = submission.student;
+    const folder = safeName(`${student.studentId || student._id}_${student.lastName}_${student.firstName}`);
+    const name = `attempt-${submission.attemptNumber}${submission.isLate ? '-late' : ''}_${safeName(submission.file.originalName)}`;
+
+    if (submission.file?.path && fs.existsSync(submission.file.path)) {
+      archive.file(submission.file.path, { name: path.posix.join(folder, name) });
+    } else {
+      missing.push(`${folder}/${name}`);
+    }
+  });
+
+  if (missing.length > 0) {
+    archive.append(`Files missing on the server:\n${missing.join('\n')}\n`, { name: 'MISSING_FILES.txt' });
+  }
+
+  await archive.finalize();
+};
+
+module.exports = {
+  recordSubmission,
+  writeSubmissionsArchive
+};
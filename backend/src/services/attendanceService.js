@@ -0,0 +1,348 @@
+const crypto = require('crypto');
+const moment = require('moment');
+const Course = require('../models/Course');
+const AttendanceSession = require('../models/AttendanceSession');
+const AbsencePolicy = require('../models/AbsencePolicy');
+const { Grade } = require('../models/Grade');
+const { notifyUser } = require('./notificationService');
+const { toLocalDay, expandSessions } = require('./timetableService');
+
+// QR tokens rotate every period; the previous token stays valid so a code
+// scanned just before it rotated is still accepted
+const TOKEN_PERIOD_SECONDS = parseInt(process.env.ATTENDANCE_TOKEN_PERIOD, 10) || 20;
+const TOKEN_GRACE_PERIODS = 1;
+
+// Check-in opens before the session starts; students checking in after
+// LATE_AFTER_MINUTES are marked late
+const CHECK_IN_OPENS_MINUTES = 15;
+const LATE_AFTER_MINUTES = 15;
+
+// TD/TP sessions count toward the participation grade; late counts for half
+const PARTICIPATION_SESSION_TYPES = ['Tutorial', 'Lab'];
+const LATE_CREDIT = 0.5;
+const PARTICIPATION_ASSESSMENT_NAME = 'Attendance';
+
+// Helper function to get a time (HH:MM) of a session day
+const atTime = (date, time) => {
+  const [hour, minute] = time.split(':').map(Number);
+  return toLocalDay(date).hour(hour).minute(minute);
+};
+
+// Helper function to sign a token window of a session
+const signWindow = (session, window) => {
+  return crypto.createHmac('sha256', session.secret)
+    .update(`${session._id}:${window}`)
+    .digest('base64url')
+    .slice(0, 22);
+};
+
+// Generate the key signing the QR tokens of a session
+const generateSessionSecret = () => crypto.randomBytes(32).toString('hex');
+
+// Current QR token of an open session: <sessionId>.<window>.<signature>
+const issueToken = (session, now = Date.now()) => {
+  const period = TOKEN_PERIOD_SECONDS * 1000;
+  const window = Math.floor(now / period);
+
+  return {
+    token: `${session._id}.${window.toString(36)}.${signWindow(session, window)}`,
+    expiresAt: new Date((window + 1) * period),
+    period: TOKEN_PERIOD_SECONDS
+  };
+};
+
+// Split a QR token; returns null when it is malformed
+const parseToken = (token) => {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3 || !/^[a-f\d]{24}$/i.test(parts[0])) return null;
+
+  const window = parseInt(parts[1], 36);
+  if (!Number.isSafeInteger(window)) return null;
+
+  return { sessionId: parts[0], window, signature: parts[2] };
+};
+
+// Check the signature and the window of a parsed token
+const verifyToken = (session, parsed, now = Date.now()) => {
+  const current = Math.floor(now / (TOKEN_PERIOD_SECONDS * 1000));
+  if (parsed.window > current || parsed.window < current - TOKEN_GRACE_PERIODS) {
+    return false;
+  }
+
+  const expected = Buffer.from(signWindow(session, parsed.window));
+  const received = Buffer.from(parsed.signature);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+// Check-in window of a session, and whether a check-in at `now` is late
+const getCheckInWindow = (session, now = new Date()) => {
+  const start = atTime(session.date, session.startTime);
+  const end = atTime(session.date, session.endTime);
+  const opensAt = start.clone().subtract(CHECK_IN_OPENS_MINUTES, 'minutes');
+
+  return {
+    opensAt: opensAt.toDate(),
+    closesAt: end.toDate(),
+    isOpen: moment(now).isBetween(opensAt, end, null, '[]'),
+    isLate: moment(now).isAfter(start.clone().add(LATE_AFTER_MINUTES, 'minutes'))
+  };
+};
+
+// Find the timetable session a teacher opens attendance for: a weekly session
+// (`lecture`), a moved or extra session (`exception`), or, without either, the
+// session of the course running at that time. Exceptions are applied, so
+// cancelled sessions and holidays cannot be opened.
+const findScheduledSession = async (course, { lecture, exception, date } = {}) => {
+  const day = toLocalDay(date || new Date());
+  const sessions = (await expandSessions([course], day, day))
+    .filter(session => ['scheduled', 'rescheduled', 'extra'].includes(session.status));
+
+  if (exception) {
+    return sessions.find(session => session.exception?.toString() === exception.toString()) || null;
+  }
+  if (lecture) {
+    return sessions.find(session => session.lecture?.toString() === lecture.toString()) || null;
+  }
+
+  const now = moment();
+  return sessions.find(session => now.isBetween(
+    atTime(day, session.startTime).subtract(CHECK_IN_OPENS_MINUTES, 'minutes'),
+    atTime(day, session.endTime),
+    null,
+    '[]'
+  )) || null;
+};
+
+// Count the attendance records of a student over some sessions
+const countAttendance = (sessions, studentId) => {
+  const counts = { sessions: 0, present: 0, late: 0, absent: 0, excused: 0 };
+
+  sessions.forEach(session => {
+    const record = session.records.find(r => r.student.toString() === studentId.toString());
+    if (!record) return;
+    counts.sessions += 1;
+    counts[record.status] += 1;
+  });
+
+  return counts;
+};
+
+// Attendance rate (0-1) from counts: excused sessions are left out and
+// late arrivals earn LATE_CREDIT. Null when no session counts.
+const getAttendanceRate = (counts) => {
+  const counted = counts.sessions - counts.excused;
+  if (counted <= 0) return null;
+  return (counts.present + counts.late * LATE_CREDIT) / counted;
+};
+
+// Per-student attendance of a course, overall and for TD/TP sessions
+const summarizeCourseAttendance = async (course) => {
+  const sessions = await AttendanceSession.find({ course: course._id, status: 'closed' })
+    .select('date startTime sessionType records')
+    .sort({ date: 1, startTime: 1 });
+  const participationSessions = sessions.filter(s => PARTICIPATION_SESSION_TYPES.includes(s.sessionType));
+
+  const students = course.enrolledStudents
+    .filter(e => e.status !== 'dropped')
+    .map(e => {
+      const counts = countAttendance(sessions, e.student._id || e.student);
+      const participation = countAttendance(participationSessions, e.student._id || e.student);
+      const rate = getAttendanceRate(counts);
+      return {
+        student: e.student,
+        ...counts,
+        attendanceRate: rate === null ? null : Math.round(rate * 1000) / 10,
+        participation
+      };
+    });
+
+  return {
+    sessionCount: sessions.length,
+    participationSessionCount: participationSessions.length,
+    students
+  };
+};
+
+// Write the attendance part of the participation grade of every enrolled
+// student: the TD/TP attendance rate scaled to `totalPoints`. Existing grades
+// keep their history; students without any counted session are skipped.
+const syncParticipationGrades = async (course, userId, { totalPoints = 20 } = {}) => {
+  const sessions = await AttendanceSession.find({
+    course: course._id,
+    status: 'closed',
+    sessionType: { $in: PARTICIPATION_SESSION_TYPES }
+  }).select('records');
+
+  const result = { created: 0, updated: 0, unchanged: 0, skipped: 0 };
+
+  for (const enrollment of course.enrolledStudents.filter(e => e.status !== 'dropped')) {
+    const rate = getAttendanceRate(countAttendance(sessions, enrollment.student));
+    if (rate === null) {
+      result.skipped += 1;
+      continue;
+    }
+
+    const pointsEarned = Math.round(rate * totalPoints * 100) / 100;
+    let grade = await Grade.findOne({
+      student: enrollment.student,
+      course: course._id,
+      academicYear: course.academicYear,
+      semester: course.semester,
+      assessmentType: 'participation',
+      assessmentName: PARTICIPATION_ASSESSMENT_NAME
+    });
+
+    if (grade) {
+      if (grade.pointsEarned === pointsEarned && grade.totalPoints === totalPoints) {
+        result.unchanged += 1;
+        continue;
+      }
+      grade.totalPoints = totalPoints;
+      grade.gradingStatus = 'graded';
+      await grade.updateGrade(pointsEarned, 'Attendance updated', userId);
+      result.updated += 1;
+    } else {
+      grade = new Grade({
+        student: enrollment.student,
+        course: course._id,
+        instructor: course.instructor,
+        academicYear: course.academicYear,
+        semester: course.semester,
+        assessmentType: 'participation',
+        assessmentName: PARTICIPATION_ASSESSMENT_NAME,
+        assessmentDescription: 'TD/TP attendance',
+        pointsEarned,
+        totalPoints,
+        weight: course.assessments?.participation?.percentage || 0,
+        assignedDate: course.startDate || new Date(),
+        dueDate: new Date(),
+        gradedDate: new Date(),
+        gradingStatus: 'graded',
+        gradeHistory: [{
+          previousGrade: null,
+          newGrade: pointsEarned,
+          reason: 'Computed from attendance',
+          changedBy: userId
+        }]
+      });
+      await grade.save();
+      result.created += 1;
+    }
+  }
+
+  return result;
+};
+
+// Apply the absence policy of the course category to its enrolled students
+// (or only `studentIds`): warn at maxAbsences - 1 unjustified absences and
+// exclude at maxAbsences. Approved justifications lower the count, so an
+// exclusion is lifted when the count goes back under the threshold.
+const applyAbsencePolicy = async (course, studentIds = null) => {
+  const policy = await AbsencePolicy.getForCategory(course.category);
+  const sessions = await AttendanceSession.find({
+    course: course._id,
+    status: 'closed',
+    sessionType: { $in: policy.sessionTypes }
+  }).select('records');
+
+  const targets = course.enrolledStudents.filter(e =>
+    e.status === 'enrolled' &&
+    (!studentIds || studentIds.some(id => id.toString() === (e.student._id || e.student).toString()))
+  );
+  const summary = { course: { _id: course._id, code: course.code, name: course.name }, maxAbsences: policy.maxAbsences };
+  const result = { warned: [], excluded: [], reinstated: [] };
+
+  for (const enrollment of targets) {
+    const studentId = enrollment.student._id || enrollment.student;
+    const { absent } = countAttendance(sessions, studentId);
+    const set = {};
+    const unset = {};
+
+    if (absent >= policy.maxAbsences && !enrollment.isExcluded) {
+      set['enrolledStudents.$.isExcluded'] = true;
+      set['enrolledStudents.$.excludedAt'] = new Date();
+      result.excluded.push(studentId);
+      notifyUser(studentId, 'attendance_exclusion', {
+        ...summary,
+        absences: absent,
+        message: `With ${absent} unjustified absences you are excluded from ${course.code}`
+      });
+    } else if (absent < policy.maxAbsences && enrollment.isExcluded) {
+      set['enrolledStudents.$.isExcluded'] = false;
+      unset['enrolledStudents.$.excludedAt'] = '';
+      result.reinstated.push(studentId);
+      notifyUser(studentId, 'attendance_exclusion_lifted', { ...summary, absences: absent });
+    }
+
+    if (absent === policy.maxAbsences - 1 && !enrollment.absenceWarnedAt) {
+      set['enrolledStudents.$.absenceWarnedAt'] = new Date();
+      result.warned.push(studentId);
+      notifyUser(studentId, 'attendance_warning', {
+        ...summary,
+        absences: absent,
+        message: `You have ${absent} unjustified absences in ${course.code}: one more will exclude you from the module`
+      });
+    } else if (absent < policy.maxAbsences - 1 && enrollment.absenceWarnedAt) {
+      // Back under the warning level: warn again if it is reached later
+      unset['enrolledStudents.$.absenceWarnedAt'] = '';
+    }
+
+    if (Object.keys(set).length > 0 || Object.keys(unset).length > 0) {
+      const update = {};
+      if (Object.keys(set).length > 0) update.$set = set;
+      if (Object.keys(unset).length > 0) update.$unset = unset;
+      await Course.updateOne({ _id: course._id, 'enrolledStudents.student': studentId }, update);
+    }
+  }
+
+  return result;
+};
+
+// Students of a course excluded or warned for absences, with their counts
+const getExclusionList = async (course) => {
+  const policy = await AbsencePolicy.getForCategory(course.category);
+  const sessions = await AttendanceSession.find({
+    course: course._id,
+    status: 'closed',
+    sessionType: { $in: policy.sessionTypes }
+  }).select('records');
+
+  const students = course.enrolledStudents
+    .filter(e => e.status !== 'dropped' && (e.isExcluded || e.absenceWarnedAt))
+    .map(e => ({
+      student: e.student,
+      ...countAttendance(sessions, e.student._id || e.student),
+      isExcluded: e.isExcluded,
+      excludedAt: e.excludedAt,
+      absenceWarnedAt: e.absenceWarnedAt
+    }))
+    .sort((a, b) => b.isExcluded - a.isExcluded || b.absent - a.absent);
+
+  return {
+    policy: {
+      category: policy.category,
+      maxAbsences: policy.maxAbsences,
+      sessionTypes: policy.sessionTypes,
+      isDefault: Boolean(policy.isDefault)
+    },
+    sessionCount: sessions.length,
+    students
+  };
+};
+
+module.exports = {
+  TOKEN_PERIOD_SECONDS,
+  PARTICIPATION_SESSION_TYPES,
+  generateSessionSecret,
+  issueToken,
+  parseToken,
+  verifyToken,
+  getCheckInWindow,
+  findScheduledSession,
+  countAttendance,
+  getAttendanceRate,
+  summarizeCourseAttendance,
+  syncParticipationGrades,
+  applyAbsencePolicy,
+  getExclusionList
+};
@@ -0,0 +1,304 @@
+const crypto = require('crypto');
+const moment = require('moment');
+const Course = require('../models/Course');
+const Announcement = require('../models/Announcement');
+const ScheduleException = require('../models/ScheduleException');
+const { Grade } = require('../models/Grade');
+const { Assignment } = require('../models/Assignment');
+const { getAlgerianHolidays } = require('../utils/dateUtils');
+
+// Algeria is UTC+1 all year round (no daylight saving time)
+const ALGERIA_OFFSET = 60;
+
+const PRODUCT_ID = '-//USTHB App//Calendar Feed//EN';
+const UID_DOMAIN = 'usthb-app';
+
+// Helper function to escape a TEXT value (RFC 5545 section 3.3.11)
+const escapeText = (value) => {
+  return String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+};
+
+// Helper function to fold content lines longer than 75 octets
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let bytes = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    if (bytes + size > 75) {
+      parts.push(current);
+      current = ' ';
+      bytes = 1;
+    }
+    current += char;
+    bytes += size;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n');
+};
+
+// Helper function to format a date-time in UTC (20250914T070000Z)
+const formatDateTime = (date) => moment(date).utc().format('YYYYMMDD[T]HHmmss[Z]');
+
+// Helper function to format an all-day date in Algerian time (20250914)
+const formatDay = (date) => moment(date).utcOffset(ALGERIA_OFFSET).format('YYYYMMDD');
+
+// Helper function to build a VEVENT from its properties (null values are skipped)
+const buildEvent = (properties) => {
+  const lines = ['BEGIN:VEVENT'];
+  properties.forEach(([name, value]) => {
+    if (value === null || value === undefined || value === '') return;
+    lines.push(`${name}:${value}`);
+  });
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+// Helper function to get a time (HH:MM) of a day in Algerian time
+const atTime = (date, time) => {
+  const [hour, minute] = time.split(':').map(Number);
+  return moment(date).utcOffset(ALGERIA_OFFSET).startOf('day').hour(hour).minute(minute);
+};
+
+// Holidays (YYYY-MM-DD) between two dates
+const getHolidayDates = (startDate, endDate) => {
+  const dates = [];
+  for (let year = moment(startDate).year(); year <= moment(endDate).year(); year++) {
+    getAlgerianHolidays(year).forEach(holiday => dates.push(holiday.date));
+  }
+  return dates;
+};
+
+// Expand the weekly lectures of a course into recurring events between its start
+// and end dates, with the holidays falling on a lecture day excluded. Cancelled
+// and moved occurrences (schedule exceptions) override their instance.
+const buildLectureEvents = (course, stamp, exceptions = []) => {
+  if (!course.startDate || !course.endDate) return [];
+
+  const holidays = getHolidayDates(course.startDate, course.endDate);
+  const until = moment(course.endDate).utcOffset(ALGERIA_OFFSET).endOf('day');
+  const sequence = Math.floor(moment(course.updatedAt || stamp).unix() / 60) % 2147483647;
+
+  return course.schedule.lectures.flatMap((lecture, index) => {
+    // First occurrence of the lecture day on or after the start date
+    const first = moment(course.startDate).utcOffset(ALGERIA_OFFSET).startOf('day');
+    while (first.format('dddd') !== lecture.day) first.add(1, 'day');
+    if (first.isAfter(until)) return [];
+
+    const start = atTime(first, lecture.startTime);
+    const end = atTime(first, lecture.endTime);
+    const uid = `lecture-${course._id}-${lecture._id || index}@${UID_DOMAIN}`;
+    const summary = `${course.code} ${lecture.type || 'Lecture'} - ${course.name}`;
+
+    const excluded = holidays
+      .map(date => moment.utc(date).utcOffset(ALGERIA_OFFSET, true))
+      .filter(date => date.format('dddd') === lecture.day && date.isBetween(start, until, 'day', '[]'))
+      .map(date => formatDateTime(atTime(date, lecture.startTime)));
+
+    const overrides = exceptions
+      .filter(e => e.type !== 'extra' && lecture._id && e.original.lecture?.toString() === lecture._id.toString())
+      .flatMap(e => {
+        const moved = e.type === 'move';
+        return buildEvent([
+          ['UID', uid],
+          ['DTSTAMP', formatDateTime(stamp)],
+          ['LAST-MODIFIED', formatDateTime(e.updatedAt || stamp)],
+          ['SEQUENCE', sequence],
+          ['RECURRENCE-ID', formatDateTime(atTime(e.original.date, lecture.startTime))],
+          ['DTSTART', formatDateTime(moved ? atTime(e.replacement.date, e.replacement.startTime) : atTime(e.original.date, lecture.startTime))],
+          ['DTEND', formatDateTime(moved ? atTime(e.replacement.date, e.replacement.endTime) : atTime(e.original.date, lecture.endTime))],
+          ['STATUS', moved ? 'CONFIRMED' : 'CANCELLED'],
+          ['SUMMARY', escapeText(moved ? `${summary} (moved)` : `Cancelled: ${summary}`)],
+          ['LOCATION', escapeText(moved ? e.replacement.room : lecture.room)],
+          ['DESCRIPTION', escapeText(e.reason)],
+          ['CATEGORIES', escapeText(lecture.type || 'Lecture')]
+        ]);
+      });
+
+    return [
+      ...buildEvent([
+        ['UID', uid],
+        ['DTSTAMP', formatDateTime(stamp)],
+        ['LAST-MODIFIED', formatDateTime(course.updatedAt || stamp)],
+        ['SEQUENCE', sequence],
+        ['DTSTART', formatDateTime(start)],
+        ['DTEND', formatDateTime(end)],
+        ['RRULE', `FREQ=WEEKLY;UNTIL=${formatDateTime(until)}`],
+        ['EXDATE', excluded.length > 0 ? excluded.join(',') : null],
+        ['SUMMARY', escapeText(summary)],
+        ['LOCATION', escapeText(lecture.room)],
+        ['CATEGORIES', escapeText(lecture.type || 'Lecture')]
+      ]),
+      ...overrides
+    ];
+  });
+};
+
+// Extra session added on top of the weekly schedule
+const buildExtraSessionEvent = (course, exception, stamp) => {
+  const type = exception.replacement.sessionType || 'Lecture';
+
+  return buildEvent([
+    ['UID', `session-${exception._id}@${UID_DOMAIN}`],
+    ['DTSTAMP', formatDateTime(stamp)],
+    ['LAST-MODIFIED', formatDateTime(exception.updatedAt || stamp)],
+    ['DTSTART', formatDateTime(atTime(exception.replacement.date, exception.replacement.startTime))],
+    ['DTEND', formatDateTime(atTime(exception.replacement.date, exception.replacement.endTime))],
+    ['SUMMARY', escapeText(`${course.code} ${type} (extra) - ${course.name}`)],
+    ['LOCATION', escapeText(exception.replacement.room)],
+    ['DESCRIPTION', escapeText(exception.reason)],
+    ['CATEGORIES', escapeText(type)]
+  ]);
+};
+
+// Final exam of a course: all-day when no time is set, one slot otherwise
+const buildExamEvent = (course, stamp) => {
+  if (!course.examDate) return [];
+
+  const local = moment(course.examDate).utcOffset(ALGERIA_OFFSET);
+  const allDay = local.hour() === 0 && local.minute() === 0;
+
+  return buildEvent([
+    ['UID', `exam-${course._id}@${UID_DOMAIN}`],
+    ['DTSTAMP', formatDateTime(stamp)],
+    ['LAST-MODIFIED', formatDateTime(course.updatedAt || stamp)],
+    [allDay ? 'DTSTART;VALUE=DATE' : 'DTSTART', allDay ? formatDay(local) : formatDateTime(local)],
+    [allDay ? 'DTEND;VALUE=DATE' : 'DTEND', allDay ? formatDay(local.clone().add(1, 'day')) : formatDateTime(local.clone().add(90, 'minutes'))],
+    ['SUMMARY', escapeText(`Exam: ${course.code} - ${course.name}`)],
+    ['CATEGORIES', 'Exam']
+  ]);
+};
+
+// Deadline as a zero-length event at the due time
+const buildDeadlineEvent = (uid, summary, dueDate, stamp) => {
+  return buildEvent([
+    ['UID', `${uid}@${UID_DOMAIN}`],
+    ['DTSTAMP', formatDateTime(stamp)],
+    ['DTSTART', formatDateTime(dueDate)],
+    ['DTEND', formatDateTime(dueDate)],
+    ['SUMMARY', escapeText(summary)],
+    ['CATEGORIES', 'Deadline']
+  ]);
+};
+
+// Courses shown in a user's feed, optionally restricted to some of them
+const getFeedCourses = async (user, courseIds = []) => {
+  let filter;
+  if (user.role === 'student') {
+    filter = { enrolledStudents: { $elemMatch: { student: user._id, status: 'enrolled' } } };
+  } else if (user.role === 'teacher') {
+    filter = { $or: [{ instructor: user._id }, { assistants: user._id }] };
+  } else {
+    // Admins only get the courses they ask for
+    filter = courseIds.length > 0 ? {} : { _id: null };
+  }
+
+  if (courseIds.length > 0) {
+    filter._id = { $in: courseIds };
+  }
+
+  return Course.find({ ...filter, status: { $ne: 'cancelled' } })
+    .select('code name schedule startDate endDate examDate updatedAt');
+};
+
+// Build the iCalendar feed of a user: lectures, exams, deadlines and the
+// event/deadline announcements they can see
+const buildUserCalendar = async (user, { courseIds = [] } = {}) => {
+  const stamp = new Date();
+  const courses = await getFeedCourses(user, courseIds);
+  const ids = courses.map(c => c._id);
+  const codes = new Map(courses.map(c => [c._id.toString(), c.code]));
+  const events = [];
+
+  const exceptions = await ScheduleException.find({ course: { $in: ids } });
+
+  courses.forEach(course => {
+    const courseExceptions = exceptions.filter(e => e.course.toString() === course._id.toString());
+    events.push(...buildLectureEvents(course, stamp, courseExceptions));
+    courseExceptions
+      .filter(e => e.type === 'extra')
+      .forEach(e => events.push(...buildExtraSessionEvent(course, e, stamp)));
+    events.push(...buildExamEvent(course, stamp));
+  });
+
+  // Assignment deadlines
+  const assignments = await Assignment.find({ course: { $in: ids }, isPublished: true })
+    .select('course title dueDate');
+  assignments.forEach(assignment => {
+    events.push(...buildDeadlineEvent(
+      `assignment-${assignment._id}`,
+      `Due: ${codes.get(assignment.course.toString())} ${assignment.title}`,
+      assignment.dueDate,
+      stamp
+    ));
+  });
+
+  // Other graded work with a due date (one event per assessment)
+  const gradeFilter = { course: { $in: ids }, dueDate: { $exists: true, $ne: null }, assignment: null };
+  if (user.role === 'student') gradeFilter.student = user._id;
+  const grades = await Grade.find(gradeFilter).select('course assessmentType assessmentName dueDate');
+  const seen = new Set();
+  grades.forEach(grade => {
+    const key = `${grade.course}-${grade.assessmentType}-${grade.assessmentName}-${grade.dueDate.getTime()}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    events.push(...buildDeadlineEvent(
+      `deadline-${crypto.createHash('sha1').update(key).digest('hex').slice(0, 16)}`,
+      `Due: ${codes.get(grade.course.toString())} ${grade.assessmentName}`,
+      grade.dueDate,
+      stamp
+    ));
+  });
+
+  // Announcements: visible events and deadlines, and the user's own scheduled ones
+  const announcementFilter = courseIds.length > 0 ? { 'targetCriteria.courses': { $in: ids } } : {};
+  const visible = await Announcement.findForUser(user)
+    .where({ ...announcementFilter, type: { $in: ['event', 'deadline'] } })
+    .where('publishDate').gte(moment().subtract(90, 'days').toDate());
+  const scheduled = await Announcement.find({ ...announcementFilter, author: user._id, status: 'scheduled' });
+  [...visible, ...scheduled].forEach(announcement => {
+    const isScheduled = announcement.status === 'scheduled';
+    events.push(...buildEvent([
+      ['UID', `announcement-${announcement._id}@${UID_DOMAIN}`],
+      ['DTSTAMP', formatDateTime(stamp)],
+      ['LAST-MODIFIED', formatDateTime(announcement.updatedAt || stamp)],
+      ['DTSTART', formatDateTime(announcement.publishDate)],
+      ['DTEND', formatDateTime(announcement.expiryDate && moment(announcement.expiryDate).diff(announcement.publishDate, 'days') < 1
+        ? announcement.expiryDate
+        : moment(announcement.publishDate).add(1, 'hour'))],
+      ['SUMMARY', escapeText(`${isScheduled ? 'Scheduled announcement: ' : ''}${announcement.title}`)],
+      ['DESCRIPTION', escapeText(announcement.summary || announcement.content.slice(0, 300))],
+      ['CATEGORIES', 'Announcement']
+    ]));
+  });
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(`USTHB - ${user.firstName} ${user.lastName}`)}`,
+    'X-WR-TIMEZONE:Africa/Algiers',
+    // Ask clients to refresh hourly so schedule changes show up quickly
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H',
+    ...events,
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  escapeText,
+  foldLine,
+  buildLectureEvents,
+  buildUserCalendar
+};
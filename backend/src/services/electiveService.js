@@ -0,0 +1,279 @@
+const Course = require('../models/Course');
+const User = require('../models/User');
+const Announcement = require('../models/Announcement');
+const { CourseGradeSummary } = require('../models/Grade');
+const { roundMark } = require('./gradingService');
+const { notifyUser } = require('./notificationService');
+
+// Study year (User.year) of each level
+const LEVEL_YEARS = { L1: 1, L2: 2, L3: 3, M1: 4, M2: 5 };
+
+// Helper function to get the academic year before "YYYY-YYYY"
+const getPreviousAcademicYear = (academicYear) => {
+  const [start, end] = academicYear.split('-').map(Number);
+  return `${start - 1}-${end - 1}`;
+};
+
+// Helper function to check that a student belongs to the campaign's cohort
+const isInCohort = (user, campaign) => {
+  return user.role === 'student' &&
+    user.department === campaign.department &&
+    user.year === LEVEL_YEARS[campaign.level];
+};
+
+// Annual average of each student over an academic year: coefficient-weighted
+// module averages per semester, then the mean of the semester averages.
+// Students without any result that year are left out.
+const computeYearAverages = async (studentIds, academicYear) => {
+  const summaries = await CourseGradeSummary.find({
+    student: { $in: studentIds },
+    academicYear,
+    moduleAverage: { $ne: null }
+  }).select('student semester moduleAverage coefficient');
+
+  const semesters = new Map();
+  summaries.forEach(summary => {
+    const key = summary.student.toString();
+    if (!semesters.has(key)) semesters.set(key, {});
+    const bySemester = semesters.get(key);
+    const totals = bySemester[summary.semester] || (bySemester[summary.semester] = { points: 0, coefficients: 0 });
+    const coefficient = summary.coefficient || 1;
+    totals.points += summary.moduleAverage * coefficient;
+    totals.coefficients += coefficient;
+  });
+
+  const averages = new Map();
+  semesters.forEach((bySemester, studentId) => {
+    const semesterAverages = Object.values(bySemester).map(t => t.points / t.coefficients);
+    averages.set(studentId, roundMark(semesterAverages.reduce((sum, a) => sum + a, 0) / semesterAverages.length));
+  });
+
+  return averages;
+};
+
+// Student-proposing deferred acceptance. Every course ranks applicants by
+// merit (average, then earliest submission), so the result is stable: no
+// student is refused a course in favour of someone with a lower average.
+// `candidates` are { id, choices: [courseId], average, submittedAt } and
+// `capacities` maps a course id to its seats.
+const allocateSeats = (candidates, capacities) => {
+  const byMerit = (a, b) =>
+    (b.average ?? -1) - (a.average ?? -1) ||
+    a.submittedAt - b.submittedAt ||
+    a.id.localeCompare(b.id);
+
+  const nextChoice = new Map(candidates.map(c => [c.id, 0]));
+  const held = new Map();
+  const free = [...candidates];
+
+  while (free.length > 0) {
+    const candidate = free.pop();
+    const index = nextChoice.get(candidate.id);
+    if (index >= candidate.choices.length) continue;
+
+    nextChoice.set(candidate.id, index + 1);
+    const courseId = candidate.choices[index];
+    const capacity = capacities.get(courseId) || 0;
+
+    const accepted = held.get(courseId) || [];
+    accepted.push(candidate);
+    accepted.sort(byMerit);
+    if (accepted.length > capacity) {
+      free.push(accepted.pop());
+    }
+    held.set(courseId, accepted);
+  }
+
+  const assignments = new Map();
+  held.forEach((accepted, courseId) => {
+    accepted.forEach(candidate => {
+      assignments.set(candidate.id, {
+        course: courseId,
+        rank: candidate.choices.indexOf(courseId) + 1
+      });
+    });
+  });
+
+  return assignments;
+};
+
+// Whether a student already follows a course
+const isEnrolledIn = (course, studentId) => course.enrolledStudents.some(enrollment =>
+  enrollment.student.toString() === studentId.toString() && enrollment.status !== 'dropped'
+);
+
+// Run the allocation of a campaign and store each student's assignment.
+// Can be run again until the results are published.
+const runAllocation = async (campaign, userId) => {
+  const referenceYear = getPreviousAcademicYear(campaign.academicYear);
+  const averages = await computeYearAverages(campaign.submissions.map(s => s.student), referenceYear);
+
+  const candidates = campaign.submissions.map(submission => ({
+    id: submission.student.toString(),
+    choices: submission.choices.map(c => c.toString()),
+    average: averages.get(submission.student.toString()) ?? null,
+    submittedAt: submission.submittedAt
+  }));
+
+  // An option never offers more seats than its course still has (students of
+  // the campaign already enrolled in it keep theirs)
+  const courses = await Course.find({ _id: { $in: campaign.options.map(o => o.course) } });
+  const capacities = new Map(campaign.options.map(option => {
+    const course = courses.find(c => c._id.toString() === option.course.toString());
+    if (!course) return [option.course.toString(), 0];
+    const enrolledCandidates = campaign.submissions.filter(s => isEnrolledIn(course, s.student)).length;
+    return [option.course.toString(), Math.min(option.capacity, course.availableSpots + enrolledCandidates)];
+  }));
+
+  const assignments = allocateSeats(candidates, capacities);
+
+  campaign.submissions.forEach(submission => {
+    const assignment = assignments.get(submission.student.toString());
+    submission.average = averages.get(submission.student.toString()) ?? null;
+    submission.assignedCourse = assignment ? assignment.course : null;
+    submission.assignedRank = assignment ? assignment.rank : null;
+  });
+
+  campaign.referenceYear = referenceYear;
+  campaign.status = 'allocated';
+  campaign.allocatedAt = new Date();
+  campaign.allocatedBy = userId;
+  await campaign.save();
+
+  return summarizeAllocation(campaign);
+};
+
+// Seats taken per option and first-choice satisfaction
+const summarizeAllocation = (campaign) => {
+  const assigned = campaign.submissions.filter(s => s.assignedCourse);
+
+  return {
+    submissions: campaign.submissions.length,
+    assigned: assigned.length,
+    unassigned: campaign.submissions.length - assigned.length,
+    firstChoice: assigned.filter(s => s.assignedRank === 1).length,
+    withoutAverage: campaign.submissions.filter(s => s.average === null || s.average === undefined).length,
+    options: campaign.options.map(option => ({
+      course: option.course,
+      capacity: option.capacity,
+      assigned: assigned.filter(s => s.assignedCourse.toString() === option.course.toString()).length
+    }))
+  };
+};
+
+// Courses that cannot take every student assigned to them (seats taken since
+// the allocation ran, capacity lowered, course removed)
+const findSeatShortfalls = (campaign, courseMap) => {
+  const needed = new Map();
+  campaign.submissions.forEach(submission => {
+    if (!submission.assignedCourse) return;
+    const courseId = submission.assignedCourse.toString();
+    const course = courseMap.get(courseId);
+    if (course && isEnrolledIn(course, submission.student)) return;
+    needed.set(courseId, (needed.get(courseId) || 0) + 1);
+  });
+
+  return [...needed.entries()]
+    .filter(([courseId, count]) => !courseMap.has(courseId) || count > courseMap.get(courseId).availableSpots)
+    .map(([courseId, count]) => {
+      const course = courseMap.get(courseId);
+      return {
+        course: course ? { id: course._id, code: course.code, name: course.name } : { id: courseId },
+        assigned: count,
+        availableSpots: course ? course.availableSpots : 0
+      };
+    });
+};
+
+// Enroll the assigned students, notify every participant and publish an
+// announcement for the cohort. Publication is refused (nothing changes) when a
+// course no longer has the seats its assigned students need, so the campaign
+// can be allocated again. Students already enrolled in their course keep their
+// seat; an enrollment failing anyway is reported to the student and the caller.
+// Returns { shortfalls } when refused, { enrolled, failed, announcement } otherwise.
+const publishAllocation = async (campaign, userId) => {
+  const courses = await Course.find({ _id: { $in: campaign.options.map(o => o.course) } });
+  const courseMap = new Map(courses.map(c => [c._id.toString(), c]));
+
+  const shortfalls = findSeatShortfalls(campaign, courseMap);
+  if (shortfalls.length > 0) {
+    return { shortfalls };
+  }
+
+  const enrolled = [];
+  const failed = [];
+
+  for (const submission of campaign.submissions) {
+    if (!submission.assignedCourse) continue;
+
+    const course = courseMap.get(submission.assignedCourse.toString());
+    try {
+      if (!isEnrolledIn(course, submission.student)) {
+        await course.enrollStudent(submission.student);
+      }
+      await User.findByIdAndUpdate(submission.student, {
+        $addToSet: { enrolledCourses: course._id }
+      });
+      enrolled.push(submission.student);
+    } catch (error) {
+      failed.push({ student: submission.student, course: course._id, message: error.message });
+    }
+  }
+
+  const announcement = new Announcement({
+    title: `Elective allocation results: ${campaign.name}`,
+    content: `The results of "${campaign.name}" (${campaign.level}, ${campaign.semester}) are available. ` +
+      `Seats were assigned by ${campaign.referenceYear} average according to your ranked choices.`,
+    author: userId,
+    targetAudience: 'custom',
+    targetCriteria: { specificUsers: campaign.submissions.map(s => s.student) },
+    type: 'academic',
+    priority: 'high',
+    category: 'announcement',
+    status: 'published'
+  });
+  await announcement.save();
+
+  campaign.status = 'published';
+  campaign.publishedAt = new Date();
+  campaign.publishedBy = userId;
+  campaign.announcement = announcement._id;
+  await campaign.save();
+
+  const failures = new Map(failed.map(f => [f.student.toString(), f]));
+
+  campaign.submissions.forEach(submission => {
+    const course = submission.assignedCourse && courseMap.get(submission.assignedCourse.toString());
+    const failure = failures.get(submission.student.toString());
+
+    let message = 'No seat could be assigned from your choices';
+    if (course && failure) {
+      message = `Your assignment to ${course.code} could not be completed (${failure.message}), ` +
+        'please contact the administration';
+    } else if (course) {
+      message = `You have been assigned to ${course.code} (choice ${submission.assignedRank})`;
+    }
+
+    notifyUser(submission.student, 'elective_result', {
+      campaign: { id: campaign._id, name: campaign.name },
+      course: course ? { id: course._id, code: course.code, name: course.name } : null,
+      rank: submission.assignedRank,
+      enrolled: !!course && !failure,
+      error: failure ? failure.message : undefined,
+      message
+    });
+  });
+
+  return { enrolled: enrolled.length, failed, announcement };
+};
+
+module.exports = {
+  LEVEL_YEARS,
+  getPreviousAcademicYear,
+  isInCohort,
+  computeYearAverages,
+  allocateSeats,
+  runAllocation,
+  summarizeAllocation,
+  publishAllocation
+};
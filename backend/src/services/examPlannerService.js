@@ -0,0 +1,550 @@
+const Course = require('../models/Course');
+const User = require('../models/User');
+const Room = require('../models/Room');
+const ExamSession = require('../models/ExamSession');
+const { CourseGradeSummary } = require('../models/Grade');
+const { toMinutes, toLocalDay } = require('./timetableService');
+const { notifyUser } = require('./notificationService');
+const { getAlgerianHolidays } = require('../utils/dateUtils');
+
+// Default exam slots of a day (1h30 exams)
+const EXAM_SLOTS = [
+  { startTime: '08:30', endTime: '10:00' },
+  { startTime: '10:30', endTime: '12:00' },
+  { startTime: '13:00', endTime: '14:30' },
+  { startTime: '15:00', endTime: '16:30' }
+];
+
+// Rooms exams are held in unless the session lists its own
+const EXAM_ROOM_TYPES = ['amphitheatre', 'classroom'];
+
+// A teacher supervises at most this many exams a day
+const MAX_DUTIES_PER_DAY = 2;
+
+// Soft constraint weights used to spread a section's exams over the window
+const PENALTIES = {
+  sameDay: 100,
+  adjacentDay: 10
+};
+
+// Exam days of a window: Sunday to Thursday, public holidays excluded
+const getExamDays = (startDate, endDate) => {
+  const start = toLocalDay(startDate);
+  const end = toLocalDay(endDate);
+
+  const holidays = new Set();
+  for (let year = start.year(); year <= end.year(); year++) {
+    getAlgerianHolidays(year).forEach(holiday => holidays.add(holiday.date));
+  }
+
+  const days = [];
+  for (const day = start.clone(); day.isSameOrBefore(end, 'day'); day.add(1, 'day')) {
+    if (day.day() === 5 || day.day() === 6) continue;
+    if (holidays.has(day.format('YYYY-MM-DD'))) continue;
+    days.push(day.clone());
+  }
+  return days;
+};
+
+// Helper function to pick rooms for an exam among the free ones: the smallest
+// room that holds everyone, otherwise the largest rooms until all are seated
+const pickRooms = (freeRooms, size) => {
+  const single = freeRooms
+    .filter(room => room.seats >= size)
+    .sort((a, b) => a.seats - b.seats)[0];
+  if (single) return [single];
+
+  const picked = [];
+  let seats = 0;
+  for (const room of [...freeRooms].sort((a, b) => b.seats - a.seats)) {
+    picked.push(room);
+    seats += room.seats;
+    if (seats >= size) return picked;
+  }
+  return null;
+};
+
+// Place exams in (day, slot) periods. Two exams conflict when they belong to
+// the same section (department and level) or share a candidate; conflicting
+// exams never share a period, and each period must have rooms for all of its
+// exams. Exams are placed most constrained first, in the period where their
+// section has the fewest exams that day and the days around it.
+// `exams` are { id, section, students: [studentId] }, `rooms` are { id, name, seats }.
+// `bookedRooms` maps a period to the ids of rooms already taken by other sessions.
+const scheduleExams = (exams, dayCount, slotCount, rooms, bookedRooms = new Map()) => {
+  const byStudent = new Map();
+  exams.forEach(exam => {
+    exam.students.forEach(student => {
+      if (!byStudent.has(student)) byStudent.set(student, []);
+      byStudent.get(student).push(exam.id);
+    });
+  });
+
+  const neighbours = new Map(exams.map(exam => [exam.id, new Set()]));
+  exams.forEach(exam => {
+    exams.forEach(other => {
+      if (other.id !== exam.id && other.section === exam.section) neighbours.get(exam.id).add(other.id);
+    });
+    exam.students.forEach(student => {
+      byStudent.get(student).forEach(other => {
+        if (other !== exam.id) neighbours.get(exam.id).add(other);
+      });
+    });
+  });
+
+  const order = [...exams].sort((a, b) =>
+    neighbours.get(b.id).size - neighbours.get(a.id).size ||
+    b.students.length - a.students.length
+  );
+
+  const periodOf = new Map();
+  const roomsUsed = new Map([...bookedRooms].map(([period, ids]) => [period, new Set(ids)]));
+  const sectionDays = new Map();
+  const placed = [];
+  const unplaced = [];
+
+  const sectionLoad = (section, day) => sectionDays.get(`${section}|${day}`) || 0;
+
+  order.forEach(exam => {
+    if (exam.students.length === 0) {
+      unplaced.push({ exam, reason: 'No candidates' });
+      return;
+    }
+
+    let best = null;
+    for (let day = 0; day < dayCount; day++) {
+      for (let slot = 0; slot < slotCount; slot++) {
+        const period = `${day}|${slot}`;
+
+        const clash = [...neighbours.get(exam.id)].some(other => periodOf.get(other) === period);
+        if (clash) continue;
+
+        const used = roomsUsed.get(period) || new Set();
+        const picked = pickRooms(rooms.filter(room => !used.has(room.id)), exam.students.length);
+        if (!picked) continue;
+
+        const penalty = PENALTIES.sameDay * sectionLoad(exam.section, day) +
+          PENALTIES.adjacentDay * (sectionLoad(exam.section, day - 1) + sectionLoad(exam.section, day + 1));
+
+        if (!best || penalty < best.penalty) {
+          best = { day, slot, period, rooms: picked, penalty };
+        }
+      }
+    }
+
+    if (!best) {
+      unplaced.push({ exam, reason: 'No period without a conflict and with enough seats' });
+      return;
+    }
+
+    periodOf.set(exam.id, best.period);
+    if (!roomsUsed.has(best.period)) roomsUsed.set(best.period, new Set());
+    best.rooms.forEach(room => roomsUsed.get(best.period).add(room.id));
+    sectionDays.set(`${exam.section}|${best.day}`, sectionLoad(exam.section, best.day) + 1);
+    placed.push({ exam, day: best.day, slot: best.slot, rooms: best.rooms });
+  });
+
+  return { placed, unplaced };
+};
+
+// Helper function to sort candidates for seating
+const seatingComparator = (order) => {
+  if (order === 'studentId') {
+    return (a, b) => String(a.studentId || '').localeCompare(String(b.studentId || ''));
+  }
+  return (a, b) =>
+    `${a.lastName} ${a.firstName}`.localeCompare(`${b.lastName} ${b.firstName}`, 'fr', { sensitivity: 'base' });
+};
+
+// Split sorted candidates across the exam's rooms, filling each in turn.
+// Seats are numbered from 1 in every room.
+const seatStudents = (students, rooms) => {
+  const seating = rooms.map(room => ({ ...room, students: [] }));
+  let index = 0;
+
+  seating.forEach(room => {
+    const count = Math.min(room.seats, students.length - index);
+    for (let seat = 1; seat <= count; seat++) {
+      room.students.push({ student: students[index]._id, seat });
+      index++;
+    }
+  });
+
+  return seating.filter(room => room.students.length > 0);
+};
+
+// Assign invigilators period by period. A teacher supervises one room at a
+// time, never during declared unavailability and at most MAX_DUTIES_PER_DAY a
+// day. The module's own teachers are asked first, then the least loaded
+// teachers (in supervised minutes) so duties are shared evenly.
+// `duties` are { day, weekday, startTime, endTime, staff: [teacherId], rooms: [{ students, ... }] }.
+// `bookedDuties` are the { teacher, day, startTime, endTime } supervisions
+// teachers already have in other sessions.
+const assignInvigilators = (duties, teachers, options, bookedDuties = []) => {
+  const load = new Map(teachers.map(t => [t._id.toString(), 0]));
+  const perDay = new Map();
+  const busy = new Set();
+
+  const booked = new Map();
+  bookedDuties.forEach(duty => {
+    const key = `${duty.teacher}|${duty.day}`;
+    if (!booked.has(key)) booked.set(key, []);
+    booked.get(key).push(duty);
+    perDay.set(key, (perDay.get(key) || 0) + 1);
+  });
+  const isBooked = (id, duty) => (booked.get(`${id}|${duty.day}`) || []).some(other =>
+    toMinutes(other.startTime) < toMinutes(duty.endTime) &&
+    toMinutes(duty.startTime) < toMinutes(other.endTime)
+  );
+
+  const isUnavailable = (teacher, duty) => (teacher.unavailability || []).some(period =>
+    period.day === duty.weekday &&
+    toMinutes(period.startTime) < toMinutes(duty.endTime) &&
+    toMinutes(duty.startTime) < toMinutes(period.endTime)
+  );
+
+  const sorted = [...duties].sort((a, b) => a.day - b.day || toMinutes(a.startTime) - toMinutes(b.startTime));
+  const minutes = (duty) => toMinutes(duty.endTime) - toMinutes(duty.startTime);
+
+  sorted.forEach(duty => {
+    const period = `${duty.day}|${duty.startTime}`;
+
+    duty.rooms.forEach(room => {
+      room.invigilatorsNeeded = Math.max(
+        options.minInvigilatorsPerRoom,
+        Math.ceil(room.students.length / options.studentsPerInvigilator)
+      );
+      room.invigilators = [];
+
+      const available = teachers.filter(teacher => {
+        const id = teacher._id.toString();
+        return !busy.has(`${id}|${period}`) &&
+          (perDay.get(`${id}|${duty.day}`) || 0) < MAX_DUTIES_PER_DAY &&
+          !isBooked(id, duty) &&
+          !isUnavailable(teacher, duty);
+      });
+
+      const ranked = available.sort((a, b) => {
+        const aId = a._id.toString();
+        const bId = b._id.toString();
+        return (duty.staff.includes(bId) - duty.staff.includes(aId)) ||
+          load.get(aId) - load.get(bId) ||
+          aId.localeCompare(bId);
+      });
+
+      ranked.slice(0, room.invigilatorsNeeded).forEach(teacher => {
+        const id = teacher._id.toString();
+        room.invigilators.push(teacher._id);
+        busy.add(`${id}|${period}`);
+        perDay.set(`${id}|${duty.day}`, (perDay.get(`${id}|${duty.day}`) || 0) + 1);
+        load.set(id, load.get(id) + minutes(duty));
+      });
+    });
+  });
+
+  return load;
+};
+
+// Candidates of each module: enrolled students not excluded for absences, or
+// for a resit session the students eligible for the resit (and not excluded)
+const loadCandidates = async (session, courses) => {
+  const candidates = new Map();
+
+  if (session.type === 'resit') {
+    const summaries = await CourseGradeSummary.find({
+      course: { $in: courses.map(c => c._id) },
+      academicYear: session.academicYear,
+      'resit.isEligible': true
+    }).populate('student', 'firstName lastName studentId');
+
+    // Enrolled students are populated here, so exclusions are matched on their _id
+    const excluded = new Set(courses.flatMap(course => course.enrolledStudents
+      .filter(enrollment => enrollment.isExcluded && enrollment.student)
+      .map(enrollment => `${course._id}|${enrollment.student._id}`)));
+
+    courses.forEach(course => candidates.set(course._id.toString(), []));
+    summaries
+      .filter(summary => summary.student && !excluded.has(`${summary.course}|${summary.student._id}`))
+      .forEach(summary => candidates.get(summary.course.toString()).push(summary.student));
+    return candidates;
+  }
+
+  courses.forEach(course => {
+    candidates.set(course._id.toString(), course.enrolledStudents
+      .filter(enrollment => enrollment.status === 'enrolled' && !enrollment.isExcluded && enrollment.student)
+      .map(enrollment => enrollment.student));
+  });
+  return candidates;
+};
+
+// Rooms and invigilators taken by the exams of the other planned or published
+// sessions overlapping this one, keyed by the day indexes of `days`: rooms per
+// (day, slot) period of `slots`, supervisions as { teacher, day, startTime, endTime }
+const loadOtherBookings = async (session, days, slots) => {
+  const others = await ExamSession.find({
+    _id: { $ne: session._id },
+    status: { $in: ['draft', 'published'] },
+    startDate: { $lte: session.endDate },
+    endDate: { $gte: session.startDate }
+  }).select('exams');
+
+  const dayIndex = new Map(days.map((day, index) => [day.format('YYYY-MM-DD'), index]));
+  const rooms = new Map();
+  const duties = [];
+
+  others.forEach(other => {
+    other.exams.forEach(exam => {
+      const day = dayIndex.get(toLocalDay(exam.date).format('YYYY-MM-DD'));
+      if (day === undefined) return;
+
+      slots.forEach((slot, index) => {
+        const overlaps = toMinutes(exam.startTime) < toMinutes(slot.endTime) &&
+          toMinutes(slot.startTime) < toMinutes(exam.endTime);
+        if (!overlaps) return;
+
+        const period = `${day}|${index}`;
+        if (!rooms.has(period)) rooms.set(period, new Set());
+        exam.rooms.filter(room => room.room).forEach(room => rooms.get(period).add(room.room.toString()));
+      });
+
+      exam.rooms.forEach(room => {
+        room.invigilators.forEach(teacher => duties.push({
+          teacher: teacher.toString(),
+          day,
+          startTime: exam.startTime,
+          endTime: exam.endTime
+        }));
+      });
+    });
+  });
+
+  return { rooms, duties };
+};
+
+// Plan an exam session: schedule every module, seat the candidates and assign
+// the invigilators around the rooms and teachers other overlapping sessions
+// already use. The plan is stored on the session (which stays a draft).
+const planExamSession = async (session) => {
+  const filter = {
+    academicYear: session.academicYear,
+    semester: { $in: session.semesters },
+    status: { $ne: 'cancelled' }
+  };
+  if (session.department) filter.department = session.department;
+
+  const courses = await Course.find(filter)
+    .select('code name department level semester instructor assistants enrolledStudents')
+    .populate('enrolledStudents.student', 'firstName lastName studentId');
+
+  const roomFilter = session.rooms.length > 0
+    ? { _id: { $in: session.rooms }, isActive: true }
+    : { type: { $in: EXAM_ROOM_TYPES }, isActive: true };
+  const rooms = (await Room.find(roomFilter)).map(room => ({
+    id: room._id.toString(),
+    room: room._id,
+    name: room.name,
+    seats: Math.floor(room.capacity * session.occupancy)
+  })).filter(room => room.seats > 0);
+
+  const teacherFilter = { role: 'teacher', isActive: true };
+  if (session.department) teacherFilter.department = session.department;
+  const teachers = await User.find(teacherFilter).select('firstName lastName unavailability');
+
+  const days = getExamDays(session.startDate, session.endDate);
+  const slots = session.slots.length > 0 ? session.slots : EXAM_SLOTS;
+  const candidates = await loadCandidates(session, courses);
+  const compare = seatingComparator(session.seatingOrder);
+  const booked = await loadOtherBookings(session, days, slots);
+
+  const exams = courses.map(course => ({
+    id: course._id.toString(),
+    course,
+    section: `${course.department}|${course.level}`,
+    candidates: [...candidates.get(course._id.toString())].sort(compare)
+  }));
+  exams.forEach(exam => {
+    exam.students = exam.candidates.map(student => student._id.toString());
+  });
+
+  const { placed, unplaced } = scheduleExams(exams, days.length, slots.length, rooms, booked.rooms);
+
+  const duties = placed.map(({ exam, day, slot, rooms: examRooms }) => ({
+    exam,
+    day,
+    weekday: days[day].format('dddd'),
+    date: days[day].toDate(),
+    startTime: slots[slot].startTime,
+    endTime: slots[slot].endTime,
+    staff: [exam.course.instructor, ...(exam.course.assistants || [])].filter(Boolean).map(id => id.toString()),
+    rooms: seatStudents(exam.candidates, examRooms)
+  }));
+
+  const load = assignInvigilators(duties, teachers, session, booked.duties);
+
+  session.exams = duties
+    .sort((a, b) => a.day - b.day || toMinutes(a.startTime) - toMinutes(b.startTime))
+    .map(duty => ({
+      course: duty.exam.course._id,
+      department: duty.exam.course.department,
+      level: duty.exam.course.level,
+      date: duty.date,
+      startTime: duty.startTime,
+      endTime: duty.endTime,
+      rooms: duty.rooms.map(({ room, name, seats, students, invigilators, invigilatorsNeeded }) => ({
+        room, name, seats, students, invigilators, invigilatorsNeeded
+      }))
+    }));
+  session.unscheduled = unplaced.map(({ exam, reason }) => ({ course: exam.course._id, reason }));
+  session.plannedAt = new Date();
+  await session.save();
+
+  return summarizePlan(session, load);
+};
+
+// Overview of a plan: exams placed, missing invigilators and duty spread
+const summarizePlan = (session, load = null) => {
+  const rooms = session.exams.flatMap(exam => exam.rooms);
+  const summary = {
+    scheduled: session.exams.length,
+    unscheduled: session.unscheduled.length,
+    candidates: rooms.reduce((sum, room) => sum + room.students.length, 0),
+    rooms: rooms.length,
+    missingInvigilators: rooms.reduce((sum, room) =>
+      sum + Math.max(0, room.invigilatorsNeeded - room.invigilators.length), 0)
+  };
+
+  if (load) {
+    const minutes = [...load.values()];
+    summary.invigilation = {
+      teachers: minutes.length,
+      minMinutes: minutes.length > 0 ? Math.min(...minutes) : 0,
+      maxMinutes: minutes.length > 0 ? Math.max(...minutes) : 0
+    };
+  }
+
+  return summary;
+};
+
+// Helper function to get the local date and time an exam starts
+const examStart = (exam) => {
+  const [hour, minute] = exam.startTime.split(':').map(Number);
+  return toLocalDay(exam.date).hour(hour).minute(minute);
+};
+
+// Publish a planned session: set each module's exam date, then send every
+// candidate their convocations and every teacher their supervision duties
+const publishExamSession = async (session, userId) => {
+  await session.populate('exams.course', 'code name');
+
+  if (session.type === 'normal') {
+    for (const exam of session.exams) {
+      await Course.updateOne({ _id: exam.course._id }, { $set: { examDate: examStart(exam).toDate() } });
+    }
+  }
+
+  session.status = 'published';
+  session.publishedAt = new Date();
+  session.publishedBy = userId;
+  await session.save();
+
+  const convocations = new Map();
+  const duties = new Map();
+  const add = (map, id, entry) => {
+    const key = id.toString();
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(entry);
+  };
+
+  session.exams.forEach(exam => {
+    const base = {
+      course: { id: exam.course._id, code: exam.course.code, name: exam.course.name },
+      date: exam.date,
+      startTime: exam.startTime,
+      endTime: exam.endTime
+    };
+    exam.rooms.forEach(room => {
+      room.students.forEach(({ student, seat }) => add(convocations, student, { ...base, room: room.name, seat }));
+      room.invigilators.forEach(teacher => add(duties, teacher, { ...base, room: room.name }));
+    });
+  });
+
+  convocations.forEach((exams, studentId) => {
+    notifyUser(studentId, 'exam_convocation', {
+      session: { id: session._id, name: session.name },
+      exams,
+      message: `Your ${session.name} convocations are available (${exams.length} exams)`
+    });
+  });
+
+  duties.forEach((exams, teacherId) => {
+    notifyUser(teacherId, 'invigilation_duties', {
+      session: { id: session._id, name: session.name },
+      duties: exams,
+      message: `You have ${exams.length} supervision duties during ${session.name}`
+    });
+  });
+
+  return { students: convocations.size, invigilators: duties.size };
+};
+
+// Published exams of a student, with their room and seat
+const getStudentConvocations = async (studentId) => {
+  const sessions = await ExamSession.find({
+    status: 'published',
+    'exams.rooms.students.student': studentId
+  }).populate('exams.course', 'code name');
+
+  const id = studentId.toString();
+  return sessions.flatMap(session => session.exams.flatMap(exam => exam.rooms
+    .map(room => ({ room, entry: room.students.find(s => s.student.toString() === id) }))
+    .filter(({ entry }) => entry)
+    .map(({ room, entry }) => ({
+      session: { _id: session._id, name: session.name, type: session.type },
+      course: exam.course,
+      date: exam.date,
+      startTime: exam.startTime,
+      endTime: exam.endTime,
+      room: room.name,
+      seat: entry.seat
+    }))))
+    .sort((a, b) => a.date - b.date || toMinutes(a.startTime) - toMinutes(b.startTime));
+};
+
+// Published supervision duties of a teacher
+const getInvigilationDuties = async (teacherId) => {
+  const sessions = await ExamSession.find({
+    status: 'published',
+    'exams.rooms.invigilators': teacherId
+  })
+    .populate('exams.course', 'code name')
+    .populate('exams.rooms.invigilators', 'firstName lastName');
+
+  const id = teacherId.toString();
+  return sessions.flatMap(session => session.exams.flatMap(exam => exam.rooms
+    .filter(room => room.invigilators.some(teacher => teacher._id.toString() === id))
+    .map(room => ({
+      session: { _id: session._id, name: session.name, type: session.type },
+      course: exam.course,
+      date: exam.date,
+      startTime: exam.startTime,
+      endTime: exam.endTime,
+      room: room.name,
+      candidates: room.students.length,
+      coInvigilators: room.invigilators.filter(teacher => teacher._id.toString() !== id)
+    }))))
+    .sort((a, b) => a.date - b.date || toMinutes(a.startTime) - toMinutes(b.startTime));
+};
+
+module.exports = {
+  EXAM_SLOTS,
+  PENALTIES,
+  getExamDays,
+  scheduleExams,
+  seatStudents,
+  assignInvigilators,
+  planExamSession,
+  summarizePlan,
+  publishExamSession,
+  getStudentConvocations,
+  getInvigilationDuties
+};
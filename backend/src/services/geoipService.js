@@ -0,0 +1,39 @@
+const path = require('path');
+const maxmind = require('maxmind');
+const { normalizeIp, isPrivateIp } = require('../utils/deviceUtils');
+
+// Local MaxMind GeoLite2 City database; no request leaves the server
+const DATABASE_PATH = process.env.GEOIP_DATABASE_PATH ||
+  path.join(__dirname, '../../data/GeoLite2-City.mmdb');
+
+let reader = null;
+
+// Open the GeoIP database. Called at startup; without the file, sessions are
+// simply listed without a location.
+const loadGeoIpDatabase = async () => {
+  reader = await maxmind.open(DATABASE_PATH);
+  return DATABASE_PATH;
+};
+
+// Approximate location of an IP address, or null if unknown
+const lookupLocation = (ip) => {
+  const address = normalizeIp(ip);
+  if (!reader || !address || isPrivateIp(address) || !maxmind.validate(address)) {
+    return null;
+  }
+
+  const result = reader.get(address);
+  if (!result) return null;
+
+  return {
+    city: result.city?.names?.en || null,
+    region: result.subdivisions?.[0]?.names?.en || null,
+    country: result.country?.names?.en || null,
+    countryCode: result.country?.iso_code || null
+  };
+};
+
+module.exports = {
+  loadGeoIpDatabase,
+  lookupLocation
+};
@@ -0,0 +1,250 @@
+const fs = require('fs');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { Grade } = require('../models/Grade');
+const User = require('../models/User');
+const { EXAM_ASSESSMENT_TYPES } = require('./gradingService');
+
+// Accepted header spellings for each import column (normalised: lowercase, no spaces)
+const COLUMN_ALIASES = {
+  studentId: ['studentid', 'matricule', 'student'],
+  pointsEarned: ['pointsearned', 'points', 'mark', 'note', 'grade'],
+  totalPoints: ['totalpoints', 'total', 'bareme', 'outof'],
+  assessmentType: ['assessmenttype', 'type'],
+  assessmentName: ['assessmentname', 'name', 'assessment', 'epreuve'],
+  feedback: ['feedback', 'comment', 'comments', 'observation']
+};
+
+// Helper function to map a raw header to an import column
+const normaliseHeader = (header) => {
+  const key = String(header || '').toLowerCase().replace(/[^a-z]/g, '');
+  return Object.keys(COLUMN_ALIASES).find(column => COLUMN_ALIASES[column].includes(key)) || null;
+};
+
+// Parse CSV text (RFC 4180 quoting, comma or semicolon delimited)
+const parseCsv = (text) => {
+  const content = text.replace(/^\uFEFF/, '');
+  const firstLine = content.split(/\r?\n/, 1)[0];
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(value => String(value).trim() !== ''));
+};
+
+// Parse the first worksheet of an XLSX file into an array of rows
+const parseXlsx = async (filePath) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(filePath);
+  const sheet = workbook.worksheets[0];
+  const rows = [];
+
+  sheet.eachRow({ includeEmpty: false }, (row) => {
+    // row.values is 1-based
+    rows.push(row.values.slice(1).map(value => (value && typeof value === 'object' && 'result' in value) ? value.result : value));
+  });
+
+  return rows;
+};
+
+// Read an uploaded CSV/XLSX file into objects keyed by import column
+const parseSpreadsheet = async (file) => {
+  const ext = path.extname(file.originalname).toLowerCase();
+  const rawRows = ext === '.xlsx'
+    ? await parseXlsx(file.path)
+    : parseCsv(fs.readFileSync(file.path, 'utf8'));
+
+  if (rawRows.length === 0) {
+    return { columns: [], rows: [] };
+  }
+
+  const columns = rawRows[0].map(normaliseHeader);
+  const rows = rawRows.slice(1).map((values, index) => {
+    const row = { line: index + 2 };
+    columns.forEach((column, i) => {
+      if (column && values[i] !== undefined && values[i] !== null && String(values[i]).trim() !== '') {
+        row[column] = String(values[i]).trim();
+      }
+    });
+    return row;
+  });
+
+  return { columns: columns.filter(Boolean), rows };
+};
+
+// Validate each row and compute what the import would change. `defaults`
+// fills columns missing from the sheet (assessment, total points, period...).
+const buildImportPlan = async (course, rows, defaults) => {
+  const studentIds = [...new Set(rows.map(r => r.studentId).filter(Boolean))];
+  const students = await User.find({ studentId: { $in: studentIds }, role: 'student' })
+    .select('firstName lastName studentId');
+  const studentsById = new Map(students.map(s => [s.studentId, s]));
+
+  const existingGrades = await Grade.find({
+    course: course._id,
+    academicYear: defaults.academicYear,
+    semester: defaults.semester
+  });
+  const gradeKey = (studentId, type, name) => `${studentId}:${type}:${name}`;
+  const existing = new Map(existingGrades.map(g => [
+    gradeKey(g.student.toString(), g.assessmentType, g.assessmentName), g
+  ]));
+
+  const plan = { created: [], updated: [], unchanged: [], rejected: [] };
+  const seen = new Set();
+
+  rows.forEach(row => {
+    const reject = (reason) => plan.rejected.push({ line: row.line, studentId: row.studentId, reason });
+
+    const student = studentsById.get(row.studentId);
+    if (!row.studentId) return reject('Missing student ID');
+    if (!student) return reject(`No student found with ID ${row.studentId}`);
+    if (!course.isStudentEnrolled(student._id)) return reject('Student is not enrolled in this course');
+
+    const assessmentType = row.assessmentType || defaults.assessmentType;
+    const assessmentName = row.assessmentName || defaults.assessmentName;
+    if (EXAM_ASSESSMENT_TYPES.includes(assessmentType) && course.isStudentExcluded(student._id)) {
+      return reject('Student is excluded from this module for unjustified absences');
+    }
+    // Rubric assessments are only graded through their rubric (see addOrUpdateGrade)
+    if (course.getAssessmentRubric(assessmentType, assessmentName)) {
+      return reject('This assessment is graded with a rubric: grade it through the rubric instead of points');
+    }
+    const pointsEarned = Number(String(row.pointsEarned ?? '').replace(',', '.'));
+    const totalPoints = Number(String(row.totalPoints ?? defaults.totalPoints ?? 20).replace(',', '.'));
+
+    if (row.pointsEarned === undefined || Number.isNaN(pointsEarned)) return reject('Points earned must be a number');
+    if (Number.isNaN(totalPoints) || totalPoints < 1) return reject('Total points must be at least 1');
+    if (pointsEarned < 0 || pointsEarned > totalPoints) return reject(`Points earned must be between 0 and ${totalPoints}`);
+
+    const key = gradeKey(student._id.toString(), assessmentType, assessmentName);
+    if (seen.has(key)) return reject('Duplicate row for this student and assessment');
+    seen.add(key);
+
+    const data = {
+      student: student._id,
+      course: course._id,
+      instructor: course.instructor,
+      academicYear: defaults.academicYear,
+      semester: defaults.semester,
+      assessmentType,
+      assessmentName,
+      pointsEarned,
+      totalPoints,
+      weight: defaults.weight,
+      assignedDate: defaults.assignedDate,
+      dueDate: defaults.dueDate,
+      feedback: row.feedback
+    };
+
+    // Run the Grade schema validators (enums, ranges, required fields)
+    const validationError = new Grade(data).validateSync();
+    if (validationError) {
+      return reject(Object.values(validationError.errors).map(e => e.message).join(', '));
+    }
+
+    const entry = {
+      line: row.line,
+      studentId: student.studentId,
+      studentName: `${student.firstName} ${student.lastName}`,
+      assessmentType,
+      assessmentName
+    };
+
+    const grade = existing.get(key);
+    if (!grade) {
+      plan.created.push({ ...entry, pointsEarned, totalPoints, data });
+    } else if (grade.pointsEarned === pointsEarned && grade.totalPoints === totalPoints) {
+      plan.unchanged.push({ ...entry, pointsEarned });
+    } else {
+      plan.updated.push({
+        ...entry,
+        previous: { pointsEarned: grade.pointsEarned, totalPoints: grade.totalPoints },
+        next: { pointsEarned, totalPoints },
+        feedback: row.feedback,
+        grade
+      });
+    }
+  });
+
+  return plan;
+};
+
+// Write an import plan to the database, logging every changed mark in gradeHistory
+const applyImportPlan = async (plan, userId) => {
+  for (const entry of plan.created) {
+    await new Grade({
+      ...entry.data,
+      gradedDate: new Date(),
+      gradingStatus: 'graded',
+      gradeHistory: [{
+        previousGrade: null,
+        newGrade: entry.pointsEarned,
+        reason: 'Spreadsheet import',
+        changedBy: userId
+      }]
+    }).save();
+  }
+
+  for (const entry of plan.updated) {
+    const { grade } = entry;
+    grade.totalPoints = entry.next.totalPoints;
+    if (entry.feedback) grade.feedback = entry.feedback;
+    grade.gradingStatus = 'graded';
+    await grade.updateGrade(entry.next.pointsEarned, 'Spreadsheet import', userId);
+  }
+};
+
+// Helper function to strip documents from a plan before sending it to the client
+const serialisePlan = (plan) => {
+  return {
+    created: plan.created.map(({ data, ...entry }) => entry),
+    updated: plan.updated.map(({ grade, feedback, ...entry }) => entry),
+    unchanged: plan.unchanged,
+    rejected: plan.rejected
+  };
+};
+
+module.exports = {
+  parseCsv,
+  parseSpreadsheet,
+  buildImportPlan,
+  applyImportPlan,
+  serialisePlan
+};
@@ -0,0 +1,153 @@
+const { Grade } = require('../models/Grade');
+const { notifyUser, postCourseSystemMessage } = require('./notificationService');
+
+// How often scheduled releases are checked (default: every minute)
+const RELEASE_CHECK_INTERVAL = parseInt(process.env.GRADE_RELEASE_INTERVAL_MS) || 60 * 1000;
+
+let releaseTimer = null;
+
+// Release every graded, unreleased mark matching `filter` and notify the
+// affected students (one socket event each, one system message per assessment)
+const releaseGrades = async (filter, releasedBy) => {
+  const grades = await Grade.find({
+    ...filter,
+    isReleased: false,
+    gradingStatus: { $in: ['graded', 'returned'] }
+  }).populate('course', 'name code');
+
+  if (grades.length === 0) {
+    return { released: 0, students: 0 };
+  }
+
+  const releasedDate = new Date();
+  await Grade.updateMany(
+    { _id: { $in: grades.map(g => g._id) } },
+    {
+      $set: { isReleased: true, releasedDate, releasedBy },
+      $unset: { scheduledReleaseDate: 1, scheduledReleaseBy: 1 }
+    }
+  );
+
+  // One system message per course assessment
+  const assessments = new Map();
+  grades.forEach(grade => {
+    const key = `${grade.course._id}:${grade.assessmentType}:${grade.assessmentName}`;
+    if (!assessments.has(key)) {
+      assessments.set(key, { grade, count: 0 });
+    }
+    assessments.get(key).count += 1;
+  });
+
+  for (const { grade, count } of assessments.values()) {
+    await postCourseSystemMessage(
+      grade.course._id,
+      'grade_released',
+      `Results for ${grade.assessmentName} (${grade.course.code}) are now available`,
+      {
+        course: grade.course._id,
+        assessmentType: grade.assessmentType,
+        assessmentName: grade.assessmentName,
+        gradeCount: count
+      },
+      releasedBy
+    );
+  }
+
+  // One socket event per student with their own marks
+  const byStudent = new Map();
+  grades.forEach(grade => {
+    const studentId = grade.student.toString();
+    if (!byStudent.has(studentId)) byStudent.set(studentId, []);
+    byStudent.get(studentId).push(grade);
+  });
+
+  byStudent.forEach((studentGrades, studentId) => {
+    notifyUser(studentId, 'grade_released', {
+      grades: studentGrades.map(grade => ({
+        id: grade._id,
+        course: { id: grade.course._id, name: grade.course.name, code: grade.course.code },
+        assessmentType: grade.assessmentType,
+        assessmentName: grade.assessmentName,
+        mark: grade.mark,
+        releasedDate
+      }))
+    });
+  });
+
+  return { released: grades.length, students: byStudent.size };
+};
+
+// Schedule the release of matching marks at a given date
+const scheduleRelease = async (filter, releaseAt, scheduledBy) => {
+  const result = await Grade.updateMany(
+    { ...filter, isReleased: false },
+    { $set: { scheduledReleaseDate: releaseAt, scheduledReleaseBy: scheduledBy } }
+  );
+
+  return { scheduled: result.modifiedCount, releaseAt };
+};
+
+// Cancel a pending scheduled release
+const cancelScheduledRelease = async (filter) => {
+  const result = await Grade.updateMany(
+    { ...filter, isReleased: false, scheduledReleaseDate: { $exists: true } },
+    { $unset: { scheduledReleaseDate: 1, scheduledReleaseBy: 1 } }
+  );
+
+  return { cancelled: result.modifiedCount };
+};
+
+// Release all marks whose scheduled date has passed
+const processScheduledReleases = async () => {
+  const due = await Grade.find({
+    isReleased: false,
+    scheduledReleaseDate: { $lte: new Date() }
+  }).select('scheduledReleaseBy');
+
+  // Group by the teacher who scheduled them so the release is attributed correctly
+  const byUser = new Map();
+  due.forEach(grade => {
+    const key = grade.scheduledReleaseBy ? grade.scheduledReleaseBy.toString() : '';
+    if (!byUser.has(key)) byUser.set(key, []);
+    byUser.get(key).push(grade._id);
+  });
+
+  let released = 0;
+  for (const [userId, ids] of byUser) {
+    const result = await releaseGrades({ _id: { $in: ids } }, userId || undefined);
+    released += result.released;
+  }
+
+  return { released };
+};
+
+// Start the periodic check for scheduled releases
+const startReleaseScheduler = () => {
+  if (releaseTimer) return releaseTimer;
+
+  releaseTimer = setInterval(() => {
+    processScheduledReleases().catch(error => {
+      console.error('Scheduled grade release error:', error);
+    });
+  }, RELEASE_CHECK_INTERVAL);
+  releaseTimer.unref();
+
+  return releaseTimer;
+};
+
+// Stop the periodic check
+const stopReleaseScheduler = () => {
+  if (releaseTimer) {
+    clearInterval(releaseTimer);
+    releaseTimer = null;
+  }
+};
+
+module.exports = {
+  releaseGrades,
+  scheduleRelease,
+  cancelScheduledRelease,
+  processScheduledReleases,
+  startReleaseScheduler,
+  stopReleaseScheduler
+};
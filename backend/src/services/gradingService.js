@@ -0,0 +1,398 @@
+const mongoose = require('mongoose');
+const { Grade, CourseGradeSummary } = require('../models/Grade');
+const Course = require('../models/Course');
+
+// LMD regulation constants (marks are out of 20)
+const MAX_MARK = 20;
+const PASS_MARK = 10;
+
+// Map Grade.assessmentType to the Course.assessments weighting bucket
+const ASSESSMENT_CATEGORIES = {
+  assignment: 'assignments',
+  homework: 'assignments',
+  project: 'assignments',
+  lab: 'assignments',
+  presentation: 'assignments',
+  quiz: 'quizzes',
+  midterm: 'midterm',
+  final: 'final',
+  participation: 'participation'
+};
+
+// Exam assessments, closed to students excluded from the module for absences
+const EXAM_ASSESSMENT_TYPES = ['final', 'resit'];
+
+// Semester decisions as recorded in the deliberation
+const DECISIONS = {
+  ADMITTED: 'admitted',
+  ADMITTED_BY_COMPENSATION: 'admitted_by_compensation',
+  DEFERRED: 'deferred',
+  RESIT: 'resit'
+};
+
+// How a resit (rattrapage) mark combines with the normal session
+const RESIT_RULES = ['max', 'replace_exam', 'capped'];
+
+// Helper function to round a mark to two decimals
+const roundMark = (value) => {
+  return Math.round(value * 100) / 100;
+};
+
+// Convert raw points to a mark out of 20
+const toTwenty = (points, totalPoints) => {
+  if (!totalPoints) return 0;
+  const mark = (points / totalPoints) * MAX_MARK;
+  return roundMark(Math.max(0, Math.min(mark, MAX_MARK)));
+};
+
+// Get the LMD mention for an average out of 20
+const getMention = (average) => {
+  if (average === null || average === undefined || average < PASS_MARK) return null;
+  if (average >= 16) return 'Très bien';
+  if (average >= 14) return 'Bien';
+  if (average >= 12) return 'Assez bien';
+  return 'Passable';
+};
+
+// Compute a module average from its grades and the Course.assessments weights.
+// Categories without any grade are left out and the remaining weights are
+// renormalised, so `completion` tells how much of the module has been graded.
+const computeModuleAverage = (grades, assessments = {}) => {
+  const buckets = {};
+
+  grades.forEach(grade => {
+    if (grade.isExcused) return;
+    const category = ASSESSMENT_CATEGORIES[grade.assessmentType];
+    if (!category) return;
+
+    if (!buckets[category]) {
+      buckets[category] = { earnedPoints: 0, totalPoints: 0, marks: [] };
+    }
+    buckets[category].earnedPoints += grade.finalScore;
+    buckets[category].totalPoints += grade.totalPoints;
+    buckets[category].marks.push(toTwenty(grade.finalScore, grade.totalPoints));
+  });
+
+  let weightedSum = 0;
+  let usedWeight = 0;
+
+  const categories = Object.keys(buckets).map(category => {
+    const bucket = buckets[category];
+    const weight = assessments[category]?.percentage || 0;
+    const average = roundMark(bucket.marks.reduce((sum, mark) => sum + mark, 0) / bucket.marks.length);
+
+    weightedSum += average * weight;
+    usedWeight += weight;
+
+    return {
+      category,
+      earnedPoints: bucket.earnedPoints,
+      totalPoints: bucket.totalPoints,
+      percentage: bucket.totalPoints > 0 ? roundMark((bucket.earnedPoints / bucket.totalPoints) * 100) : 0,
+      average,
+      weight,
+      gradeCount: bucket.marks.length
+    };
+  });
+
+  return {
+    average: usedWeight > 0 ? roundMark(weightedSum / usedWeight) : null,
+    completion: Math.min(100, usedWeight),
+    categories
+  };
+};
+
+// Group module results by teaching unit (UE) and compute each unit average,
+// weighted by module coefficients. A unit with an ungraded module has no
+// average yet, so it can neither compensate nor be compensated.
+const computeUnitResults = (modules) => {
+  const units = new Map();
+
+  modules.forEach(module => {
+    const code = module.teachingUnit?.code || module.code;
+    if (!units.has(code)) {
+      units.set(code, {
+        code,
+        name: module.teachingUnit?.name || module.name,
+        type: module.teachingUnit?.type,
+        coefficient: 0,
+        credits: 0,
+        modules: []
+      });
+    }
+    const unit = units.get(code);
+    unit.coefficient += module.coefficient;
+    unit.credits += module.credits;
+    unit.modules.push(module);
+  });
+
+  return Array.from(units.values()).map(unit => {
+    const isComplete = unit.modules.every(m => m.average !== null);
+    const coefficientSum = unit.modules.reduce((sum, m) => sum + m.coefficient, 0);
+    const average = isComplete && coefficientSum > 0
+      ? roundMark(unit.modules.reduce((sum, m) => sum + m.average * m.coefficient, 0) / coefficientSum)
+      : null;
+
+    return { ...unit, average };
+  });
+};
+
+// Apply LMD compensation and credit acquisition to a set of module results.
+// A module is acquired on its own mark (>= 10), through its unit average, or
+// through the semester average; the semester decision follows from the same rules.
+// Ungraded modules are never acquired and leave the semester without an average.
+const computeSemesterResult = (modules) => {
+  const units = computeUnitResults(modules);
+
+  const isComplete = units.every(u => u.average !== null);
+  const coefficientSum = units.reduce((sum, u) => sum + u.coefficient, 0);
+  const average = isComplete && coefficientSum > 0
+    ? roundMark(units.reduce((sum, u) => sum + u.average * u.coefficient, 0) / coefficientSum)
+    : null;
+  const semesterCompensated = average !== null && average >= PASS_MARK;
+
+  let creditsEarned = 0;
+  let creditsTotal = 0;
+
+  units.forEach(unit => {
+    const unitCompensated = unit.average !== null && unit.average >= PASS_MARK;
+    unit.creditsEarned = 0;
+
+    unit.modules.forEach(module => {
+      if (module.average !== null && module.average >= PASS_MARK) {
+        module.acquisitionMode = 'direct';
+      } else if (unitCompensated) {
+        module.acquisitionMode = 'unit_compensation';
+      } else if (semesterCompensated) {
+        module.acquisitionMode = 'semester_compensation';
+      } else {
+        module.acquisitionMode = null;
+      }
+
+      module.isAcquired = module.acquisitionMode !== null;
+      module.creditsEarned = module.isAcquired ? module.credits : 0;
+      module.unitAverage = unit.average;
+      unit.creditsEarned += module.creditsEarned;
+    });
+
+    unit.isAcquired = unit.creditsEarned === unit.credits;
+    creditsEarned += unit.creditsEarned;
+    creditsTotal += unit.credits;
+  });
+
+  let decision = DECISIONS.DEFERRED;
+  if (modules.length > 0 && modules.every(m => m.acquisitionMode === 'direct')) {
+    decision = DECISIONS.ADMITTED;
+  } else if (semesterCompensated) {
+    decision = DECISIONS.ADMITTED_BY_COMPENSATION;
+  }
+
+  return {
+    average,
+    mention: getMention(average),
+    creditsEarned,
+    creditsTotal,
+    decision,
+    units
+  };
+};
+
+// Compute the post-resit module mark according to Course.resitPolicy
+const applyResitRule = (course, grades, normalAverage, resitGrade) => {
+  const policy = course.resitPolicy || {};
+  const resitMark = toTwenty(resitGrade.finalScore, resitGrade.totalPoints);
+
+  switch (policy.rule) {
+    case 'replace_exam': {
+      // The resit mark takes the place of the final exam in the weighting
+      const replaced = grades
+        .filter(g => g.assessmentType !== 'final')
+        .concat({
+          assessmentType: 'final',
+          finalScore: resitGrade.finalScore,
+          totalPoints: resitGrade.totalPoints
+        });
+      return computeModuleAverage(replaced, course.assessments).average;
+    }
+    case 'capped':
+      return roundMark(Math.max(normalAverage || 0, Math.min(resitMark, policy.cap ?? PASS_MARK)));
+    default:
+      return roundMark(Math.max(normalAverage || 0, resitMark));
+  }
+};
+
+// Build the module result for one course from its grades. The resit mark is
+// only taken into account when `applyResit` is set (eligible modules).
+const buildModuleResult = (course, grades, options = {}) => {
+  const normalGrades = grades.filter(g => g.assessmentType !== 'resit');
+  const resitGrade = grades.find(g => g.assessmentType === 'resit');
+  const moduleAverage = computeModuleAverage(normalGrades, course.assessments);
+
+  const result = {
+    course: course._id,
+    code: course.code,
+    name: course.name,
+    credits: course.credits,
+    coefficient: course.coefficient || 1,
+    teachingUnit: course.teachingUnit,
+    average: moduleAverage.average,
+    normalAverage: moduleAverage.average,
+    completion: moduleAverage.completion,
+    categories: moduleAverage.categories
+  };
+
+  if (options.applyResit && resitGrade) {
+    result.resitMark = toTwenty(resitGrade.finalScore, resitGrade.totalPoints);
+    result.resitRule = course.resitPolicy?.rule || 'max';
+    result.average = applyResitRule(course, normalGrades, moduleAverage.average, resitGrade);
+  }
+
+  return result;
+};
+
+// Helper function to flatten unit results back into a module list
+const flattenModules = (units) => {
+  return units.reduce((all, unit) => all.concat(unit.modules), []);
+};
+
+// Compute a student's semester results and store the module outcomes in
+// CourseGradeSummary. Every module the student is enrolled in counts, marked or
+// not. The normal session decides resit eligibility (graded modules neither
+// passed nor compensated); resit marks are then applied to eligible modules and
+// compensation is run again on the final marks.
+const computeStudentSemester = async (studentId, academicYear, semester, options = {}) => {
+  const { persist = true, includeUnreleased = false } = options;
+
+  const filter = {
+    student: studentId,
+    academicYear,
+    semester,
+    // A disputed mark stands until the dispute is resolved
+    gradingStatus: { $in: ['graded', 'returned', 'disputed'] }
+  };
+  if (!includeUnreleased) filter.isReleased = true;
+
+  const grades = await Grade.find(filter);
+
+  const courses = await Course.find({
+    academicYear,
+    semester,
+    enrolledStudents: { $elemMatch: { student: studentId, status: { $ne: 'dropped' } } }
+  });
+  const gradesFor = (course) => grades.filter(g => g.course.toString() === course._id.toString());
+
+  // Normal session
+  const normalModules = courses.map(course => buildModuleResult(course, gradesFor(course)));
+  const normalResult = computeSemesterResult(normalModules);
+  const eligible = new Set(
+    normalModules.filter(m => !m.isAcquired && m.average !== null).map(m => m.course.toString())
+  );
+
+  // Resit session
+  const modules = courses.map(course => buildModuleResult(course, gradesFor(course), {
+    applyResit: eligible.has(course._id.toString())
+  }));
+  const result = eligible.size > 0 ? computeSemesterResult(modules) : normalResult;
+  const finalModules = eligible.size > 0 ? modules : normalModules;
+
+  finalModules.forEach(module => {
+    module.isResitEligible = eligible.has(module.course.toString());
+  });
+
+  const awaitingResit = finalModules.some(m => m.isResitEligible && m.resitMark === undefined);
+  if (result.decision === DECISIONS.DEFERRED && awaitingResit) {
+    result.decision = DECISIONS.RESIT;
+  }
+
+  if (persist) {
+    await Promise.all(finalModules.map(module => {
+      const update = {
+        moduleAverage: module.average,
+        coefficient: module.coefficient,
+        credits: module.credits,
+        teachingUnit: {
+          code: module.teachingUnit?.code,
+          name: module.teachingUnit?.name
+        },
+        unitAverage: module.unitAverage,
+        creditsEarned: module.creditsEarned,
+        isAcquired: module.isAcquired,
+        acquisitionMode: module.acquisitionMode,
+        categoryGrades: module.categories,
+        completionPercentage: module.completion,
+        resit: {
+          isEligible: module.isResitEligible,
+          normalAverage: module.normalAverage,
+          mark: module.resitMark,
+          rule: module.resitRule
+        },
+        lastUpdated: new Date()
+      };
+
+      if (module.isResitEligible) {
+        update.status = module.resitMark === undefined ? 'resit' : 'completed';
+      }
+
+      return CourseGradeSummary.findOneAndUpdate(
+        {
+          student: studentId,
+          course: module.course,
+          academicYear,
+          semester
+        },
+        update,
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+    }));
+  }
+
+  return {
+    student: new mongoose.Types.ObjectId(studentId),
+    academicYear,
+    semester,
+    ...result,
+    normalSession: {
+      average: normalResult.average,
+      decision: normalResult.decision,
+      creditsEarned: normalResult.creditsEarned
+    },
+    modules: flattenModules(result.units)
+  };
+};
+
+// Compute the semester results of every student enrolled in a course, so that
+// resit eligibility is known for the whole cohort and not only for students
+// whose results happened to be computed before. `options` are passed on to
+// computeStudentSemester; returns [{ student, results }].
+const computeCourseCohort = async (course, academicYear, semester, options = {}) => {
+  const students = course.enrolledStudents
+    .filter(enrollment => enrollment.status !== 'dropped')
+    .map(enrollment => enrollment.student.toString());
+
+  const cohort = [];
+  for (const studentId of students) {
+    const results = await computeStudentSemester(studentId, academicYear, semester, options);
+    cohort.push({ student: studentId, results });
+  }
+
+  return cohort;
+};
+
+module.exports = {
+  MAX_MARK,
+  PASS_MARK,
+  ASSESSMENT_CATEGORIES,
+  EXAM_ASSESSMENT_TYPES,
+  DECISIONS,
+  RESIT_RULES,
+  roundMark,
+  toTwenty,
+  getMention,
+  computeModuleAverage,
+  computeUnitResults,
+  computeSemesterResult,
+  applyResitRule,
+  buildModuleResult,
+  computeStudentSemester,
+  computeCourseCohort
+};
@@ -0,0 +1,42 @@
+const { Message, ChatRoom } = require('../models/Message');
+const socketService = require('./socketService');
+
+// Send a real-time notification to a single user
+const notifyUser = (userId, event, data) => {
+  return socketService.emitToUser(userId.toString(), event, {
+    ...data,
+    timestamp: new Date()
+  });
+};
+
+// Send the same notification to several users
+const notifyUsers = (userIds, event, data) => {
+  return userIds.map(userId => notifyUser(userId, event, data));
+};
+
+// Post a system message in a course chat room. Returns null when the course
+// has no chat room yet; without a sender the room creator is used.
+const postCourseSystemMessage = async (courseId, systemMessageType, content, data, senderId) => {
+  const chatRoom = await ChatRoom.findOne({ type: 'course', course: courseId, status: 'active' });
+  if (!chatRoom) return null;
+
+  const message = new Message({
+    content,
+    type: 'system',
+    sender: senderId || chatRoom.creator,
+    senderRole: 'system',
+    chatRoom: chatRoom._id,
+    systemMessageType,
+    systemMessageData: data
+  });
+  await message.save();
+
+  socketService.emitToCourse(courseId.toString(), 'new_message', message);
+  return message;
+};
+
+module.exports = {
+  notifyUser,
+  notifyUsers,
+  postCourseSystemMessage
+};
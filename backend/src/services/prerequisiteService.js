@@ -0,0 +1,115 @@
+const Course = require('../models/Course');
+const { CourseGradeSummary } = require('../models/Grade');
+
+// Minimum module average (out of 20) behind each Course.prerequisites grade.
+// D only asks for the module to be acquired, by compensation included.
+const PREREQUISITE_MINIMUMS = {
+  D: null,
+  'C-': 10,
+  C: 11,
+  'C+': 12,
+  'B-': 13,
+  B: 14,
+  'B+': 15,
+  'A-': 16,
+  A: 17
+};
+
+// Helper function to explain an unmet requirement
+const describeRequirement = (requirement) => {
+  const { course, minimumAverage, reason, bestAverage } = requirement;
+  const label = course.code ? `${course.code} ${course.name}` : 'A prerequisite module';
+
+  switch (reason) {
+    case 'unknown_course':
+      return 'A prerequisite module no longer exists';
+    case 'not_taken':
+      return `${label} has not been taken`;
+    case 'in_progress':
+      return `${label} has no final result yet`;
+    case 'not_acquired':
+      return `${label} has not been validated`;
+    default:
+      return `${label} requires at least ${minimumAverage}/20 (best result: ${bestAverage ?? 'none'}/20)`;
+  }
+};
+
+// Check a student's results against the prerequisites of a course. Any
+// offering of a prerequisite module counts (courses are created per academic
+// year, so offerings share the module code) and the best result is kept.
+const checkPrerequisites = async (course, studentId) => {
+  const prerequisites = (course.prerequisites || []).filter(p => p.course);
+  if (prerequisites.length === 0) {
+    return { isMet: true, requirements: [], unmet: [] };
+  }
+
+  const requiredCourses = await Course.find({ _id: { $in: prerequisites.map(p => p.course) } })
+    .select('code name level semester');
+  const offerings = await Course.find({ code: { $in: requiredCourses.map(c => c.code) } })
+    .select('code');
+  const codes = new Map(offerings.map(o => [o._id.toString(), o.code]));
+
+  const summaries = await CourseGradeSummary.find({
+    student: studentId,
+    course: { $in: offerings.map(o => o._id) }
+  }).select('course academicYear semester moduleAverage isAcquired acquisitionMode status');
+
+  const requirements = prerequisites.map(prerequisite => {
+    const requiredCourse = requiredCourses.find(c => c._id.toString() === prerequisite.course.toString());
+    const minimumAverage = PREREQUISITE_MINIMUMS[prerequisite.grade] ?? null;
+    const requirement = {
+      course: requiredCourse
+        ? { _id: requiredCourse._id, code: requiredCourse.code, name: requiredCourse.name, level: requiredCourse.level }
+        : { _id: prerequisite.course },
+      minimumGrade: prerequisite.grade,
+      minimumAverage,
+      isMet: false,
+      reason: null,
+      bestAverage: null,
+      academicYear: null
+    };
+
+    if (!requiredCourse) {
+      requirement.reason = 'unknown_course';
+      return requirement;
+    }
+
+    const taken = summaries.filter(s => codes.get(s.course.toString()) === requiredCourse.code);
+    const final = taken.filter(s => s.status === 'completed' || s.isAcquired);
+    const best = final
+      .filter(s => typeof s.moduleAverage === 'number')
+      .sort((a, b) => b.moduleAverage - a.moduleAverage)[0];
+
+    if (best) {
+      requirement.bestAverage = best.moduleAverage;
+      requirement.academicYear = best.academicYear;
+    }
+
+    const validated = final.filter(s => minimumAverage === null
+      ? s.isAcquired
+      : typeof s.moduleAverage === 'number' && s.moduleAverage >= minimumAverage);
+
+    if (validated.length > 0) {
+      requirement.isMet = true;
+    } else if (taken.length === 0) {
+      requirement.reason = 'not_taken';
+    } else if (final.length === 0) {
+      requirement.reason = 'in_progress';
+    } else {
+      requirement.reason = minimumAverage === null ? 'not_acquired' : 'grade_too_low';
+    }
+
+    return requirement;
+  });
+
+  const unmet = requirements
+    .filter(r => !r.isMet)
+    .map(r => ({ ...r, message: describeRequirement(r) }));
+
+  return { isMet: unmet.length === 0, requirements, unmet };
+};
+
+module.exports = {
+  PREREQUISITE_MINIMUMS,
+  checkPrerequisites
+};
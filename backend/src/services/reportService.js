@@ -0,0 +1,457 @@
+const PDFDocument = require('pdfkit');
+const ExcelJS = require('exceljs');
+const Course = require('../models/Course');
+const { computeStudentSemester, computeModuleAverage, DECISIONS } = require('./gradingService');
+
+// Official labels used on the PV de délibération
+const DECISION_LABELS = {
+  [DECISIONS.ADMITTED]: 'Admis',
+  [DECISIONS.ADMITTED_BY_COMPENSATION]: 'Admis par compensation',
+  [DECISIONS.DEFERRED]: 'Ajourné',
+  [DECISIONS.RESIT]: 'Rattrapage'
+};
+
+// Helper function to format a mark for the report
+const formatMark = (value) => {
+  return value === null || value === undefined ? '-' : Number(value).toFixed(2);
+};
+
+// Build the deliberation report (PV) for a department, level and semester
+const buildDeliberationReport = async ({ academicYear, semester, department, level }) => {
+  const courses = await Course.find({ academicYear, semester, department, level })
+    .populate('enrolledStudents.student', 'firstName lastName studentId');
+
+  // Modules ordered by teaching unit, then by code
+  courses.sort((a, b) => {
+    const unitA = a.teachingUnit?.code || a.code;
+    const unitB = b.teachingUnit?.code || b.code;
+    return unitA.localeCompare(unitB) || a.code.localeCompare(b.code);
+  });
+
+  const modules = courses.map(course => ({
+    course: course._id.toString(),
+    code: course.code,
+    name: course.name,
+    credits: course.credits,
+    coefficient: course.coefficient || 1,
+    unit: course.teachingUnit?.code || course.code
+  }));
+  const units = [...new Set(modules.map(m => m.unit))];
+
+  // Every student enrolled in at least one module of the semester
+  const students = new Map();
+  courses.forEach(course => {
+    course.enrolledStudents
+      .filter(enrollment => enrollment.student && enrollment.status !== 'dropped')
+      .forEach(enrollment => students.set(enrollment.student._id.toString(), enrollment.student));
+  });
+
+  const rows = [];
+  for (const student of students.values()) {
+    // Deliberation works on unreleased marks too; nothing is stored from a report
+    const results = await computeStudentSemester(student._id.toString(), academicYear, semester, {
+      includeUnreleased: true,
+      persist: false
+    });
+    const moduleResults = new Map(results.modules.map(m => [m.course.toString(), m]));
+    const unitResults = new Map(results.units.map(u => [u.code, u]));
+
+    rows.push({
+      student: {
+        id: student._id,
+        studentId: student.studentId,
+        firstName: student.firstName,
+        lastName: student.lastName
+      },
+      modules: modules.map(m => moduleResults.get(m.course)?.average ?? null),
+      units: units.map(code => unitResults.get(code)?.average ?? null),
+      average: results.average,
+      creditsEarned: results.creditsEarned,
+      creditsTotal: results.creditsTotal,
+      decision: results.decision,
+      decisionLabel: DECISION_LABELS[results.decision],
+      mention: results.mention
+    });
+  }
+
+  // Rank by semester average, equal averages share a rank
+  rows.sort((a, b) => (b.average ?? -1) - (a.average ?? -1) || a.student.lastName.localeCompare(b.student.lastName));
+  rows.forEach((row, index) => {
+    const previous = rows[index - 1];
+    row.rank = previous && previous.average === row.average ? previous.rank : index + 1;
+  });
+
+  const statistics = {
+    totalStudents: rows.length,
+    decisions: Object.values(DECISIONS).reduce((acc, decision) => {
+      acc[decision] = rows.filter(r => r.decision === decision).length;
+      return acc;
+    }, {}),
+    successRate: rows.length > 0
+      ? ((rows.filter(r => [DECISIONS.ADMITTED, DECISIONS.ADMITTED_BY_COMPENSATION].includes(r.decision)).length / rows.length) * 100).toFixed(1)
+      : 0
+  };
+
+  return {
+    academicYear,
+    semester,
+    department,
+    level,
+    generatedAt: new Date(),
+    modules,
+    units,
+    rows,
+    statistics
+  };
+};
+
+// Helper function to get the table header of a deliberation report
+const getDeliberationHeader = (report) => {
+  return [
+    'Rang',
+    'Matricule',
+    'Nom',
+    'Prénom',
+    ...report.modules.map(m => m.code),
+    ...report.units.map(code => `Moy. ${code}`),
+    'Moyenne',
+    'Crédits',
+    'Décision',
+    'Mention'
+  ];
+};
+
+// Helper function to flatten a report row into table cells
+const getDeliberationCells = (row) => {
+  return [
+    row.rank,
+    row.student.studentId,
+    row.student.lastName,
+    row.student.firstName,
+    ...row.modules.map(formatMark),
+    ...row.units.map(formatMark),
+    formatMark(row.average),
+    `${row.creditsEarned}/${row.creditsTotal}`,
+    row.decisionLabel,
+    row.mention || '-'
+  ];
+};
+
+// Write the deliberation report as a PDF document into a writable stream
+const writeDeliberationPdf = (report, stream) => {
+  const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 30 });
+  doc.pipe(stream);
+
+  const header = getDeliberationHeader(report);
+  const tableWidth = doc.page.width - 60;
+  const nameColumns = [30, 60, 80, 70];
+  const fixedWidth = nameColumns.reduce((sum, w) => sum + w, 0) + 45 + 40 + 95 + 55;
+  const markWidth = (tableWidth - fixedWidth) / (report.modules.length + report.units.length);
+  const widths = [
+    ...nameColumns,
+    ...Array(report.modules.length + report.units.length).fill(markWidth),
+    45, 40, 95, 55
+  ];
+
+  const drawRow = (cells, y, bold = false) => {
+    let x = 30;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(7);
+    cells.forEach((cell, i) => {
+      doc.text(String(cell ?? ''), x + 2, y + 3, { width: widths[i] - 4, height: 10, ellipsis: true });
+      doc.rect(x, y, widths[i], 14).stroke();
+      x += widths[i];
+    });
+  };
+
+  // Title block
+  doc.font('Helvetica-Bold').fontSize(12)
+    .text('Université des Sciences et de la Technologie Houari Boumediene', { align: 'center' });
+  doc.fontSize(11).text('Procès-verbal de délibération', { align: 'center' });
+  doc.font('Helvetica').fontSize(9)
+    .text(`${report.department} - ${report.level} - Semestre ${report.semester} - Année universitaire ${report.academicYear}`, { align: 'center' });
+  doc.moveDown();
+
+  let y = doc.y;
+  drawRow(header, y, true);
+  y += 14;
+
+  report.rows.forEach(row => {
+    if (y + 14 > doc.page.height - 60) {
+      doc.addPage();
+      y = 30;
+      drawRow(header, y, true);
+      y += 14;
+    }
+    drawRow(getDeliberationCells(row), y);
+    y += 14;
+  });
+
+  // Module legend and statistics
+  doc.font('Helvetica').fontSize(8).text('', 30, y + 10);
+  report.modules.forEach(m => {
+    doc.text(`${m.code}: ${m.name} (coef. ${m.coefficient}, ${m.credits} crédits)`);
+  });
+  doc.moveDown().text(
+    `Effectif: ${report.statistics.totalStudents} - Taux de réussite: ${report.statistics.successRate}%`
+  );
+  doc.text(`Édité le ${report.generatedAt.toLocaleDateString('fr-DZ')}`);
+
+  doc.end();
+};
+
+// Write the deliberation report as an XLSX workbook into a writable stream
+const writeDeliberationXlsx = async (report, stream) => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'USTHB App';
+  workbook.created = report.generatedAt;
+
+  const sheet = workbook.addWorksheet(`PV ${report.level} ${report.semester}`);
+  sheet.addRow([`Procès-verbal de délibération - ${report.department} - ${report.level} - ${report.semester} - ${report.academicYear}`]);
+  sheet.addRow([]);
+
+  const headerRow = sheet.addRow(getDeliberationHeader(report));
+  headerRow.font = { bold: true };
+
+  report.rows.forEach(row => {
+    sheet.addRow([
+      row.rank,
+      row.student.studentId,
+      row.student.lastName,
+      row.student.firstName,
+      ...row.modules,
+      ...row.units,
+      row.average,
+      row.creditsEarned,
+      row.decisionLabel,
+      row.mention || ''
+    ]);
+  });
+
+  sheet.columns.forEach(column => {
+    column.width = 14;
+  });
+
+  const modulesSheet = workbook.addWorksheet('Modules');
+  modulesSheet.addRow(['Code', 'Intitulé', 'Unité', 'Coefficient', 'Crédits']).font = { bold: true };
+  report.modules.forEach(m => modulesSheet.addRow([m.code, m.name, m.unit, m.coefficient, m.credits]));
+
+  await workbook.xlsx.write(stream);
+};
+
+// Weighting buckets of Course.assessments, in export column order
+const WEIGHT_CATEGORIES = ['assignments', 'quizzes', 'midterm', 'final', 'participation'];
+
+// Build a per-student grade table for a course: one column per assessment,
+// then the weighted category averages and the module total out of 20
+const buildGradeExport = (course, grades) => {
+  const assessments = new Map();
+  grades.forEach(grade => {
+    const key = `${grade.assessmentType}:${grade.assessmentName}`;
+    if (!assessments.has(key)) {
+      assessments.set(key, {
+        key,
+        label: `${grade.assessmentName} (${grade.assessmentType}) /${grade.totalPoints}`
+      });
+    }
+  });
+  const assessmentColumns = Array.from(assessments.values());
+
+  const categoryColumns = WEIGHT_CATEGORIES
+    .filter(category => (course.assessments[category]?.percentage || 0) > 0)
+    .map(category => ({
+      category,
+      label: `${category} (${course.assessments[category].percentage}%) /20`
+    }));
+
+  const columns = [
+    'Student ID',
+    'Last Name',
+    'First Name',
+    'Email',
+    ...assessmentColumns.map(c => c.label),
+    ...categoryColumns.map(c => c.label),
+    'Weighted Total /20'
+  ];
+
+  const byStudent = new Map();
+  grades.forEach(grade => {
+    const id = grade.student._id.toString();
+    if (!byStudent.has(id)) {
+      byStudent.set(id, { student: grade.student, grades: [] });
+    }
+    byStudent.get(id).grades.push(grade);
+  });
+
+  const rows = Array.from(byStudent.values())
+    .sort((a, b) => a.student.lastName.localeCompare(b.student.lastName) || a.student.firstName.localeCompare(b.student.firstName))
+    .map(({ student, grades: studentGrades }) => {
+      // finalScore applies extra credit, late penalty and adjustments
+      const scores = new Map(studentGrades.map(g => [`${g.assessmentType}:${g.assessmentName}`, g.finalScore]));
+      const moduleAverage = computeModuleAverage(studentGrades, course.assessments);
+      const categoryAverages = new Map(moduleAverage.categories.map(c => [c.category, c.average]));
+
+      return [
+        student.studentId,
+        student.lastName,
+        student.firstName,
+        student.email,
+        ...assessmentColumns.map(c => scores.get(c.key) ?? null),
+        ...categoryColumns.map(c => categoryAverages.get(c.category) ?? null),
+        moduleAverage.average
+      ];
+    });
+
+  return { columns, rows };
+};
+
+// Build the exclusion list table of a course: students excluded for absences,
+// then students warned one absence before the threshold
+const buildExclusionExport = (course, list) => {
+  const columns = [
+    'Student ID',
+    'Last Name',
+    'First Name',
+    'Email',
+    `Unjustified absences (max ${list.policy.maxAbsences})`,
+    'Justified absences',
+    'Sessions',
+    'Status',
+    'Excluded on'
+  ];
+
+  const rows = list.students
+    .filter(entry => entry.student)
+    .map(entry => [
+      entry.student.studentId,
+      entry.student.lastName,
+      entry.student.firstName,
+      entry.student.email,
+      entry.absent,
+      entry.excused,
+      entry.sessions,
+      entry.isExcluded ? 'Excluded' : 'Warned',
+      entry.excludedAt ? entry.excludedAt.toISOString().split('T')[0] : null
+    ]);
+
+  return { columns, rows };
+};
+
+// Build the published result list of an elective campaign, in merit order.
+// Expects submissions.student and submissions.assignedCourse populated.
+const buildElectiveResultExport = (campaign) => {
+  const columns = [
+    'Merit rank',
+    'Student ID',
+    'Last Name',
+    'First Name',
+    `Average ${campaign.referenceYear || ''}`.trim(),
+    'Assigned module',
+    'Choice rank'
+  ];
+
+  const rows = [...campaign.submissions]
+    .filter(submission => submission.student)
+    .sort((a, b) => (b.average ?? -1) - (a.average ?? -1) || a.submittedAt - b.submittedAt)
+    .map((submission, index) => [
+      index + 1,
+      submission.student.studentId,
+      submission.student.lastName,
+      submission.student.firstName,
+      submission.average ?? null,
+      submission.assignedCourse
+        ? `${submission.assignedCourse.code} - ${submission.assignedCourse.name}`
+        : 'Not assigned',
+      submission.assignedRank ?? null
+    ]);
+
+  return { columns, rows };
+};
+
+// Build the seating plan of an exam session: one row per seat, by exam and
+// room. Expects exams.course, exams.rooms.students.student and
+// exams.rooms.invigilators populated.
+const buildSeatingPlanExport = (session) => {
+  const columns = [
+    'Date',
+    'Time',
+    'Module',
+    'Room',
+    'Seat',
+    'Student ID',
+    'Last Name',
+    'First Name',
+    'Invigilators'
+  ];
+
+  const rows = [];
+  session.exams.forEach(exam => {
+    exam.rooms.forEach(room => {
+      const invigilators = room.invigilators
+        .map(teacher => `${teacher.lastName} ${teacher.firstName}`)
+        .join(', ');
+      room.students
+        .filter(entry => entry.student)
+        .forEach(entry => rows.push([
+          exam.date.toISOString().split('T')[0],
+          `${exam.startTime}-${exam.endTime}`,
+          exam.course ? exam.course.code : null,
+          room.name,
+          entry.seat,
+          entry.student.studentId,
+          entry.student.lastName,
+          entry.student.firstName,
+          invigilators
+        ]));
+    });
+  });
+
+  return { columns, rows };
+};
+
+// Helper function to escape a CSV cell
+const escapeCsvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Stream a table as CSV, row by row
+const writeCsv = ({ columns, rows }, stream) => {
+  // UTF-8 BOM so spreadsheet software keeps accented names intact
+  stream.write('\uFEFF');
+  stream.write(columns.map(escapeCsvCell).join(',') + '\r\n');
+  rows.forEach(row => {
+    stream.write(row.map(escapeCsvCell).join(',') + '\r\n');
+  });
+  stream.end();
+};
+
+// Stream a table as an XLSX workbook using the ExcelJS streaming writer
+const writeXlsx = async ({ columns, rows }, stream, sheetName = 'Grades') => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream });
+  const sheet = workbook.addWorksheet(sheetName);
+
+  sheet.columns = columns.map(header => ({ header, width: Math.max(12, header.length + 2) }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.getRow(1).commit();
+
+  rows.forEach(row => {
+    sheet.addRow(row).commit();
+  });
+
+  sheet.commit();
+  await workbook.commit();
+};
+
+module.exports = {
+  DECISION_LABELS,
+  buildDeliberationReport,
+  writeDeliberationPdf,
+  writeDeliberationXlsx,
+  buildGradeExport,
+  buildExclusionExport,
+  buildElectiveResultExport,
+  buildSeatingPlanExport,
+  writeCsv,
+  writeXlsx
+};
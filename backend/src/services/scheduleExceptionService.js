@@ -0,0 +1,276 @@
+const Course = require('../models/Course');
+const Announcement = require('../models/Announcement');
+const ScheduleException = require('../models/ScheduleException');
+const socketService = require('./socketService');
+const {
+  WEEK_DAYS,
+  normalizeRoom,
+  overlaps,
+  getStaff,
+  snapLecture,
+  resolveRoom,
+  toLocalDay,
+  expandSessions
+} = require('./timetableService');
+const { getAlgerianHolidays } = require('../utils/dateUtils');
+
+// Helper function to describe a dated session (Sunday 02/11/2025 08:00-09:30, Amphi A)
+const describeSession = (date, startTime, endTime, room) => {
+  const day = toLocalDay(date);
+  return `${day.format('dddd DD/MM/YYYY')} ${startTime}-${endTime}${room ? `, ${room}` : ''}`;
+};
+
+// Helper function to check whether a day is an official holiday
+const isHoliday = (day) => {
+  return getAlgerianHolidays(day.year()).some(holiday => holiday.date === day.format('YYYY-MM-DD'));
+};
+
+// Find the sessions held on the day of `session` that collide with it: same
+// room, same teaching staff, same section or the course itself. The occurrence
+// being moved (`ignore`) does not count.
+const findDateConflicts = async (course, session, ignore = {}) => {
+  const day = toLocalDay(session.date);
+
+  const courses = await Course.find({
+    status: { $in: ['draft', 'active'] },
+    startDate: { $lte: day.clone().endOf('day').toDate() },
+    endDate: { $gte: day.toDate() }
+  }).select('code name department level semester academicYear instructor assistants schedule startDate endDate');
+
+  const staff = getStaff(course);
+  const period = { day: day.format('dddd'), startTime: session.startTime, endTime: session.endTime };
+  const conflicts = [];
+
+  (await expandSessions(courses, day, day))
+    .filter(other => ['scheduled', 'rescheduled', 'extra'].includes(other.status))
+    .filter(other => !(
+      ignore.lecture &&
+      other.status === 'scheduled' &&
+      other.course._id.equals(course._id) &&
+      other.lecture?.toString() === ignore.lecture.toString()
+    ))
+    .filter(other => overlaps(other, period))
+    .forEach(other => {
+      const base = {
+        conflictingCourse: { _id: other.course._id, code: other.course.code, name: other.course.name },
+        conflictingSession: {
+          date: day.format('YYYY-MM-DD'),
+          startTime: other.startTime,
+          endTime: other.endTime,
+          room: other.room,
+          type: other.type || 'Lecture',
+          status: other.status
+        }
+      };
+
+      if (other.course._id.equals(course._id)) {
+        conflicts.push({ ...base, type: 'course', detail: 'Another session of this course is held at that time' });
+        return;
+      }
+      if (normalizeRoom(other.room) === normalizeRoom(session.room)) {
+        conflicts.push({ ...base, type: 'room', detail: `Room ${session.room} is already booked` });
+      }
+      if (getStaff(other.course).some(id => staff.includes(id))) {
+        conflicts.push({ ...base, type: 'staff', detail: 'The teaching staff is already teaching' });
+      }
+      if (other.course.department === course.department && other.course.level === course.level &&
+          other.course.semester === course.semester) {
+        conflicts.push({
+          ...base,
+          type: 'section',
+          detail: `${course.department} ${course.level} ${course.semester} students already have a session`
+        });
+      }
+    });
+
+  return conflicts;
+};
+
+// Post the course announcement of an exception and notify the connected students
+const notifyException = async (course, exception, userId) => {
+  const original = exception.original?.date
+    ? describeSession(exception.original.date, exception.original.startTime, exception.original.endTime, exception.original.room)
+    : null;
+  const replacement = exception.replacement?.date
+    ? describeSession(exception.replacement.date, exception.replacement.startTime, exception.replacement.endTime, exception.replacement.room)
+    : null;
+
+  let title;
+  let content;
+  switch (exception.type) {
+    case 'cancellation':
+      title = `${course.code}: session cancelled`;
+      content = `The ${course.name} session of ${original} is cancelled.`;
+      break;
+    case 'move':
+      title = `${course.code}: session moved`;
+      content = `The ${course.name} session of ${original} is moved to ${replacement}.`;
+      break;
+    default:
+      title = `${course.code}: extra session`;
+      content = `An extra ${course.name} ${exception.replacement.sessionType || 'Lecture'} session is scheduled on ${replacement}.`;
+  }
+  content += `\n\nReason: ${exception.reason}`;
+
+  const lastDay = [exception.original?.date, exception.replacement?.date]
+    .filter(Boolean)
+    .map(date => toLocalDay(date))
+    .reduce((latest, day) => (day.isAfter(latest) ? day : latest));
+
+  const announcement = new Announcement({
+    title,
+    content,
+    author: userId,
+    targetAudience: 'course',
+    targetCriteria: { courses: [course._id] },
+    type: 'academic',
+    priority: exception.type === 'cancellation' ? 'high' : 'normal',
+    category: 'update',
+    status: 'published',
+    expiryDate: lastDay.clone().endOf('day').toDate()
+  });
+  await announcement.save();
+
+  exception.announcement = announcement._id;
+  await exception.save();
+
+  socketService.emitToCourse(course._id.toString(), 'schedule_exception', {
+    exception,
+    course: { _id: course._id, code: course.code, name: course.name },
+    message: content,
+    timestamp: new Date()
+  });
+
+  return announcement;
+};
+
+// Cancel or move an occurrence of a weekly session, or add an extra session.
+// Returns { exception, announcement }, or { status, message, conflicts } when
+// the exception cannot be created.
+const createScheduleException = async (course, data, userId) => {
+  const today = toLocalDay(new Date());
+  const exception = new ScheduleException({
+    course: course._id,
+    type: data.type,
+    reason: data.reason,
+    createdBy: userId
+  });
+
+  let lecture;
+  let originalDay;
+  if (data.type !== 'extra') {
+    lecture = course.schedule.lectures.id(data.lecture);
+    if (!lecture) {
+      return { status: 404, message: 'Session not found in the course schedule' };
+    }
+
+    originalDay = toLocalDay(data.date);
+    if (originalDay.format('dddd') !== lecture.day) {
+      return { status: 400, message: `${originalDay.format('DD/MM/YYYY')} is not a ${lecture.day}` };
+    }
+    if (originalDay.isBefore(today)) {
+      return { status: 400, message: 'Past sessions cannot be changed' };
+    }
+    if ((course.startDate && originalDay.isBefore(toLocalDay(course.startDate))) ||
+        (course.endDate && originalDay.isAfter(toLocalDay(course.endDate)))) {
+      return { status: 400, message: 'The session falls outside the course dates' };
+    }
+    if (isHoliday(originalDay)) {
+      return { status: 400, message: 'No session is held on a holiday' };
+    }
+
+    const existing = await ScheduleException.findOne({
+      course: course._id,
+      'original.lecture': lecture._id,
+      'original.date': originalDay.toDate()
+    });
+    if (existing) {
+      return { status: 409, message: `This session is already ${existing.type === 'cancellation' ? 'cancelled' : 'moved'}` };
+    }
+
+    exception.original = {
+      lecture: lecture._id,
+      date: originalDay.toDate(),
+      startTime: lecture.startTime,
+      endTime: lecture.endTime,
+      room: lecture.room
+    };
+  }
+
+  if (data.type !== 'cancellation') {
+    const day = toLocalDay(data.type === 'move' ? data.newDate : data.date);
+    if (!WEEK_DAYS.includes(day.format('dddd'))) {
+      return { status: 400, message: 'Sessions can only be held from Sunday to Thursday' };
+    }
+    if (day.isBefore(today)) {
+      return { status: 400, message: 'Sessions cannot be scheduled in the past' };
+    }
+    if (isHoliday(day)) {
+      return { status: 400, message: `${day.format('DD/MM/YYYY')} is a holiday` };
+    }
+
+    const snapped = snapLecture({
+      day: day.format('dddd'),
+      startTime: data.startTime || lecture?.startTime,
+      endTime: data.endTime || lecture?.endTime,
+      room: data.room || (data.roomRef ? '' : lecture?.room) || '',
+      roomRef: data.roomRef || (data.room ? undefined : lecture?.roomRef),
+      type: data.sessionType || lecture?.type || 'Lecture'
+    });
+    if (snapped.error) {
+      return { status: 400, message: snapped.error };
+    }
+
+    const session = snapped.lecture;
+    const roomError = await resolveRoom(course, session);
+    if (roomError) {
+      return { status: 400, message: roomError };
+    }
+
+    const conflicts = await findDateConflicts(
+      course,
+      { ...session, date: day.toDate() },
+      lecture && originalDay.isSame(day, 'day') ? { lecture: lecture._id } : {}
+    );
+    if (conflicts.length > 0) {
+      return { status: 409, message: 'Schedule conflicts detected', conflicts };
+    }
+
+    exception.replacement = {
+      date: day.toDate(),
+      startTime: session.startTime,
+      endTime: session.endTime,
+      room: session.room,
+      roomRef: session.roomRef,
+      sessionType: session.type
+    };
+  }
+
+  await exception.save();
+  const announcement = await notifyException(course, exception, userId);
+
+  return { exception, announcement };
+};
+
+// Remove an exception: the session goes back to its weekly slot, the
+// announcement is archived and the students are notified
+const removeScheduleException = async (course, exception) => {
+  await ScheduleException.deleteOne({ _id: exception._id });
+
+  if (exception.announcement) {
+    await Announcement.updateOne({ _id: exception.announcement }, { status: 'archived' });
+  }
+
+  socketService.emitToCourse(course._id.toString(), 'schedule_exception_removed', {
+    exceptionId: exception._id,
+    type: exception.type,
+    course: { _id: course._id, code: course.code, name: course.name },
+    timestamp: new Date()
+  });
+};
+
+module.exports = {
+  findDateConflicts,
+  createScheduleException,
+  removeScheduleException
+};
@@ -0,0 +1,227 @@
+const Session = require('../models/Session');
+const { generateToken, generateRefreshToken, jwtConfig } = require('../config/jwt');
+const { lookupLocation } = require('./geoipService');
+const { parseUserAgent, describeDevice, normalizeIp } = require('../utils/deviceUtils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Last activity is recorded at most this often per session
+const ACTIVITY_UPDATE_INTERVAL_MS = 5 * 60 * 1000;
+
+// How often revocations made by other server instances are picked up (default: every 30 seconds)
+const REVOCATION_SYNC_INTERVAL = parseInt(process.env.REVOCATION_SYNC_INTERVAL_MS) || 30 * 1000;
+
+// Revoked sessions whose access tokens may still be in circulation
+// (sessionId -> session expiry). Checked on every authenticated request and
+// socket handshake; a cache of the Session collection, rebuilt at startup and
+// kept in sync with the revocations of other instances. Refreshes are always
+// checked against the collection itself.
+const revokedSessions = new Map();
+
+let lastRevocationSync = null;
+let revocationTimer = null;
+
+// Remember revoked sessions until they would have expired anyway
+const addToRevocationList = (sessions) => {
+  sessions.forEach(session => {
+    revokedSessions.set(session._id.toString(), new Date(session.expiresAt).getTime());
+  });
+};
+
+// Whether the session behind an access token has been revoked
+const isSessionRevoked = (sessionId) => {
+  const expiresAt = revokedSessions.get(String(sessionId));
+  if (expiresAt === undefined) return false;
+
+  if (expiresAt <= Date.now()) {
+    revokedSessions.delete(String(sessionId));
+  }
+  return true;
+};
+
+// Load the revocation list (only the sessions revoked since the last load
+// after the first one). Called at startup and by the revocation sync.
+const loadRevokedSessions = async () => {
+  const syncedAt = new Date();
+  const sessions = await Session.find({
+    // Overlap the previous window a little for clock skew between instances
+    revokedAt: lastRevocationSync
+      ? { $gte: new Date(lastRevocationSync.getTime() - REVOCATION_SYNC_INTERVAL) }
+      : { $ne: null },
+    expiresAt: { $gt: syncedAt }
+  }).select('_id expiresAt').lean();
+
+  addToRevocationList(sessions);
+  lastRevocationSync = syncedAt;
+  return sessions.length;
+};
+
+// Start picking up sessions revoked by other instances
+const startRevocationSync = () => {
+  if (revocationTimer) return revocationTimer;
+
+  revocationTimer = setInterval(() => {
+    loadRevokedSessions().catch(error => {
+      console.error('Revoked session sync error:', error);
+    });
+  }, REVOCATION_SYNC_INTERVAL);
+  revocationTimer.unref();
+
+  return revocationTimer;
+};
+
+// Stop the revocation sync
+const stopRevocationSync = () => {
+  if (revocationTimer) {
+    clearInterval(revocationTimer);
+    revocationTimer = null;
+  }
+};
+
+// Device details sent with a login or refresh request
+const getClientInfo = (req) => {
+  const userAgent = req.get('user-agent');
+  const ip = normalizeIp(req.ip);
+
+  return {
+    ...parseUserAgent(userAgent),
+    userAgent,
+    ip,
+    location: lookupLocation(ip)
+  };
+};
+
+// Sign an access token and a new refresh token for a session
+const issueTokens = (session, userId, refreshToken) => ({
+  token: generateToken({ userId, sid: session._id }),
+  refreshToken,
+  refreshExpiresAt: session.expiresAt
+});
+
+// Open a session for a user signing in from a device
+const createSession = async (userId, req, deviceName) => {
+  const clientInfo = getClientInfo(req);
+  const session = new Session({
+    user: userId,
+    deviceName: deviceName || describeDevice(clientInfo),
+    ...clientInfo,
+    expiresAt: new Date(Date.now() + jwtConfig.refreshExpiresInDays * DAY_MS)
+  });
+
+  const { token, tokenId } = generateRefreshToken({ userId, sid: session._id });
+  session.refreshTokenId = tokenId;
+  await session.save();
+
+  return { session, tokens: issueTokens(session, userId, token) };
+};
+
+// Exchange a refresh token for a new pair. The session is read from the
+// database, so a revocation made by any instance applies. The token must be
+// the current one of its session: a token that was already exchanged means it
+// has leaked (or the legitimate client lost a race with the thief), so the
+// whole family is revoked, the replay is recorded on the session and the user
+// has to sign in again.
+// Returns { session, tokens } or { error, reused }.
+const rotateSession = async (decoded, req) => {
+  const { token, tokenId } = generateRefreshToken({ userId: decoded.userId, sid: decoded.sid });
+
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: decoded.sid,
+      user: decoded.userId,
+      refreshTokenId: decoded.jti,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    {
+      $set: {
+        refreshTokenId: tokenId,
+        lastUsedAt: new Date(),
+        expiresAt: new Date(Date.now() + jwtConfig.refreshExpiresInDays * DAY_MS),
+        ...getClientInfo(req)
+      },
+      $inc: { rotations: 1 }
+    },
+    { new: true }
+  );
+
+  if (session) {
+    return { session, tokens: issueTokens(session, decoded.userId, token) };
+  }
+
+  const existing = await Session.findOne({ _id: decoded.sid, user: decoded.userId });
+  if (!existing || !existing.isActive) {
+    if (existing?.revokedAt) addToRevocationList([existing]);
+    return { error: 'Session has expired or been revoked' };
+  }
+
+  const { ip, userAgent, location } = getClientInfo(req);
+  existing.tokenReuse = { detectedAt: new Date(), tokenId: decoded.jti, ip, userAgent, location };
+  await revokeSession(existing, 'token_reuse');
+  return { error: 'Refresh token has already been used', reused: true, session: existing };
+};
+
+// Record activity on a session (called by the auth middleware, throttled so
+// that most requests do not write)
+const touchSession = async (sessionId) => {
+  await Session.updateOne(
+    { _id: sessionId, lastUsedAt: { $lt: new Date(Date.now() - ACTIVITY_UPDATE_INTERVAL_MS) } },
+    { lastUsedAt: new Date() }
+  );
+};
+
+// Sessions of a user, most recently used first. Revoked and expired ones
+// are only included on request (admin investigation).
+const listUserSessions = async (userId, includeInactive = false) => {
+  const filter = { user: userId };
+  if (!includeInactive) {
+    filter.revokedAt = null;
+    filter.expiresAt = { $gt: new Date() };
+  }
+
+  return Session.find(filter).sort({ lastUsedAt: -1 });
+};
+
+// Revoke a session: its refresh token stops working and its access tokens
+// are rejected from now on
+const revokeSession = async (session, reason) => {
+  session.revokedAt = new Date();
+  session.revokedReason = reason;
+  await session.save();
+
+  addToRevocationList([session]);
+  return session;
+};
+
+// Revoke every active session of a user, optionally keeping one (the device
+// making the request). Returns the revoked session IDs.
+const revokeUserSessions = async (userId, reason, exceptSessionId = null) => {
+  const filter = { user: userId, revokedAt: null, expiresAt: { $gt: new Date() } };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+
+  const sessions = await Session.find(filter).select('_id expiresAt');
+  if (sessions.length === 0) return [];
+
+  await Session.updateMany(
+    { _id: { $in: sessions.map(session => session._id) } },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+
+  addToRevocationList(sessions);
+  return sessions.map(session => session._id.toString());
+};
+
+module.exports = {
+  isSessionRevoked,
+  loadRevokedSessions,
+  startRevocationSync,
+  stopRevocationSync,
+  createSession,
+  rotateSession,
+  touchSession,
+  listUserSessions,
+  revokeSession,
+  revokeUserSessions
+};
@@ -0,0 +1,269 @@
+const fs = require('fs');
+const path = require('path');
+// Required from lib/ directly: the package entry point runs a debug routine
+// when it thinks it is loaded as the main module
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const { Submission } = require('../models/Assignment');
+const { Grade } = require('../models/Grade');
+
+// Pairs at or above this Jaccard similarity are flagged for review
+const SIMILARITY_THRESHOLD = parseFloat(process.env.SIMILARITY_THRESHOLD) || 0.4;
+
+// Shingle sizes (in tokens) for prose and for source code
+const TEXT_SHINGLE_SIZE = 5;
+const CODE_SHINGLE_SIZE = 8;
+
+// Keep one fingerprint out of FINGERPRINT_SAMPLING (hash mod p = 0 sampling)
+const FINGERPRINT_SAMPLING = 4;
+
+const CODE_EXTENSIONS = ['.c', '.h', '.cpp', '.java', '.py', '.js'];
+const TEXT_EXTENSIONS = ['.txt'];
+
+// Helper function to hash a shingle (32-bit FNV-1a)
+const hashShingle = (value) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// Split prose into normalised words (case, accents and punctuation ignored)
+const tokenizeText = (text) => {
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+};
+
+// Split source code into tokens, ignoring comments, whitespace and literal values
+// so that reformatting or renaming strings does not hide copied code
+const tokenizeCode = (source) => {
+  const withoutComments = source
+    .replace(/\/\*[\s\S]*?\*\//g, ' ')
+    .replace(/\/\/[^\n]*/g, ' ')
+    .replace(/^\s*#(?!include|define)[^\n]*/gm, ' ');
+
+  return (withoutComments.match(/"(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'|\w+|[^\s\w]/g) || [])
+    .map(token => {
+      if (/^["']/.test(token)) return 'STR';
+      if (/^\d/.test(token)) return 'NUM';
+      return token;
+    });
+};
+
+// Build the sampled shingle fingerprints of a token list
+const fingerprint = (tokens, shingleSize) => {
+  const hashes = new Set();
+  for (let i = 0; i + shingleSize <= tokens.length; i++) {
+    const hash = hashShingle(tokens.slice(i, i + shingleSize).join(' '));
+    if (hash % FINGERPRINT_SAMPLING === 0) hashes.add(hash);
+  }
+  return hashes;
+};
+
+// Extract the comparable text of a submitted file, or null when the format
+// cannot be analysed (archives, Word documents)
+const extractContent = async (file) => {
+  const ext = path.extname(file.originalName || file.path).toLowerCase();
+
+  if (!file.path || !fs.existsSync(file.path)) return null;
+
+  if (ext === '.pdf') {
+    const data = await pdfParse(fs.readFileSync(file.path));
+    return { kind: 'text', content: data.text };
+  }
+  if (CODE_EXTENSIONS.includes(ext)) {
+    return { kind: 'code', content: fs.readFileSync(file.path, 'utf8') };
+  }
+  if (TEXT_EXTENSIONS.includes(ext)) {
+    return { kind: 'text', content: fs.readFileSync(file.path, 'utf8') };
+  }
+
+  return null;
+};
+
+// Compute the fingerprints of a submission file
+const fingerprintFile = async (file) => {
+  const extracted = await extractContent(file);
+  if (!extracted) return null;
+
+  return extracted.kind === 'code'
+    ? { kind: 'code', hashes: fingerprint(tokenizeCode(extracted.content), CODE_SHINGLE_SIZE) }
+    : { kind: 'text', hashes: fingerprint(tokenizeText(extracted.content), TEXT_SHINGLE_SIZE) };
+};
+
+// Compare two fingerprint sets: Jaccard similarity and the share of each
+// document found in the other (containment)
+const compareFingerprints = (a, b) => {
+  if (a.size === 0 || b.size === 0) {
+    return { similarity: 0, containment: 0, shared: 0 };
+  }
+
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  let shared = 0;
+  small.forEach(hash => {
+    if (large.has(hash)) shared += 1;
+  });
+
+  return {
+    similarity: Math.round((shared / (a.size + b.size - shared)) * 1000) / 1000,
+    containment: Math.round((shared / small.size) * 1000) / 1000,
+    shared
+  };
+};
+
+// Load (or compute and store) the fingerprints of a submission
+const getSubmissionFingerprints = async (submission) => {
+  if (submission.similarity.fingerprints?.length > 0) {
+    return { kind: submission.similarity.kind, hashes: new Set(submission.similarity.fingerprints) };
+  }
+
+  let result;
+  try {
+    result = await fingerprintFile(submission.file || {});
+  } catch (error) {
+    console.error(`Similarity extraction error (submission ${submission._id}):`, error.message);
+    result = null;
+  }
+
+  submission.similarity.status = result ? 'checked' : 'unsupported';
+  submission.similarity.kind = result?.kind;
+  submission.similarity.fingerprints = result ? Array.from(result.hashes) : [];
+
+  return result;
+};
+
+// Compare the latest submissions of an assignment pairwise, store a report on
+// every submission and flag the grades of pairs above the threshold.
+// With `onlySubmission`, only pairs involving that submission are recomputed.
+const runSimilarityCheck = async (assignmentId, options = {}) => {
+  const threshold = options.threshold ?? SIMILARITY_THRESHOLD;
+
+  const submissions = await Submission.find({ assignment: assignmentId, isLatest: true })
+    .select('+similarity.fingerprints')
+    .populate('student', 'firstName lastName studentId');
+
+  const fingerprints = new Map();
+  for (const submission of submissions) {
+    fingerprints.set(submission._id.toString(), await getSubmissionFingerprints(submission));
+  }
+
+  const comparable = submissions.filter(s => fingerprints.get(s._id.toString()));
+  const matches = new Map(submissions.map(s => [s._id.toString(), []]));
+  const flaggedPairs = [];
+  const onlyId = options.onlySubmission ? options.onlySubmission.toString() : null;
+
+  for (let i = 0; i < comparable.length; i++) {
+    for (let j = i + 1; j < comparable.length; j++) {
+      const a = comparable[i];
+      const b = comparable[j];
+      const fa = fingerprints.get(a._id.toString());
+      const fb = fingerprints.get(b._id.toString());
+
+      // Prose is never compared with code
+      if (fa.kind !== fb.kind) continue;
+      if (onlyId && a._id.toString() !== onlyId && b._id.toString() !== onlyId) continue;
+
+      const result = compareFingerprints(fa.hashes, fb.hashes);
+      const isFlagged = result.similarity >= threshold;
+
+      matches.get(a._id.toString()).push({ submission: b._id, student: b.student._id, ...result, isFlagged });
+      matches.get(b._id.toString()).push({ submission: a._id, student: a.student._id, ...result, isFlagged });
+
+      if (isFlagged) {
+        flaggedPairs.push({ a, b, ...result });
+      }
+    }
+  }
+
+  const checkedAt = new Date();
+  for (const submission of submissions) {
+    const id = submission._id.toString();
+    let submissionMatches = matches.get(id);
+
+    // Partial check: keep the stored matches that were not recomputed,
+    // dropping those against superseded attempts
+    if (onlyId && id !== onlyId) {
+      const previous = submission.similarity.matches
+        .filter(m => m.submission.toString() !== onlyId && matches.has(m.submission.toString()))
+        .map(m => m.toObject());
+      submissionMatches = previous.concat(submissionMatches);
+    }
+
+    submissionMatches.sort((x, y) => y.similarity - x.similarity);
+
+    submission.similarity.checkedAt = checkedAt;
+    submission.similarity.threshold = threshold;
+    submission.similarity.maxSimilarity = submissionMatches.length > 0 ? submissionMatches[0].similarity : 0;
+    submission.similarity.matches = submissionMatches.slice(0, 10);
+    await submission.save();
+  }
+
+  // Flag both grades of every suspicious pair for manual review
+  for (const pair of flaggedPairs) {
+    const percentage = Math.round(pair.similarity * 100);
+    for (const [self, other] of [[pair.a, pair.b], [pair.b, pair.a]]) {
+      if (!self.grade) continue;
+      await Grade.updateOne(
+        { _id: self.grade },
+        {
+          $set: {
+            needsReview: true,
+            reviewReason: `Similarity ${percentage}% with ${other.student.firstName} ${other.student.lastName} (${other.student.studentId})`
+          }
+        }
+      );
+    }
+  }
+
+  return {
+    threshold,
+    checkedAt,
+    submissions: submissions.length,
+    analysed: comparable.length,
+    unsupported: submissions.length - comparable.length,
+    flaggedPairs: flaggedPairs.map(pair => ({
+      similarity: pair.similarity,
+      containment: pair.containment,
+      submissions: [pair.a._id, pair.b._id],
+      students: [pair.a.student, pair.b.student]
+    }))
+  };
+};
+
+// Checks in progress, per assignment
+const pendingChecks = new Map();
+
+// Run a similarity check once the previous checks of the same assignment are
+// done: every run saves all the latest submissions of the assignment, so two
+// overlapping runs would overwrite (or fail to save) each other's reports
+const checkAssignmentSimilarity = (assignmentId, options = {}) => {
+  const key = assignmentId.toString();
+  const previous = pendingChecks.get(key) || Promise.resolve();
+
+  const check = previous
+    .catch(() => {})
+    .then(() => runSimilarityCheck(assignmentId, options));
+  pendingChecks.set(key, check);
+
+  const forget = () => {
+    if (pendingChecks.get(key) === check) pendingChecks.delete(key);
+  };
+  check.then(forget, forget);
+
+  return check;
+};
+
+module.exports = {
+  SIMILARITY_THRESHOLD,
+  tokenizeText,
+  tokenizeCode,
+  fingerprint,
+  compareFingerprints,
+  fingerprintFile,
+  checkAssignmentSimilarity
+};
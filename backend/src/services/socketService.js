@@ -1,6 +1,7 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const Course = require('../models/Course');
+const { verifyToken } = require('../config/jwt');
+const { isSessionRevoked } = require('./sessionService');
 
 let io;
 const connectedUsers = new Map(); // userId -> socketId
@@ -19,7 +20,11 @@ const initializeSocket = (socketIO) => {
         return next(new Error('Authentication error: No token provided'));
       }
 
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const decoded = verifyToken(token);
+      if (!decoded.sid || isSessionRevoked(decoded.sid)) {
+        return next(new Error('Authentication error: Session revoked'));
+      }
+
       const user = await User.findById(decoded.userId).select('-password');
       
       if (!user || !user.isActive) {
@@ -27,6 +32,7 @@ const initializeSocket = (socketIO) => {
       }
 
       socket.userId = user._id.toString();
+      socket.sessionId = decoded.sid.toString();
       socket.user = user;
       next();
     } catch (error) {
@@ -391,6 +397,23 @@ const isUserOnline = (userId) => {
   return connectedUsers.has(userId);
 };
 
+// Function to disconnect the sockets opened with revoked sessions
+const disconnectSessions = (sessionIds) => {
+  if (!io) return 0;
+  
+  const revoked = new Set(sessionIds.map(String));
+  let disconnected = 0;
+  io.sockets.sockets.forEach(socket => {
+    if (revoked.has(socket.sessionId)) {
+      socket.emit('session_revoked', { message: 'Your session has ended, please sign in again' });
+      socket.disconnect(true);
+      disconnected++;
+    }
+  });
+  
+  return disconnected;
+};
+
 // Function to get socket instance for external use
 const getSocketInstance = () => {
   return io;
@@ -405,5 +428,6 @@ module.exports = {
   getOnlineUsersCount,
   getCourseOnlineUsers,
   isUserOnline,
+  disconnectSessions,
   getSocketInstance
 };
\ No newline at end of file
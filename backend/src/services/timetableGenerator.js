@@ -0,0 +1,409 @@
+const Course = require('../models/Course');
+const User = require('../models/User');
+const Room = require('../models/Room');
+const TimetableDraft = require('../models/TimetableDraft');
+const {
+  WEEK_DAYS,
+  toMinutes,
+  getSlots,
+  normalizeRoom,
+  getStaff,
+  findConflicts
+} = require('./timetableService');
+const { getConcurrentSemesters } = require('../utils/dateUtils');
+
+// Search budget (visited nodes) of one candidate before falling back to a greedy fill
+const SEARCH_BUDGET = parseInt(process.env.TIMETABLE_SEARCH_BUDGET) || 20000;
+
+// Soft constraint weights (points removed from a score of 100)
+const PENALTIES = {
+  unplaced: 25,
+  gaps: 3,
+  lateSlots: 2,
+  sameDayRepeats: 4,
+  oversizedRooms: 1
+};
+
+const SESSION_TYPES = [
+  ['Lecture', 'lectures', 1],
+  ['Tutorial', 'tutorials', 1],
+  ['Lab', 'labs', 0]
+];
+
+// Small seeded random generator (mulberry32) so candidates can be reproduced
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Helper function to build the key of a booking (room or staff member at a day/slot)
+const key = (owner, day, slot) => `${owner}|${day}|${slot}`;
+
+// Helper function to list the slot indexes covered by a period
+const coveredSlots = (slots, startTime, endTime) => {
+  return slots
+    .map((slot, index) => ({ slot, index }))
+    .filter(({ slot }) => toMinutes(startTime) < slot.endMinutes && slot.startMinutes < toMinutes(endTime))
+    .map(({ index }) => index);
+};
+
+// Collect everything the generated timetable must work around: rooms booked and
+// staff teaching in other sections (of every level taught at the same time),
+// and the teachers' declared unavailability
+const loadFixedBookings = async ({ semester, academicYear }, courses, slots) => {
+  const roomBusy = new Set();
+  const staffBusy = new Set();
+
+  const others = await Course.find({
+    academicYear,
+    semester: { $in: getConcurrentSemesters(semester) },
+    status: { $ne: 'cancelled' },
+    _id: { $nin: courses.map(c => c._id) }
+  }).select('instructor assistants schedule');
+
+  others.forEach(other => {
+    const staff = getStaff(other);
+    other.schedule.lectures.forEach(lecture => {
+      coveredSlots(slots, lecture.startTime, lecture.endTime).forEach(slot => {
+        roomBusy.add(key(normalizeRoom(lecture.room), lecture.day, slot));
+        staff.forEach(id => staffBusy.add(key(id, lecture.day, slot)));
+      });
+    });
+  });
+
+  const staffIds = [...new Set(courses.flatMap(getStaff))];
+  const teachers = await User.find({ _id: { $in: staffIds } }).select('unavailability');
+  teachers.forEach(teacher => {
+    (teacher.unavailability || []).forEach(period => {
+      coveredSlots(slots, period.startTime, period.endTime).forEach(slot => {
+        staffBusy.add(key(teacher._id.toString(), period.day, slot));
+      });
+    });
+  });
+
+  return { roomBusy, staffBusy };
+};
+
+// Build the sessions to place, each with its static domain (day, slot, room)
+const buildSessions = (courses, rooms, slots, fixed) => {
+  const sessions = [];
+
+  courses.forEach(course => {
+    const plan = course.schedule.weeklySessions || {};
+    const staff = getStaff(course);
+
+    SESSION_TYPES.forEach(([type, field, fallback]) => {
+      const count = plan[field] ?? fallback;
+      const suitableRooms = rooms.filter(room =>
+        room.types.includes(type) && room.capacity >= course.maxStudents
+      );
+
+      const domain = [];
+      WEEK_DAYS.forEach(day => {
+        slots.forEach((slot, slotIndex) => {
+          if (staff.some(id => fixed.staffBusy.has(key(id, day, slotIndex)))) return;
+          suitableRooms.forEach(room => {
+            if (fixed.roomBusy.has(key(normalizeRoom(room.name), day, slotIndex))) return;
+            domain.push({ day, slot: slotIndex, room });
+          });
+        });
+      });
+
+      let reason;
+      if (suitableRooms.length === 0) {
+        reason = `No ${type.toLowerCase()} room holds ${course.maxStudents} students`;
+      } else if (domain.length === 0) {
+        reason = 'Teaching staff or rooms never free';
+      }
+
+      for (let i = 0; i < count; i++) {
+        sessions.push({ course, type, staff, domain, reason });
+      }
+    });
+  });
+
+  return sessions;
+};
+
+// Solve one candidate: depth-first search with the most constrained sessions first
+// and a randomised value order, then a greedy fill if the search budget runs out
+const solveCandidate = (sessions, seed) => {
+  const random = createRandom(seed);
+  const slots = getSlots();
+  const order = sessions
+    .map(session => ({ session, tie: random() }))
+    .sort((a, b) => a.session.domain.length - b.session.domain.length || a.tie - b.tie)
+    .map(({ session }) => session);
+
+  const sectionBusy = new Set();
+  const staffBusy = new Set();
+  const roomBusy = new Set();
+  const courseDays = new Map();
+  const assignment = new Array(order.length).fill(null);
+  let visited = 0;
+
+  const isFree = (session, value) => {
+    return !sectionBusy.has(key('section', value.day, value.slot)) &&
+      !roomBusy.has(key(normalizeRoom(value.room.name), value.day, value.slot)) &&
+      !session.staff.some(id => staffBusy.has(key(id, value.day, value.slot)));
+  };
+
+  const place = (session, value, add) => {
+    const method = add ? 'add' : 'delete';
+    sectionBusy[method](key('section', value.day, value.slot));
+    roomBusy[method](key(normalizeRoom(value.room.name), value.day, value.slot));
+    session.staff.forEach(id => staffBusy[method](key(id, value.day, value.slot)));
+
+    const dayKey = `${session.course._id}|${value.day}`;
+    courseDays.set(dayKey, (courseDays.get(dayKey) || 0) + (add ? 1 : -1));
+  };
+
+  // Cheap soft cost used to try the most promising values first
+  const valueCost = (session, value) => {
+    let cost = random() * 3;
+    if (value.slot === slots.length - 1) cost += PENALTIES.lateSlots;
+    if (courseDays.get(`${session.course._id}|${value.day}`) > 0) cost += PENALTIES.sameDayRepeats;
+    if (value.room.capacity > session.course.maxStudents * 2) cost += PENALTIES.oversizedRooms;
+    return cost;
+  };
+
+  const orderedValues = (session) => {
+    return session.domain
+      .filter(value => isFree(session, value))
+      .map(value => ({ value, cost: valueCost(session, value) }))
+      .sort((a, b) => a.cost - b.cost)
+      .map(({ value }) => value);
+  };
+
+  const search = (index) => {
+    if (index === order.length) return true;
+    if (visited >= SEARCH_BUDGET) return false;
+
+    const session = order[index];
+    for (const value of orderedValues(session)) {
+      visited += 1;
+      place(session, value, true);
+      assignment[index] = value;
+      if (search(index + 1)) return true;
+      place(session, value, false);
+      assignment[index] = null;
+      if (visited >= SEARCH_BUDGET) return false;
+    }
+    return false;
+  };
+
+  if (!search(0)) {
+    // Greedy fill: keep every session that still fits, report the others
+    assignment.fill(null);
+    sectionBusy.clear();
+    staffBusy.clear();
+    roomBusy.clear();
+    courseDays.clear();
+
+    order.forEach((session, index) => {
+      const [value] = orderedValues(session);
+      if (value) {
+        place(session, value, true);
+        assignment[index] = value;
+      }
+    });
+  }
+
+  const placed = [];
+  const unplaced = [];
+
+  order.forEach((session, index) => {
+    const value = assignment[index];
+    if (!value) {
+      unplaced.push({
+        course: session.course._id,
+        type: session.type,
+        reason: session.reason || 'No free slot left for the section, staff and rooms'
+      });
+      return;
+    }
+    placed.push({
+      course: session.course._id,
+      maxStudents: session.course.maxStudents,
+      type: session.type,
+      day: value.day,
+      slot: value.slot,
+      startTime: slots[value.slot].start,
+      endTime: slots[value.slot].end,
+      room: value.room.name,
+      roomRef: value.room.room,
+      capacity: value.room.capacity
+    });
+  });
+
+  return { placed, unplaced };
+};
+
+// Score a candidate: 100 minus the weighted soft constraint violations
+const scoreCandidate = ({ placed, unplaced }) => {
+  const counts = {
+    unplaced: unplaced.length,
+    gaps: 0,
+    lateSlots: placed.filter(s => s.slot === getSlots().length - 1).length,
+    sameDayRepeats: 0,
+    oversizedRooms: placed.filter(s => s.capacity > s.maxStudents * 2).length
+  };
+
+  WEEK_DAYS.forEach(day => {
+    const daySlots = placed.filter(s => s.day === day).map(s => s.slot);
+    if (daySlots.length > 0) {
+      counts.gaps += Math.max(...daySlots) - Math.min(...daySlots) + 1 - new Set(daySlots).size;
+    }
+
+    const perCourse = new Map();
+    placed.filter(s => s.day === day).forEach(s => {
+      perCourse.set(s.course.toString(), (perCourse.get(s.course.toString()) || 0) + 1);
+    });
+    perCourse.forEach(count => {
+      counts.sameDayRepeats += count - 1;
+    });
+  });
+
+  const total = Object.entries(counts).reduce((sum, [name, count]) => sum + count * PENALTIES[name], 0);
+
+  return { score: Math.max(0, 100 - total), penalties: counts };
+};
+
+// Generate several scored candidate timetables for a section
+// (department/level/semester) and store them as a draft
+const generateTimetableDraft = async ({ department, level, semester, academicYear, roomIds, candidateCount = 3, seed }, generatedBy) => {
+  const courses = await Course.find({
+    department,
+    level,
+    semester,
+    academicYear,
+    status: { $ne: 'cancelled' }
+  }).select('code name maxStudents instructor assistants schedule');
+
+  if (courses.length === 0) {
+    return null;
+  }
+
+  const slots = getSlots();
+  // Every active room, unless the admin restricted the generator to some of them
+  const roomFilter = { isActive: true };
+  if (roomIds?.length > 0) roomFilter._id = { $in: roomIds };
+  const rooms = await Room.find(roomFilter);
+  const roomList = rooms.map(room => ({
+    room: room._id,
+    name: room.name,
+    capacity: room.capacity,
+    types: room.sessionTypes.filter(type => ['Lecture', 'Tutorial', 'Lab'].includes(type))
+  }));
+
+  const fixed = await loadFixedBookings({ semester, academicYear }, courses, slots);
+  const sessions = buildSessions(courses, roomList, slots, fixed);
+
+  // Different seeds give different timetables; identical ones are dropped
+  const baseSeed = seed ?? Math.floor(Math.random() * 0xffffffff);
+  const seen = new Set();
+  const candidates = [];
+
+  for (let attempt = 0; attempt < candidateCount * 3 && candidates.length < candidateCount; attempt++) {
+    const candidateSeed = (baseSeed + attempt * 7919) >>> 0;
+    const result = solveCandidate(sessions, candidateSeed);
+    const signature = result.placed
+      .map(s => `${s.course}|${s.type}|${s.day}|${s.slot}|${s.room}`)
+      .sort()
+      .join(';');
+
+    if (seen.has(signature)) continue;
+    seen.add(signature);
+
+    candidates.push({
+      ...scoreCandidate(result),
+      sessions: result.placed.map(({ course, type, day, startTime, endTime, room, roomRef }) => ({
+        course, type, day, startTime, endTime, room, roomRef
+      })),
+      unplaced: result.unplaced,
+      seed: candidateSeed
+    });
+  }
+
+  candidates.sort((a, b) => b.score - a.score);
+
+  const draft = new TimetableDraft({
+    department,
+    level,
+    semester,
+    academicYear,
+    courses: courses.map(c => c._id),
+    rooms: roomList,
+    candidates,
+    generatedBy
+  });
+
+  await draft.save();
+  return draft;
+};
+
+// Write a candidate of a draft to its courses' schedules. The courses of the
+// draft are replaced together, so only conflicts with other courses count.
+const commitTimetableDraft = async (draft, candidateIndex, committedBy) => {
+  const candidate = draft.candidates[candidateIndex];
+  const draftCourses = draft.courses.map(id => id.toString());
+
+  const courses = await Course.find({ _id: { $in: draft.courses } });
+  const conflicts = [];
+
+  for (const course of courses) {
+    const lectures = candidate.sessions
+      .filter(session => session.course.toString() === course._id.toString())
+      .map(({ day, startTime, endTime, room, roomRef, type }) => ({ day, startTime, endTime, room, roomRef, type }));
+
+    // The timetable may have changed since the draft was generated
+    const courseConflicts = (await findConflicts(course, lectures))
+      .filter(conflict => conflict.conflictingCourse && !draftCourses.includes(conflict.conflictingCourse._id.toString()));
+    conflicts.push(...courseConflicts.map(conflict => ({ course: { _id: course._id, code: course.code }, ...conflict })));
+
+    course.schedule.lectures = lectures;
+  }
+
+  if (conflicts.length > 0) {
+    return { conflicts };
+  }
+
+  for (const course of courses) {
+    await course.save();
+  }
+
+  draft.status = 'committed';
+  draft.committedCandidate = candidateIndex;
+  draft.committedAt = new Date();
+  draft.committedBy = committedBy;
+  await draft.save();
+
+  // Older drafts of the same section are superseded
+  await TimetableDraft.updateMany(
+    {
+      _id: { $ne: draft._id },
+      department: draft.department,
+      level: draft.level,
+      semester: draft.semester,
+      academicYear: draft.academicYear,
+      status: 'draft'
+    },
+    { $set: { status: 'discarded' } }
+  );
+
+  return { conflicts: [], updatedCourses: courses.length };
+};
+
+module.exports = {
+  PENALTIES,
+  solveCandidate,
+  scoreCandidate,
+  generateTimetableDraft,
+  commitTimetableDraft
+};
@@ -0,0 +1,531 @@
+const moment = require('moment');
+const Course = require('../models/Course');
+const Room = require('../models/Room');
+const ScheduleException = require('../models/ScheduleException');
+const {
+  getClassTimeSlots,
+  parseTimeSlot,
+  getAlgerianHolidays,
+  getConcurrentSemesters,
+  getAcademicYear,
+  getCurrentSemester
+} = require('../utils/dateUtils');
+
+const WEEK_DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday'];
+
+// Algeria is UTC+1 all year round
+const ALGERIA_OFFSET = 60;
+
+// A time further than this from every slot boundary is refused instead of snapped
+const SNAP_TOLERANCE_MINUTES = 30;
+
+// Helper function to convert HH:MM to minutes since midnight
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Helper function to convert minutes since midnight to HH:MM
+const toTime = (minutes) => {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+};
+
+// USTHB slots, with boundaries in minutes
+const getSlots = () => {
+  return getClassTimeSlots().map(slot => {
+    const { start, end } = parseTimeSlot(slot);
+    return { label: slot, start, end, startMinutes: toMinutes(start), endMinutes: toMinutes(end) };
+  });
+};
+
+// Helper function to normalise room names before comparing them
+const normalizeRoom = (room) => String(room || '').trim().toUpperCase().replace(/\s+/g, ' ');
+
+// Helper function to find the closest boundary (slot starts or slot ends)
+const closest = (minutes, boundaries) => {
+  return boundaries.reduce((best, value) =>
+    Math.abs(value - minutes) < Math.abs(best - minutes) ? value : best
+  );
+};
+
+// Snap a lecture to the USTHB slots: the start moves to the closest slot start,
+// the end to the closest slot end after it. A lecture may span several slots.
+const snapLecture = (lecture) => {
+  const slots = getSlots();
+  const start = toMinutes(lecture.startTime);
+  const end = toMinutes(lecture.endTime);
+
+  if (end <= start) {
+    return { error: `End time ${lecture.endTime} must be after start time ${lecture.startTime}` };
+  }
+
+  const snappedStart = closest(start, slots.map(s => s.startMinutes));
+  const ends = slots.map(s => s.endMinutes).filter(e => e > snappedStart);
+  const snappedEnd = closest(end, ends);
+
+  if (Math.abs(snappedStart - start) > SNAP_TOLERANCE_MINUTES || Math.abs(snappedEnd - end) > SNAP_TOLERANCE_MINUTES) {
+    return {
+      error: `${lecture.startTime}-${lecture.endTime} does not match the USTHB slots (${getClassTimeSlots().join(', ')})`
+    };
+  }
+
+  return {
+    lecture: {
+      ...lecture,
+      room: String(lecture.room).trim(),
+      startTime: toTime(snappedStart),
+      endTime: toTime(snappedEnd)
+    },
+    snapped: snappedStart !== start || snappedEnd !== end
+  };
+};
+
+// Helper function to check whether two lectures overlap
+const overlaps = (a, b) => {
+  return a.day === b.day &&
+    toMinutes(a.startTime) < toMinutes(b.endTime) &&
+    toMinutes(b.startTime) < toMinutes(a.endTime);
+};
+
+// Helper function to list the teaching staff of a course
+const getStaff = (course) => {
+  return [course.instructor, ...(course.assistants || [])]
+    .filter(Boolean)
+    .map(member => (member._id || member).toString());
+};
+
+// Helper function to describe a lecture in a conflict report
+const describeLecture = (lecture) => ({
+  day: lecture.day,
+  startTime: lecture.startTime,
+  endTime: lecture.endTime,
+  room: lecture.room,
+  type: lecture.type || 'Lecture'
+});
+
+// Find every collision between `lectures` (the proposed schedule of `course`)
+// and the timetable: same room, same teaching staff, same section
+// (department/level/semester) or another lecture of the same course
+const findConflicts = async (course, lectures) => {
+  const conflicts = [];
+
+  // Overlaps inside the proposed schedule itself
+  for (let i = 0; i < lectures.length; i++) {
+    for (let j = i + 1; j < lectures.length; j++) {
+      if (overlaps(lectures[i], lectures[j])) {
+        conflicts.push({
+          type: 'course',
+          lecture: describeLecture(lectures[i]),
+          conflictingLecture: describeLecture(lectures[j]),
+          detail: 'Two sessions of this course overlap'
+        });
+      }
+    }
+  }
+
+  if (lectures.length === 0) return conflicts;
+
+  const staff = getStaff(course);
+
+  // Odd (or even) semesters of every level are taught at the same time
+  const filter = {
+    academicYear: course.academicYear,
+    semester: { $in: getConcurrentSemesters(course.semester) },
+    status: { $ne: 'cancelled' },
+    'schedule.lectures.day': { $in: [...new Set(lectures.map(l => l.day))] }
+  };
+  if (course._id) filter._id = { $ne: course._id };
+
+  const candidates = await Course.find(filter)
+    .select('code name department level semester instructor assistants schedule')
+    .populate('instructor', 'firstName lastName')
+    .populate('assistants', 'firstName lastName');
+
+  candidates.forEach(other => {
+    const otherStaff = getStaff(other);
+    const sharedStaff = [other.instructor, ...(other.assistants || [])]
+      .filter(member => member && staff.includes(member._id.toString()));
+    const sameSection = other.department === course.department && other.level === course.level;
+
+    other.schedule.lectures.forEach(otherLecture => {
+      lectures.forEach(lecture => {
+        if (!overlaps(lecture, otherLecture)) return;
+
+        const base = {
+          lecture: describeLecture(lecture),
+          conflictingCourse: { _id: other._id, code: other.code, name: other.name },
+          conflictingLecture: describeLecture(otherLecture)
+        };
+
+        if (normalizeRoom(otherLecture.room) === normalizeRoom(lecture.room)) {
+          conflicts.push({ ...base, type: 'room', detail: `Room ${lecture.room} is already booked` });
+        }
+        if (otherStaff.some(id => staff.includes(id))) {
+          conflicts.push({
+            ...base,
+            type: 'staff',
+            staff: sharedStaff.map(member => ({
+              _id: member._id,
+              name: `${member.firstName} ${member.lastName}`
+            })),
+            detail: `${sharedStaff.map(m => `${m.firstName} ${m.lastName}`).join(', ')} already teaching`
+          });
+        }
+        if (sameSection) {
+          conflicts.push({
+            ...base,
+            type: 'section',
+            detail: `${course.department} ${course.level} ${course.semester} students already have a session`
+          });
+        }
+      });
+    });
+  });
+
+  return conflicts;
+};
+
+// Resolve the room of a lecture against the Room collection: it must exist, be
+// active, suit the session type and, for lectures, seat the whole course.
+// Returns an error message, or null once `room`/`roomRef` are set on the lecture.
+const resolveRoom = async (course, lecture) => {
+  if (!lecture.room && !lecture.roomRef) {
+    return 'A room is required';
+  }
+
+  const room = lecture.roomRef
+    ? await Room.findById(lecture.roomRef)
+    : await Room.findByName(lecture.room);
+  const type = lecture.type || 'Lecture';
+
+  if (!room || !room.isActive) {
+    return `Unknown or inactive room ${lecture.room || lecture.roomRef}`;
+  }
+  if (!room.sessionTypes.includes(type)) {
+    return `Room ${room.name} (${room.type}) cannot host ${type} sessions`;
+  }
+  if (type === 'Lecture' && course.maxStudents && room.capacity < course.maxStudents) {
+    return `Room ${room.name} seats ${room.capacity}, fewer than the ${course.maxStudents} students of the course`;
+  }
+
+  lecture.room = room.name;
+  lecture.roomRef = room._id;
+  return null;
+};
+
+// Snap a proposed schedule to the USTHB slots, resolve its rooms and check it
+// for conflicts. Returns the snapped lectures, the lectures that could not be
+// snapped or placed in their room, and the conflicts.
+const validateSchedule = async (course, lectures = []) => {
+  const errors = [];
+  const snappedLectures = [];
+  const adjusted = [];
+
+  lectures.forEach((lecture, index) => {
+    if (!WEEK_DAYS.includes(lecture.day)) {
+      errors.push({ index, message: `Invalid day ${lecture.day}` });
+      return;
+    }
+    const result = snapLecture(lecture);
+    if (result.error) {
+      errors.push({ index, message: result.error });
+      return;
+    }
+    if (result.snapped) {
+      adjusted.push({
+        index,
+        from: `${lecture.startTime}-${lecture.endTime}`,
+        to: `${result.lecture.startTime}-${result.lecture.endTime}`
+      });
+    }
+    snappedLectures.push({ index, lecture: result.lecture });
+  });
+
+  for (const { index, lecture } of snappedLectures) {
+    const roomError = await resolveRoom(course, lecture);
+    if (roomError) {
+      errors.push({ index, message: roomError });
+    }
+  }
+
+  const resolvedLectures = snappedLectures.map(({ lecture }) => lecture);
+  const conflicts = errors.length === 0 ? await findConflicts(course, resolvedLectures) : [];
+
+  return {
+    isValid: errors.length === 0 && conflicts.length === 0,
+    lectures: resolvedLectures,
+    adjusted,
+    errors,
+    conflicts
+  };
+};
+
+// Helper function to get the local (Algerian) start of the day of a date
+const toLocalDay = (date) => moment(date).utcOffset(ALGERIA_OFFSET).startOf('day');
+
+// Dated sessions of `courses` between two days: the weekly pattern (within each
+// course's start and end dates) with the schedule exceptions applied.
+// Cancelled and moved-away occurrences are kept with their status so views can
+// show them; moved-in and extra sessions are added.
+const expandSessions = async (courses, from, to) => {
+  const start = toLocalDay(from);
+  const end = toLocalDay(to);
+  const ids = courses.map(c => c._id);
+
+  const exceptions = await ScheduleException.find({
+    course: { $in: ids },
+    $or: [
+      { 'original.date': { $gte: start.toDate(), $lte: end.toDate() } },
+      { 'replacement.date': { $gte: start.toDate(), $lte: end.clone().endOf('day').toDate() } }
+    ]
+  });
+
+  const holidays = new Set();
+  for (let year = start.year(); year <= end.year(); year++) {
+    getAlgerianHolidays(year).forEach(holiday => holidays.add(holiday.date));
+  }
+
+  const sessions = [];
+  for (const day = start.clone(); day.isSameOrBefore(end, 'day'); day.add(1, 'day')) {
+    const weekday = day.format('dddd');
+    const isHoliday = holidays.has(day.format('YYYY-MM-DD'));
+
+    courses.forEach(course => {
+      if (course.startDate && day.isBefore(toLocalDay(course.startDate))) return;
+      if (course.endDate && day.isAfter(toLocalDay(course.endDate))) return;
+
+      course.schedule.lectures
+        .filter(lecture => lecture.day === weekday)
+        .forEach(lecture => {
+          const exception = exceptions.find(e =>
+            e.type !== 'extra' &&
+            e.course.toString() === course._id.toString() &&
+            e.original.lecture?.toString() === lecture._id?.toString() &&
+            toLocalDay(e.original.date).isSame(day, 'day')
+          );
+
+          let status = 'scheduled';
+          if (isHoliday) status = 'holiday';
+          else if (exception) status = exception.type === 'cancellation' ? 'cancelled' : 'moved';
+
+          sessions.push({
+            course,
+            lecture: lecture._id,
+            date: day.toDate(),
+            day: weekday,
+            startTime: lecture.startTime,
+            endTime: lecture.endTime,
+            room: lecture.room,
+            type: lecture.type,
+            status,
+            exception: exception?._id
+          });
+        });
+    });
+  }
+
+  exceptions
+    .filter(e => e.type !== 'cancellation' && toLocalDay(e.replacement.date).isBetween(start, end, 'day', '[]'))
+    .forEach(e => {
+      const course = courses.find(c => c._id.toString() === e.course.toString());
+      sessions.push({
+        course,
+        lecture: e.original?.lecture,
+        date: toLocalDay(e.replacement.date).toDate(),
+        day: toLocalDay(e.replacement.date).format('dddd'),
+        startTime: e.replacement.startTime,
+        endTime: e.replacement.endTime,
+        room: e.replacement.room,
+        type: e.replacement.sessionType,
+        status: e.type === 'move' ? 'rescheduled' : 'extra',
+        exception: e._id,
+        reason: e.reason
+      });
+    });
+
+  return sessions;
+};
+
+// Active rooms free on `day` between `startTime` and `endTime`, matching the
+// capacity, equipment, building and type constraints. With a `date`, that day's
+// schedule exceptions are taken into account. Rooms matching the constraints
+// but booked at that time are listed with the booking.
+const findAvailableRooms = async ({ day, date, startTime, endTime, minCapacity, equipment = [], building, type, semester, academicYear }) => {
+  const roomFilter = { isActive: true };
+  if (minCapacity) roomFilter.capacity = { $gte: minCapacity };
+  if (equipment.length > 0) roomFilter.equipment = { $all: equipment };
+  if (building) roomFilter.building = building;
+  if (type) roomFilter.type = type;
+
+  const rooms = await Room.find(roomFilter).sort({ capacity: 1, name: 1 });
+
+  // Rooms are shared by every level: any course of the same academic year
+  // taught in a concurrent semester (the current one by default) books them.
+  // With a date, the courses running that day are selected by their dates.
+  const courseFilter = {
+    status: { $in: ['draft', 'active'] },
+    academicYear: academicYear || getAcademicYear(date || null)
+  };
+  const bookedSemester = semester || (date ? null : getCurrentSemester());
+  if (bookedSemester) courseFilter.semester = { $in: getConcurrentSemesters(bookedSemester) };
+
+  let sessions;
+  if (date) {
+    const localDay = toLocalDay(date);
+    courseFilter.startDate = { $lte: localDay.clone().endOf('day').toDate() };
+    courseFilter.endDate = { $gte: localDay.toDate() };
+    const courses = await Course.find(courseFilter).select('code name schedule startDate endDate');
+    sessions = (await expandSessions(courses, localDay, localDay))
+      .filter(session => ['scheduled', 'rescheduled', 'extra'].includes(session.status));
+  } else {
+    courseFilter['schedule.lectures.day'] = day;
+    const courses = await Course.find(courseFilter).select('code name schedule');
+    sessions = courses.flatMap(course => course.schedule.lectures.map(lecture => ({ course, ...lecture.toObject() })));
+  }
+
+  const period = { day, startTime, endTime };
+  const bookings = new Map();
+
+  sessions
+    .filter(session => overlaps(session, period))
+    .forEach(session => {
+      bookings.set(normalizeRoom(session.room), {
+        course: { _id: session.course._id, code: session.course.code, name: session.course.name },
+        lecture: describeLecture(session),
+        status: session.status
+      });
+    });
+
+  return {
+    available: rooms.filter(room => !bookings.has(normalizeRoom(room.name))),
+    occupied: rooms
+      .filter(room => bookings.has(normalizeRoom(room.name)))
+      .map(room => ({ room, bookedBy: bookings.get(normalizeRoom(room.name)) }))
+  };
+};
+
+// Build the course filter of a timetable view
+const getTimetableFilter = ({ view, id, room, department, level, semester, academicYear }) => {
+  const filter = { status: { $ne: 'cancelled' } };
+  if (semester) filter.semester = semester;
+  if (academicYear) filter.academicYear = academicYear;
+
+  switch (view) {
+    case 'student':
+      filter.enrolledStudents = { $elemMatch: { student: id, status: 'enrolled' } };
+      break;
+    case 'teacher':
+      filter.$or = [{ instructor: id }, { assistants: id }];
+      break;
+    case 'room':
+      filter['schedule.lectures.room'] = { $regex: `^\\s*${room.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\s*$`, $options: 'i' };
+      break;
+    case 'section':
+      filter.department = department;
+      filter.level = level;
+      break;
+    default:
+      throw new Error(`Unknown timetable view ${view}`);
+  }
+
+  return filter;
+};
+
+// Weekly grid of a student, teacher, room or section:
+// one row per day, one cell per USTHB slot, each cell listing its sessions.
+// With `weekOf`, the grid shows that week's dated sessions with the schedule
+// exceptions applied; without it, the recurring weekly pattern.
+const getWeeklyTimetable = async (options) => {
+  const filter = getTimetableFilter(options);
+
+  let weekStart;
+  if (options.weekOf) {
+    const day = toLocalDay(options.weekOf);
+    weekStart = day.clone().subtract(day.day(), 'days');
+
+    // Courses moved or added into the room that week
+    if (options.view === 'room') {
+      const movedIn = await ScheduleException.find({
+        'replacement.date': { $gte: weekStart.toDate(), $lte: weekStart.clone().add(4, 'days').endOf('day').toDate() }
+      }).select('course replacement.room');
+      const ids = movedIn
+        .filter(e => normalizeRoom(e.replacement.room) === normalizeRoom(options.room))
+        .map(e => e.course);
+      const roomFilter = { 'schedule.lectures.room': filter['schedule.lectures.room'] };
+      delete filter['schedule.lectures.room'];
+      filter.$or = [roomFilter, { _id: { $in: ids } }];
+    }
+  }
+
+  const courses = await Course.find(filter)
+    .select('code name department level semester academicYear instructor assistants schedule startDate endDate')
+    .populate('instructor', 'firstName lastName')
+    .populate('assistants', 'firstName lastName');
+
+  const sessions = weekStart
+    ? await expandSessions(courses, weekStart, weekStart.clone().add(4, 'days'))
+    : courses.flatMap(course => course.schedule.lectures.map(lecture => ({
+      course,
+      day: lecture.day,
+      startTime: lecture.startTime,
+      endTime: lecture.endTime,
+      room: lecture.room,
+      type: lecture.type
+    })));
+
+  const slots = getSlots();
+  const grid = Object.fromEntries(WEEK_DAYS.map(day => [
+    day,
+    slots.map(slot => ({ slot: slot.label, sessions: [] }))
+  ]));
+  const unscheduled = [];
+
+  sessions
+    .filter(session => options.view !== 'room' || normalizeRoom(session.room) === normalizeRoom(options.room))
+    .forEach(({ course, ...session }) => {
+      const entry = {
+        ...session,
+        course: { _id: course._id, code: course.code, name: course.name },
+        instructor: course.instructor
+      };
+
+      // A session spanning several slots appears in each of them
+      const cells = slots
+        .map((slot, index) => ({ slot, index }))
+        .filter(({ slot }) => toMinutes(session.startTime) < slot.endMinutes && slot.startMinutes < toMinutes(session.endTime));
+
+      if (!grid[session.day] || cells.length === 0) {
+        unscheduled.push(entry);
+        return;
+      }
+      cells.forEach(({ index }) => grid[session.day][index].sessions.push(entry));
+    });
+
+  return {
+    days: WEEK_DAYS,
+    dates: weekStart
+      ? Object.fromEntries(WEEK_DAYS.map((day, index) => [day, weekStart.clone().add(index, 'days').format('YYYY-MM-DD')]))
+      : undefined,
+    slots: slots.map(slot => slot.label),
+    grid,
+    unscheduled,
+    courseCount: courses.length
+  };
+};
+
+module.exports = {
+  WEEK_DAYS,
+  toMinutes,
+  getSlots,
+  normalizeRoom,
+  overlaps,
+  getStaff,
+  snapLecture,
+  findConflicts,
+  resolveRoom,
+  validateSchedule,
+  toLocalDay,
+  expandSessions,
+  findAvailableRooms,
+  getWeeklyTimetable
+};
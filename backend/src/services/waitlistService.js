@@ -0,0 +1,168 @@
+const Course = require('../models/Course');
+const User = require('../models/User');
+const { checkPrerequisites } = require('./prerequisiteService');
+const { notifyUser } = require('./notificationService');
+
+// How long a promoted student has to confirm their seat (default: 24 hours)
+const OFFER_WINDOW_HOURS = parseInt(process.env.WAITLIST_OFFER_HOURS) || 24;
+
+// How often expired offers are checked (default: every minute)
+const WAITLIST_CHECK_INTERVAL = parseInt(process.env.WAITLIST_CHECK_INTERVAL_MS) || 60 * 1000;
+
+let waitlistTimer = null;
+
+// Helper function to describe a course in notifications
+const courseInfo = (course) => ({ id: course._id, code: course.code, name: course.name });
+
+// Whether a waiting student can be offered a seat now. Students who are not
+// eligible keep their position and are reconsidered the next time a seat frees up.
+const isEligible = async (course, studentId) => {
+  const student = await User.findById(studentId).select('role isActive');
+  if (!student || !student.isActive || student.role !== 'student') {
+    return false;
+  }
+
+  const prerequisites = await checkPrerequisites(course, studentId);
+  return prerequisites.isMet;
+};
+
+// Expire overdue offers, then offer every free seat to the first eligible
+// waiting students. Safe to call whenever a seat may have been released.
+const promoteFromWaitlist = async (courseId) => {
+  const course = await Course.findById(courseId);
+  if (!course || !course.waitlist || course.waitlist.length === 0) {
+    return { offered: [], expired: [] };
+  }
+
+  const now = new Date();
+  const expired = course.waitlist.filter(entry =>
+    entry.status === 'offered' && entry.offerExpiresAt <= now
+  );
+  expired.forEach(entry => {
+    entry.status = 'expired';
+    entry.resolvedAt = now;
+  });
+
+  const offered = [];
+  if (course.status === 'active') {
+    const waiting = course.waitlist
+      .filter(entry => entry.status === 'waiting')
+      .sort((a, b) => a.position - b.position);
+
+    for (const entry of waiting) {
+      if (course.availableSpots === 0) break;
+      if (!(await isEligible(course, entry.student))) continue;
+
+      entry.status = 'offered';
+      entry.offeredAt = now;
+      entry.offerExpiresAt = new Date(now.getTime() + OFFER_WINDOW_HOURS * 60 * 60 * 1000);
+      offered.push(entry);
+    }
+  }
+
+  if (expired.length === 0 && offered.length === 0) {
+    return { offered, expired };
+  }
+
+  await course.save();
+
+  expired.forEach(entry => {
+    notifyUser(entry.student, 'waitlist_offer_expired', {
+      course: courseInfo(course),
+      message: `Your reserved seat in ${course.code} has expired and was passed on`
+    });
+  });
+
+  offered.forEach(entry => {
+    notifyUser(entry.student, 'waitlist_offer', {
+      course: courseInfo(course),
+      expiresAt: entry.offerExpiresAt,
+      message: `A seat is available in ${course.code}. Confirm before it expires.`
+    });
+  });
+
+  // Let the students still waiting know how far they have moved up
+  if (offered.length > 0) {
+    course.waitlist
+      .filter(entry => entry.status === 'waiting')
+      .forEach(entry => {
+        notifyUser(entry.student, 'waitlist_position', {
+          course: courseInfo(course),
+          position: course.getWaitlistRank(entry.student)
+        });
+      });
+  }
+
+  return { offered, expired };
+};
+
+// Take a student off the waitlist (declining an offer passes the seat on)
+const leaveWaitlist = async (course, studentId) => {
+  const entry = course.getWaitlistEntry(studentId);
+  if (!entry) {
+    return null;
+  }
+
+  const wasOffered = entry.status === 'offered';
+  entry.status = wasOffered ? 'declined' : 'left';
+  entry.resolvedAt = new Date();
+  await course.save();
+
+  if (wasOffered) {
+    await promoteFromWaitlist(course._id);
+  }
+
+  return entry;
+};
+
+// Expire overdue offers across all courses and pass the seats on
+const processExpiredOffers = async () => {
+  const courses = await Course.find({
+    waitlist: { $elemMatch: { status: 'offered', offerExpiresAt: { $lte: new Date() } } }
+  }).select('_id');
+
+  let expired = 0;
+  let offered = 0;
+  for (const course of courses) {
+    try {
+      const result = await promoteFromWaitlist(course._id);
+      expired += result.expired.length;
+      offered += result.offered.length;
+    } catch (error) {
+      console.error(`Waitlist promotion error for course ${course._id}:`, error);
+    }
+  }
+
+  return { expired, offered };
+};
+
+// Start the periodic check for expired offers
+const startWaitlistScheduler = () => {
+  if (waitlistTimer) return waitlistTimer;
+
+  waitlistTimer = setInterval(() => {
+    processExpiredOffers().catch(error => {
+      console.error('Waitlist scheduler error:', error);
+    });
+  }, WAITLIST_CHECK_INTERVAL);
+  waitlistTimer.unref();
+
+  return waitlistTimer;
+};
+
+// Stop the periodic check
+const stopWaitlistScheduler = () => {
+  if (waitlistTimer) {
+    clearInterval(waitlistTimer);
+    waitlistTimer = null;
+  }
+};
+
+module.exports = {
+  OFFER_WINDOW_HOURS,
+  promoteFromWaitlist,
+  leaveWaitlist,
+  processExpiredOffers,
+  startWaitlistScheduler,
+  stopWaitlistScheduler
+};
@@ -1,8 +1,105 @@
 const moment = require('moment');
+const { toHijri, fromHijri, formatHijri } = require('./hijriUtils');
 
 // Set default timezone for Algeria
 moment.locale('en');
 
+// Academic calendars defined by the administration (see models/AcademicCalendar),
+// kept in memory so the helpers below stay synchronous. Without a calendar for
+// a year the usual September-January / February-June dates are assumed.
+let academicCalendars = [];
+
+/**
+ * Replace the cached academic calendars
+ * @param {Array} calendars - AcademicCalendar documents or plain objects
+ */
+const setAcademicCalendars = (calendars = []) => {
+  academicCalendars = calendars.map(calendar =>
+    typeof calendar.toObject === 'function' ? calendar.toObject() : calendar
+  );
+};
+
+/**
+ * Get the cached academic calendar of a year
+ * @param {string} academicYear - Academic year (YYYY-YYYY)
+ */
+const findAcademicCalendar = (academicYear) => {
+  return academicCalendars.find(calendar => calendar.academicYear === academicYear) || null;
+};
+
+// Islamic public holidays, by Hijri date. Their Gregorian dates come from the
+// tabular Hijri calendar until an admin records the date announced after the
+// moon sighting (see models/HolidayOverride).
+const ISLAMIC_HOLIDAYS = [
+  { key: 'islamic_new_year', name: 'Islamic New Year', month: 1, day: 1, days: 1 },
+  { key: 'ashura', name: 'Ashura', month: 1, day: 10, days: 1 },
+  { key: 'mawlid', name: 'Mawlid', month: 3, day: 12, days: 1 },
+  { key: 'eid_al_fitr', name: 'Eid al-Fitr', month: 10, day: 1, days: 2 },
+  { key: 'eid_al_adha', name: 'Eid al-Adha', month: 12, day: 10, days: 2 }
+];
+
+let holidayOverrides = [];
+
+/**
+ * Replace the cached Islamic holiday overrides
+ * @param {Array} overrides - HolidayOverride documents or plain objects
+ */
+const setHolidayOverrides = (overrides = []) => {
+  holidayOverrides = overrides.map(override =>
+    typeof override.toObject === 'function' ? override.toObject() : override
+  );
+};
+
+/**
+ * Get the first day of an Islamic holiday in a Hijri year
+ * @param {string} key - Holiday key (see ISLAMIC_HOLIDAYS)
+ * @param {number} hijriYear - Hijri year
+ * @returns {{ date: string, computedDate: string, isOverride: boolean }}
+ */
+const getIslamicHolidayDate = (key, hijriYear) => {
+  const holiday = ISLAMIC_HOLIDAYS.find(h => h.key === key);
+  const computedDate = fromHijri(hijriYear, holiday.month, holiday.day);
+  const override = holidayOverrides.find(o => o.holiday === key && o.hijriYear === hijriYear);
+  
+  return {
+    date: override ? moment.utc(override.date).format('YYYY-MM-DD') : computedDate,
+    computedDate,
+    isOverride: !!override
+  };
+};
+
+/**
+ * Get the Islamic holidays falling in a Gregorian year
+ * @param {number} year - Gregorian year
+ */
+const getIslamicHolidays = (year) => {
+  const holidays = [];
+  const firstHijriYear = toHijri(`${year}-01-01`).year;
+  const lastHijriYear = toHijri(`${year}-12-31`).year;
+  
+  for (let hijriYear = firstHijriYear; hijriYear <= lastHijriYear; hijriYear++) {
+    ISLAMIC_HOLIDAYS.forEach(holiday => {
+      const { date, isOverride } = getIslamicHolidayDate(holiday.key, hijriYear);
+      
+      for (let i = 0; i < holiday.days; i++) {
+        const day = moment.utc(date).add(i, 'day');
+        if (day.year() !== year) continue;
+        
+        holidays.push({
+          name: i === 0 ? holiday.name : `${holiday.name} (day ${i + 1})`,
+          date: day.format('YYYY-MM-DD'),
+          type: 'islamic',
+          key: holiday.key,
+          hijriDate: formatHijri({ year: hijriYear, month: holiday.month, day: holiday.day + i }),
+          isOverride
+        });
+      }
+    });
+  }
+  
+  return holidays;
+};
+
 /**
  * Get current date in Algeria timezone
  */
@@ -28,61 +125,126 @@ const formatDateForAPI = (date) => {
 };
 
 /**
- * Get start of academic year (September 1st)
- * @param {number} year - Academic year
+ * Get the academic year (YYYY-YYYY) a date falls in
+ * @param {Date|string} date - Date to check (default: now)
  */
-const getAcademicYearStart = (year = null) => {
-  const currentYear = year || getCurrentDate().year();
-  return moment(`${currentYear}-09-01`).startOf('day');
+const getAcademicYear = (date = null) => {
+  const target = date ? moment(date).utcOffset(1) : getCurrentDate();
+  const calendar = academicCalendars.find(c =>
+    target.isBetween(moment(c.start).utcOffset(1).startOf('day'), moment(c.end).utcOffset(1).endOf('day'), null, '[]')
+  );
+  if (calendar) return calendar.academicYear;
+  
+  const startYear = target.month() >= 8 ? target.year() : target.year() - 1;
+  return `${startYear}-${startYear + 1}`;
 };
 
 /**
- * Get end of academic year (August 31st)
- * @param {number} year - Academic year
+ * Normalize an academic year given as its first year or as YYYY-YYYY
+ * @param {number|string} year - Academic year (default: current)
  */
-const getAcademicYearEnd = (year = null) => {
-  const currentYear = year || getCurrentDate().year();
-  return moment(`${currentYear + 1}-08-31`).endOf('day');
+const toAcademicYear = (year = null) => {
+  if (!year) return getAcademicYear();
+  if (typeof year === 'string' && /^\d{4}-\d{4}$/.test(year)) return year;
+  return `${Number(year)}-${Number(year) + 1}`;
 };
 
 /**
- * Get current semester based on date
+ * Map a course semester (S1 to S10) to the semester of the year it runs in
+ * @param {string} semester - Semester code
  */
-const getCurrentSemester = () => {
-  const now = getCurrentDate();
-  const month = now.month() + 1; // moment months are 0-based
+const toCalendarSemester = (semester) => {
+  const number = parseInt(String(semester || '').replace(/^S/, ''), 10);
+  if (!number) return null;
+  return number % 2 === 1 ? 'S1' : 'S2';
+};
+
+/**
+ * Get the course semesters taught at the same time as a semester (S1, S3,
+ * S5... or S2, S4, S6...)
+ * @param {string} semester - Course semester (S1-S10)
+ */
+const getConcurrentSemesters = (semester) => {
+  const name = toCalendarSemester(semester);
+  if (!name) return [];
+  const first = name === 'S1' ? 1 : 2;
+  return [0, 2, 4, 6, 8].map(offset => `S${first + offset}`);
+};
+
+/**
+ * Get start of academic year (calendar, or September 1st)
+ * @param {number|string} year - Academic year
+ */
+const getAcademicYearStart = (year = null) => {
+  const academicYear = toAcademicYear(year);
+  const calendar = findAcademicCalendar(academicYear);
+  if (calendar) return moment(calendar.start).utcOffset(1).startOf('day');
   
-  if (month >= 9 || month <= 1) {
-    return 'S1'; // September - January
-  } else if (month >= 2 && month <= 6) {
-    return 'S2'; // February - June
-  } else {
-    return 'Summer'; // July - August
-  }
+  return moment(`${academicYear.slice(0, 4)}-09-01`).startOf('day');
+};
+
+/**
+ * Get end of academic year (calendar, or August 31st)
+ * @param {number|string} year - Academic year
+ */
+const getAcademicYearEnd = (year = null) => {
+  const academicYear = toAcademicYear(year);
+  const calendar = findAcademicCalendar(academicYear);
+  if (calendar) return moment(calendar.end).utcOffset(1).endOf('day');
+  
+  return moment(`${academicYear.slice(5)}-08-31`).endOf('day');
 };
 
 /**
  * Get semester dates
- * @param {string} semester - Semester code (S1, S2)
- * @param {number} year - Academic year
+ * @param {string} semester - Semester code (S1 to S10)
+ * @param {number|string} year - Academic year
  */
 const getSemesterDates = (semester, year = null) => {
-  const currentYear = year || getCurrentDate().year();
+  const name = toCalendarSemester(semester);
+  if (!name) return null;
   
-  switch (semester) {
-    case 'S1':
-      return {
-        start: moment(`${currentYear}-09-01`).startOf('day'),
-        end: moment(`${currentYear + 1}-01-31`).endOf('day')
-      };
-    case 'S2':
-      return {
-        start: moment(`${currentYear + 1}-02-01`).startOf('day'),
-        end: moment(`${currentYear + 1}-06-30`).endOf('day')
-      };
-    default:
-      return null;
+  const academicYear = toAcademicYear(year);
+  const calendar = findAcademicCalendar(academicYear);
+  const defined = calendar && calendar.semesters.find(s => s.name === name);
+  
+  if (defined) {
+    return {
+      start: moment(defined.start).utcOffset(1).startOf('day'),
+      end: moment(defined.end).utcOffset(1).endOf('day'),
+      teachingWeeks: defined.teachingWeeks
+    };
   }
+  
+  const startYear = Number(academicYear.slice(0, 4));
+  return name === 'S1'
+    ? {
+      start: moment(`${startYear}-09-01`).startOf('day'),
+      end: moment(`${startYear + 1}-01-31`).endOf('day')
+    }
+    : {
+      start: moment(`${startYear + 1}-02-01`).startOf('day'),
+      end: moment(`${startYear + 1}-06-30`).endOf('day')
+    };
+};
+
+/**
+ * Get current semester (S1 or S2), or null between semesters and in summer.
+ * A semester lasts until the end of its exams and resits.
+ */
+const getCurrentSemester = () => {
+  const now = getCurrentDate();
+  const academicYear = getAcademicYear(now);
+  
+  const current = ['S1', 'S2'].find(name => {
+    const dates = getSemesterDates(name, academicYear);
+    const periods = [getExamPeriodDates(name, academicYear), getResitPeriodDates(name, academicYear)]
+      .filter(Boolean);
+    const end = moment.max(dates.end, ...periods.map(period => period.end));
+    return now.isBetween(dates.start, end, null, '[]');
+  });
+  
+  return current || null;
 };
 
 /**
@@ -128,29 +290,49 @@ const isToday = (date) => {
 };
 
 /**
- * Get week number in semester
+ * Get teaching week number in semester. Weeks spent entirely in holidays or
+ * breaks are not counted.
  * @param {Date|string} date - Date to check
  * @param {string} semester - Semester code
- * @param {number} year - Academic year
+ * @param {number|string} year - Academic year
  */
 const getWeekInSemester = (date, semester, year = null) => {
   const semesterDates = getSemesterDates(semester, year);
   if (!semesterDates) return null;
   
-  const targetDate = moment(date);
+  const targetDate = moment(date).utcOffset(1);
   const startDate = semesterDates.start;
   
   if (targetDate.isBefore(startDate)) return 0;
   
-  return targetDate.diff(startDate, 'weeks') + 1;
+  let week = 0;
+  const cursor = startDate.clone().startOf('week');
+  while (cursor.isSameOrBefore(targetDate, 'day')) {
+    // Sunday to Thursday of the week
+    const days = [0, 1, 2, 3, 4].map(offset => cursor.clone().add(offset, 'days'));
+    if (!days.every(day => isHoliday(day))) week++;
+    cursor.add(1, 'week');
+  }
+  
+  return week;
 };
 
 /**
- * Get exam period dates (usually last 3 weeks of semester)
+ * Get exam period dates (calendar, or a guess: the last 3 weeks of the semester)
  * @param {string} semester - Semester code
- * @param {number} year - Academic year
+ * @param {number|string} year - Academic year
  */
 const getExamPeriodDates = (semester, year = null) => {
+  const name = toCalendarSemester(semester);
+  const calendar = findAcademicCalendar(toAcademicYear(year));
+  const defined = calendar && calendar.semesters.find(s => s.name === name);
+  if (defined && defined.exams) {
+    return {
+      start: moment(defined.exams.start).utcOffset(1).startOf('day'),
+      end: moment(defined.exams.end).utcOffset(1).endOf('day')
+    };
+  }
+  
   const semesterDates = getSemesterDates(semester, year);
   if (!semesterDates) return null;
   
@@ -163,6 +345,23 @@ const getExamPeriodDates = (semester, year = null) => {
   };
 };
 
+/**
+ * Get resit (rattrapage) period dates, when the calendar defines them
+ * @param {string} semester - Semester code
+ * @param {number|string} year - Academic year
+ */
+const getResitPeriodDates = (semester, year = null) => {
+  const name = toCalendarSemester(semester);
+  const calendar = findAcademicCalendar(toAcademicYear(year));
+  const defined = calendar && calendar.semesters.find(s => s.name === name);
+  if (!defined || !defined.resits) return null;
+  
+  return {
+    start: moment(defined.resits.start).utcOffset(1).startOf('day'),
+    end: moment(defined.resits.end).utcOffset(1).endOf('day')
+  };
+};
+
 /**
  * Generate class schedule times
  * @param {string} timeSlot - Time slot (e.g., '08:00-09:30')
@@ -200,20 +399,44 @@ const isClassHours = () => {
 };
 
 /**
- * Get Algerian holidays (academic calendar relevant ones)
+ * Get Algerian holidays (academic calendar relevant ones): national and
+ * Islamic holidays plus the holidays and break days of the academic calendars
  * @param {number} year - Year to get holidays for
  */
 const getAlgerianHolidays = (year = null) => {
   const currentYear = year || getCurrentDate().year();
   
-  return [
+  const holidays = [
     { name: 'New Year\'s Day', date: `${currentYear}-01-01` },
     { name: 'Amazigh New Year', date: `${currentYear}-01-12` },
     { name: 'Labour Day', date: `${currentYear}-05-01` },
     { name: 'Independence Day', date: `${currentYear}-07-05` },
-    { name: 'Revolution Day', date: `${currentYear}-11-01` }
-    // Note: Islamic holidays vary by year and would need calculation
+    { name: 'Revolution Day', date: `${currentYear}-11-01` },
+    ...getIslamicHolidays(currentYear)
   ];
+  
+  academicCalendars.forEach(calendar => {
+    (calendar.holidays || []).forEach(holiday => {
+      const last = moment(holiday.end || holiday.start).utcOffset(1);
+      for (const day = moment(holiday.start).utcOffset(1); day.isSameOrBefore(last, 'day'); day.add(1, 'day')) {
+        if (day.year() === currentYear) {
+          holidays.push({ name: holiday.name, date: day.format('YYYY-MM-DD'), type: holiday.type });
+        }
+      }
+    });
+  });
+  
+  return holidays;
+};
+
+/**
+ * Check if a date is a holiday or a break day
+ * @param {Date|string} date - Date to check
+ */
+const isHoliday = (date) => {
+  const day = moment(date).utcOffset(1);
+  const formatted = day.format('YYYY-MM-DD');
+  return getAlgerianHolidays(day.year()).some(holiday => holiday.date === formatted);
 };
 
 /**
@@ -228,8 +451,8 @@ const calculateBusinessDays = (startDate, endDate) => {
   
   const current = start.clone();
   while (current.isSameOrBefore(end, 'day')) {
-    // Skip weekends (Friday and Saturday in Algeria)
-    if (current.day() !== 5 && current.day() !== 6) {
+    // Skip weekends (Friday and Saturday in Algeria) and holidays
+    if (current.day() !== 5 && current.day() !== 6 && !isHoliday(current)) {
       businessDays++;
     }
     current.add(1, 'day');
@@ -246,8 +469,8 @@ const getNextBusinessDay = (date = null) => {
   const startDate = date ? moment(date) : getCurrentDate();
   let nextDay = startDate.clone().add(1, 'day');
   
-  // Skip weekends
-  while (nextDay.day() === 5 || nextDay.day() === 6) {
+  // Skip weekends and holidays
+  while (nextDay.day() === 5 || nextDay.day() === 6 || isHoliday(nextDay)) {
     nextDay.add(1, 'day');
   }
   
@@ -255,9 +478,19 @@ const getNextBusinessDay = (date = null) => {
 };
 
 module.exports = {
+  ISLAMIC_HOLIDAYS,
+  setAcademicCalendars,
+  findAcademicCalendar,
+  setHolidayOverrides,
+  getIslamicHolidayDate,
+  getIslamicHolidays,
   getCurrentDate,
   formatDate,
   formatDateForAPI,
+  getAcademicYear,
+  toAcademicYear,
+  toCalendarSemester,
+  getConcurrentSemesters,
   getAcademicYearStart,
   getAcademicYearEnd,
   getCurrentSemester,
@@ -269,10 +502,12 @@ module.exports = {
   isToday,
   getWeekInSemester,
   getExamPeriodDates,
+  getResitPeriodDates,
   parseTimeSlot,
   getClassTimeSlots,
   isClassHours,
   getAlgerianHolidays,
+  isHoliday,
   calculateBusinessDays,
   getNextBusinessDay
 };
\ No newline at end of file
@@ -0,0 +1,82 @@
+// Browser and operating system signatures, checked in order (the first match
+// wins, so Edge and Opera come before Chrome and Chrome before Safari)
+const BROWSERS = [
+  { name: 'Edge', pattern: /Edg(?:e|A|iOS)?\/[\d.]+/ },
+  { name: 'Opera', pattern: /(?:OPR|Opera)\/[\d.]+/ },
+  { name: 'Samsung Internet', pattern: /SamsungBrowser\/[\d.]+/ },
+  { name: 'Firefox', pattern: /(?:Firefox|FxiOS)\/[\d.]+/ },
+  { name: 'Chrome', pattern: /(?:Chrome|CriOS)\/[\d.]+/ },
+  { name: 'Safari', pattern: /Version\/[\d.]+.*Safari\// },
+  { name: 'USTHB App', pattern: /okhttp|Expo|ReactNative|Dalvik|CFNetwork/i }
+];
+
+const OPERATING_SYSTEMS = [
+  { name: 'Android', pattern: /Android/ },
+  { name: 'iOS', pattern: /iPhone|iPad|iPod/ },
+  { name: 'Windows', pattern: /Windows/ },
+  { name: 'macOS', pattern: /Mac OS X|Macintosh/ },
+  { name: 'ChromeOS', pattern: /CrOS/ },
+  { name: 'Linux', pattern: /Linux/ }
+];
+
+/**
+ * Extract browser, operating system and device type from a User-Agent header
+ * @param {string} userAgent - User-Agent header
+ * @returns {{ browser: string|null, os: string|null, deviceType: string }}
+ */
+const parseUserAgent = (userAgent = '') => {
+  const ua = userAgent || '';
+  const browser = BROWSERS.find(b => b.pattern.test(ua));
+  const os = OPERATING_SYSTEMS.find(o => o.pattern.test(ua));
+
+  let deviceType = 'unknown';
+  if (/iPad|Tablet/.test(ua) || (/Android/.test(ua) && !/Mobile/.test(ua))) {
+    deviceType = 'tablet';
+  } else if (/Mobile|iPhone|iPod|Android/.test(ua)) {
+    deviceType = 'mobile';
+  } else if (os) {
+    deviceType = 'desktop';
+  }
+
+  return {
+    browser: browser ? browser.name : null,
+    os: os ? os.name : null,
+    deviceType
+  };
+};
+
+/**
+ * Default name of a device (e.g. 'Chrome on Windows')
+ * @param {{ browser: string|null, os: string|null }} device - Parsed User-Agent
+ */
+const describeDevice = ({ browser, os }) => {
+  if (browser && os) return `${browser} on ${os}`;
+  return browser || os || 'Unknown device';
+};
+
+/**
+ * Normalize a client IP (IPv4-mapped IPv6 addresses become plain IPv4)
+ * @param {string} ip - Request IP
+ */
+const normalizeIp = (ip) => {
+  if (!ip) return null;
+  return ip.startsWith('::ffff:') ? ip.slice(7) : ip;
+};
+
+/**
+ * Check if an IP belongs to a private or loopback range (no GeoIP location)
+ * @param {string} ip - Normalized IP
+ */
+const isPrivateIp = (ip) => {
+  return /^(10\.|127\.|192\.168\.|172\.(1[6-9]|2\d|3[01])\.|169\.254\.)/.test(ip) ||
+    ip === '::1' ||
+    /^f[cd][0-9a-f]{2}:/i.test(ip) ||
+    /^fe80:/i.test(ip);
+};
+
+module.exports = {
+  parseUserAgent,
+  describeDevice,
+  normalizeIp,
+  isPrivateIp
+};
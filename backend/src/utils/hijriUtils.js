@@ -0,0 +1,87 @@
+/**
+ * Offline Hijri (Islamic) calendar conversion using the tabular (arithmetical)
+ * calendar: 30-year cycles with leap years 2, 5, 7, 10, 13, 16, 18, 21, 24, 26
+ * and 29. Dates may differ by a day or two from the official moon sighting,
+ * which is why holiday dates can be overridden by an admin.
+ */
+
+// Julian day of 1 Muharram 1 AH (July 16, 622, Julian calendar)
+const ISLAMIC_EPOCH = 1948439.5;
+
+// Julian day of the Unix epoch
+const UNIX_EPOCH_JD = 2440587.5;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const HIJRI_MONTHS = [
+  'Muharram',
+  'Safar',
+  'Rabi al-Awwal',
+  'Rabi al-Thani',
+  'Jumada al-Awwal',
+  'Jumada al-Thani',
+  'Rajab',
+  'Shaban',
+  'Ramadan',
+  'Shawwal',
+  'Dhu al-Qadah',
+  'Dhu al-Hijjah'
+];
+
+/**
+ * Julian day (at midnight) of a Hijri date
+ * @param {number} year - Hijri year
+ * @param {number} month - Hijri month (1-12)
+ * @param {number} day - Day of the month
+ */
+const hijriToJulianDay = (year, month, day) => {
+  return day +
+    Math.ceil(29.5 * (month - 1)) +
+    (year - 1) * 354 +
+    Math.floor((3 + 11 * year) / 30) +
+    ISLAMIC_EPOCH - 1;
+};
+
+/**
+ * Convert a Gregorian date to its Hijri date
+ * @param {Date|string} date - Date (its UTC calendar day is used)
+ * @returns {{ year: number, month: number, day: number, monthName: string }}
+ */
+const toHijri = (date) => {
+  const value = new Date(date);
+  const utcMidnight = Date.UTC(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate());
+  const julianDay = utcMidnight / MS_PER_DAY + UNIX_EPOCH_JD;
+
+  const year = Math.floor((30 * (julianDay - ISLAMIC_EPOCH) + 10646) / 10631);
+  const month = Math.min(12, Math.ceil((julianDay - (29 + hijriToJulianDay(year, 1, 1))) / 29.5) + 1);
+  const day = julianDay - hijriToJulianDay(year, month, 1) + 1;
+
+  return { year, month, day, monthName: HIJRI_MONTHS[month - 1] };
+};
+
+/**
+ * Convert a Hijri date to its Gregorian date
+ * @param {number} year - Hijri year
+ * @param {number} month - Hijri month (1-12)
+ * @param {number} day - Day of the month
+ * @returns {string} Date as YYYY-MM-DD
+ */
+const fromHijri = (year, month, day) => {
+  const julianDay = hijriToJulianDay(year, month, day);
+  return new Date(Math.round((julianDay - UNIX_EPOCH_JD) * MS_PER_DAY)).toISOString().split('T')[0];
+};
+
+/**
+ * Format a Hijri date (e.g. '1 Shawwal 1447')
+ * @param {{ year: number, month: number, day: number }} hijri - Hijri date
+ */
+const formatHijri = ({ year, month, day }) => {
+  return `${day} ${HIJRI_MONTHS[month - 1]} ${year}`;
+};
+
+module.exports = {
+  HIJRI_MONTHS,
+  toHijri,
+  fromHijri,
+  formatHijri
+};
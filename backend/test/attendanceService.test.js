@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import loadModule from './helpers/loadModule.js';
+
+const srcPath = (file) => fileURLToPath(new URL(`../src/${file}`, import.meta.url));
+
+const attendanceService = loadModule(srcPath('services/attendanceService.js'), {
+  '../models/Course': {},
+  '../models/AttendanceSession': {},
+  '../models/AbsencePolicy': {},
+  '../models/Grade': { Grade: {} },
+  '../models/Room': {},
+  '../models/ScheduleException': {},
+  './notificationService': {}
+});
+
+const {
+  TOKEN_PERIOD_SECONDS,
+  generateSessionSecret,
+  issueToken,
+  parseToken,
+  verifyToken,
+  getCheckInWindow
+} = attendanceService;
+
+const period = TOKEN_PERIOD_SECONDS * 1000;
+const session = { _id: '65f0a1b2c3d4e5f6a7b8c9d0', secret: generateSessionSecret() };
+const issuedAt = Date.parse('2026-03-01T08:05:00Z');
+
+const scan = (token, now, target = session) => {
+  const parsed = parseToken(token);
+  return !!parsed && parsed.sessionId === target._id && verifyToken(target, parsed, now);
+};
+
+test('accepts the current QR token and the one just before it', () => {
+  const { token, expiresAt, period: seconds } = issueToken(session, issuedAt);
+
+  assert.equal(seconds, TOKEN_PERIOD_SECONDS);
+  assert.ok(expiresAt.getTime() > issuedAt && expiresAt.getTime() <= issuedAt + period);
+  assert.equal(scan(token, issuedAt), true);
+  assert.equal(scan(token, issuedAt + period), true);
+});
+
+test('refuses expired and future QR tokens', () => {
+  const { token } = issueToken(session, issuedAt);
+
+  assert.equal(scan(token, issuedAt + 2 * period), false);
+  assert.equal(scan(token, issuedAt - period), false);
+});
+
+test('refuses tokens signed with another key or altered', () => {
+  const { token } = issueToken(session, issuedAt);
+  const reopened = { ...session, secret: generateSessionSecret() };
+  const [id, window, signature] = token.split('.');
+  const tampered = `${id}.${window}.${signature.slice(0, -1)}${signature.endsWith('A') ? 'B' : 'A'}`;
+
+  assert.equal(scan(token, issuedAt, reopened), false);
+  assert.equal(scan(tampered, issuedAt), false);
+  assert.equal(scan(`${id}.${(parseInt(window, 36) + 1).toString(36)}.${signature}`, issuedAt + period), false);
+});
+
+test('rejects malformed QR tokens before checking them', () => {
+  assert.equal(parseToken(''), null);
+  assert.equal(parseToken('not-a-token'), null);
+  assert.equal(parseToken(`not-an-id.1.${'a'.repeat(22)}`), null);
+  assert.equal(parseToken(`${session._id}.!!.${'a'.repeat(22)}`), null);
+  assert.deepEqual(parseToken(`${session._id}.z.signature`), { sessionId: session._id, window: 35, signature: 'signature' });
+});
+
+test('opens check-in shortly before the session and marks late arrivals', () => {
+  const sunday = { date: new Date('2026-03-01T00:00:00+01:00'), startTime: '08:00', endTime: '09:30' };
+  const at = (time) => new Date(`2026-03-01T${time}:00+01:00`);
+
+  assert.equal(getCheckInWindow(sunday, at('07:30')).isOpen, false);
+  assert.deepEqual(
+    [getCheckInWindow(sunday, at('07:50')).isOpen, getCheckInWindow(sunday, at('07:50')).isLate],
+    [true, false]
+  );
+  assert.deepEqual(
+    [getCheckInWindow(sunday, at('08:20')).isOpen, getCheckInWindow(sunday, at('08:20')).isLate],
+    [true, true]
+  );
+  assert.equal(getCheckInWindow(sunday, at('09:45')).isOpen, false);
+  assert.deepEqual(getCheckInWindow(sunday, at('08:00')).closesAt, at('09:30'));
+});
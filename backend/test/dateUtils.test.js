@@ -0,0 +1,81 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import loadModule from './helpers/loadModule.js';
+
+const srcPath = (file) => fileURLToPath(new URL(`../src/${file}`, import.meta.url));
+
+const { toHijri, fromHijri, formatHijri } = loadModule(srcPath('utils/hijriUtils.js'));
+const {
+  setAcademicCalendars,
+  setHolidayOverrides,
+  getIslamicHolidayDate,
+  getIslamicHolidays,
+  getAlgerianHolidays,
+  isHoliday
+} = loadModule(srcPath('utils/dateUtils.js'));
+
+afterEach(() => {
+  setAcademicCalendars([]);
+  setHolidayOverrides([]);
+});
+
+test('converts between Gregorian and tabular Hijri dates', () => {
+  assert.equal(fromHijri(1447, 10, 1), '2026-03-20');
+  assert.deepEqual(toHijri('2026-03-20'), { year: 1447, month: 10, day: 1, monthName: 'Shawwal' });
+  assert.deepEqual(toHijri('2025-06-26'), { year: 1446, month: 12, day: 29, monthName: 'Dhu al-Hijjah' });
+  assert.equal(formatHijri({ year: 1448, month: 1, day: 10 }), '10 Muharram 1448');
+});
+
+test('converts every month start of a 30-year cycle back and forth', () => {
+  for (let year = 1440; year < 1470; year++) {
+    for (let month = 1; month <= 12; month++) {
+      const { year: y, month: m, day } = toHijri(fromHijri(year, month, 1));
+      assert.deepEqual([y, m, day], [year, month, 1], `1/${month}/${year}`);
+    }
+  }
+});
+
+test('lists the Islamic holidays of a Gregorian year with their Hijri dates', () => {
+  const holidays = getIslamicHolidays(2026);
+
+  assert.deepEqual(holidays.map(h => [h.key, h.date]), [
+    ['eid_al_fitr', '2026-03-20'],
+    ['eid_al_fitr', '2026-03-21'],
+    ['eid_al_adha', '2026-05-27'],
+    ['eid_al_adha', '2026-05-28'],
+    ['islamic_new_year', '2026-06-17'],
+    ['ashura', '2026-06-26'],
+    ['mawlid', '2026-08-26']
+  ]);
+  assert.equal(holidays[1].name, 'Eid al-Fitr (day 2)');
+  assert.equal(holidays[1].hijriDate, '2 Shawwal 1447');
+});
+
+test('uses the date announced after the moon sighting when one is recorded', () => {
+  setHolidayOverrides([{ holiday: 'eid_al_fitr', hijriYear: 1447, date: new Date('2026-03-21T00:00:00Z') }]);
+
+  assert.deepEqual(getIslamicHolidayDate('eid_al_fitr', 1447), {
+    date: '2026-03-21',
+    computedDate: '2026-03-20',
+    isOverride: true
+  });
+  assert.equal(isHoliday('2026-03-22'), true);
+  assert.equal(isHoliday('2026-03-20'), false);
+});
+
+test('adds the national holidays and the breaks of the academic calendar', () => {
+  setAcademicCalendars([{
+    academicYear: '2025-2026',
+    holidays: [{ name: 'Spring break', type: 'break', start: '2026-03-15', end: '2026-03-18' }]
+  }]);
+
+  const dates = getAlgerianHolidays(2026).map(h => h.date);
+  ['2026-01-01', '2026-01-12', '2026-05-01', '2026-07-05', '2026-11-01'].forEach(date => {
+    assert.ok(dates.includes(date), date);
+  });
+
+  assert.equal(isHoliday('2026-03-15'), true);
+  assert.equal(isHoliday('2026-03-18'), true);
+  assert.equal(isHoliday('2026-03-19'), false);
+});
@@ -0,0 +1,139 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import loadModule from './helpers/loadModule.js';
+
+const srcPath = (file) => fileURLToPath(new URL(`../src/${file}`, import.meta.url));
+
+// Courses and previous-year results the allocation reads, set by each test
+let courses = [];
+let summaries = [];
+const notified = [];
+
+const electiveService = loadModule(srcPath('services/electiveService.js'), {
+  '../models/Course': { find: async () => courses },
+  '../models/User': {},
+  '../models/Announcement': {},
+  '../models/Grade': {
+    Grade: {},
+    CourseGradeSummary: { find: () => ({ select: async () => summaries }) }
+  },
+  './notificationService': { notifyUser: (...args) => notified.push(args) }
+});
+
+const { allocateSeats, runAllocation, publishAllocation } = electiveService;
+
+const candidate = (id, choices, average, submittedAt = 0) => ({ id, choices, average, submittedAt: new Date(submittedAt) });
+
+const seatsOf = (assignments) => Object.fromEntries([...assignments].map(([id, a]) => [id, `${a.course}#${a.rank}`]));
+
+test('gives contested seats to the best averages', () => {
+  const assignments = allocateSeats([
+    candidate('amina', ['ia', 'web'], 12),
+    candidate('yacine', ['ia', 'web'], 15),
+    candidate('sara', ['ia', 'web'], 9)
+  ], new Map([['ia', 1], ['web', 1]]));
+
+  assert.deepEqual(seatsOf(assignments), { yacine: 'ia#1', amina: 'web#2' });
+});
+
+test('breaks equal averages by the earliest submission, then ranks missing averages last', () => {
+  const assignments = allocateSeats([
+    candidate('late', ['ia'], 14, 2000),
+    candidate('early', ['ia'], 14, 1000),
+    candidate('unknown', ['ia'], null, 0)
+  ], new Map([['ia', 2]]));
+
+  assert.deepEqual(Object.keys(seatsOf(assignments)).sort(), ['early', 'late']);
+
+  const single = allocateSeats([
+    candidate('late', ['ia'], 14, 2000),
+    candidate('early', ['ia'], 14, 1000)
+  ], new Map([['ia', 1]]));
+  assert.deepEqual(seatsOf(single), { early: 'ia#1' });
+});
+
+test('produces a stable allocation', () => {
+  const courseIds = ['ia', 'web', 'secu', 'cloud'];
+  const capacities = new Map([['ia', 3], ['web', 2], ['secu', 2], ['cloud', 1]]);
+  const candidates = Array.from({ length: 12 }, (_, i) => candidate(
+    `student-${String(i).padStart(2, '0')}`,
+    [0, 1, 2].map(k => courseIds[(i * 7 + k * 3) % 4]).filter((id, k, all) => all.indexOf(id) === k),
+    (i * 37) % 20,
+    i
+  ));
+
+  const assignments = allocateSeats(candidates, capacities);
+  const merit = (a, b) => b.average - a.average || a.submittedAt - b.submittedAt;
+
+  courseIds.forEach(courseId => {
+    const holders = candidates.filter(c => assignments.get(c.id)?.course === courseId);
+    assert.ok(holders.length <= capacities.get(courseId), `${courseId} over capacity`);
+  });
+
+  // No student prefers a course that would rather have them than one of its holders
+  candidates.forEach(student => {
+    const assigned = assignments.get(student.id);
+    const preferred = student.choices.slice(0, assigned ? assigned.rank - 1 : student.choices.length);
+    preferred.forEach(courseId => {
+      const holders = candidates.filter(c => assignments.get(c.id)?.course === courseId);
+      assert.equal(holders.length, capacities.get(courseId), `${student.id} could take a free seat in ${courseId}`);
+      assert.ok(holders.every(holder => merit(holder, student) < 0), `${student.id} outranks a holder of ${courseId}`);
+    });
+  });
+});
+
+const course = (id, availableSpots, enrolledStudents = []) => ({
+  _id: id,
+  code: id.toUpperCase(),
+  name: `Module ${id}`,
+  availableSpots,
+  enrolledStudents
+});
+
+const campaign = (capacity) => ({
+  academicYear: '2025-2026',
+  options: [{ course: 'ia', capacity }, { course: 'web', capacity }],
+  submissions: [
+    { student: 'amina', choices: ['ia', 'web'], submittedAt: new Date(0) },
+    { student: 'yacine', choices: ['ia', 'web'], submittedAt: new Date(1) },
+    { student: 'sara', choices: ['ia', 'web'], submittedAt: new Date(2) }
+  ],
+  save: async () => {}
+});
+
+test('never allocates more seats than a course has left', async () => {
+  courses = [course('ia', 1, [{ student: 'sara', status: 'enrolled' }]), course('web', 0)];
+  summaries = [
+    { student: 'amina', semester: 'S1', moduleAverage: 16, coefficient: 1 },
+    { student: 'yacine', semester: 'S1', moduleAverage: 13, coefficient: 1 },
+    { student: 'sara', semester: 'S1', moduleAverage: 11, coefficient: 1 }
+  ];
+  const allocated = campaign(5);
+
+  const summary = await runAllocation(allocated, 'admin');
+
+  assert.equal(allocated.status, 'allocated');
+  assert.equal(allocated.referenceYear, '2024-2025');
+  assert.deepEqual(allocated.submissions.map(s => s.assignedCourse), ['ia', 'ia', null]);
+  assert.deepEqual(summary.options.map(o => o.assigned), [2, 0]);
+});
+
+test('refuses to publish when a course no longer has the seats assigned', async () => {
+  courses = [course('ia', 1), course('web', 3)];
+  const allocated = campaign(2);
+  allocated.status = 'allocated';
+  allocated.submissions.forEach((submission, index) => {
+    submission.assignedCourse = index < 2 ? 'ia' : 'web';
+    submission.assignedRank = index < 2 ? 1 : 2;
+  });
+  notified.length = 0;
+
+  const result = await publishAllocation(allocated, 'admin');
+
+  assert.deepEqual(result, {
+    shortfalls: [{ course: { id: 'ia', code: 'IA', name: 'Module ia' }, assigned: 2, availableSpots: 1 }]
+  });
+  assert.equal(allocated.status, 'allocated');
+  assert.equal(notified.length, 0);
+});
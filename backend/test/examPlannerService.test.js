@@ -0,0 +1,141 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import loadModule from './helpers/loadModule.js';
+
+const srcPath = (file) => fileURLToPath(new URL(`../src/${file}`, import.meta.url));
+
+const examPlannerService = loadModule(srcPath('services/examPlannerService.js'), {
+  '../models/Course': {},
+  '../models/User': {},
+  '../models/Room': {},
+  '../models/ExamSession': {},
+  '../models/Grade': { CourseGradeSummary: {} },
+  '../models/ScheduleException': {},
+  './notificationService': {}
+});
+
+const { scheduleExams, seatStudents, assignInvigilators } = examPlannerService;
+
+const amphi = { id: 'amphi-a', name: 'Amphi A', seats: 120 };
+const classroom = { id: 'salle-12', name: 'Salle 12', seats: 40 };
+const annex = { id: 'salle-13', name: 'Salle 13', seats: 40 };
+
+const studentsOf = (prefix, count) => Array.from({ length: count }, (_, i) => `${prefix}-${i}`);
+const exam = (id, section, students) => ({ id, section, students });
+
+const periodOf = (placed, id) => {
+  const entry = placed.find(p => p.exam.id === id);
+  return entry && `${entry.day}|${entry.slot}`;
+};
+
+test('never puts exams of a section or sharing a candidate in the same period', () => {
+  const exams = [
+    exam('algo', 'info-L1', studentsOf('l1', 30)),
+    exam('analyse', 'info-L1', studentsOf('l1', 30)),
+    exam('reseaux', 'info-L2', ['l1-0', ...studentsOf('l2', 20)]),
+    exam('physique', 'phys-L1', studentsOf('p1', 20))
+  ];
+
+  const { placed, unplaced } = scheduleExams(exams, 1, 3, [amphi, classroom]);
+
+  assert.equal(unplaced.length, 0);
+  const periods = ['algo', 'analyse', 'reseaux'].map(id => periodOf(placed, id));
+  assert.equal(new Set(periods).size, 3);
+});
+
+test('gives rooms to one exam per period and leaves booked rooms alone', () => {
+  const exams = [
+    exam('algo', 'info-L1', studentsOf('l1', 100)),
+    exam('chimie', 'chim-L1', studentsOf('c1', 70))
+  ];
+  const bookedRooms = new Map([['0|0', ['salle-12']]]);
+
+  const { placed, unplaced } = scheduleExams(exams, 1, 1, [amphi, classroom, annex], bookedRooms);
+
+  assert.equal(placed.length, 1);
+  assert.deepEqual(placed[0].rooms.map(r => r.id), ['amphi-a']);
+  assert.deepEqual(unplaced.map(u => [u.exam.id, u.reason]), [
+    ['chimie', 'No period without a conflict and with enough seats']
+  ]);
+});
+
+test('splits a large exam over several rooms and skips exams without candidates', () => {
+  const exams = [
+    exam('algo', 'info-L1', studentsOf('l1', 150)),
+    exam('option', 'info-L3', [])
+  ];
+
+  const { placed, unplaced } = scheduleExams(exams, 1, 1, [amphi, classroom, annex]);
+
+  assert.deepEqual(placed[0].rooms.map(r => r.id), ['amphi-a', 'salle-12']);
+  assert.deepEqual(unplaced.map(u => [u.exam.id, u.reason]), [['option', 'No candidates']]);
+});
+
+test('seats candidates room after room, numbering seats from 1', () => {
+  const students = studentsOf('s', 5).map(id => ({ _id: id }));
+
+  const seating = seatStudents(students, [
+    { room: 'salle-12', seats: 3 },
+    { room: 'salle-13', seats: 3 },
+    { room: 'salle-14', seats: 3 }
+  ]);
+
+  assert.deepEqual(seating.map(r => [r.room, r.students.map(s => `${s.student}@${s.seat}`)]), [
+    ['salle-12', ['s-0@1', 's-1@2', 's-2@3']],
+    ['salle-13', ['s-3@1', 's-4@2']]
+  ]);
+});
+
+const teachers = ['t1', 't2', 't3', 't4'].map(id => ({ _id: id }));
+const options = { minInvigilatorsPerRoom: 1, studentsPerInvigilator: 30 };
+const duty = (day, startTime, endTime, rooms, staff = []) => ({
+  day,
+  weekday: 'Sunday',
+  startTime,
+  endTime,
+  staff,
+  rooms: rooms.map(count => ({ students: studentsOf('s', count) }))
+});
+
+test('staffs each room with enough invigilators, the module teachers first', () => {
+  const duties = [duty(0, '08:30', '10:00', [70, 20], ['t4'])];
+
+  assignInvigilators(duties, teachers, options);
+
+  const [large, small] = duties[0].rooms;
+  assert.equal(large.invigilatorsNeeded, 3);
+  assert.equal(small.invigilatorsNeeded, 1);
+  assert.equal(large.invigilators[0], 't4');
+  assert.deepEqual([...large.invigilators, ...small.invigilators].sort(), ['t1', 't2', 't3', 't4']);
+});
+
+test('never gives a teacher two rooms at once or more than two exams a day', () => {
+  const duties = [
+    duty(0, '08:30', '10:00', [60, 60]),
+    duty(0, '10:30', '12:00', [60, 60]),
+    duty(0, '13:00', '14:30', [60, 60])
+  ];
+
+  const load = assignInvigilators(duties, teachers, options);
+
+  duties.forEach(d => {
+    const supervisors = d.rooms.flatMap(r => r.invigilators);
+    assert.equal(new Set(supervisors).size, supervisors.length);
+  });
+  assert.deepEqual(duties[2].rooms.map(r => r.invigilators.length), [0, 0]);
+  assert.deepEqual([...load.values()], [180, 180, 180, 180]);
+});
+
+test('respects unavailability and supervisions booked in other sessions', () => {
+  const staff = [
+    { _id: 't1', unavailability: [{ day: 'Sunday', startTime: '08:00', endTime: '09:00' }] },
+    { _id: 't2' },
+    { _id: 't3' }
+  ];
+  const duties = [duty(0, '08:30', '10:00', [40])];
+
+  assignInvigilators(duties, staff, options, [{ teacher: 't2', day: 0, startTime: '09:30', endTime: '11:00' }]);
+
+  assert.deepEqual(duties[0].rooms[0].invigilators, ['t3']);
+});
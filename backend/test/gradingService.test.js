@@ -0,0 +1,229 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import loadModule from './helpers/loadModule.js';
+
+const srcPath = (file) => fileURLToPath(new URL(`../src/${file}`, import.meta.url));
+
+// Marks and modules the semester computation reads, set by each test
+let storedGrades = [];
+let storedCourses = [];
+let courseFilter = null;
+const savedSummaries = [];
+
+const gradingService = loadModule(srcPath('services/gradingService.js'), {
+  '../models/Grade': {
+    Grade: { find: async () => storedGrades },
+    CourseGradeSummary: {
+      findOneAndUpdate: async (filter, update) => {
+        savedSummaries.push({ ...filter, ...update });
+        return update;
+      }
+    }
+  },
+  '../models/Course': {
+    find: async (filter) => {
+      courseFilter = filter;
+      return storedCourses;
+    }
+  }
+});
+
+const {
+  DECISIONS,
+  toTwenty,
+  computeModuleAverage,
+  computeSemesterResult,
+  applyResitRule,
+  buildModuleResult,
+  computeStudentSemester
+} = gradingService;
+
+const studentId = '64b000000000000000000001';
+
+const WEIGHTS = {
+  assignments: { percentage: 40 },
+  final: { percentage: 60 }
+};
+
+const course = (id, teachingUnit, options = {}) => ({
+  _id: id,
+  code: id.toUpperCase(),
+  name: `Module ${id}`,
+  credits: options.credits ?? 4,
+  coefficient: options.coefficient ?? 2,
+  teachingUnit: { code: teachingUnit, name: `Unit ${teachingUnit}` },
+  assessments: WEIGHTS,
+  resitPolicy: options.resitPolicy
+});
+
+// Module result with an average already known
+const moduleResult = (id, teachingUnit, average, options = {}) => ({
+  ...buildModuleResult(course(id, teachingUnit, options), []),
+  average
+});
+
+const grade = (courseId, assessmentType, finalScore, totalPoints = 20) => ({
+  course: courseId,
+  assessmentType,
+  finalScore,
+  totalPoints
+});
+
+test('converts points to a mark out of 20, clamped to the scale', () => {
+  assert.equal(toTwenty(15, 30), 10);
+  assert.equal(toTwenty(7, 8), 17.5);
+  assert.equal(toTwenty(45, 40), 20);
+  assert.equal(toTwenty(5, 0), 0);
+});
+
+test('weights module categories and renormalises those without a mark', () => {
+  const full = computeModuleAverage([
+    grade('a', 'lab', 12),
+    grade('a', 'project', 16),
+    grade('a', 'final', 10)
+  ], WEIGHTS);
+  assert.equal(full.average, 11.6);
+  assert.equal(full.completion, 100);
+
+  const partial = computeModuleAverage([grade('a', 'lab', 7, 10)], WEIGHTS);
+  assert.equal(partial.average, 14);
+  assert.equal(partial.completion, 40);
+
+  assert.equal(computeModuleAverage([], WEIGHTS).average, null);
+});
+
+test('admits a student who passes every module on its own mark', () => {
+  const result = computeSemesterResult([
+    moduleResult('a', 'UEF1', 12),
+    moduleResult('b', 'UEF1', 10),
+    moduleResult('c', 'UEM1', 15, { coefficient: 1, credits: 2 })
+  ]);
+
+  assert.equal(result.decision, DECISIONS.ADMITTED);
+  assert.equal(result.average, 11.8);
+  assert.equal(result.mention, 'Passable');
+  assert.equal(result.creditsEarned, 10);
+  assert.equal(result.creditsTotal, 10);
+});
+
+test('acquires a failed module through its teaching unit average', () => {
+  const result = computeSemesterResult([
+    moduleResult('a', 'UEF1', 8),
+    moduleResult('b', 'UEF1', 14),
+    moduleResult('c', 'UEM1', 11)
+  ]);
+  const failed = result.units[0].modules.find(m => m.code === 'A');
+
+  assert.equal(result.units[0].average, 11);
+  assert.equal(failed.acquisitionMode, 'unit_compensation');
+  assert.equal(failed.creditsEarned, 4);
+  assert.equal(result.creditsEarned, 12);
+  assert.equal(result.decision, DECISIONS.ADMITTED_BY_COMPENSATION);
+});
+
+test('acquires a failed unit through the semester average', () => {
+  const result = computeSemesterResult([
+    moduleResult('a', 'UEF1', 9),
+    moduleResult('b', 'UEM1', 13)
+  ]);
+
+  assert.equal(result.average, 11);
+  assert.equal(result.units[0].modules[0].acquisitionMode, 'semester_compensation');
+  assert.equal(result.decision, DECISIONS.ADMITTED_BY_COMPENSATION);
+  assert.equal(result.creditsEarned, result.creditsTotal);
+});
+
+test('only credits modules passed on their own when nothing compensates', () => {
+  const result = computeSemesterResult([
+    moduleResult('a', 'UEF1', 6),
+    moduleResult('b', 'UEM1', 11, { credits: 3 })
+  ]);
+
+  assert.equal(result.average, 8.5);
+  assert.equal(result.decision, DECISIONS.DEFERRED);
+  assert.equal(result.creditsEarned, 3);
+  assert.equal(result.creditsTotal, 7);
+  assert.equal(result.units[0].isAcquired, false);
+  assert.equal(result.units[1].isAcquired, true);
+});
+
+test('never compensates a module without any mark', () => {
+  const result = computeSemesterResult([
+    moduleResult('a', 'UEF1', null),
+    moduleResult('b', 'UEF1', 18),
+    moduleResult('c', 'UEM1', 16)
+  ]);
+  const missing = result.units[0].modules.find(m => m.code === 'A');
+
+  assert.equal(missing.isAcquired, false);
+  assert.equal(result.units[0].average, null);
+  assert.equal(result.average, null);
+  assert.equal(result.decision, DECISIONS.DEFERRED);
+  assert.equal(result.creditsEarned, 8);
+  assert.equal(result.creditsTotal, 12);
+});
+
+test('applies the resit rule of the module', () => {
+  const grades = [grade('a', 'lab', 14), grade('a', 'final', 4)];
+  const normal = computeModuleAverage(grades, WEIGHTS).average;
+  const resit = grade('a', 'resit', 13);
+
+  assert.equal(normal, 8);
+  assert.equal(applyResitRule(course('a', 'UEF1'), grades, normal, resit), 13);
+  assert.equal(applyResitRule(course('a', 'UEF1'), grades, normal, grade('a', 'resit', 6)), 8);
+  assert.equal(applyResitRule(course('a', 'UEF1', { resitPolicy: { rule: 'capped', cap: 10 } }), grades, normal, resit), 10);
+  assert.equal(applyResitRule(course('a', 'UEF1', { resitPolicy: { rule: 'replace_exam' } }), grades, normal, resit), 13.4);
+});
+
+test('counts every enrolled module of the semester, marked or not', async () => {
+  storedCourses = [course('a', 'UEF1'), course('b', 'UEF1'), course('c', 'UEM1')];
+  storedGrades = [
+    grade('b', 'lab', 20),
+    grade('b', 'final', 20),
+    grade('c', 'lab', 16),
+    grade('c', 'final', 16)
+  ];
+  savedSummaries.length = 0;
+
+  const results = await computeStudentSemester(studentId, '2025-2026', 'S1');
+
+  assert.deepEqual(courseFilter, {
+    academicYear: '2025-2026',
+    semester: 'S1',
+    enrolledStudents: { $elemMatch: { student: studentId, status: { $ne: 'dropped' } } }
+  });
+  assert.equal(results.modules.length, 3);
+  assert.equal(results.creditsTotal, 12);
+  assert.equal(results.creditsEarned, 8);
+  assert.equal(results.average, null);
+  assert.equal(results.decision, DECISIONS.DEFERRED);
+
+  const missing = savedSummaries.find(summary => summary.course === 'a');
+  assert.equal(missing.moduleAverage, null);
+  assert.equal(missing.isAcquired, false);
+  assert.equal(missing.resit.isEligible, false);
+});
+
+test('opens the resit to failed modules and applies the resit mark', async () => {
+  storedCourses = [course('a', 'UEF1'), course('b', 'UEM1')];
+  storedGrades = [
+    grade('a', 'lab', 5),
+    grade('a', 'final', 5),
+    grade('b', 'lab', 12),
+    grade('b', 'final', 12)
+  ];
+
+  const beforeResit = await computeStudentSemester(studentId, '2025-2026', 'S1', { persist: false });
+  assert.equal(beforeResit.decision, DECISIONS.RESIT);
+  assert.deepEqual(beforeResit.modules.map(m => m.isResitEligible), [true, false]);
+
+  storedGrades.push(grade('a', 'resit', 11));
+  const afterResit = await computeStudentSemester(studentId, '2025-2026', 'S1', { persist: false });
+  const resitModule = afterResit.modules.find(m => m.code === 'A');
+
+  assert.equal(resitModule.normalAverage, 5);
+  assert.equal(resitModule.average, 11);
+  assert.equal(afterResit.normalSession.decision, DECISIONS.DEFERRED);
+  assert.equal(afterResit.decision, DECISIONS.ADMITTED);
+});
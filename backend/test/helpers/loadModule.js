@@ -0,0 +1,28 @@
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+
+const requireFromBackend = createRequire(new URL('../../package.json', import.meta.url));
+
+// Load a CommonJS source file of src/ with some of its relative requires
+// replaced by test doubles (the package is an ES module, so Node cannot
+// require these files directly). Relative requires without a double are
+// loaded the same way; packages come from node_modules.
+const loadModule = (file, doubles = {}) => {
+  const source = fs.readFileSync(file, 'utf8');
+  const module = { exports: {} };
+
+  const localRequire = (name) => {
+    if (name in doubles) return doubles[name];
+    if (!name.startsWith('.')) return requireFromBackend(name);
+    const resolved = path.resolve(path.dirname(file), name);
+    return loadModule(resolved.endsWith('.js') ? resolved : `${resolved}.js`, doubles);
+  };
+
+  new Function('require', 'module', 'exports', '__dirname', source)(
+    localRequire, module, module.exports, path.dirname(file)
+  );
+  return module.exports;
+};
+
+export default loadModule;
@@ -0,0 +1,102 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import loadModule from './helpers/loadModule.js';
+
+const srcPath = (file) => fileURLToPath(new URL(`../src/${file}`, import.meta.url));
+
+// In-memory stand-in for the Session model
+let sessions = [];
+
+const matches = (session, filter) => Object.entries(filter).every(([key, value]) => {
+  const actual = session[key];
+  if (value === null) return actual == null;
+  if (value && value.$gt) return actual > value.$gt;
+  if (value && value.$ne) return String(actual) !== String(value.$ne);
+  return String(actual) === String(value);
+});
+
+class Session {
+  constructor(data) {
+    Object.assign(this, data);
+  }
+
+  get isActive() {
+    return !this.revokedAt && this.expiresAt > new Date();
+  }
+
+  async save() {
+    return this;
+  }
+
+  static find(filter) {
+    const found = sessions.filter(session => matches(session, filter));
+    return { sort: async () => found };
+  }
+
+  static async findOne(filter) {
+    return sessions.find(session => matches(session, filter)) || null;
+  }
+}
+
+const disconnected = [];
+
+const sessionController = loadModule(srcPath('controllers/sessionController.js'), {
+  '../models/Session': Session,
+  '../models/User': {},
+  '../services/socketService': { disconnectSessions: (ids) => disconnected.push(...ids.map(String)) },
+  '../config/jwt': {},
+  './geoipService': {},
+  '../utils/deviceUtils': {}
+});
+
+const mockResponse = () => {
+  const res = { statusCode: 200 };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+};
+
+// The auth middleware puts the User document itself on req.user
+const user = { _id: 'user-1', firstName: 'Amina', role: 'student' };
+const inAnHour = () => new Date(Date.now() + 60 * 60 * 1000);
+
+beforeEach(() => {
+  disconnected.length = 0;
+  sessions = [
+    new Session({ _id: 'phone', user: 'user-1', deviceName: 'Chrome on Android', expiresAt: inAnHour() }),
+    new Session({ _id: 'laptop', user: 'user-1', deviceName: 'Firefox on Linux', expiresAt: inAnHour() }),
+    new Session({ _id: 'other', user: 'user-2', deviceName: 'Safari on iOS', expiresAt: inAnHour() })
+  ];
+});
+
+test('lists the signed-in user\'s own active sessions', async () => {
+  const res = mockResponse();
+  await sessionController.getMySessions({ user, sessionId: 'laptop' }, res);
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.sessions.map(session => session._id), ['phone', 'laptop']);
+  assert.deepEqual(res.body.sessions.map(session => session.isCurrent), [false, true]);
+});
+
+test('revokes one of the user\'s sessions', async () => {
+  const res = mockResponse();
+  await sessionController.revokeMySession({ user, sessionId: 'laptop', params: { id: 'phone' } }, res);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.wasCurrent, false);
+  assert.equal(sessions[0].revokedReason, 'logout');
+  assert.deepEqual(disconnected, ['phone']);
+
+  const list = mockResponse();
+  await sessionController.getMySessions({ user, sessionId: 'laptop' }, list);
+  assert.deepEqual(list.body.sessions.map(session => session._id), ['laptop']);
+});
+
+test('does not revoke another user\'s session', async () => {
+  const res = mockResponse();
+  await sessionController.revokeMySession({ user, sessionId: 'laptop', params: { id: 'other' } }, res);
+
+  assert.equal(res.statusCode, 404);
+  assert.equal(sessions[2].revokedAt, undefined);
+});
@@ -0,0 +1,102 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import loadModule from './helpers/loadModule.js';
+
+const srcPath = (file) => fileURLToPath(new URL(`../src/${file}`, import.meta.url));
+
+// In-memory stand-in for the Session collection
+let sessions = [];
+
+class Session {
+  constructor(data) {
+    Object.assign(this, data);
+  }
+
+  get isActive() {
+    return !this.revokedAt && this.expiresAt > new Date();
+  }
+
+  async save() {
+    return this;
+  }
+
+  static async findOneAndUpdate(filter, update) {
+    const session = sessions.find(s =>
+      s._id === filter._id && s.user === filter.user && s.refreshTokenId === filter.refreshTokenId && !s.revokedAt
+    );
+    if (!session) return null;
+    Object.assign(session, update.$set);
+    return session;
+  }
+
+  static async findOne(filter) {
+    return sessions.find(s => s._id === filter._id && s.user === filter.user) || null;
+  }
+}
+
+let nextTokenId = 0;
+
+const sessionService = loadModule(srcPath('services/sessionService.js'), {
+  '../models/Session': Session,
+  '../config/jwt': {
+    generateToken: () => 'access-token',
+    generateRefreshToken: () => {
+      nextTokenId += 1;
+      return { token: `refresh-${nextTokenId}`, tokenId: `jti-${nextTokenId}` };
+    },
+    jwtConfig: { refreshExpiresInDays: 30 }
+  },
+  './geoipService': { lookupLocation: () => ({ city: 'Alger', country: 'Algeria', countryCode: 'DZ' }) }
+});
+
+const { rotateSession, isSessionRevoked } = sessionService;
+
+const request = (ip) => ({
+  ip,
+  get: () => 'Mozilla/5.0 (X11; Linux x86_64) Firefox/128.0'
+});
+
+beforeEach(() => {
+  sessions = [
+    new Session({
+      _id: 'laptop',
+      user: 'user-1',
+      refreshTokenId: 'jti-current',
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+    })
+  ];
+});
+
+test('exchanges the current refresh token of a session', async () => {
+  const result = await rotateSession({ userId: 'user-1', sid: 'laptop', jti: 'jti-current' }, request('10.0.0.1'));
+
+  assert.equal(result.error, undefined);
+  assert.equal(result.tokens.token, 'access-token');
+  assert.equal(sessions[0].refreshTokenId, `jti-${nextTokenId}`);
+});
+
+test('revokes the session and records the replay of an exchanged token', async () => {
+  const result = await rotateSession({ userId: 'user-1', sid: 'laptop', jti: 'jti-old' }, request('198.51.100.7'));
+
+  assert.equal(result.reused, true);
+  assert.equal(sessions[0].revokedReason, 'token_reuse');
+  assert.equal(sessions[0].tokenReuse.tokenId, 'jti-old');
+  assert.equal(sessions[0].tokenReuse.ip, '198.51.100.7');
+  assert.equal(sessions[0].tokenReuse.location.countryCode, 'DZ');
+  assert.ok(sessions[0].tokenReuse.detectedAt instanceof Date);
+  assert.equal(isSessionRevoked('laptop'), true);
+});
+
+test('refuses a session revoked elsewhere and remembers the revocation', async () => {
+  sessions[0]._id = 'phone';
+  sessions[0].revokedAt = new Date();
+  sessions[0].revokedReason = 'admin';
+
+  const result = await rotateSession({ userId: 'user-1', sid: 'phone', jti: 'jti-current' }, request('10.0.0.1'));
+
+  assert.equal(result.error, 'Session has expired or been revoked');
+  assert.equal(result.reused, undefined);
+  assert.equal(sessions[0].tokenReuse, undefined);
+  assert.equal(isSessionRevoked('phone'), true);
+});
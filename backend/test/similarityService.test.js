@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import loadModule from './helpers/loadModule.js';
+
+const srcPath = (file) => fileURLToPath(new URL(`../src/${file}`, import.meta.url));
+
+// Each check loads the latest submissions; the test counts the runs in progress
+let running = 0;
+let maxRunning = 0;
+let failNext = false;
+const runs = [];
+
+const submissions = (assignmentId) => ({
+  select: () => ({
+    populate: async () => {
+      running += 1;
+      maxRunning = Math.max(maxRunning, running);
+      runs.push(assignmentId);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      running -= 1;
+      if (failNext) {
+        failNext = false;
+        throw new Error('Database unavailable');
+      }
+      return [];
+    }
+  })
+});
+
+const similarityService = loadModule(srcPath('services/similarityService.js'), {
+  'pdf-parse/lib/pdf-parse.js': async () => ({ text: '' }),
+  '../models/Assignment': { Submission: { find: (filter) => submissions(filter.assignment) } },
+  '../models/Grade': { Grade: {} }
+});
+
+const { tokenizeCode, fingerprint, compareFingerprints, checkAssignmentSimilarity } = similarityService;
+
+test('sees through renamed literals and comments in copied code', () => {
+  const original = 'int main() { /* sum */ int total = 0; for (int i = 0; i < 10; i++) total += i; printf("%d", total); }';
+  const copied = 'int main() {\n  // adds numbers\n  int total = 0;\n  for (int i = 0; i < 25; i++) total += i;\n  printf("total=%d", total);\n}';
+  const other = 'void swap(int *a, int *b) { int tmp = *a; *a = *b; *b = tmp; }';
+
+  const a = fingerprint(tokenizeCode(original), 8);
+  assert.equal(compareFingerprints(a, fingerprint(tokenizeCode(copied), 8)).similarity, 1);
+  assert.ok(compareFingerprints(a, fingerprint(tokenizeCode(other), 8)).similarity < 0.4);
+});
+
+test('runs the checks of an assignment one after the other', async () => {
+  running = 0;
+  maxRunning = 0;
+  runs.length = 0;
+  failNext = true;
+
+  const checks = [
+    checkAssignmentSimilarity('assignment-1'),
+    checkAssignmentSimilarity('assignment-1'),
+    checkAssignmentSimilarity('assignment-1')
+  ];
+
+  // A failed check does not hold up the next ones
+  await assert.rejects(checks[0], /Database unavailable/);
+  const [second, third] = await Promise.all(checks.slice(1));
+
+  assert.equal(maxRunning, 1);
+  assert.equal(runs.length, 3);
+  assert.equal(second.submissions, 0);
+  assert.equal(third.submissions, 0);
+});
+
+test('checks different assignments side by side', async () => {
+  running = 0;
+  maxRunning = 0;
+
+  await Promise.all([
+    checkAssignmentSimilarity('assignment-1'),
+    checkAssignmentSimilarity('assignment-2')
+  ]);
+
+  assert.equal(maxRunning, 2);
+});
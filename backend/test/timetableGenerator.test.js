@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import loadModule from './helpers/loadModule.js';
+
+const srcPath = (file) => fileURLToPath(new URL(`../src/${file}`, import.meta.url));
+
+const timetableGenerator = loadModule(srcPath('services/timetableGenerator.js'), {
+  '../models/Course': {},
+  '../models/User': {},
+  '../models/Room': {},
+  '../models/TimetableDraft': {},
+  '../models/ScheduleException': {}
+});
+
+const { PENALTIES, solveCandidate, scoreCandidate } = timetableGenerator;
+
+const amphi = { name: 'Amphi A', capacity: 200, types: ['Lecture'], room: 'amphi-a' };
+const classroom = { name: 'Salle 12', capacity: 40, types: ['Lecture', 'Tutorial'], room: 'salle-12' };
+
+// Sessions of a course, free on the given days and slots in the given rooms
+const sessionsOf = (course, { type = 'Lecture', count = 1, staff = [], days = ['Sunday'], slots = [0, 1, 2, 3, 4, 5], rooms = [amphi] }) => {
+  const domain = days.flatMap(day => slots.flatMap(slot => rooms.map(room => ({ day, slot, room }))));
+  return Array.from({ length: count }, () => ({ course, type, staff, domain }));
+};
+
+const algo = { _id: 'algo', maxStudents: 150 };
+const analyse = { _id: 'analyse', maxStudents: 150 };
+const english = { _id: 'english', maxStudents: 30 };
+
+const bookings = (placed) => placed.map(s => `${s.day}|${s.slot}`);
+
+test('places every session without double booking the section, staff or rooms', () => {
+  const sessions = [
+    ...sessionsOf(algo, { count: 2, staff: ['teacher-1'] }),
+    ...sessionsOf(analyse, { count: 2, staff: ['teacher-1'] }),
+    ...sessionsOf(english, { type: 'Tutorial', staff: ['teacher-2'], rooms: [classroom] })
+  ];
+
+  const { placed, unplaced } = solveCandidate(sessions, 42);
+
+  assert.equal(unplaced.length, 0);
+  assert.equal(placed.length, 5);
+  assert.equal(new Set(bookings(placed)).size, 5);
+  assert.ok(placed.every(s => s.startTime && s.endTime));
+  assert.equal(placed.find(s => s.course === 'english').room, 'Salle 12');
+});
+
+test('reproduces a candidate from its seed', () => {
+  const sessions = [
+    ...sessionsOf(algo, { count: 2, days: ['Sunday', 'Monday'] }),
+    ...sessionsOf(analyse, { count: 2, days: ['Sunday', 'Monday'] })
+  ];
+
+  assert.deepEqual(solveCandidate(sessions, 7), solveCandidate(sessions, 7));
+});
+
+test('reports the sessions that cannot be placed', () => {
+  const sessions = [
+    ...sessionsOf(algo, { count: 2, slots: [0, 1] }),
+    ...sessionsOf(analyse, { slots: [0, 1] }),
+    { course: english, type: 'Lab', staff: [], domain: [], reason: 'No lab room holds 30 students' }
+  ];
+
+  const { placed, unplaced } = solveCandidate(sessions, 1);
+
+  assert.equal(placed.length, 2);
+  assert.deepEqual(unplaced.map(s => s.reason).sort(), [
+    'No free slot left for the section, staff and rooms',
+    'No lab room holds 30 students'
+  ]);
+});
+
+test('scores a candidate by its soft constraint violations', () => {
+  const placed = [
+    { course: 'algo', day: 'Sunday', slot: 0, capacity: 200, maxStudents: 150 },
+    { course: 'algo', day: 'Sunday', slot: 2, capacity: 200, maxStudents: 150 },
+    { course: 'english', day: 'Monday', slot: 5, capacity: 200, maxStudents: 30 }
+  ];
+
+  const { score, penalties } = scoreCandidate({ placed, unplaced: [{ course: 'analyse' }] });
+
+  assert.deepEqual(penalties, { unplaced: 1, gaps: 1, lateSlots: 1, sameDayRepeats: 1, oversizedRooms: 1 });
+  assert.equal(score, 100 - Object.values(PENALTIES).reduce((sum, weight) => sum + weight, 0));
+});